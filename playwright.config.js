@@ -0,0 +1,20 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// E2E tests run against the Vite dev server. The camera is a synthetic canvas
+// stream and /api is mocked in the page, so no keys or network are needed.
+export default defineConfig({
+  testDir: 'tests/e2e',
+  timeout: 30000,
+  use: {
+    baseURL: 'http://localhost:4173',
+    permissions: ['camera']
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } }
+  ],
+  webServer: {
+    command: 'npx vite --port 4173 --strictPort --open false',
+    url: 'http://localhost:4173',
+    reuseExistingServer: !process.env.CI
+  }
+});
@@ -0,0 +1,448 @@
+/**
+ * API Routes - Proxies model and voice calls so API keys stay on the server
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { ClientRateLimiter } from './rateLimiter.js';
+
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_TTS_LENGTH = 1000;
+
+// Output tokens for JSON replies; scenes ask for more, up to the maximum
+const DEFAULT_JSON_TOKENS = 200;
+const MAX_OUTPUT_TOKENS = 1024;
+
+// Models the client may pick in settings
+const ALLOWED_MODELS = ['gemini-2.0-flash-exp', 'gemini-1.5-flash', 'gemini-1.5-pro'];
+const DEFAULT_MODEL = ALLOWED_MODELS[0];
+
+export class ApiRoutes {
+  constructor(config = {}) {
+    this.geminiApiKey = config.geminiApiKey || null;
+    this.elevenLabsApiKey = config.elevenLabsApiKey || null;
+    this.trustProxy = !!config.trustProxy; // Behind a reverse proxy that appends X-Forwarded-For
+
+    this.genAI = this.geminiApiKey ? new GoogleGenerativeAI(this.geminiApiKey) : null;
+    this.models = new Map(); // Model name → GenerativeModel
+
+    // Same budgets the browser enforces, but per client
+    this.modelLimiter = new ClientRateLimiter(10, 60000); // 10 model requests per minute
+    this.ttsLimiter = new ClientRateLimiter(20, 60000); // 20 TTS requests per minute
+
+    this.routes = {
+      'GET /api/status': (req, res) => this.status(req, res),
+      'POST /api/analyze': (req, res) => this.analyze(req, res),
+      'POST /api/analyze/stream': (req, res) => this.analyze(req, res, { stream: true }),
+      'POST /api/react': (req, res) => this.react(req, res),
+      'POST /api/tts': (req, res) => this.tts(req, res),
+      'POST /api/tts/stream': (req, res) => this.tts(req, res, { stream: true })
+    };
+  }
+
+  /**
+   * Dispatch a request to its route
+   * @returns {Promise<boolean>} False if no route matched
+   */
+  async handle(req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const route = this.routes[`${req.method} ${path}`];
+    if (!route) {
+      return false;
+    }
+
+    try {
+      await route(req, res);
+    } catch (error) {
+      // Client errors (bad input) carry a statusCode and aren't worth a stack trace
+      if (!error.statusCode) {
+        console.error(`${req.method} ${path} failed:`, error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode || 500, { error: error.message || 'Internal server error' });
+      } else {
+        res.end();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Report which services are configured
+   */
+  status(req, res) {
+    sendJson(res, 200, {
+      gemini: !!this.genAI,
+      models: ALLOWED_MODELS,
+      elevenLabs: !!this.elevenLabsApiKey
+    });
+  }
+
+  /**
+   * Analyze a camera frame: { prompt, image, maxTokens } → { text }
+   * maxTokens raises the output budget for replies with several objects.
+   * The stream variant answers with NDJSON lines ({ text } chunks, then { done })
+   */
+  async analyze(req, res, { stream = false } = {}) {
+    if (!this.checkModel(res) || !this.checkRateLimit(req, res, this.modelLimiter)) return;
+
+    const { prompt, image, model, maxTokens = DEFAULT_JSON_TOKENS } = await readJson(req);
+    validatePrompt(prompt);
+    validateMaxTokens(maxTokens);
+    if (typeof image !== 'string' || !image.startsWith('data:image/')) {
+      throw httpError(400, 'image must be a data URL');
+    }
+
+    const imagePart = {
+      inlineData: {
+        data: image.split(',')[1],
+        mimeType: 'image/jpeg'
+      }
+    };
+
+    // Frame analysis answers in structured JSON
+    const content = {
+      contents: [{ role: 'user', parts: [{ text: prompt }, imagePart] }],
+      generationConfig: {
+        temperature: 0.9,
+        maxOutputTokens: maxTokens, // JSON fields need more room than a bare sentence
+        responseMimeType: 'application/json'
+      }
+    };
+
+    if (stream) {
+      await this.generateStream(res, model, content);
+    } else {
+      await this.generate(res, model, content);
+    }
+  }
+
+  /**
+   * Generate a text-only reaction: { prompt } → { text }
+   * With json: true (repairing a malformed analysis) the reply is JSON with the
+   * analysis' output budget: { prompt, json, maxTokens }
+   */
+  async react(req, res) {
+    if (!this.checkModel(res) || !this.checkRateLimit(req, res, this.modelLimiter)) return;
+
+    const { prompt, model, json = false, maxTokens = DEFAULT_JSON_TOKENS } = await readJson(req);
+    validatePrompt(prompt);
+    if (!json) {
+      await this.generate(res, model, prompt);
+      return;
+    }
+
+    validateMaxTokens(maxTokens);
+    await this.generate(res, model, {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.9,
+        maxOutputTokens: maxTokens,
+        responseMimeType: 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Get a configured Gemini model, restricted to the allowed list
+   */
+  getModel(name = DEFAULT_MODEL) {
+    if (!ALLOWED_MODELS.includes(name)) {
+      throw httpError(400, `Unsupported model: ${name}`);
+    }
+
+    if (!this.models.has(name)) {
+      this.models.set(name, this.genAI.getGenerativeModel({
+        model: name,
+        generationConfig: {
+          temperature: 0.9,
+          maxOutputTokens: 80, // Keep responses very short to save TTS credits
+        }
+      }));
+    }
+    return this.models.get(name);
+  }
+
+  /**
+   * Call Gemini and translate quota, safety and key errors for the client
+   */
+  async generate(res, modelName, content) {
+    const model = this.getModel(modelName || DEFAULT_MODEL);
+
+    try {
+      const result = await model.generateContent(content);
+      const text = result.response.text();
+      const usage = getUsage(result.response);
+      sendJson(res, 200, usage ? { text, usage } : { text });
+    } catch (error) {
+      sendGeminiError(res, error);
+    }
+  }
+
+  /**
+   * Call Gemini and pass its text on as it is generated, one NDJSON line per chunk
+   * Errors before the first chunk get the same status codes as generate()
+   */
+  async generateStream(res, modelName, content) {
+    const model = this.getModel(modelName || DEFAULT_MODEL);
+
+    let result;
+    try {
+      result = await model.generateContentStream(content);
+    } catch (error) {
+      sendGeminiError(res, error);
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) {
+          res.write(JSON.stringify({ text }) + '\n');
+        }
+      }
+      // Token counts arrive with the finished response
+      const usage = getUsage(await result.response);
+      res.end(JSON.stringify(usage ? { done: true, usage } : { done: true }) + '\n');
+    } catch (error) {
+      // Too late for a status code - tell the client in the stream
+      console.error('Gemini stream error:', error.message);
+      res.end(JSON.stringify({ error: classifyGeminiError(error).error }) + '\n');
+    }
+  }
+
+  /**
+   * Text-to-speech via ElevenLabs: { text, voiceId, modelId, voiceSettings } → audio/mpeg
+   * The stream variant uses ElevenLabs' streaming endpoint and forwards audio as it arrives
+   */
+  async tts(req, res, { stream = false } = {}) {
+    if (!this.elevenLabsApiKey) {
+      sendJson(res, 503, { error: 'TTS_NOT_CONFIGURED' });
+      return;
+    }
+    if (!this.checkRateLimit(req, res, this.ttsLimiter)) return;
+
+    const { text, voiceId, modelId, voiceSettings } = await readJson(req);
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TTS_LENGTH) {
+      throw httpError(400, `text must be 1-${MAX_TTS_LENGTH} characters`);
+    }
+    if (typeof voiceId !== 'string' || !/^[A-Za-z0-9]+$/.test(voiceId)) {
+      throw httpError(400, 'Invalid voiceId');
+    }
+
+    const endpoint = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}${stream ? '/stream' : ''}`;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Accept': 'audio/mpeg',
+        'Content-Type': 'application/json',
+        'xi-api-key': this.elevenLabsApiKey
+      },
+      body: JSON.stringify({
+        text,
+        model_id: modelId || 'eleven_turbo_v2_5',
+        voice_settings: voiceSettings
+      })
+    });
+
+    // Pass ElevenLabs errors through so the client can tell quota from outages
+    if (!response.ok) {
+      const body = await response.text();
+      res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+      res.end(body);
+      return;
+    }
+
+    if (stream) {
+      res.writeHead(200, {
+        'Content-Type': 'audio/mpeg',
+        'Cache-Control': 'no-store'
+      });
+      for await (const chunk of response.body) {
+        res.write(chunk);
+      }
+      res.end();
+      return;
+    }
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    res.writeHead(200, {
+      'Content-Type': 'audio/mpeg',
+      'Content-Length': audio.length,
+      'Cache-Control': 'no-store'
+    });
+    res.end(audio);
+  }
+
+  /**
+   * Respond 503 if Gemini isn't configured
+   */
+  checkModel(res) {
+    if (!this.genAI) {
+      sendJson(res, 503, { error: 'GEMINI_NOT_CONFIGURED' });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Respond 429 if the client is over its budget
+   */
+  checkRateLimit(req, res, limiter) {
+    const clientId = getClientId(req, this.trustProxy);
+    if (limiter.canMakeRequest(clientId)) {
+      return true;
+    }
+
+    const retryAfter = Math.ceil(limiter.getTimeUntilNextRequest(clientId) / 1000);
+    res.setHeader('Retry-After', String(retryAfter));
+    sendJson(res, 429, { error: 'RATE_LIMITED', retryAfter });
+    return false;
+  }
+
+  /**
+   * Stop background timers
+   */
+  close() {
+    this.modelLimiter.close();
+    this.ttsLimiter.close();
+  }
+}
+
+/**
+ * Status and error code the client gets for a failed Gemini call
+ * Safety blocks surface as SDK errors when the blocked reply's text is read.
+ * @returns {{status: number, error: string, retryAfter?: number}}
+ */
+function classifyGeminiError(error) {
+  const message = error.message || '';
+
+  if (message.includes('quota') || message.includes('429')) {
+    const retryMatch = message.match(/retry in (\d+)/i);
+    return { status: 429, error: 'QUOTA_EXCEEDED', retryAfter: retryMatch ? Math.ceil(parseFloat(retryMatch[1])) : 60 };
+  }
+  if (error.response?.promptFeedback?.blockReason || /blocked due to|SAFETY/.test(message)) {
+    return { status: 422, error: 'SAFETY_BLOCKED' };
+  }
+  if (error.status === 401 || error.status === 403 || /API key not valid|API_KEY_INVALID|PERMISSION_DENIED/i.test(message)) {
+    return { status: 401, error: 'INVALID_API_KEY' };
+  }
+  return { status: 502, error: 'Gemini request failed' };
+}
+
+/**
+ * Answer a failed Gemini call with a status the client can act on
+ */
+function sendGeminiError(res, error) {
+  console.error('Gemini API error:', error.message);
+
+  const { status, ...body } = classifyGeminiError(error);
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  sendJson(res, status, body);
+}
+
+/**
+ * Token counts of a Gemini response, for the client's daily budget
+ * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}|null}
+ */
+function getUsage(response) {
+  const meta = response?.usageMetadata;
+  if (!meta) {
+    return null;
+  }
+  return {
+    promptTokens: meta.promptTokenCount || 0,
+    outputTokens: meta.candidatesTokenCount || 0,
+    totalTokens: meta.totalTokenCount || 0
+  };
+}
+
+/**
+ * Identify the client for rate limiting
+ * Any client can send X-Forwarded-For, so it is only read behind a trusted proxy,
+ * and then only the entry the proxy appended (the last one).
+ */
+function getClientId(req, trustProxy = false) {
+  const forwarded = trustProxy ? req.headers['x-forwarded-for'] : null;
+  if (forwarded) {
+    const address = forwarded.split(',').pop().trim();
+    if (address) {
+      return address;
+    }
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Read and parse a JSON request body, which must be an object
+ */
+async function readJson(req, maxBytes = 2 * 1024 * 1024) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw httpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  // Routes destructure the body - null, arrays and bare values would throw a TypeError
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw httpError(400, 'JSON body must be an object');
+  }
+  return body;
+}
+
+/**
+ * Reject missing or oversized prompts
+ */
+function validatePrompt(prompt) {
+  if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH) {
+    throw httpError(400, `prompt must be 1-${MAX_PROMPT_LENGTH} characters`);
+  }
+}
+
+/**
+ * Reject output budgets that aren't a whole number of tokens up to MAX_OUTPUT_TOKENS
+ */
+function validateMaxTokens(maxTokens) {
+  if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_OUTPUT_TOKENS) {
+    throw httpError(400, `maxTokens must be 1-${MAX_OUTPUT_TOKENS}`);
+  }
+}
+
+/**
+ * Create an error carrying an HTTP status
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Send a JSON response
+ */
+export function sendJson(res, statusCode, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
@@ -0,0 +1,117 @@
+/**
+ * Talking Objects Server - Serves the built app and proxies API calls
+ * Holds the Gemini and ElevenLabs keys so they never reach the browser
+ */
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, isAbsolute, join, normalize, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ApiRoutes, sendJson } from './api.js';
+
+// Load .env when present (Node 20.12+); otherwise rely on the real environment
+try {
+  process.loadEnvFile();
+} catch (error) {
+  // No .env file
+}
+
+const PORT = parseInt(process.env.PORT || '3001');
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Read a key, accepting the old client-side VITE_ names during migration
+ */
+function getKey(name) {
+  const value = process.env[name] || process.env[`VITE_${name}`];
+  if (!value || value === 'your_api_key_here') {
+    return null;
+  }
+  if (!process.env[name]) {
+    console.warn(`Using VITE_${name} - rename it to ${name} in your .env`);
+  }
+  return value.trim();
+}
+
+/**
+ * Serve a file from the Vite build, falling back to index.html
+ */
+async function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    sendJson(res, 400, { error: 'Bad request' });
+    return;
+  }
+  let filePath = normalize(join(DIST_DIR, pathname));
+
+  // Block path traversal outside dist/ (a plain prefix check would let dist-old/ through)
+  const inside = relative(DIST_DIR, filePath);
+  if (inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  try {
+    const info = await stat(filePath);
+    if (info.isDirectory()) {
+      filePath = join(filePath, 'index.html');
+    }
+  } catch (error) {
+    filePath = join(DIST_DIR, 'index.html');
+  }
+
+  try {
+    const content = await readFile(filePath);
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream'
+    });
+    res.end(content);
+  } catch (error) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found - run "npm run build" first');
+  }
+}
+
+const api = new ApiRoutes({
+  geminiApiKey: getKey('GEMINI_API_KEY'),
+  elevenLabsApiKey: getKey('ELEVENLABS_API_KEY'),
+  trustProxy: process.env.TRUST_PROXY === 'true'
+});
+
+const server = createServer(async (req, res) => {
+  if (req.url.startsWith('/api/')) {
+    const handled = await api.handle(req, res);
+    if (!handled) {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  await serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`Talking Objects server running at http://localhost:${PORT}`);
+  console.log(`Gemini: ${api.genAI ? 'configured' : 'MISSING GEMINI_API_KEY'}`);
+  console.log(`ElevenLabs: ${api.elevenLabsApiKey ? 'configured' : 'not configured (Web Speech fallback)'}`);
+});
@@ -0,0 +1,65 @@
+/**
+ * Per-client Rate Limiter - Server-side mirror of the browser RateLimiter
+ * Keeps one sliding-window RateLimiter per client so a single visitor
+ * can't burn through the shared API keys.
+ */
+
+import { RateLimiter } from '../src/utils/cache.js';
+
+export class ClientRateLimiter {
+  constructor(maxRequests = 10, timeWindow = 60000) { // 10 requests per minute per client
+    this.maxRequests = maxRequests;
+    this.timeWindow = timeWindow;
+    this.clients = new Map();
+
+    // Forget idle clients so the map doesn't grow forever
+    this.cleanupInterval = setInterval(() => this.cleanup(), timeWindow);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Get (or create) the limiter for a client
+   */
+  getLimiter(clientId) {
+    let limiter = this.clients.get(clientId);
+    if (!limiter) {
+      limiter = new RateLimiter(this.maxRequests, this.timeWindow);
+      this.clients.set(clientId, limiter);
+    }
+    return limiter;
+  }
+
+  /**
+   * Check if a client may make a request (records it if allowed)
+   */
+  canMakeRequest(clientId) {
+    return this.getLimiter(clientId).canMakeRequest();
+  }
+
+  /**
+   * Get time until the client may make another request (ms)
+   */
+  getTimeUntilNextRequest(clientId) {
+    return this.getLimiter(clientId).getTimeUntilNextRequest();
+  }
+
+  /**
+   * Drop clients with no requests inside the time window
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [clientId, limiter] of this.clients) {
+      const recent = limiter.requests.filter(timestamp => now - timestamp < this.timeWindow);
+      if (recent.length === 0) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  close() {
+    clearInterval(this.cleanupInterval);
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Frame Processing Benchmark - Compares FramePipeline on the main thread and
+ * in the frame worker (open /benchmark.html with npm run dev)
+ */
+
+import { FramePipeline } from './utils/framePipeline.js';
+import { MotionDetector } from './utils/motionDetector.js';
+
+// A frame slower than this (about two frames at 60 Hz) counts as janky
+const JANK_MS = 34;
+
+const elements = {
+  video: document.getElementById('video'),
+  sourceSelect: document.getElementById('source-select'),
+  framesSelect: document.getElementById('frames-select'),
+  runBtn: document.getElementById('run-btn'),
+  status: document.getElementById('status'),
+  results: document.getElementById('results')
+};
+
+// Same settings the app sends with each motion check
+const jobs = {
+  motion: new MotionDetector(elements.video, document.createElement('canvas')).getOptions(),
+  edges: true,
+  hash: true
+};
+
+let stream = null;
+
+/**
+ * A moving shape on a gradient, so motion and edges have something to find
+ */
+function createSyntheticStream() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1280;
+  canvas.height = 720;
+  const ctx = canvas.getContext('2d');
+
+  let frame = 0;
+  const draw = () => {
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    gradient.addColorStop(0, '#334155');
+    gradient.addColorStop(1, '#94a3b8');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f59e0b';
+    ctx.fillRect(480 + Math.sin(frame / 20) * 160, 240, 320, 280);
+    frame++;
+    requestAnimationFrame(draw);
+  };
+  draw();
+
+  return canvas.captureStream(30);
+}
+
+/**
+ * Point the video at the chosen source
+ */
+async function useSource(source) {
+  stream?.getTracks().forEach(track => track.stop());
+  stream = source === 'camera'
+    ? await navigator.mediaDevices.getUserMedia({ video: { width: { ideal: 1280 }, height: { ideal: 720 } } })
+    : createSyntheticStream();
+
+  elements.video.srcObject = stream;
+  await new Promise(resolve => {
+    elements.video.onloadeddata = resolve;
+  });
+}
+
+/**
+ * Value at a percentile of a list of numbers
+ */
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Process frames for a number of animation frames, one job in flight at a time
+ * like the app's AR loop
+ */
+function measure(pipeline, frameCount) {
+  return new Promise(resolve => {
+    const latencies = [];
+    const blocking = [];
+    const gaps = [];
+    let busy = false;
+    let frames = 0;
+    let lastFrame = performance.now();
+
+    const tick = (now) => {
+      gaps.push(now - lastFrame);
+      lastFrame = now;
+
+      if (!busy) {
+        busy = true;
+        const start = performance.now();
+        const running = pipeline.run(jobs);
+        blocking.push(performance.now() - start);
+
+        running
+          .then(() => latencies.push(performance.now() - start))
+          .catch(error => console.warn('Benchmark frame failed:', error))
+          .finally(() => {
+            busy = false;
+          });
+      }
+
+      if (++frames < frameCount) {
+        requestAnimationFrame(tick);
+      } else {
+        resolve({ latencies, blocking, gaps: gaps.slice(1) });
+      }
+    };
+
+    requestAnimationFrame(tick);
+  });
+}
+
+/**
+ * Add one row of results to the table
+ */
+function report(mode, { latencies, blocking, gaps }) {
+  const average = values => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+  const ms = value => `${value.toFixed(1)} ms`;
+
+  const row = document.createElement('tr');
+  [
+    mode,
+    latencies.length,
+    ms(average(latencies)),
+    ms(percentile(latencies, 0.95)),
+    ms(average(blocking)),
+    ms(Math.max(0, ...gaps)),
+    gaps.filter(gap => gap > JANK_MS).length
+  ].forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  elements.results.appendChild(row);
+}
+
+/**
+ * Run the main-thread and worker passes one after the other
+ */
+async function run() {
+  elements.runBtn.disabled = true;
+  elements.results.innerHTML = '';
+
+  try {
+    await useSource(elements.sourceSelect.value);
+    const frameCount = parseInt(elements.framesSelect.value);
+
+    const modes = [['Main thread', { useWorker: false }]];
+    if (FramePipeline.isWorkerSupported()) {
+      modes.push(['Worker', { useWorker: true }]);
+    }
+
+    for (const [mode, options] of modes) {
+      elements.status.textContent = `Running: ${mode}...`;
+      const pipeline = new FramePipeline(elements.video, options);
+      report(mode, await measure(pipeline, frameCount));
+      pipeline.destroy();
+    }
+
+    elements.status.textContent = `Done - ${elements.video.videoWidth}x${elements.video.videoHeight} video`;
+  } catch (error) {
+    elements.status.textContent = `Benchmark failed: ${error.message}`;
+  } finally {
+    elements.runBtn.disabled = false;
+  }
+}
+
+elements.status.textContent = FramePipeline.isWorkerSupported()
+  ? 'Worker support: yes (OffscreenCanvas available)'
+  : 'Worker support: no - only the main thread can be measured';
+elements.runBtn.addEventListener('click', run);
@@ -4,15 +4,86 @@
  */
 
 import './style.css';
-import { CameraManager } from './utils/camera.js';
+import { CameraManager, CAMERA_PRESETS } from './utils/camera.js';
+import { FileSource } from './utils/fileSource.js';
 import { MotionDetector } from './utils/motionDetector.js';
-import { GeminiVision } from './utils/geminiAPI.js';
+import { createVisionProvider, VISION_PROVIDERS } from './utils/visionProviders.js';
+import { VOID_RESPONSES, SAFETY_RESPONSES } from './utils/visionProvider.js';
 import { TextToSpeech } from './utils/textToSpeech.js';
+import { audioMixer } from './utils/audioMixer.js';
+import { LipSync } from './utils/lipSync.js';
+import { GazeTracker } from './utils/gazeTracker.js';
+import { EyeAnimator } from './utils/eyeAnimator.js';
+import { TTS_PROVIDERS, DEFAULT_TTS_CHAIN } from './utils/ttsProviders.js';
+import { formatBytes } from './utils/audioCache.js';
 import { ResponseCache, FrameSimilarityDetector, RateLimiter } from './utils/cache.js';
 import { BackgroundSoundManager } from './utils/backgroundSound.js';
 import { ObjectDetector } from './utils/objectDetector.js';
-
-class TalkingObjectsApp {
+import { FramePipeline } from './utils/framePipeline.js';
+import { ObjectTracker } from './utils/objectTracker.js';
+import { EnsembleStage } from './utils/ensembleStage.js';
+import { ObjectMemory, getObjectId } from './utils/objectMemory.js';
+import { SessionTranscript, formatClock } from './utils/sessionTranscript.js';
+import { TranscriptPanel } from './utils/transcriptPanel.js';
+import { CastingPanel } from './utils/castingPanel.js';
+import { VoiceCasting, VOICE_LIBRARY } from './utils/voiceCasting.js';
+import { SessionStateMachine } from './utils/sessionState.js';
+import { SceneCompositor } from './utils/sceneCompositor.js';
+import { ClipRecorder } from './utils/clipRecorder.js';
+import { VoiceInput } from './utils/speechRecognition.js';
+import { getServerStatus } from './utils/apiClient.js';
+import { BudgetManager } from './utils/budgetManager.js';
+import { ERROR_TYPES } from './utils/errors.js';
+
+// Perceptual hash for skipping similar frames and cache lookups ('phash' or 'dhash')
+const FRAME_HASH = 'phash';
+
+// Pause after each line before watching again, stretched as a budget runs low
+const COOLDOWN = 5000;
+
+// Budget meters in settings: [provider, metric, label]
+const BUDGET_METERS = [
+  ['gemini', 'requests', 'Gemini requests'],
+  ['gemini', 'tokens', 'Gemini tokens'],
+  ['elevenlabs', 'characters', 'ElevenLabs characters']
+];
+
+// What to tell the user when a model call fails for good (after its retries),
+// and how long to wait before the next try: [message, cooldown ms]
+const MODEL_ERRORS = {
+  [ERROR_TYPES.NETWORK]: ["Can't reach the model. Check your connection...", 10000],
+  [ERROR_TYPES.TIMEOUT]: ['The model is taking too long. Trying again soon...', 10000],
+  [ERROR_TYPES.AUTH]: ['The API key was rejected - check it in the server .env or settings', 30000]
+};
+
+// Expression overlay to show for each mood in the structured response
+const MOOD_EXPRESSIONS = {
+  happy: 'happy',
+  calm: 'happy',
+  excited: 'surprised',
+  surprised: 'surprised',
+  fearful: 'fearful',
+  sad: 'fearful',
+  angry: 'angry'
+};
+
+// What the object says to a reaction button when the model can't be reached
+const FALLBACK_REACTIONS = {
+  compliment: "Oh stop it, you're making me blush!",
+  laugh: "Haha! That tickles!",
+  surprise: "WHOA! You startled me!",
+  grumpy: "Ugh, seriously?"
+};
+
+// Mood of each reaction button
+const REACTION_MOODS = {
+  compliment: 'happy',
+  laugh: 'excited',
+  surprise: 'surprised',
+  grumpy: 'angry'
+};
+
+export class TalkingObjectsApp {
   constructor() {
     // DOM Elements
     this.elements = {
@@ -22,6 +93,8 @@ class TalkingObjectsApp {
       objectName: document.getElementById('object-name'),
       statusIndicator: document.getElementById('status-indicator'),
       statusText: document.getElementById('status-text'),
+      budgetMeter: document.getElementById('budget-meter'),
+      budgetMeterFill: document.getElementById('budget-meter-fill'),
       speechBubble: document.getElementById('speech-bubble'),
       speechText: document.getElementById('speech-text'),
       startBtn: document.getElementById('start-btn'),
@@ -30,37 +103,154 @@ class TalkingObjectsApp {
       settings: document.getElementById('settings'),
       personalitySelect: document.getElementById('personality-select'),
       intervalSelect: document.getElementById('interval-select'),
+      sensitivitySlider: document.getElementById('sensitivity-slider'),
+      sensitivityValue: document.getElementById('sensitivity-value'),
+      heatmapSelect: document.getElementById('heatmap-select'),
+      sourceSelect: document.getElementById('source-select'),
+      sourceFileSetting: document.getElementById('source-file-setting'),
+      sourceFileInput: document.getElementById('source-file-input'),
+      sourceUrlSetting: document.getElementById('source-url-setting'),
+      sourceUrlInput: document.getElementById('source-url-input'),
+      cameraSelect: document.getElementById('camera-select'),
+      cameraPresetSelect: document.getElementById('camera-preset-select'),
+      flipCameraBtn: document.getElementById('flip-camera-btn'),
       messageToast: document.getElementById('message-toast'),
       themeToggle: document.getElementById('theme-toggle'),
       volumeControl: document.getElementById('volume-control'),
       volumeSlider: document.getElementById('volume-slider'),
       reactionButtons: document.getElementById('reaction-buttons'),
+      talkBtn: document.getElementById('talk-btn'),
+      voiceModeSelect: document.getElementById('voice-mode-select'),
+      providerSelect: document.getElementById('provider-select'),
+      modelInput: document.getElementById('model-input'),
+      modelOptions: document.getElementById('model-options'),
+      baseUrlSetting: document.getElementById('base-url-setting'),
+      baseUrlInput: document.getElementById('base-url-input'),
+      ttsPrimarySelect: document.getElementById('tts-primary-select'),
+      ttsFallbackSelect: document.getElementById('tts-fallback-select'),
+      ttsOpenaiSetting: document.getElementById('tts-openai-setting'),
+      ttsOpenaiUrlInput: document.getElementById('tts-openai-url-input'),
+      ttsLocalSetting: document.getElementById('tts-local-setting'),
+      ttsLocalUrlInput: document.getElementById('tts-local-url-input'),
+      ttsSsmlSetting: document.getElementById('tts-ssml-setting'),
+      ttsSsmlSelect: document.getElementById('tts-ssml-select'),
+      userBubble: document.getElementById('user-bubble'),
+      userText: document.getElementById('user-text'),
+      sceneModeSelect: document.getElementById('scene-mode-select'),
+      maxObjectsSetting: document.getElementById('max-objects-setting'),
+      maxObjectsSelect: document.getElementById('max-objects-select'),
+      ensembleStage: document.getElementById('ensemble-stage'),
+      actorTemplate: document.getElementById('actor-template'),
+      memoryList: document.getElementById('memory-list'),
+      memoryEmpty: document.getElementById('memory-empty'),
+      memoryClearBtn: document.getElementById('memory-clear-btn'),
+      castCategorySelect: document.getElementById('cast-category-select'),
+      castVoiceInput: document.getElementById('cast-voice-input'),
+      castVoiceOptions: document.getElementById('cast-voice-options'),
+      castWebVoiceSelect: document.getElementById('cast-web-voice-select'),
+      castRanges: document.querySelectorAll('.cast-range'),
+      castPreviewBtn: document.getElementById('cast-preview-btn'),
+      castResetBtn: document.getElementById('cast-reset-btn'),
+      audioCacheStats: document.getElementById('audio-cache-stats'),
+      audioCachePrewarmBtn: document.getElementById('audio-cache-prewarm-btn'),
+      audioCacheClearBtn: document.getElementById('audio-cache-clear-btn'),
+      responseCacheStats: document.getElementById('response-cache-stats'),
+      responseCacheClearBtn: document.getElementById('response-cache-clear-btn'),
+      budgetMeters: document.getElementById('budget-meters'),
+      budgetResetBtn: document.getElementById('budget-reset-btn'),
+      transcriptToggle: document.getElementById('transcript-toggle'),
+      transcriptPanel: document.getElementById('transcript-panel'),
+      transcriptClose: document.getElementById('transcript-close'),
+      transcriptList: document.getElementById('transcript-list'),
+      transcriptEmpty: document.getElementById('transcript-empty'),
+      exportJsonBtn: document.getElementById('export-json-btn'),
+      exportMarkdownBtn: document.getElementById('export-md-btn'),
+      exportSrtBtn: document.getElementById('export-srt-btn'),
+      importTranscriptBtn: document.getElementById('import-transcript-btn'),
+      transcriptImport: document.getElementById('transcript-import'),
+      clearTranscriptBtn: document.getElementById('clear-transcript-btn'),
       expressionOverlay: document.getElementById('expression-overlay'),
+      eyes: document.querySelector('#expression-overlay .expression-eyes'),
+      mouth: document.querySelector('#expression-overlay .expression-mouth'),
+      cameraContainer: document.getElementById('camera-container'),
+      recordButtons: document.getElementById('record-buttons'),
+      recordBtn: document.getElementById('record-btn'),
+      saveReplayBtn: document.getElementById('save-replay-btn'),
+      recordingIndicator: document.getElementById('recording-indicator'),
+      recordingTime: document.getElementById('recording-time'),
+      replaySelect: document.getElementById('replay-select'),
       expressionParticles: document.querySelector('.expression-particles')
     };
 
     // Core modules
     this.camera = new CameraManager(this.elements.video);
+    this.fileSource = new FileSource(this.elements.video);
+    this.source = this.camera; // What feeds the video element: the camera or fileSource
     this.motionDetector = new MotionDetector(this.elements.video, this.elements.motionCanvas);
+    this.frames = new FramePipeline(this.elements.video); // Motion, edges and hashing off the main thread
     this.objectDetector = new ObjectDetector(this.elements.video);
+    this.tracker = new ObjectTracker(this.elements.video);
+    this.stage = new EnsembleStage(this.elements.ensembleStage, this.elements.actorTemplate, this.elements.video);
     this.tts = new TextToSpeech();
+    this.lipSync = new LipSync(this.elements.mouth);
+    this.gaze = new GazeTracker(this.elements.video, this.frames);
+    this.eyeAnimator = new EyeAnimator(this.elements.eyes);
     this.backgroundSound = new BackgroundSoundManager();
-    this.gemini = null; // Initialize after API key check
+    this.voiceInput = new VoiceInput();
+    this.memory = new ObjectMemory();
+    this.memoryRecords = []; // Latest ObjectMemory.list() for sync lookups
+    this.transcript = new SessionTranscript();
+    this.transcriptPanel = new TranscriptPanel({
+      panel: this.elements.transcriptPanel,
+      toggle: this.elements.transcriptToggle,
+      closeBtn: this.elements.transcriptClose,
+      list: this.elements.transcriptList,
+      empty: this.elements.transcriptEmpty,
+      exportJsonBtn: this.elements.exportJsonBtn,
+      exportMarkdownBtn: this.elements.exportMarkdownBtn,
+      exportSrtBtn: this.elements.exportSrtBtn,
+      importBtn: this.elements.importTranscriptBtn,
+      importInput: this.elements.transcriptImport,
+      clearBtn: this.elements.clearTranscriptBtn
+    });
+    this.transcriptPanel.setTranscript(this.transcript);
+    this.transcriptPanel.onImport = (transcript) => {
+      this.transcript = transcript;
+    };
+    this.transcriptPanel.onMessage = (text, type) => this.showMessage(text, type, 3000);
+    this.clipRecorder = new ClipRecorder(new SceneCompositor(
+      this.elements.cameraContainer, this.elements.video, document.getElementById('app')
+    ));
+    this.transcriptPanel.getSrtOrigin = () => this.clipRecorder.lastClipStart;
+    this.vision = null; // Vision provider - created from settings after server check
+    this.serverStatus = null;
+    this.requests = new Set(); // AbortControllers of model calls in flight
 
     // Optimization modules
-    this.cache = new ResponseCache(20, 300000); // 20 items, 5 min TTL
-    this.similarityDetector = new FrameSimilarityDetector(0.92); // 92% similarity threshold
+    this.cache = new ResponseCache({
+      memoryEntries: 20, // Hot tier for this session
+      maxEntries: 200, // Kept in IndexedDB across reloads
+      ttl: 30 * 60 * 1000, // Reuse a result for 30 minutes
+      maxDistance: 6 // Frames up to 6 hash bits apart share a result
+    });
+    this.similarityDetector = new FrameSimilarityDetector(0.92); // 92% of hash bits match = skip
     this.rateLimiter = new RateLimiter(10, 60000); // 10 requests per minute
+    this.budget = new BudgetManager(); // Daily caps and Retry-After pauses per provider
+    this.tts.budget = this.budget;
 
     // State
-    this.isRunning = false;
-    this.analysisInterval = null;
-    this.lastAnalysisTime = 0;
-    this.minAnalysisInterval = 5000; // 5 seconds default
+    this.session = new SessionStateMachine({ cooldown: COOLDOWN });
+    this.baseCooldown = COOLDOWN; // Response interval chosen in settings, before any budget slowdown
+    this.session.on('change', (change) => this.handleStateChange(change));
+    this.session.on('tick', () => this.setStatus());
+    this.analysisInterval = null; // Motion check while watching
+    this.gazeInterval = null; // Gaze sampling for the eyes
+    this.motionPending = false; // A motion check is with the frame pipeline
+    this.viewChanged = false; // A new camera, photo or video to look at without waiting for motion
+    this.boundsPending = false; // An edge pass is with the frame pipeline
     this.currentExpression = null;
     this.expressionTimeout = null;
-    this.quotaPaused = false;
-    this.quotaResumeTime = null;
+    this.recordingTimer = null;
 
     // Initialize
     this.init();
@@ -75,22 +265,38 @@ class TalkingObjectsApp {
       return;
     }
 
-    // Initialize Gemini API
+    // Check the backend proxy - it holds the API keys
     try {
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-      if (!apiKey || apiKey === 'your_api_key_here') {
-        this.showMessage('Please add your Gemini API key to the .env file', 'error', 10000);
-        return;
-      }
-      this.gemini = new GeminiVision(apiKey);
+      this.serverStatus = await getServerStatus();
+      this.tts.setAvailable('elevenlabs', this.serverStatus.elevenLabs);
     } catch (error) {
-      this.showMessage(error.message, 'error');
-      return;
+      console.error('Server status error:', error);
+      this.serverStatus = null;
     }
 
     // Setup event listeners
     this.setupEventListeners();
 
+    // Load remembered objects (persists across sessions)
+    this.refreshMemories();
+
+    // Motion sensitivity and heatmap chosen in settings
+    this.loadMotionSettings();
+
+    // Camera and quality chosen in settings
+    this.loadCameraSettings();
+    this.loadSourceSettings();
+
+    // Speech engines chosen in settings
+    this.loadTtsSettings();
+    this.setTtsProviders();
+
+    // Create the vision provider chosen in settings
+    this.loadVisionSettings();
+    if (!this.setVisionProvider()) {
+      return;
+    }
+
     // Load theme preference
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'light') {
@@ -141,7 +347,39 @@ class TalkingObjectsApp {
 
     // Interval change
     this.elements.intervalSelect.addEventListener('change', (e) => {
-      this.minAnalysisInterval = parseInt(e.target.value);
+      this.baseCooldown = parseInt(e.target.value);
+      this.applyBudget();
+    });
+
+    // Motion sensitivity and debug heatmap
+    this.elements.sensitivitySlider.addEventListener('input', () => this.setMotionSettings());
+    this.elements.heatmapSelect.addEventListener('change', () => this.setMotionSettings());
+
+    // Camera choice, quality and the flip button
+    this.elements.cameraSelect.addEventListener('change', () => {
+      this.setCamera({ deviceId: this.elements.cameraSelect.value || null });
+    });
+    this.elements.cameraPresetSelect.addEventListener('change', () => {
+      this.setCamera({ preset: this.elements.cameraPresetSelect.value });
+    });
+    this.elements.flipCameraBtn.addEventListener('click', () => this.flipCamera());
+    this.camera.onChange = (camera, reason) => this.handleCameraChange(reason);
+
+    // Photo, video file or URL instead of the camera (files can also be dropped on the picture)
+    this.elements.sourceSelect.addEventListener('change', () => this.setSourceType(this.elements.sourceSelect.value));
+    this.elements.sourceFileInput.addEventListener('change', () => {
+      const file = this.elements.sourceFileInput.files[0];
+      if (file) this.setSourceFile(file);
+    });
+    this.elements.sourceUrlInput.addEventListener('change', () => {
+      const url = this.elements.sourceUrlInput.value.trim();
+      if (url) this.setSourceUrl(url);
+    });
+    this.elements.cameraContainer.addEventListener('dragover', (e) => e.preventDefault());
+    this.elements.cameraContainer.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer?.files[0];
+      if (file) this.setSourceFile(file);
     });
 
     // Theme toggle
@@ -154,7 +392,7 @@ class TalkingObjectsApp {
     });
 
     // Reaction buttons
-    const reactionBtns = this.elements.reactionButtons.querySelectorAll('.reaction-btn');
+    const reactionBtns = this.elements.reactionButtons.querySelectorAll('.reaction-btn[data-reaction]');
     reactionBtns.forEach(btn => {
       btn.addEventListener('click', () => {
         const reaction = btn.getAttribute('data-reaction');
@@ -162,123 +400,1328 @@ class TalkingObjectsApp {
       });
     });
 
+    // Vision provider settings
+    this.elements.providerSelect.addEventListener('change', () => {
+      const name = this.elements.providerSelect.value;
+      this.elements.modelInput.value = VISION_PROVIDERS[name].models[0];
+      this.updateProviderFields();
+      if (this.setVisionProvider()) {
+        this.showMessage(`Using ${VISION_PROVIDERS[name].label}`, 'success', 2000);
+      }
+    });
+    this.elements.modelInput.addEventListener('change', () => this.setVisionProvider());
+
+    // Single object or ensemble scenes
+    this.elements.sceneModeSelect.addEventListener('change', () => this.setSceneMode());
+    this.elements.maxObjectsSelect.addEventListener('change', () => this.similarityDetector.reset());
+    this.elements.baseUrlInput.addEventListener('change', () => this.setVisionProvider());
+
+    // Speech engine chain
+    [
+      this.elements.ttsPrimarySelect,
+      this.elements.ttsFallbackSelect,
+      this.elements.ttsOpenaiUrlInput,
+      this.elements.ttsLocalUrlInput,
+      this.elements.ttsSsmlSelect
+    ].forEach(input => input.addEventListener('change', () => this.setTtsProviders()));
+
+    // Voice input (talk back to the object)
+    this.setupVoiceInput();
+
+    // Clip recording and replay buffer
+    this.setupRecording();
+
+    // Forget all remembered objects
+    this.elements.memoryClearBtn.addEventListener('click', async () => {
+      if (!confirm('Forget every remembered object?')) return;
+      await this.memory.clear();
+      await this.refreshMemories();
+      this.showMessage('All objects forgotten', 'success', 2000);
+    });
+
+    // Lip sync: measure provider audio, estimate visemes for browser voices
+    this.tts.onAudioStart = (element, text) => {
+      const analyser = audioMixer.getAnalyser(element);
+      if (analyser) {
+        this.lipSync.followAudio(analyser);
+      } else {
+        this.lipSync.followText(text);
+      }
+    };
+    this.tts.onSpeechStart = (text, rate) => this.lipSync.followText(text, rate);
+    this.tts.onWordBoundary = (charIndex) => this.lipSync.syncToWord(charIndex);
+    this.tts.onSpeechEnd = () => this.lipSync.stop();
+
+    // Voice casting table
+    this.castingPanel = new CastingPanel({
+      categorySelect: this.elements.castCategorySelect,
+      voiceInput: this.elements.castVoiceInput,
+      voiceOptions: this.elements.castVoiceOptions,
+      webVoiceSelect: this.elements.castWebVoiceSelect,
+      ranges: this.elements.castRanges,
+      previewBtn: this.elements.castPreviewBtn,
+      resetBtn: this.elements.castResetBtn
+    }, this.tts.casting);
+    this.castingPanel.onPreview = (category) => this.previewVoice('', category);
+
+    // Audio cache stats and controls
+    this.tts.audioCache.onChange = () => this.renderAudioCacheStats();
+    this.renderAudioCacheStats();
+    this.elements.audioCachePrewarmBtn.addEventListener('click', () => this.prewarmAudio());
+    this.elements.audioCacheClearBtn.addEventListener('click', async () => {
+      await this.tts.audioCache.clear();
+      this.showMessage('Audio cache cleared', 'success', 2000);
+    });
+
+    // Response cache stats and controls
+    this.cache.onChange = () => this.renderResponseCacheStats();
+    this.renderResponseCacheStats();
+    this.elements.responseCacheClearBtn.addEventListener('click', async () => {
+      await this.cache.clear();
+      this.showMessage('Response cache cleared', 'success', 2000);
+    });
+
+    // Daily budget meters and caps
+    this.setupBudget();
+
     // Prevent scrolling on mobile
     document.body.addEventListener('touchmove', (e) => {
-      if (this.isRunning) {
+      if (this.session.isActive) {
         e.preventDefault();
       }
     }, { passive: false });
   }
 
   /**
-   * Toggle dark/light theme
+   * Setup clip recording and the replay buffer
    */
-  toggleTheme() {
-    document.body.classList.toggle('light-mode');
-    const isLight = document.body.classList.contains('light-mode');
-    this.elements.themeToggle.textContent = isLight ? '☀️' : '🌙';
-    localStorage.setItem('theme', isLight ? 'light' : 'dark');
+  setupRecording() {
+    if (!ClipRecorder.isSupported()) {
+      // The row stays for the flip camera button
+      this.elements.recordBtn.remove();
+      this.elements.saveReplayBtn.remove();
+      this.elements.replaySelect.closest('label').remove();
+      return;
+    }
+
+    this.elements.replaySelect.value = localStorage.getItem('replayBuffer') || '0';
+
+    this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+    this.elements.saveReplayBtn.addEventListener('click', () => this.saveReplay());
+    this.elements.replaySelect.addEventListener('change', () => {
+      localStorage.setItem('replayBuffer', this.elements.replaySelect.value);
+      this.updateReplayBuffer();
+    });
   }
 
   /**
-   * Trigger a reaction from the object
+   * Start or stop a manual recording
    */
-  async triggerReaction(reaction) {
-    if (!this.isRunning || this.tts.isSpeaking || !this.gemini?.currentObject) return;
+  async toggleRecording() {
+    if (!this.clipRecorder.isRecording) {
+      if (!this.session.isActive) return;
+
+      this.clipRecorder.start();
+      this.elements.recordBtn.classList.add('recording');
+      this.elements.recordBtn.title = 'Stop recording';
+      this.elements.recordingIndicator.classList.remove('hidden');
+      this.updateRecordingTime();
+      this.recordingTimer = setInterval(() => this.updateRecordingTime(), 1000);
+      return;
+    }
+
+    clearInterval(this.recordingTimer);
+    this.recordingTimer = null;
+    this.elements.recordBtn.classList.remove('recording');
+    this.elements.recordBtn.title = 'Record a clip';
+    this.elements.recordingIndicator.classList.add('hidden');
+
+    const clip = await this.clipRecorder.stop();
+    if (clip) {
+      await this.saveClip(clip);
+    }
+  }
+
+  /**
+   * Show how long the current recording has been running
+   */
+  updateRecordingTime() {
+    const elapsed = Date.now() - this.clipRecorder.startedAt;
+    this.elements.recordingTime.textContent = `REC ${formatClock(elapsed)}`;
+  }
+
+  /**
+   * Run the replay buffer while the camera is on, if enabled in settings
+   */
+  updateReplayBuffer() {
+    const seconds = parseInt(this.elements.replaySelect.value) || 0;
+    const enabled = this.session.isActive && seconds > 0 && ClipRecorder.isSupported();
+
+    if (enabled && !this.clipRecorder.isBuffering) {
+      this.clipRecorder.bufferSeconds = seconds;
+      this.clipRecorder.startBuffer();
+    } else if (!enabled && this.clipRecorder.isBuffering) {
+      this.clipRecorder.stopBuffer();
+    }
+
+    this.elements.saveReplayBtn.classList.toggle('hidden', !enabled);
+    this.elements.saveReplayBtn.title = `Save the last ${seconds} seconds`;
+  }
+
+  /**
+   * Save what the replay buffer holds
+   */
+  async saveReplay() {
+    const clip = await this.clipRecorder.saveBuffer();
+    if (clip) {
+      await this.saveClip(clip);
+    } else {
+      this.showMessage('Nothing recorded yet - try again in a second', 'info', 2000);
+    }
+  }
+
+  /**
+   * Share a clip where the platform supports it, otherwise download it
+   */
+  async saveClip(blob) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const file = new File([blob], `talking-objects-clip-${stamp}.webm`, { type: blob.type });
+
+    if (navigator.canShare?.({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title: 'Talking Objects' });
+        return;
+      } catch (error) {
+        if (error.name === 'AbortError') return; // User closed the share sheet
+        console.warn('Share failed, downloading instead:', error);
+      }
+    }
+
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.showMessage('Clip saved', 'success', 2000);
+  }
+
+  /**
+   * Setup push-to-talk and hands-free voice input
+   */
+  setupVoiceInput() {
+    if (!this.voiceInput.isAvailable()) {
+      this.elements.talkBtn.remove();
+      this.elements.voiceModeSelect.closest('label').remove();
+      return;
+    }
+
+    this.voiceInput.onUtterance = (text) => this.handleUserUtterance(text);
+    this.voiceInput.onInterim = (text) => this.displayUserSpeech(text);
+    this.voiceInput.onListeningChange = (isListening) => {
+      this.elements.talkBtn.classList.toggle('listening', isListening);
+      this.session.setMicOpen(isListening);
+    };
+    this.voiceInput.onError = (error) => {
+      if (error.message?.includes('not-allowed')) {
+        this.showMessage('Microphone permission denied', 'error', 3000);
+      }
+    };
+
+    // Push-to-talk: hold the mic button; hands-free: tap to toggle
+    const press = (e) => {
+      e.preventDefault();
+      if (!this.session.isActive) return;
+
+      if (this.voiceInput.handsFree) {
+        if (this.voiceInput.isActive) {
+          this.voiceInput.stop();
+        } else {
+          this.voiceInput.start();
+        }
+        return;
+      }
+
+      // Interrupt the object so it can hear us
+      this.tts.stop();
+      this.voiceInput.start();
+    };
+    const release = () => {
+      if (!this.voiceInput.handsFree) {
+        this.voiceInput.stop();
+      }
+    };
+
+    this.elements.talkBtn.addEventListener('pointerdown', press);
+    this.elements.talkBtn.addEventListener('pointerup', release);
+    this.elements.talkBtn.addEventListener('pointerleave', release);
+    this.elements.talkBtn.addEventListener('pointercancel', release);
+
+    this.elements.voiceModeSelect.addEventListener('change', (e) => {
+      const handsFree = e.target.value === 'hands-free';
+      this.voiceInput.setHandsFree(handsFree);
+      if (handsFree && this.session.isActive) {
+        this.voiceInput.start();
+      }
+    });
+  }
+
+  /**
+   * Answer something the user said to the object
+   */
+  async handleUserUtterance(text) {
+    if (!text || !this.session.can('think')) return;
+
+    // The user interrupts whatever the object was saying
+    if (this.session.is('speaking')) {
+      this.tts.stop();
+    }
+
+    this.session.send('think', { activity: 'answer' });
+    const turn = this.session.turn;
+    const request = this.beginRequest();
+    let stream = null;
+    this.displayUserSpeech(text);
+    this.logLine('user', text);
 
-    // Get AI-generated reaction based on current object and personality
     try {
-      this.setStatus('thinking', 'Generating reaction...');
+      // Check rate limit
+      if (!this.rateLimiter.canMakeRequest()) {
+        const waitTime = this.rateLimiter.getTimeUntilNextRequest();
+        this.showMessage(`Rate limit reached. Wait ${Math.ceil(waitTime / 1000)}s...`, 'error', 2000);
+        this.session.sendIfCurrent(turn, 'skip', { reason: 'rate-limited', duration: waitTime });
+        return;
+      }
 
-      const reactionPrompts = {
-        compliment: "The user just complimented you! Respond with delight and appreciation in first-person. ONE SHORT sentence.",
-        laugh: "The user is trying to make you laugh! Respond with laughter and joy in first-person. ONE SHORT sentence.",
-        surprise: "The user just surprised you! Respond with shock or amazement in first-person. ONE SHORT sentence.",
-        grumpy: "The user annoyed you! Respond grumpily or sarcastically in first-person. ONE SHORT sentence."
-      };
+      // Offline or over budget - no model to answer with
+      const unavailable = this.getVisionBlock();
+      if (unavailable) {
+        this.showMessage(this.getVisionBlockMessage(unavailable), 'info', 3000);
+        this.session.sendIfCurrent(turn, 'skip');
+        return;
+      }
 
-      const prompt = `You are a ${this.gemini.currentObject}. ${reactionPrompts[reaction]}
+      const frameData = this.source.captureFrame(800);
+      const personality = this.elements.personalitySelect.value;
+      stream = this.createSpeechStream(turn, 'answer');
+      const result = await this.vision.analyzeAndRespond(frameData, personality, {
+        userText: text,
+        onSpeech: partial => stream.update(partial),
+        signal: request.signal
+      });
+      const streamed = stream.started;
 
-Personality: ${this.elements.personalitySelect.value}
-Format: Just the response text, nothing else. Stay in character as the object.`;
+      // A safety fallback isn't something the object said - keep it out of memory
+      if (!result.blocked) {
+        this.rememberObject(result, { said: result.response, heard: text });
+      }
 
-      const result = await this.gemini.model.generateContent(prompt);
-      const text = result.response.text().trim();
+      // Stopped or interrupted while waiting for the answer
+      if (streamed && this.session.turn !== stream.speaker.turn) {
+        this.voiceInput.resume();
+        return;
+      }
+      if (!streamed && !this.session.sendIfCurrent(turn, 'speak', { activity: 'answer' })) return;
+      const speakTurn = this.session.turn;
+
+      // Update UI with object identity (ensemble actors keep their own labels)
+      if (!this.isEnsembleMode()) {
+        this.elements.objectName.textContent = this.getDisplayName(result.object, result.emoji);
+        this.elements.objectLabel.classList.remove('hidden');
+        this.updateTrackedObject(result.boundingBox);
+      }
 
-      this.displaySpeech(text);
-      this.setStatus('speaking', 'Reacting...');
+      if (!streamed) {
+        this.displaySpeech(result.response, result.mood);
+      }
+      const entry = this.logLine('answer', result.response, { object: result.object, mood: result.mood });
       try {
-        await this.tts.speak(text, this.gemini.currentObject);
-        this.setStatus('idle', 'Ready');
-      } catch (speechError) {
-        console.log('Reaction speech error:', speechError);
-        // Only show message if it's a critical error
-        if (speechError.message?.includes('not supported')) {
+        if (streamed) {
+          await this.finishSpeechStream(stream, result.response);
+        } else {
+          await this.speak(result.response, result.object, result.category, result.mood);
+        }
+      } catch (error) {
+        console.log('Answer speech error:', error);
+        if (error.message?.includes('not supported')) {
           this.showMessage('Text-to-speech not available', 'error', 3000);
         }
-        this.setStatus('idle', 'Ready');
+      }
+      this.transcript.finish(entry);
+
+      // Don't let scene commentary talk over the answer straight away
+      this.session.sendIfCurrent(speakTurn, 'finish');
+    } catch (error) {
+      console.error('Conversation error:', error);
+      this.abortSpeechStream(stream);
+      await this.handleModelError(error, turn, "Sorry, I couldn't answer that. Try again?");
+    } finally {
+      this.requests.delete(request);
+    }
+  }
+
+  /**
+   * Show what the user said
+   */
+  displayUserSpeech(text) {
+    this.elements.userText.textContent = text;
+    this.elements.userBubble.classList.remove('hidden');
+
+    clearTimeout(this.userBubbleTimeout);
+    this.userBubbleTimeout = setTimeout(() => {
+      this.elements.userBubble.classList.add('hidden');
+    }, 5000);
+  }
+
+  /**
+   * Record a line in the session transcript with the current settings
+   * @param {string} type - analysis, reaction, answer, dialogue or user
+   * @returns {Object} Transcript entry
+   */
+  logLine(type, text, details = {}) {
+    if (type === 'user') {
+      return this.transcript.add({ type, text });
+    }
+
+    return this.transcript.add({
+      type,
+      text,
+      personality: this.elements.personalitySelect.value,
+      provider: this.elements.providerSelect.value,
+      model: this.vision?.model,
+      ...details
+    });
+  }
+
+  /**
+   * Speak as the object, muting hands-free listening so it doesn't hear itself
+   */
+  async speak(text, objectType, category = null, mood = null) {
+    // In ensemble mode the lead actor keeps its cast voice; remembered objects keep theirs
+    const voice = this.isEnsembleMode()
+      ? this.stage.actors[0]?.voice
+      : this.vision?.getMemory(objectType)?.voice || null;
+
+    this.voiceInput.pause();
+    try {
+      await this.tts.speak(text, objectType, category, voice, mood);
+    } finally {
+      this.voiceInput.resume();
+    }
+  }
+
+  /**
+   * Follow a reply while it streams in and start speaking at its first sentence
+   * The session only moves to speaking if it is still on the turn that made the request;
+   * otherwise the stream stays silent and the result goes through the normal checks.
+   * @param {number} turn - Session turn of the request
+   * @param {string|null} activity - Speaking activity for the status text
+   * @returns {SpeechStream}
+   */
+  createSpeechStream(turn, activity = null) {
+    // Ensemble actors speak through the dialogue queue instead
+    if (this.isEnsembleMode()) {
+      return this.tts.createStream({ onStart: () => null });
+    }
+
+    return this.tts.createStream({
+      onStart: (partial) => {
+        if (!this.session.sendIfCurrent(turn, 'speak', activity ? { activity } : {})) return null;
+
+        const object = partial.name ? `${partial.emoji || '📦'} ${partial.name}` : this.vision.getCurrentObject();
+        if (partial.name) {
+          this.elements.objectName.textContent = this.getDisplayName(object, partial.emoji);
+          this.elements.objectLabel.classList.remove('hidden');
+        }
+        this.displaySpeech(partial.speech, partial.mood);
+
+        this.voiceInput.pause();
+        return {
+          objectType: object,
+          category: partial.category || this.vision.currentCategory,
+          voice: this.vision.getMemory(object)?.voice || null,
+          mood: partial.mood,
+          turn: this.session.turn
+        };
+      },
+      onSentence: (text) => {
+        this.elements.speechText.textContent = text;
+      }
+    });
+  }
+
+  /**
+   * Speak the rest of a streamed reply and wait for it
+   */
+  async finishSpeechStream(stream, text) {
+    try {
+      await stream.finish(text);
+    } finally {
+      this.voiceInput.resume();
+    }
+  }
+
+  /**
+   * Silence a streamed reply whose request failed halfway
+   */
+  abortSpeechStream(stream) {
+    if (!stream?.started) {
+      stream?.cancel();
+      return;
+    }
+
+    if (this.session.turn === stream.speaker.turn) {
+      this.tts.stop();
+      this.session.send('finish');
+    }
+    this.voiceInput.resume();
+  }
+
+  /**
+   * Reload remembered objects into the prompt context and the settings view
+   */
+  async refreshMemories() {
+    try {
+      this.memoryRecords = await this.memory.list();
+    } catch (error) {
+      console.warn('Could not load object memory:', error);
+      this.memoryRecords = [];
+    }
+
+    this.vision?.setMemories(this.memoryRecords);
+    this.renderMemoryList();
+  }
+
+  /**
+   * Save what an object said or heard
+   * @param {Object} entry - Analysis result or scene object ({ object, emoji, category, ... })
+   * @param {Object} lines - { said, heard }
+   */
+  async rememberObject(entry, lines = {}) {
+    try {
+      await this.memory.remember(entry.object, {
+        emoji: entry.emoji,
+        category: entry.category,
+        personality: entry.personality || this.elements.personalitySelect.value,
+        voice: entry.voice, // Only ensemble voices; others follow the casting table
+        ...lines
+      });
+      await this.refreshMemories();
+    } catch (error) {
+      console.warn('Could not save object memory:', error);
+    }
+  }
+
+  /**
+   * Object name for labels, using the nickname the user gave it
+   */
+  getDisplayName(objectName, emoji = null) {
+    const memory = this.memoryRecords.find(record => record.id === getObjectId(objectName));
+    if (!memory?.nickname) {
+      return objectName;
+    }
+    return `${emoji || memory.emoji || ''} ${memory.nickname}`.trim();
+  }
+
+  /**
+   * Render the remembered objects list in settings
+   */
+  renderMemoryList() {
+    const list = this.elements.memoryList;
+    list.innerHTML = '';
+
+    this.elements.memoryEmpty.classList.toggle('hidden', this.memoryRecords.length > 0);
+    this.elements.memoryClearBtn.classList.toggle('hidden', this.memoryRecords.length === 0);
+
+    this.memoryRecords.forEach(record => {
+      const item = document.createElement('li');
+      item.className = 'memory-item';
+
+      const info = document.createElement('div');
+      info.className = 'memory-info';
+
+      const name = document.createElement('span');
+      name.className = 'memory-name';
+      name.textContent = `${record.emoji || '📦'} ${record.nickname || record.name}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'memory-meta';
+      const details = [
+        record.nickname ? record.name : null,
+        `seen ${record.timesSeen}×`,
+        record.personality
+      ];
+      meta.textContent = details.filter(Boolean).join(' · ');
+
+      info.append(name, meta);
+
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'icon-btn';
+      renameBtn.title = 'Rename';
+      renameBtn.textContent = '✏️';
+      renameBtn.addEventListener('click', () => this.startRename(record, info));
+
+      const forgetBtn = document.createElement('button');
+      forgetBtn.className = 'icon-btn';
+      forgetBtn.title = 'Forget';
+      forgetBtn.textContent = '🗑️';
+      forgetBtn.addEventListener('click', async () => {
+        await this.memory.forget(record.id);
+        await this.refreshMemories();
+        this.showMessage(`Forgot ${record.nickname || record.name}`, 'success', 2000);
+      });
+
+      item.append(info, this.createVoicePicker(record), renameBtn, forgetBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Select to pin one of the library voices to a remembered object
+   */
+  createVoicePicker(record) {
+    const select = document.createElement('select');
+    select.className = 'memory-voice';
+    select.title = 'Voice';
+    select.add(new Option('Auto voice', ''));
+    VOICE_LIBRARY.forEach(voice => select.add(new Option(voice.name, voice.id)));
+    select.value = record.voice?.pinned ? record.voice.voiceId : '';
+
+    select.addEventListener('change', async () => {
+      const known = VOICE_LIBRARY.find(voice => voice.id === select.value);
+      const voice = known ? { voiceId: known.id, webVoice: known.webVoice, pinned: true } : null;
+      await this.memory.setVoice(record.id, voice);
+      await this.refreshMemories();
+      this.previewVoice(record.name, record.category, voice);
+    });
+
+    return select;
+  }
+
+  /**
+   * Say a short line in a voice so it can be heard before using it
+   */
+  async previewVoice(objectType, category, voice = null) {
+    const name = voice ? VoiceCasting.getVoiceName(voice.voiceId) : 'this voice';
+    try {
+      await this.tts.speak(`Hi! This is how I sound as ${name}.`, objectType, category, voice);
+    } catch (error) {
+      console.warn('Voice preview failed:', error);
+      this.showMessage('Could not play the voice preview', 'error', 2500);
+    }
+  }
+
+  /**
+   * Swap a remembered object's name for an input to give it a nickname
+   */
+  startRename(record, info) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = record.nickname || '';
+    input.placeholder = record.name;
+    input.maxLength = 40;
+    info.replaceChildren(input);
+    input.focus();
+
+    let done = false;
+    const save = async () => {
+      if (done) return;
+      done = true;
+      await this.memory.rename(record.id, input.value);
+      await this.refreshMemories();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        save();
+      } else if (e.key === 'Escape') {
+        done = true;
+        this.renderMemoryList();
+      }
+    });
+    input.addEventListener('blur', save);
+  }
+
+  /**
+   * Show audio cache hits, misses and size in settings
+   */
+  async renderAudioCacheStats() {
+    const stats = await this.tts.audioCache.getStats();
+    const rate = stats.hitRate === null ? '' : ` (${Math.round(stats.hitRate * 100)}%)`;
+
+    this.elements.audioCacheStats.textContent =
+      `${stats.hits} hits · ${stats.misses} misses${rate} · ` +
+      `${stats.entries} clips, ${formatBytes(stats.bytes)}` +
+      (stats.persistent ? '' : ' (this session only)');
+  }
+
+  /**
+   * Build the budget meters and cap inputs, and follow usage as it changes
+   */
+  setupBudget() {
+    this.budgetRows = BUDGET_METERS.map(([provider, metric, label]) => {
+      const row = document.createElement('label');
+      row.className = 'budget-row';
+      row.innerHTML = `
+        <span>${label}</span>
+        <meter min="0" max="1" low="0.8" high="0.99" optimum="0"></meter>
+        <output></output>
+        <input type="number" min="0" step="1" title="Daily cap (0 = no cap)">
+      `;
+
+      const input = row.querySelector('input');
+      input.value = this.budget.getCaps(provider)[metric] || 0;
+      input.addEventListener('change', () => this.budget.setCaps(provider, { [metric]: input.value }));
+
+      this.elements.budgetMeters.appendChild(row);
+      return { provider, metric, meter: row.querySelector('meter'), output: row.querySelector('output') };
+    });
+
+    this.elements.budgetResetBtn.addEventListener('click', () => {
+      if (!confirm("Reset today's usage counts?")) return;
+      this.budget.reset();
+      this.showMessage('Budget usage reset', 'success', 2000);
+    });
+
+    this.budget.onChange = () => this.applyBudget();
+    this.applyBudget();
+  }
+
+  /**
+   * Update the meters and slow analysis down as the vision budget runs low
+   */
+  applyBudget() {
+    this.budgetRows.forEach(({ provider, metric, meter, output }) => {
+      const used = this.budget.getUsage(provider)[metric];
+      const cap = this.budget.getCaps(provider)[metric] || 0;
+      meter.value = cap > 0 ? Math.min(1, used / cap) : 0;
+      output.textContent = cap > 0 ? `${used} / ${cap}` : `${used}`;
+    });
+
+    // Header meter: the provider closest to its cap
+    const tightest = this.budget.getSummary().sort((a, b) => b.fraction - a.fraction)[0];
+    const fraction = tightest?.fraction || 0;
+    this.elements.budgetMeter.classList.toggle('hidden', fraction === 0);
+    this.elements.budgetMeter.classList.toggle('low', fraction >= 0.8 && fraction < 1);
+    this.elements.budgetMeter.classList.toggle('exhausted', fraction >= 1);
+    this.elements.budgetMeterFill.style.width = `${Math.round(fraction * 100)}%`;
+    this.elements.budgetMeter.title = tightest ? `${tightest.provider}: ${Math.round(fraction * 100)}% of today's budget` : '';
+
+    // Slow down from the interval the user chose as the budget runs low
+    this.session.cooldown = this.baseCooldown * this.budget.getSlowdown(this.elements.providerSelect.value);
+  }
+
+  /**
+   * Show response cache hits, size and pooled lines in settings
+   */
+  async renderResponseCacheStats() {
+    const stats = await this.cache.getStats();
+    const rate = stats.hitRate === null ? '' : ` (${Math.round(stats.hitRate * 100)}%)`;
+
+    this.elements.responseCacheStats.textContent =
+      `${stats.hits} hits · ${stats.misses} misses${rate} · ${stats.evictions} evicted · ` +
+      `${stats.entries} results, ${formatBytes(stats.bytes)} · ` +
+      `${stats.pooledLines} offline lines for ${stats.pooledObjects} object${stats.pooledObjects === 1 ? '' : 's'}` +
+      (stats.persistent ? '' : ' (this session only)');
+  }
+
+  /**
+   * Cache the fallback reactions and void lines in the current object's voice
+   */
+  async prewarmAudio() {
+    if (!this.tts.canCacheAudio()) {
+      this.showMessage('Browser voices cannot be cached', 'info', 2500);
+      return;
+    }
+
+    const object = this.vision?.currentObject || '';
+    const voice = this.vision?.getMemory(object)?.voice || null;
+    const lines = [...Object.values(FALLBACK_REACTIONS), ...VOID_RESPONSES, ...SAFETY_RESPONSES];
+
+    this.elements.audioCachePrewarmBtn.disabled = true;
+    try {
+      const added = await this.tts.prewarm(lines, object, this.vision?.currentCategory, voice);
+      this.showMessage(`Cached ${added} new phrase${added === 1 ? '' : 's'}`, 'success', 2000);
+    } catch (error) {
+      console.warn('Audio prewarm failed:', error);
+      this.showMessage('Could not cache every phrase. Try again later.', 'error', 2500);
+    } finally {
+      this.elements.audioCachePrewarmBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check if several objects should talk to each other
+   */
+  isEnsembleMode() {
+    return this.elements.sceneModeSelect.value === 'ensemble';
+  }
+
+  /**
+   * Switch between single object and ensemble scenes
+   */
+  setSceneMode() {
+    const ensemble = this.isEnsembleMode();
+
+    this.elements.maxObjectsSetting.classList.toggle('hidden', !ensemble);
+    this.elements.ensembleStage.classList.toggle('hidden', !ensemble);
+    this.elements.expressionOverlay.classList.toggle('hidden', ensemble);
+
+    // Start the new mode from a clean slate
+    this.cancelRequests();
+    this.tts.stop();
+    this.stage.clear();
+    this.tracker.reset();
+    this.similarityDetector.reset();
+    this.vision?.resetHistory();
+    this.elements.objectLabel.classList.add('hidden');
+    this.elements.speechBubble.classList.add('hidden');
+  }
+
+  /**
+   * Restore provider/model settings from localStorage
+   */
+  loadVisionSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('visionSettings')) || {};
+    } catch (error) {
+      // Corrupt settings - use defaults
+    }
+
+    const provider = VISION_PROVIDERS[saved.provider] ? saved.provider : 'gemini';
+    this.elements.providerSelect.value = provider;
+    this.elements.modelInput.value = saved.model || VISION_PROVIDERS[provider].models[0];
+    this.elements.baseUrlInput.value = saved.baseUrl || '';
+    this.updateProviderFields();
+  }
+
+  /**
+   * Show fields relevant to the selected provider
+   */
+  updateProviderFields() {
+    const provider = VISION_PROVIDERS[this.elements.providerSelect.value];
+
+    this.elements.modelOptions.innerHTML = '';
+    provider.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      this.elements.modelOptions.appendChild(option);
+    });
+
+    this.elements.baseUrlSetting.classList.toggle('hidden', this.elements.providerSelect.value !== 'openai');
+  }
+
+  /**
+   * (Re)create the vision provider from the settings panel
+   * @returns {boolean} True if the provider is usable
+   */
+  setVisionProvider() {
+    const name = this.elements.providerSelect.value;
+    const settings = {
+      provider: name,
+      model: this.elements.modelInput.value.trim() || VISION_PROVIDERS[name].models[0],
+      baseUrl: this.elements.baseUrlInput.value.trim()
+    };
+    localStorage.setItem('visionSettings', JSON.stringify(settings));
+
+    // Answers from the old provider are no longer wanted
+    this.cancelRequests();
+
+    // Gemini needs the backend proxy and its key
+    if (VISION_PROVIDERS[name].needsServer) {
+      if (!this.serverStatus) {
+        this.vision = null;
+        this.showMessage('Cannot reach the app server. Run "npm run server" or pick a local provider in settings.', 'error', 10000);
+        return false;
+      }
+      if (!this.serverStatus.gemini) {
+        this.vision = null;
+        this.showMessage('Please add GEMINI_API_KEY to the server .env file', 'error', 10000);
+        return false;
+      }
+    }
+
+    this.vision = createVisionProvider(name, {
+      model: settings.model,
+      baseUrl: settings.baseUrl || undefined
+    });
+    this.vision.setMemories(this.memoryRecords);
+    this.vision.onUsage = (usage) => this.budget.record(name, usage);
+
+    // New model, new conversation (cached results are keyed by model, see getCacheContext)
+    this.similarityDetector.reset();
+    console.log(`Vision provider: ${name} (${this.vision.model})`);
+    return true;
+  }
+
+  /**
+   * Restore motion sensitivity and the heatmap toggle from localStorage
+   */
+  loadMotionSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('motionSettings')) || {};
+    } catch (error) {
+      // Corrupt settings - use defaults
+    }
+
+    if (saved.sensitivity) {
+      this.elements.sensitivitySlider.value = saved.sensitivity;
+      this.motionDetector.setSensitivity(parseInt(this.elements.sensitivitySlider.value));
+    }
+    this.elements.sensitivityValue.textContent = this.elements.sensitivitySlider.value;
+    this.elements.heatmapSelect.value = saved.heatmap ? 'on' : 'off';
+    this.motionDetector.setHeatmap(!!saved.heatmap);
+  }
+
+  /**
+   * Apply motion sensitivity and the heatmap toggle from the settings panel
+   */
+  setMotionSettings() {
+    const settings = {
+      sensitivity: parseInt(this.elements.sensitivitySlider.value),
+      heatmap: this.elements.heatmapSelect.value === 'on'
+    };
+    localStorage.setItem('motionSettings', JSON.stringify(settings));
+
+    this.motionDetector.setSensitivity(settings.sensitivity);
+    this.motionDetector.setHeatmap(settings.heatmap);
+    this.elements.sensitivityValue.textContent = settings.sensitivity;
+  }
+
+  /**
+   * Restore the chosen camera and quality preset from localStorage
+   */
+  loadCameraSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('cameraSettings')) || {};
+    } catch (error) {
+      // Corrupt settings - use defaults
+    }
+
+    this.camera.deviceId = saved.deviceId || null;
+    if (saved.facingMode) this.camera.facingMode = saved.facingMode;
+    if (CAMERA_PRESETS[saved.preset]) this.camera.preset = saved.preset;
+
+    this.elements.cameraPresetSelect.innerHTML = '';
+    Object.entries(CAMERA_PRESETS).forEach(([id, preset]) => {
+      this.elements.cameraPresetSelect.add(new Option(preset.label, id));
+    });
+    this.elements.cameraPresetSelect.value = this.camera.preset;
+
+    // Labels stay generic until camera permission is given
+    this.renderCameraDevices();
+    this.camera.listDevices()
+      .then(() => this.renderCameraDevices())
+      .catch(error => console.warn('Could not list cameras:', error));
+  }
+
+  /**
+   * Remember the camera choice
+   */
+  saveCameraSettings() {
+    localStorage.setItem('cameraSettings', JSON.stringify({
+      deviceId: this.camera.deviceId,
+      facingMode: this.camera.facingMode,
+      preset: this.camera.preset
+    }));
+  }
+
+  /**
+   * Fill the camera picker and show the flip button when there is more than one camera
+   */
+  renderCameraDevices() {
+    const select = this.elements.cameraSelect;
+    select.innerHTML = '';
+    select.add(new Option(this.camera.facingMode === 'user' ? 'Default (front camera)' : 'Default (back camera)', ''));
+    this.camera.devices.forEach(device => select.add(new Option(device.label, device.deviceId)));
+    select.value = this.camera.deviceId || '';
+
+    this.elements.flipCameraBtn.classList.toggle('hidden', this.camera.devices.length < 2 || this.source !== this.camera);
+  }
+
+  /**
+   * Change camera or quality from settings (applied straight away while running)
+   * @param {Object} options - { deviceId } or { preset }, see CameraManager.start()
+   */
+  async setCamera(options) {
+    try {
+      if (!(await this.camera.switchTo(options))) {
+        // Not running - used at the next start
+        if ('deviceId' in options) this.camera.deviceId = options.deviceId;
+        if (options.preset) this.camera.preset = options.preset;
+      }
+    } catch (error) {
+      this.showMessage(error.message, 'error', 3000);
+    }
+    this.saveCameraSettings();
+    this.renderCameraDevices();
+  }
+
+  /**
+   * Switch between the front and back cameras
+   */
+  async flipCamera() {
+    try {
+      await this.camera.flip();
+    } catch (error) {
+      this.showMessage(error.message, 'error', 3000);
+    }
+    this.saveCameraSettings();
+    this.renderCameraDevices();
+  }
+
+  /**
+   * Follow a new camera, or cameras plugged in or unplugged
+   * @param {string} reason - From CameraManager: 'devices', 'switched' or 'lost'
+   */
+  handleCameraChange(reason) {
+    this.renderCameraDevices();
+    if (reason === 'devices') return;
+
+    if (reason === 'lost') {
+      if (!this.camera.isActive) {
+        this.showMessage('Camera disconnected', 'error', 3000);
+        this.stop();
+        return;
+      }
+      this.showMessage('Camera disconnected - switched to the default camera', 'info', 3000);
+      this.saveCameraSettings();
+    }
+
+    this.resetView();
+  }
+
+  /**
+   * A different view: drop what was tracked and any answer about the old one
+   */
+  resetView() {
+    this.cancelRequests();
+    this.tracker.reset();
+    this.motionDetector.reset();
+    this.frames.reset(); // The worker's previous frames are of the old view
+    this.similarityDetector.reset();
+    this.objectDetector.reset();
+    this.stage.clear();
+    this.applyCameraView();
+
+    // Look at it even if nothing moves (a still photo never does)
+    this.viewChanged = true;
+  }
+
+  /**
+   * Restore the video source from localStorage, or from ?source=<url> for scripted demos
+   * Uploaded files can't be restored, so a saved file source starts on the camera.
+   */
+  loadSourceSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('sourceSettings')) || {};
+    } catch (error) {
+      // Corrupt settings - use defaults
+    }
+
+    const param = new URLSearchParams(window.location.search).get('source');
+    const url = param || saved.url || '';
+    this.elements.sourceUrlInput.value = url;
+
+    if (param || (saved.type === 'url' && url)) {
+      try {
+        this.fileSource.setUrl(url);
+        this.source = this.fileSource;
+      } catch (error) {
+        console.warn('Saved source URL is invalid:', error);
+      }
+    }
+    this.renderSourceSettings(this.source === this.camera ? 'camera' : 'url');
+  }
+
+  /**
+   * Remember the source type and URL
+   */
+  saveSourceSettings(type) {
+    localStorage.setItem('sourceSettings', JSON.stringify({
+      type,
+      url: this.elements.sourceUrlInput.value.trim()
+    }));
+  }
+
+  /**
+   * Show the picker for the chosen source type, and camera buttons only for the camera
+   * @param {string} type - 'camera', 'file' or 'url'
+   */
+  renderSourceSettings(type) {
+    this.elements.sourceSelect.value = type;
+    this.elements.sourceFileSetting.classList.toggle('hidden', type !== 'file');
+    this.elements.sourceUrlSetting.classList.toggle('hidden', type !== 'url');
+    this.renderCameraDevices();
+  }
+
+  /**
+   * Change the source type from settings; files and URLs play once picked
+   */
+  async setSourceType(type) {
+    this.saveSourceSettings(type);
+    this.renderSourceSettings(type);
+
+    if (type === 'camera') {
+      await this.useSource(this.camera, type);
+    } else if (type === 'file' && this.fileSource.media?.isFile) {
+      await this.useSource(this.fileSource, type);
+    } else if (type === 'url' && this.elements.sourceUrlInput.value.trim()) {
+      await this.setSourceUrl(this.elements.sourceUrlInput.value.trim());
+    }
+  }
+
+  /**
+   * Play a photo or video file instead of the camera
+   * @param {File} file - From the file picker or dropped on the picture
+   */
+  async setSourceFile(file) {
+    try {
+      this.fileSource.setFile(file);
+    } catch (error) {
+      this.showMessage(error.message, 'error', 3000);
+      return;
+    }
+    await this.useSource(this.fileSource, 'file');
+  }
+
+  /**
+   * Play a photo or video from a URL instead of the camera
+   */
+  async setSourceUrl(url) {
+    this.elements.sourceUrlInput.value = url;
+    try {
+      this.fileSource.setUrl(url);
+    } catch (error) {
+      this.showMessage(error.message, 'error', 3000);
+      return;
+    }
+    await this.useSource(this.fileSource, 'url');
+  }
+
+  /**
+   * Switch what the video element plays (straight away while running)
+   * Goes back to the previous source if the new one can't be played.
+   * @param {VideoSource} source - this.camera or this.fileSource
+   * @param {string} type - 'camera', 'file' or 'url', for the settings panel
+   */
+  async useSource(source, type) {
+    const previous = this.source;
+    const wasRunning = previous.isActive;
+    this.source = source;
+    this.saveSourceSettings(type);
+    this.renderSourceSettings(type);
+
+    if (!this.session.isActive || !wasRunning) {
+      return;
+    }
+
+    if (previous !== source) {
+      previous.stop();
+    }
+    try {
+      await source.start();
+      this.showMessage(`Now watching ${source.label}`, 'success', 2000);
+    } catch (error) {
+      this.showMessage(error.message, 'error', 3000);
+      this.source = previous;
+      this.renderSourceSettings(previous === this.camera ? 'camera' : type);
+      try {
+        await previous.start();
+      } catch (restartError) {
+        this.showMessage(restartError.message, 'error', 3000);
+        this.stop();
+        return;
+      }
+    }
+    this.resetView();
+  }
+
+  /**
+   * Mirror the picture (and the heatmap over it) for front cameras
+   */
+  applyCameraView() {
+    const mirrored = this.source.isMirrored;
+    this.elements.video.classList.toggle('mirrored', mirrored);
+    this.elements.motionCanvas.classList.toggle('mirrored', mirrored);
+    this.stage.mirrored = mirrored;
+  }
+
+  /**
+   * Horizontal screen position (0-1) of an x in video pixels - flipped when the picture is mirrored
+   */
+  toScreenX(x) {
+    const fraction = x / this.elements.video.videoWidth;
+    return this.source.isMirrored ? 1 - fraction : fraction;
+  }
+
+  /**
+   * Restore the speech engine chain from localStorage
+   */
+  loadTtsSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('ttsSettings')) || {};
+    } catch (error) {
+      // Corrupt settings - use defaults
+    }
+
+    const [primary, fallback] = saved.chain || DEFAULT_TTS_CHAIN;
+    this.elements.ttsPrimarySelect.value = TTS_PROVIDERS[primary] ? primary : DEFAULT_TTS_CHAIN[0];
+    this.elements.ttsFallbackSelect.value = TTS_PROVIDERS[fallback] ? fallback : 'webspeech';
+    this.elements.ttsOpenaiUrlInput.value = saved.openaiUrl || '';
+    this.elements.ttsLocalUrlInput.value = saved.localUrl || '';
+    this.elements.ttsSsmlSelect.value = saved.localSsml ? 'on' : 'off';
+  }
+
+  /**
+   * Apply the speech engine chain from the settings panel
+   */
+  setTtsProviders() {
+    const chain = [this.elements.ttsPrimarySelect.value, this.elements.ttsFallbackSelect.value];
+    const settings = {
+      chain,
+      openaiUrl: this.elements.ttsOpenaiUrlInput.value.trim(),
+      localUrl: this.elements.ttsLocalUrlInput.value.trim(),
+      localSsml: this.elements.ttsSsmlSelect.value === 'on'
+    };
+    localStorage.setItem('ttsSettings', JSON.stringify(settings));
+
+    this.tts.configure(chain, {
+      openai: { baseUrl: settings.openaiUrl || undefined },
+      local: { url: settings.localUrl || undefined, ssml: settings.localSsml }
+    });
+
+    // Show fields for the servers in use
+    this.elements.ttsOpenaiSetting.classList.toggle('hidden', !chain.includes('openai'));
+    this.elements.ttsLocalSetting.classList.toggle('hidden', !chain.includes('local'));
+    this.elements.ttsSsmlSetting.classList.toggle('hidden', !chain.includes('local'));
+
+    console.log(`TTS chain: ${this.tts.chain.join(' → ')}`);
+  }
+
+  /**
+   * Toggle dark/light theme
+   */
+  toggleTheme() {
+    document.body.classList.toggle('light-mode');
+    const isLight = document.body.classList.contains('light-mode');
+    this.elements.themeToggle.textContent = isLight ? '☀️' : '🌙';
+    localStorage.setItem('theme', isLight ? 'light' : 'dark');
+  }
+
+  /**
+   * Trigger a reaction from the object
+   */
+  async triggerReaction(reaction) {
+    // Reactions don't interrupt speech or a conversation
+    if (!this.session.is('watching', 'analyzing', 'cooldown') || !this.vision?.currentObject) return;
+
+    this.session.send('think', { activity: 'reaction' });
+    const turn = this.session.turn;
+    const objectType = this.vision.currentObject;
+    const category = this.vision.currentCategory;
+
+    // Get AI-generated reaction based on current object and personality
+    let text;
+    try {
+      // Offline or over budget - the canned reaction costs nothing
+      if (this.getVisionBlock()) {
+        text = FALLBACK_REACTIONS[reaction];
+      } else {
+        text = await this.vision.generateReaction(objectType, reaction, this.elements.personalitySelect.value);
+        this.rememberObject({ object: objectType, category }, { said: text });
       }
     } catch (error) {
       console.log('Reaction generation error:', error);
       // Fallback to generic reactions
-      const fallbackReactions = {
-        compliment: "Oh stop it, you're making me blush!",
-        laugh: "Haha! That tickles!",
-        surprise: "WHOA! You startled me!",
-        grumpy: "Ugh, seriously?"
-      };
-      const text = fallbackReactions[reaction];
-      this.displaySpeech(text);
-      this.setStatus('speaking', 'Reacting...');
-      try {
-        await this.tts.speak(text, this.gemini?.currentObject || '');
-        this.setStatus('idle', 'Ready');
-      } catch (error) {
-        console.log('Reaction speech error:', error);
-        // Only show message if it's a critical error
-        if (error.message?.includes('not supported')) {
-          this.showMessage('Text-to-speech not available', 'error', 3000);
-        }
-        this.setStatus('idle', 'Ready');
+      text = FALLBACK_REACTIONS[reaction];
+    }
+
+    if (!this.session.sendIfCurrent(turn, 'speak', { activity: 'reaction' })) return;
+    const speakTurn = this.session.turn;
+
+    this.displaySpeech(text, REACTION_MOODS[reaction]);
+    const entry = this.logLine('reaction', text, {
+      object: objectType,
+      mood: REACTION_MOODS[reaction],
+      reaction
+    });
+    try {
+      await this.speak(text, objectType, category, REACTION_MOODS[reaction]);
+    } catch (error) {
+      console.log('Reaction speech error:', error);
+      // Only show message if it's a critical error
+      if (error.message?.includes('not supported')) {
+        this.showMessage('Text-to-speech not available', 'error', 3000);
       }
     }
+    this.transcript.finish(entry);
+    this.session.sendIfCurrent(speakTurn, 'finish');
   }
 
   /**
    * Start the talking objects experience
    */
   async start() {
-    if (this.isRunning) return;
+    if (this.session.isActive) return;
+
+    if (!this.vision) {
+      this.showMessage('Choose an AI provider in settings first', 'error', 3000);
+      return;
+    }
+
+    this.session.send('start');
 
     try {
       // Update UI
-      this.setStatus('analyzing', 'Starting camera...');
       this.elements.startBtn.classList.add('hidden');
 
       // Initialize audio on user gesture (critical for iOS)
       this.tts.initAudioOnUserGesture();
 
-      // Start camera
-      await this.camera.start();
+      // Start the camera (or the chosen photo / video)
+      await this.source.start();
+      this.applyCameraView();
+      this.renderCameraDevices();
 
       // Update state
-      this.isRunning = true;
+      this.transcript.start();
       this.elements.stopBtn.classList.remove('hidden');
 
-      // Show volume control and reaction buttons
+      // Show volume control, reaction and record buttons
       this.elements.volumeControl.classList.remove('hidden');
       this.elements.reactionButtons.classList.remove('hidden');
+      this.elements.recordButtons.classList.remove('hidden');
 
       // Initialize background sound
       this.backgroundSound.init();
 
+      // Hands-free mode listens for the whole session
+      if (this.voiceInput.isAvailable() && this.voiceInput.handsFree) {
+        this.voiceInput.start();
+      }
+
       // Start analysis loop
       this.startAnalysisLoop();
 
-      this.showMessage('Camera active! Looking at your surroundings...', 'success', 2000);
+      // Keep the last few seconds ready to save
+      this.updateReplayBuffer();
+
+      this.showMessage(this.source === this.camera
+        ? 'Camera active! Looking at your surroundings...'
+        : `Playing ${this.source.label}! Looking at it...`, 'success', 2000);
 
     } catch (error) {
       this.showMessage(error.message, 'error');
+      this.session.send('stop');
       this.reset();
     }
   }
@@ -287,35 +1730,39 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
    * Stop the experience
    */
   stop() {
-    if (!this.isRunning) return;
+    if (!this.session.isActive) return;
 
-    // Stop camera
-    this.camera.stop();
+    // Finish a recording in progress before the camera goes dark
+    if (this.clipRecorder.isRecording) {
+      this.toggleRecording();
+    }
+
+    // Stop camera (or file) and any model calls in flight
+    this.source.stop();
+    this.cancelRequests();
 
-    // Stop speech and background sound
+    // Stop speech, listening and background sound
+    this.voiceInput.stop();
     this.tts.stop();
     this.backgroundSound.stop();
 
-    // Clear intervals and timeouts
-    if (this.analysisInterval) {
-      clearInterval(this.analysisInterval);
-      this.analysisInterval = null;
-    }
-
+    // Clear timeouts (the session clears its own timers)
     if (this.expressionTimeout) {
       clearTimeout(this.expressionTimeout);
       this.expressionTimeout = null;
     }
 
     // Reset state
-    this.isRunning = false;
-    this.quotaPaused = false;
-    this.quotaResumeTime = null;
+    this.session.send('stop');
     this.currentExpression = null;
     this.motionDetector.reset();
-    this.gemini.resetHistory();
+    this.frames.reset();
+    this.stopGazeTracking();
+    this.vision.resetHistory();
     this.similarityDetector.reset();
     this.objectDetector.reset();
+    this.tracker.reset();
+    this.updateReplayBuffer();
 
     // Update UI
     this.reset();
@@ -326,42 +1773,137 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
    * Start the analysis loop
    */
   startAnalysisLoop() {
-    // Analyze immediately
+    // Start continuous AR tracking and let the eyes look around
+    this.startARTracking();
+    this.startGazeTracking();
+
+    // Analyze immediately, then whenever motion is seen while watching
+    this.session.send('ready');
     this.analyzeFrame();
+  }
 
-    // Start continuous AR tracking
-    this.startARTracking();
+  /**
+   * React to session state changes
+   */
+  handleStateChange({ from, to }) {
+    this.setStatus();
 
-    // Then check periodically
-    this.analysisInterval = setInterval(() => {
-      const now = Date.now();
-      const timeSinceLastAnalysis = now - this.lastAnalysisTime;
+    if (to === 'watching') {
+      this.startWatching();
+      if (from === 'quota-paused') {
+        this.showMessage('Quota resumed! Continuing analysis...', 'success', 2000);
+      }
+    } else {
+      this.stopWatching();
+    }
+  }
 
-      // Check if enough time has passed
-      if (timeSinceLastAnalysis >= this.minAnalysisInterval) {
-        // Check for motion
-        const motionDetected = this.motionDetector.detectMotion();
+  /**
+   * Check for queued results and motion once a second while watching
+   */
+  startWatching() {
+    this.stopWatching();
 
-        if (motionDetected) {
-          this.analyzeFrame();
-        }
+    this.analysisInterval = setInterval(() => {
+      // A new object that showed up while we were busy goes first
+      const queued = this.session.takeQueued();
+      if (queued) {
+        this.playResult(queued);
+        return;
       }
+
+      this.checkMotion();
     }, 1000); // Check every second
   }
 
+  /**
+   * Analyze the frame if something moved around the object
+   */
+  async checkMotion() {
+    if (this.motionPending) return;
+    this.motionPending = true;
+
+    try {
+      // Movement around the object counts, someone walking past behind it doesn't
+      // A new photo or video gets looked at even when nothing in it moves
+      if (this.viewChanged) {
+        this.viewChanged = false;
+        this.analyzeFrame();
+        return;
+      }
+
+      this.motionDetector.setRegion(this.getMotionRegion());
+      const result = await this.frames.run({ motion: this.motionDetector.getOptions() });
+      if (result && this.motionDetector.acceptMotion(result.motion)) {
+        this.analyzeFrame();
+      }
+    } catch (error) {
+      console.warn('Motion check failed:', error);
+    } finally {
+      this.motionPending = false;
+    }
+  }
+
+  /**
+   * Where motion should trigger analysis: the tracked object with some margin,
+   * or the whole frame when nothing is tracked (or in ensemble mode)
+   * @returns {Object|null} {x, y, width, height} in 0-1 video coordinates
+   */
+  getMotionRegion() {
+    const bounds = this.tracker.getBounds();
+    const video = this.elements.video;
+    if (!this.tracker.isTracking || !bounds || this.isEnsembleMode() || !video.videoWidth) {
+      return null;
+    }
+
+    // A quarter of the object's size on every side, kept inside the frame
+    const marginX = bounds.width * 0.25;
+    const marginY = bounds.height * 0.25;
+    const left = Math.max(0, bounds.x - marginX) / video.videoWidth;
+    const top = Math.max(0, bounds.y - marginY) / video.videoHeight;
+    const right = Math.min(video.videoWidth, bounds.x + bounds.width + marginX) / video.videoWidth;
+    const bottom = Math.min(video.videoHeight, bounds.y + bounds.height + marginY) / video.videoHeight;
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Stop checking for motion
+   */
+  stopWatching() {
+    if (this.analysisInterval) {
+      clearInterval(this.analysisInterval);
+      this.analysisInterval = null;
+    }
+  }
+
+  /**
+   * Play an analysis result or ensemble scene
+   */
+  playResult(result) {
+    if (result.dialogue) {
+      return this.handleSceneResult(result);
+    }
+    return this.handleAnalysisResult(result, null, result.isNewObject);
+  }
+
   /**
    * Start continuous AR tracking to follow object movement
    */
   startARTracking() {
     // Update AR overlay position smoothly
     const updateAR = () => {
-      if (!this.isRunning) return;
-
-      // Only track if expression is active
-      if (this.elements.expressionOverlay.classList.contains('active')) {
-        const bounds = this.objectDetector.detectObjectBounds();
+      if (!this.session.isActive) return;
+
+      if (this.isEnsembleMode()) {
+        // Every actor follows its own object
+        this.stage.update();
+      } else if (this.elements.expressionOverlay.classList.contains('active') || this.lipSync.isActive) {
+        // Only track if expression is active or the object is talking
+        const bounds = this.getObjectBounds();
         if (bounds) {
           this.positionEyesOnObject(bounds);
+          this.positionMouthOnObject(bounds);
         }
       }
 
@@ -373,135 +1915,339 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
   }
 
   /**
-   * Analyze current frame
+   * Point the eyes at the user's face or movement while they are showing
    */
-  async analyzeFrame() {
-    if (!this.isRunning) {
-      return;
-    }
-
-    // Check if we're paused due to quota
-    if (this.quotaPaused) {
-      const now = Date.now();
-      if (now < this.quotaResumeTime) {
-        const secondsLeft = Math.ceil((this.quotaResumeTime - now) / 1000);
-        this.setStatus('idle', `Quota exceeded. Resuming in ${secondsLeft}s`);
-        return;
+  startGazeTracking() {
+    this.stopGazeTracking();
+    this.eyeAnimator.start();
+
+    this.gazeInterval = setInterval(async () => {
+      const showing = this.elements.expressionOverlay.classList.contains('active') || this.lipSync.isActive;
+      if (this.isEnsembleMode() || !showing) return;
+
+      // Gaze is measured in video coordinates, the eyes sit on the (maybe mirrored) screen
+      let target = await this.gaze.locate();
+      if (target && this.source.isMirrored) {
+        target = { ...target, x: 1 - target.x };
+      }
+      if (target?.waving) {
+        this.eyeAnimator.react(target);
       } else {
-        // Resume
-        this.quotaPaused = false;
-        this.quotaResumeTime = null;
-        this.showMessage('Quota resumed! Continuing analysis...', 'success', 2000);
+        this.eyeAnimator.lookAt(target);
       }
+    }, 150);
+  }
+
+  /**
+   * Stop following the user and relax the eyes
+   */
+  stopGazeTracking() {
+    if (this.gazeInterval) {
+      clearInterval(this.gazeInterval);
+      this.gazeInterval = null;
     }
+    this.eyeAnimator.stop();
+    this.gaze.reset();
+  }
 
-    try {
-      this.setStatus('analyzing', 'Looking...');
-      this.lastAnalysisTime = Date.now();
+  /**
+   * Analyze current frame
+   */
+  async analyzeFrame() {
+    if (!this.session.send('analyze')) return;
+    const turn = this.session.turn;
+    const request = this.beginRequest();
+    let stream = null;
 
+    try {
       // Capture frame
-      const frameData = this.camera.captureFrame(800);
+      const frameData = this.source.captureFrame(800);
+
+      // Perceptual hash of what the camera sees, for similarity and cache lookups
+      const frameHash = (await this.frames.run({ hash: { algorithm: FRAME_HASH } }))?.hash;
 
       // Check frame similarity - skip if too similar to previous frame
-      if (this.similarityDetector.isSimilar(frameData)) {
+      if (frameHash && this.similarityDetector.isSimilar(frameHash)) {
         console.log('Frame too similar, skipping analysis');
-        this.setStatus('idle', 'Ready');
+        this.session.sendIfCurrent(turn, 'skip');
         return;
       }
 
-      // Check rate limit
-      if (!this.rateLimiter.canMakeRequest()) {
-        const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextRequest() / 1000);
-        this.showMessage(`Rate limit reached. Wait ${waitTime}s...`, 'error', 2000);
-        this.setStatus('idle', 'Rate limited');
+      // Results are reused for similar frames of the same object with the same settings
+      const cacheKey = { signature: frameHash, context: this.getCacheContext(), object: this.vision.currentObject };
+      const stored = await this.cache.get(cacheKey);
+      if (stored) {
+        console.log('Using cached response');
+        const cached = { ...stored, cached: true };
+        if (this.isEnsembleMode()) {
+          await this.handleSceneResult(cached);
+        } else {
+          await this.handleAnalysisResult(cached);
+        }
         return;
       }
 
-      // Check cache first
-      const cached = this.cache.get(frameData);
-      if (cached) {
-        console.log('Using cached response');
-        await this.handleAnalysisResult(cached);
+      // Offline, waiting out a Retry-After or over today's budget - only saved lines are left
+      const unavailable = this.getVisionBlock();
+      if (unavailable) {
+        await this.handleVisionUnavailable(turn, unavailable);
+        return;
+      }
+
+      // Check rate limit
+      if (!this.rateLimiter.canMakeRequest()) {
+        const waitTime = this.rateLimiter.getTimeUntilNextRequest();
+        this.showMessage(`Rate limit reached. Wait ${Math.ceil(waitTime / 1000)}s...`, 'error', 2000);
+        this.session.sendIfCurrent(turn, 'skip', { reason: 'rate-limited', duration: waitTime });
         return;
       }
 
       // Get personality
       const personality = this.elements.personalitySelect.value;
 
-      // Analyze with Gemini
-      const result = await this.gemini.analyzeAndRespond(frameData, personality);
+      // Safety fallbacks (blocked: true) are said once, never cached
+      if (this.isEnsembleMode()) {
+        const scene = await this.vision.analyzeScene(frameData, personality, parseInt(this.elements.maxObjectsSelect.value), {
+          signal: request.signal
+        });
+        if (!scene.blocked) {
+          await this.cache.set(cacheKey, scene);
+        }
+        await this.handleSceneResult(scene);
+        return;
+      }
+
+      // Analyze with the selected vision provider, talking as soon as the first sentence is in
+      // (the reply updates the provider's current object, so note the one before it)
+      const previousObject = this.vision.currentObject;
+      stream = this.createSpeechStream(turn);
+      const result = await this.vision.analyzeAndRespond(frameData, personality, {
+        onSpeech: partial => stream.update(partial),
+        signal: request.signal
+      });
 
       // Cache the result
-      this.cache.set(frameData, result);
+      if (!result.blocked) {
+        await this.cache.set(cacheKey, result);
+      }
 
       // Handle result
-      await this.handleAnalysisResult(result);
+      await this.handleAnalysisResult(result, stream, this.vision.isNewObject(result.object, previousObject));
 
     } catch (error) {
       console.error('Analysis error:', error);
+      this.abortSpeechStream(stream);
+      await this.handleModelError(error, turn, 'Could not analyze image. Retrying...', { pooled: true });
+    } finally {
+      this.requests.delete(request);
+    }
+  }
 
-      // Check if it's a quota error
-      if (error.message === 'QUOTA_EXCEEDED') {
-        const retryAfter = error.retryAfter || 60;
-        this.quotaPaused = true;
-        this.quotaResumeTime = Date.now() + (retryAfter * 1000);
-
-        this.showMessage(
-          `Daily quota exceeded (50 requests/day). Pausing for ${retryAfter}s...`,
-          'error',
-          5000
-        );
-        this.setStatus('idle', `Quota exceeded. Resuming in ${retryAfter}s`);
-      } else {
-        // Show brief error message and return to ready state
-        this.showMessage('Could not analyze image. Retrying...', 'error', 2000);
-        this.setStatus('idle', 'Ready');
+  /**
+   * Recover from a failed model call by the kind of error (see errors.js)
+   * @param {Error} error - Usually a ModelError; anything else counts as unknown
+   * @param {number} turn - Session turn the call was made in
+   * @param {string} failMessage - Toast for errors without a message of their own
+   * @param {Object} options - { pooled } to say a saved line before pausing for quota
+   */
+  async handleModelError(error, turn, failMessage, { pooled = false } = {}) {
+    switch (error.type) {
+      case ERROR_TYPES.ABORTED:
+        // Stopped or the scene changed - nothing to tell the user
+        this.session.sendIfCurrent(turn, 'skip');
+        break;
+
+      case ERROR_TYPES.QUOTA:
+        // Say something the object said before, then wait out the quota
+        this.budget.pause(this.elements.providerSelect.value, error.retryAfter);
+        if (pooled) {
+          await this.speakPooledLine();
+        }
+        this.pauseForQuota(error.retryAfter);
+        break;
+
+      case ERROR_TYPES.RATE_LIMITED:
+        // Server-side per-client limit
+        this.showMessage(`Rate limit reached. Wait ${error.retryAfter}s...`, 'error', 2000);
+        this.session.sendIfCurrent(turn, 'skip', { reason: 'rate-limited', duration: error.retryAfter * 1000 });
+        break;
+
+      default: {
+        // Retries are used up - back off for longer when trying again soon won't help
+        const [message, duration] = MODEL_ERRORS[error.type] || [failMessage, undefined];
+        this.showMessage(message, 'error', duration ? 5000 : 2000);
+        this.session.sendIfCurrent(turn, 'skip', duration ? { reason: error.type, duration } : {});
       }
     }
   }
 
   /**
-   * Handle analysis result (from cache or API)
+   * Start tracking a model call so stop() and scene changes can cancel it
+   * @returns {AbortController}
+   */
+  beginRequest() {
+    const request = new AbortController();
+    this.requests.add(request);
+    return request;
+  }
+
+  /**
+   * Cancel every model call in flight (their errors come back as 'aborted')
+   */
+  cancelRequests() {
+    this.requests.forEach(request => request.abort());
+    this.requests.clear();
+  }
+
+  /**
+   * Settings a cached result depends on, so changing them doesn't replay old lines
+   */
+  getCacheContext() {
+    const mode = this.isEnsembleMode() ? `ensemble:${this.elements.maxObjectsSelect.value}` : 'single';
+    return [mode, this.elements.personalitySelect.value, this.elements.providerSelect.value, this.vision?.model].join('|');
+  }
+
+  /**
+   * Check if the vision provider can't be reached because the browser is offline
+   * (local providers keep working)
+   */
+  isOffline() {
+    return !navigator.onLine && !!VISION_PROVIDERS[this.elements.providerSelect.value]?.needsServer;
+  }
+
+  /**
+   * Why the vision provider can't be called right now
+   * @returns {string|null} 'offline', 'paused' (Retry-After), 'exhausted' (daily cap) or null
+   */
+  getVisionBlock() {
+    if (this.isOffline()) return 'offline';
+
+    const level = this.budget.getLevel(this.elements.providerSelect.value);
+    return level === 'paused' || level === 'exhausted' ? level : null;
+  }
+
+  /**
+   * Toast text for getVisionBlock()
+   */
+  getVisionBlockMessage(reason) {
+    const name = this.elements.providerSelect.value;
+    const label = VISION_PROVIDERS[name].label;
+
+    if (reason === 'offline') return 'Offline - objects can only repeat themselves';
+    if (reason === 'paused') return `${label} is paused for ${this.budget.getRetryAfter(name)}s (quota)`;
+    return `Today's ${label} budget is used up - raise it in settings`;
+  }
+
+  /**
+   * Keep the object talking without the model: a pooled line, or wait
+   */
+  async handleVisionUnavailable(turn, reason) {
+    if (reason === 'paused') {
+      // Paused in an earlier session or by another request - wait out the rest
+      await this.speakPooledLine();
+      this.pauseForQuota(this.budget.getRetryAfter(this.elements.providerSelect.value));
+      return;
+    }
+
+    if (!(await this.speakPooledLine())) {
+      this.showMessage(this.getVisionBlockMessage(reason), 'info', 3000);
+      this.session.sendIfCurrent(turn, 'skip');
+    }
+  }
+
+  /**
+   * Speak a line the current (or last seen) object said before, from the response cache pool
+   * @returns {Promise<boolean>} False if there's nothing saved to say
+   */
+  async speakPooledLine() {
+    if (this.isEnsembleMode()) {
+      return false;
+    }
+
+    const line = await this.cache.takePooledLine(this.vision?.currentObject);
+    if (!line) {
+      return false;
+    }
+
+    console.log('Using a pooled line for', line.object);
+    await this.handleAnalysisResult(line);
+    return true;
+  }
+
+  /**
+   * Pause analysis after a quota error
+   */
+  pauseForQuota(retryAfter = 60) {
+    if (!this.session.send('quota', { retryAfter })) return;
+
+    const label = VISION_PROVIDERS[this.elements.providerSelect.value].label;
+    this.showMessage(`${label} quota exceeded. Pausing for ${retryAfter}s...`, 'error', 5000);
+  }
+
+  /**
+   * Handle analysis result (from cache, the API or the queue)
+   * @param {Object} result - From analyzeAndRespond
+   * @param {SpeechStream|null} stream - The stream that may already be speaking the result
+   * @param {boolean} isNewObject - Whether it's about a different object than before
+   *   (defaults to comparing with the provider's current object, for results that didn't update it)
    */
-  async handleAnalysisResult(result) {
-    // Check if this is a new object
-    const isNewObject = this.gemini.isNewObject(result.object);
+  async handleAnalysisResult(result, stream = null, isNewObject = this.vision.isNewObject(result.object)) {
+    const streamed = !!stream?.started;
+
+    // Already talking - the reply was accepted when its first sentence came in
+    if (streamed && this.session.turn !== stream.speaker.turn) {
+      console.log('Streamed result interrupted while', this.session.state);
+      this.voiceInput.resume();
+      return;
+    }
+
+    // The session may have moved on (e.g. the user started talking) - queue or drop
+    // (a queued result keeps whether it was new for when it plays)
+    const decision = streamed ? 'accept' : this.session.submit({ ...result, isNewObject }, isNewObject);
+    if (decision !== 'accept') {
+      console.log(`Analysis result ${decision === 'queue' ? 'queued' : 'dropped'} while ${this.session.state}`);
+      return;
+    }
+    const turn = this.session.turn;
 
     if (isNewObject) {
       // New object detected!
       console.log('New object detected:', result.object);
 
-      // Wait for current speech to finish before switching
-      if (this.tts.isSpeaking) {
-        console.log('Waiting for current speech to finish...');
-        // Skip this update - we're still talking about the previous object
-        return;
-      }
-
       // Show transition message
       this.showMessage(`New object detected: ${result.object}`, 'success', 1500);
 
       // Brief pause for smooth transition
-      await new Promise(resolve => setTimeout(resolve, 150));
+      if (!streamed) {
+        await new Promise(resolve => setTimeout(resolve, 150));
+      }
 
       // Reset context for new object
-      this.gemini.resetHistory();
+      this.vision.switchObject(result);
       this.similarityDetector.reset();
+      this.tracker.reset();
 
       // Start background sound for new object
-      this.backgroundSound.start(result.object);
-    } else {
-      // Same object - skip if already speaking to avoid queue buildup
-      if (this.tts.isSpeaking) {
-        console.log('Already speaking, skipping update');
-        return;
-      }
+      this.backgroundSound.start(result.object, result.category);
     }
 
+    // Stopped during the transition
+    if (!streamed && !this.session.sendIfCurrent(turn, 'speak')) return;
+    const speakTurn = this.session.turn;
+
     // Update UI with object identity
-    this.elements.objectName.textContent = result.object;
+    this.elements.objectName.textContent = this.getDisplayName(result.object, result.emoji);
     this.elements.objectLabel.classList.remove('hidden');
 
+    // Cached and pooled lines were saved when first said, safety fallbacks never were -
+    // only new replies go into memory
+    if (!result.cached && !result.pooled && !result.blocked) {
+      this.rememberObject(result, { said: result.response });
+    }
+
+    // Lock the AR overlay onto the model's bounding box
+    this.updateTrackedObject(result.boundingBox);
+
     // Add flash animation for new objects
     if (isNewObject) {
       this.elements.objectLabel.style.animation = 'objectFlash 0.4s ease-out';
@@ -510,14 +2256,19 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
       }, 400);
     }
 
-    // Display speech
-    this.displaySpeech(result.response);
+    // Display speech (a streamed reply fills the bubble as it is spoken)
+    if (!streamed) {
+      this.displaySpeech(result.response, result.mood);
+    }
+    const entry = this.logLine('analysis', result.response, { object: result.object, mood: result.mood });
 
     // Speak the response
-    this.setStatus('speaking', 'Speaking...');
     try {
-      await this.tts.speak(result.response, result.object);
-      this.setStatus('idle', 'Ready');
+      if (streamed) {
+        await this.finishSpeechStream(stream, result.response);
+      } else {
+        await this.speak(result.response, result.object, result.category, result.mood);
+      }
     } catch (error) {
       // Speech error - log but don't show to user unless critical
       console.log('Speech error:', error);
@@ -526,20 +2277,107 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
       if (error.message?.includes('not supported')) {
         this.showMessage('Text-to-speech not available', 'error', 3000);
       }
+    }
+    this.transcript.finish(entry);
+    this.session.sendIfCurrent(speakTurn, 'finish');
+  }
+
+  /**
+   * Handle an ensemble scene: cast the objects and play their dialogue
+   */
+  async handleSceneResult(scene) {
+    const lead = scene.objects[0];
+    const isNewObject = lead.object !== this.stage.actors[0]?.object;
+
+    // The session may have moved on (e.g. the user started talking) - queue or drop
+    const decision = this.session.submit(scene, isNewObject);
+    if (decision !== 'accept') {
+      console.log(`Scene ${decision === 'queue' ? 'queued' : 'dropped'} while ${this.session.state}`);
+      return;
+    }
+
+    if (isNewObject) {
+      this.backgroundSound.start(lead.object, lead.category);
+    }
+
+    // Voices pinned in settings stay with their objects
+    const voices = this.tts.castVoices(scene.objects.map(entry => ({
+      ...entry,
+      voice: this.vision?.getMemory(entry.object)?.voice || null
+    })));
+    const cast = scene.objects.map(entry => ({ ...entry, label: this.getDisplayName(entry.object, entry.emoji) }));
+    this.stage.setCast(cast, voices);
+
+    // Remember everyone in the scene along with what they say (a cached scene already was,
+    // a safety fallback never is)
+    if (!scene.cached && !scene.blocked) {
+      scene.objects.forEach((entry, index) => {
+        const said = scene.dialogue.filter(line => line.speaker === index).map(line => line.response);
+        this.rememberObject({ ...entry, voice: voices[index] }, { said: said.join(' ') || undefined });
+      });
+    }
+
+    this.session.send('speak', { activity: 'dialogue' });
+    const turn = this.session.turn;
+    await this.performDialogue(scene.dialogue);
+    this.session.sendIfCurrent(turn, 'finish');
+  }
+
+  /**
+   * Speak ensemble dialogue through the TTS speaker queue, one actor at a time
+   */
+  async performDialogue(dialogue) {
+    this.voiceInput.pause();
 
-      this.setStatus('idle', 'Ready');
+    try {
+      const lines = dialogue.map(line => {
+        const actor = this.stage.actors[line.speaker];
+        let entry = null;
+        return this.tts.enqueue(line.response, {
+          objectType: actor.object,
+          category: actor.category,
+          voice: actor.voice,
+          mood: line.mood,
+          onStart: () => {
+            this.stage.showLine(line.speaker, line.response, this.getExpression(line.response, line.mood));
+            entry = this.logLine('dialogue', line.response, {
+              object: actor.object,
+              personality: actor.personality,
+              mood: line.mood
+            });
+          }
+        }).then(() => {
+          this.transcript.finish(entry);
+        }).catch(error => {
+          // Keep going - the next object still has its line
+          console.log('Dialogue speech error:', error);
+        });
+      });
+
+      await Promise.all(lines);
+    } finally {
+      this.voiceInput.resume();
+      this.stage.endLine();
     }
   }
 
   /**
    * Display speech in bubble
+   * @param {string} text - What the object says
+   * @param {string|null} mood - Mood reported by the vision model, if any
    */
-  displaySpeech(text) {
+  displaySpeech(text, mood = null) {
+    // Ensemble mode - the lead actor answers in its own bubble
+    if (this.isEnsembleMode() && this.stage.actors.length > 0) {
+      this.stage.showLine(0, text, this.getExpression(text, mood));
+      return;
+    }
+
     this.elements.speechText.textContent = text;
     this.elements.speechBubble.classList.remove('hidden');
 
     // Detect expression from text and personality
-    this.updateExpression(text);
+    this.updateExpression(text, mood);
 
     // Auto-hide after speaking
     setTimeout(() => {
@@ -548,14 +2386,23 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
   }
 
   /**
-   * Update expression based on text and personality
+   * Update expression based on the model's mood, or text and personality
+   */
+  updateExpression(text, mood = null) {
+    this.showExpression(this.getExpression(text, mood));
+  }
+
+  /**
+   * Pick an expression from the model's mood, or text and personality
    */
-  updateExpression(text) {
+  getExpression(text, mood = null) {
     const personality = this.elements.personalitySelect.value;
     let expression = 'happy'; // default
 
-    // Determine expression based on personality
-    if (personality === 'fearful') {
+    // Prefer the mood the model reported
+    if (mood && MOOD_EXPRESSIONS[mood]) {
+      expression = MOOD_EXPRESSIONS[mood];
+    } else if (personality === 'fearful') {
       expression = 'fearful';
     } else if (personality === 'grumpy') {
       expression = 'angry';
@@ -573,7 +2420,7 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
       }
     }
 
-    this.showExpression(expression);
+    return expression;
   }
 
   /**
@@ -586,7 +2433,7 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     }
 
     // Detect object bounds for AR overlay
-    const bounds = this.objectDetector.detectObjectBounds();
+    const bounds = this.getObjectBounds();
 
     // Remove all expression classes
     this.elements.expressionOverlay.classList.remove('happy', 'fearful', 'surprised', 'angry', 'active');
@@ -595,9 +2442,10 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     this.currentExpression = expression;
     this.elements.expressionOverlay.classList.add(expression, 'active');
 
-    // Position eyes on the object
+    // Position eyes and mouth on the object
     if (bounds) {
       this.positionEyesOnObject(bounds);
+      this.positionMouthOnObject(bounds);
     }
 
     // Add particles from object outline
@@ -617,6 +2465,72 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     }, 5000);
   }
 
+  /**
+   * Start tracking the object from the model's normalized bounding box
+   * @param {Object|null} box - {x, y, width, height} in 0-1 image coordinates
+   */
+  updateTrackedObject(box) {
+    const video = this.elements.video;
+    if (!box || !video.videoWidth) {
+      return;
+    }
+
+    const bounds = {
+      x: box.x * video.videoWidth,
+      y: box.y * video.videoHeight,
+      width: box.width * video.videoWidth,
+      height: box.height * video.videoHeight
+    };
+    bounds.centerX = bounds.x + bounds.width / 2;
+    bounds.centerY = bounds.y + bounds.height / 2;
+
+    if (this.tracker.init(bounds)) {
+      this.objectDetector.setBounds(bounds);
+    }
+  }
+
+  /**
+   * Current object bounds: tracked model box when available,
+   * otherwise the Sobel edge detector
+   */
+  getObjectBounds() {
+    if (this.tracker.isTracking) {
+      const tracked = this.tracker.track();
+      if (tracked) {
+        this.objectDetector.setBounds(tracked);
+        return tracked;
+      }
+    }
+
+    if (!this.frames.isOffThread) {
+      return this.objectDetector.detectObjectBounds();
+    }
+
+    // The worker answers a frame or two later - use the last bounds until then
+    this.requestEdgeBounds();
+    return this.objectDetector.objectBounds || this.objectDetector.detectObjectBounds();
+  }
+
+  /**
+   * Ask the frame worker for fresh edge bounds, one pass at a time
+   */
+  requestEdgeBounds() {
+    if (this.boundsPending) return;
+    this.boundsPending = true;
+
+    this.frames.run({ edges: true })
+      .then(result => {
+        // The tracker may have picked the object up in the meantime
+        if (result?.bounds && !this.tracker.isTracking) {
+          this.objectDetector.setBounds(result.bounds);
+        }
+      })
+      .catch(error => console.warn('Edge detection failed:', error))
+      .finally(() => {
+        this.boundsPending = false;
+      });
+  }
+
   /**
    * Position eyes on the detected object
    */
@@ -632,7 +2546,7 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     const eyeX = bounds.centerX;
 
     // Convert to screen coordinates
-    const screenX = (eyeX / this.elements.video.videoWidth) * 100;
+    const screenX = this.toScreenX(eyeX) * 100;
     const screenY = (eyeY / this.elements.video.videoHeight) * 100;
 
     // Position eyes
@@ -640,10 +2554,33 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     eyesContainer.style.left = `${screenX}%`;
 
     // Scale eyes based on object size
+    eyesContainer.style.transform = `translate(-50%, -50%) scale(${this.getFeatureScale(bounds)})`;
+
+    // Gaze is measured from where the eyes sit
+    this.eyeAnimator.setOrigin(this.toScreenX(eyeX), eyeY / this.elements.video.videoHeight);
+  }
+
+  /**
+   * Position the mouth below the eyes on the detected object
+   */
+  positionMouthOnObject(bounds) {
+    const mouth = this.elements.mouth;
+    if (!mouth || !bounds) return;
+
+    // Lower part of the object, same scale as the eyes
+    const mouthY = bounds.y + bounds.height * 0.6;
+    mouth.style.top = `${(mouthY / this.elements.video.videoHeight) * 100}%`;
+    mouth.style.left = `${this.toScreenX(bounds.centerX) * 100}%`;
+    mouth.style.transform = `translate(-50%, -50%) scale(${this.getFeatureScale(bounds)})`;
+  }
+
+  /**
+   * Scale for the eyes and mouth based on object size
+   */
+  getFeatureScale(bounds) {
     const objectSizeRatio = Math.min(bounds.width / this.elements.video.videoWidth,
                                       bounds.height / this.elements.video.videoHeight);
-    const scale = Math.max(0.5, Math.min(1.5, objectSizeRatio * 2));
-    eyesContainer.style.transform = `translate(-50%, -50%) scale(${scale})`;
+    return Math.max(0.5, Math.min(1.5, objectSizeRatio * 2));
   }
 
   /**
@@ -677,14 +2614,14 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
 
       if (outlinePoints.length > 0) {
         const point = outlinePoints[i % outlinePoints.length];
-        particleX = (point.x / this.elements.video.videoWidth) * 100;
+        particleX = this.toScreenX(point.x) * 100;
         particleY = (point.y / this.elements.video.videoHeight) * 100;
       } else {
         // Fallback: spawn around object perimeter
         const angle = (i / count) * Math.PI * 2;
         const x = bounds.centerX + Math.cos(angle) * (bounds.width / 2);
         const y = bounds.centerY + Math.sin(angle) * (bounds.height / 2);
-        particleX = (x / this.elements.video.videoWidth) * 100;
+        particleX = this.toScreenX(x) * 100;
         particleY = (y / this.elements.video.videoHeight) * 100;
       }
 
@@ -703,9 +2640,10 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
   }
 
   /**
-   * Set status indicator
+   * Show the session state in the status indicator
    */
-  setStatus(status, text) {
+  setStatus() {
+    const { status, text } = this.session.getStatus();
     this.elements.statusIndicator.className = `status-${status}`;
     this.elements.statusText.textContent = text;
   }
@@ -731,11 +2669,14 @@ Format: Just the response text, nothing else. Stay in character as the object.`;
     this.elements.stopBtn.classList.add('hidden');
     this.elements.objectLabel.classList.add('hidden');
     this.elements.speechBubble.classList.add('hidden');
+    this.elements.userBubble.classList.add('hidden');
     this.elements.volumeControl.classList.add('hidden');
     this.elements.reactionButtons.classList.add('hidden');
+    this.elements.recordButtons.classList.add('hidden');
     this.elements.expressionOverlay.classList.remove('active', 'happy', 'fearful', 'surprised', 'angry');
     this.elements.expressionParticles.innerHTML = '';
-    this.setStatus('idle', 'Ready');
+    this.stage.clear();
+    this.setStatus();
   }
 }
 
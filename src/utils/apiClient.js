@@ -0,0 +1,155 @@
+/**
+ * API Client - Talks to the local backend proxy that holds the API keys
+ * Failures are thrown as ModelErrors (see errors.js)
+ */
+
+import { ERROR_TYPES, ModelError, classifyError, createRequestSignal, errorFromCode, errorFromResponse } from './errors.js';
+
+export const API_BASE = '/api';
+
+/**
+ * POST JSON to a backend endpoint and return the parsed JSON reply
+ * Quota and rate limit errors carry a retryAfter (seconds)
+ * @param {string} path - Endpoint path, e.g. '/analyze'
+ * @param {Object} body - Request payload
+ * @param {Object} options - { signal to cancel, timeout in ms (0 = none) }
+ */
+export async function postJson(path, body, { signal = null, timeout = 0 } = {}) {
+  const request = createRequestSignal(signal, timeout);
+
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: request.signal
+    });
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Non-JSON body (e.g. proxy error page)
+    }
+
+    if (!response.ok) {
+      throw toApiError(response, data);
+    }
+    if (!data) {
+      throw new ModelError(ERROR_TYPES.MALFORMED, 'Server reply was not JSON');
+    }
+
+    return data;
+  } catch (error) {
+    throw toRequestError(error, request.signal);
+  } finally {
+    request.done();
+  }
+}
+
+/**
+ * POST JSON to a streaming endpoint and read its NDJSON reply as it arrives
+ * Errors before the stream starts are thrown like postJson's
+ * @param {string} path - Endpoint path, e.g. '/analyze/stream'
+ * @param {Object} body - Request payload
+ * @param {Function} onText - Called with each chunk of text
+ * @param {Function|null} onUsage - Called with the token counts the server reports at the end
+ * @param {Object} options - { signal, timeout } like postJson's; the timeout covers the whole stream
+ * @returns {Promise<string>} The whole text
+ */
+export async function postStream(path, body, onText, onUsage = null, { signal = null, timeout = 0 } = {}) {
+  const request = createRequestSignal(signal, timeout);
+
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      let data = null;
+      try {
+        data = await response.json();
+      } catch (error) {
+        // Non-JSON body (e.g. proxy error page)
+      }
+      throw toApiError(response, data);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let text = '';
+
+    // One JSON message per line; a chunk may end halfway through a line
+    const readLine = (line) => {
+      if (!line.trim()) return;
+      const message = JSON.parse(line);
+      if (message.error) {
+        throw errorFromCode(message.error);
+      }
+      if (message.text) {
+        text += message.text;
+        onText(message.text);
+      }
+      if (message.usage) {
+        onUsage?.(message.usage);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Stop reading as soon as the request is cancelled
+      if (request.signal.aborted) {
+        reader.cancel().catch(() => {});
+        break;
+      }
+
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(readLine);
+    }
+    if (request.signal.aborted) {
+      throw request.signal.reason;
+    }
+    readLine(buffered + decoder.decode());
+
+    return text;
+  } catch (error) {
+    throw toRequestError(error, request.signal);
+  } finally {
+    request.done();
+  }
+}
+
+/**
+ * Turn an error reply into a ModelError
+ */
+function toApiError(response, data) {
+  const retryAfter = data?.retryAfter || parseInt(response.headers.get('Retry-After')) || null;
+  return errorFromResponse(response.status, data?.error || null, retryAfter);
+}
+
+/**
+ * Report a cancelled or timed-out request as such, whatever fetch threw
+ */
+function toRequestError(error, signal) {
+  return classifyError(signal.aborted ? signal.reason : error);
+}
+
+/**
+ * Ask the backend which services have keys configured
+ * @returns {Promise<{gemini: boolean, elevenLabs: boolean}>}
+ */
+export async function getServerStatus() {
+  const response = await fetch(`${API_BASE}/status`);
+  if (!response.ok) {
+    throw new Error(`Server status check failed: ${response.status}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,254 @@
+/**
+ * Audio Cache - Keeps synthesized speech so repeated lines don't cost TTS quota
+ * Audio is stored in IndexedDB keyed by provider, voice, model, voice settings and
+ * the cleaned text, evicting the least recently used clips past the size limits.
+ * Falls back to memory when IndexedDB is unavailable (private browsing, tests).
+ */
+
+const DB_NAME = 'talking-objects-audio';
+const DB_VERSION = 1;
+const STORE_NAME = 'clips';
+
+/**
+ * Build the cache key for one synthesized line
+ * @param {Object} request - { provider, text, voiceId, modelId, voiceSettings }
+ * @returns {string}
+ */
+export function getAudioKey({ provider = 'elevenlabs', text, voiceId, modelId, voiceSettings = {} }) {
+  // Sorted so the same settings always give the same key
+  const settings = Object.keys(voiceSettings).sort()
+    .map(name => `${name}=${voiceSettings[name]}`)
+    .join(',');
+  return [provider, voiceId, modelId, settings, text.trim()].join('|');
+}
+
+/**
+ * Human-readable byte count for the stats view
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export class AudioCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.maxBytes = options.maxBytes || 20 * 1024 * 1024; // 20 MB
+    this.db = null;
+    this.fallback = new Map(); // Used when IndexedDB can't be opened
+    this.ready = null;
+    this.onChange = null; // (cache) => void
+
+    // Since page load
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Open the database (safe to call more than once)
+   * @returns {Promise<boolean>} True if IndexedDB is in use
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.openDatabase()
+        .then(db => {
+          this.db = db;
+          return true;
+        })
+        .catch(error => {
+          console.warn('Audio cache not persisted - IndexedDB unavailable:', error);
+          return false;
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Open IndexedDB and create the clip store on first run
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Look up a clip, counting the hit or miss
+   * @param {string} key - From getAudioKey()
+   * @returns {Promise<Blob|null>}
+   */
+  async get(key) {
+    const record = await this.read(key);
+    if (!record) {
+      this.misses++;
+      this.notify();
+      return null;
+    }
+
+    this.hits++;
+    record.lastUsed = Date.now();
+    record.hits++;
+    await this.write(record);
+    this.notify();
+    return record.blob;
+  }
+
+  /**
+   * Check for a clip without touching stats or recency
+   */
+  async has(key) {
+    return !!(await this.read(key));
+  }
+
+  /**
+   * Store a clip, then evict old ones past the limits
+   * @param {string} key - From getAudioKey()
+   * @param {Blob} blob - Encoded audio
+   * @param {string} text - The line, for the stats view
+   */
+  async put(key, blob, text = '') {
+    if (!blob || blob.size === 0 || blob.size > this.maxBytes) return;
+
+    const now = Date.now();
+    await this.write({ key, blob, text, size: blob.size, hits: 0, createdAt: now, lastUsed: now });
+    await this.evict();
+    this.notify();
+  }
+
+  /**
+   * Drop least recently used clips until the cache fits its limits
+   */
+  async evict() {
+    const records = (await this.list()).sort((a, b) => a.lastUsed - b.lastUsed);
+    let bytes = records.reduce((total, record) => total + record.size, 0);
+    let count = records.length;
+
+    for (const record of records) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      await this.delete(record.key);
+      bytes -= record.size;
+      count--;
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Hit/miss counts since page load plus what is stored
+   * @returns {Promise<{hits: number, misses: number, hitRate: number|null,
+   *   evictions: number, entries: number, bytes: number, persistent: boolean}>}
+   */
+  async getStats() {
+    const persistent = await this.init();
+    const records = await this.list();
+    const lookups = this.hits + this.misses;
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : null,
+      evictions: this.evictions,
+      entries: records.length,
+      bytes: records.reduce((total, record) => total + record.size, 0),
+      persistent
+    };
+  }
+
+  /**
+   * Forget every clip and reset the stats
+   */
+  async clear() {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.clear(), 'readwrite');
+    } else {
+      this.fallback.clear();
+    }
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.notify();
+  }
+
+  /**
+   * Tell the UI something changed
+   */
+  notify() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * All stored records
+   */
+  async list() {
+    await this.init();
+    if (this.db) {
+      return this.request(store => store.getAll());
+    }
+    return [...this.fallback.values()];
+  }
+
+  /**
+   * Read one record by key
+   */
+  async read(key) {
+    await this.init();
+    if (this.db) {
+      return (await this.request(store => store.get(key))) || null;
+    }
+    return this.fallback.get(key) || null;
+  }
+
+  /**
+   * Write one record
+   */
+  async write(record) {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.put(record), 'readwrite');
+    } else {
+      this.fallback.set(record.key, record);
+    }
+  }
+
+  /**
+   * Delete one record
+   */
+  async delete(key) {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.delete(key), 'readwrite');
+    } else {
+      this.fallback.delete(key);
+    }
+  }
+
+  /**
+   * Run a single IndexedDB request in its own transaction
+   */
+  request(operation, mode = 'readonly') {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
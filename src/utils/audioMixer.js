@@ -0,0 +1,96 @@
+/**
+ * Audio Mixer - One AudioContext shared by everything that makes sound
+ * TTS audio and background sounds connect to the mixer output, which feeds
+ * both the speakers and a MediaStream the clip recorder can capture.
+ */
+
+export class AudioMixer {
+  constructor() {
+    this.context = null;
+    this.output = null; // Master gain everything connects to
+    this.recordingDestination = null;
+    this.mediaSources = new WeakMap(); // <audio> element → MediaElementSourceNode
+    this.analysers = new WeakMap(); // <audio> element → AnalyserNode (lip sync)
+  }
+
+  /**
+   * Get (creating on first use) the shared AudioContext
+   * @returns {AudioContext|null} Null if Web Audio isn't supported
+   */
+  getContext() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) {
+        return null;
+      }
+
+      this.context = new AudioContext();
+      this.output = this.context.createGain();
+      this.output.connect(this.context.destination);
+    }
+    return this.context;
+  }
+
+  /**
+   * Node that sources connect to instead of context.destination
+   */
+  getOutput() {
+    this.getContext();
+    return this.output;
+  }
+
+  /**
+   * Route an <audio> element through the mixer so it can be recorded
+   * Each element can only be wrapped once, so the source is remembered
+   */
+  connectMediaElement(element) {
+    const context = this.getContext();
+    if (!context || this.mediaSources.has(element)) return;
+
+    try {
+      const source = context.createMediaElementSource(element);
+      source.connect(this.output);
+      this.mediaSources.set(element, source);
+    } catch (error) {
+      console.warn('Could not route audio element through mixer:', error);
+    }
+  }
+
+  /**
+   * Analyser on one <audio> element only (not the background sounds)
+   * @returns {AnalyserNode|null} Null if the element isn't routed through the mixer
+   */
+  getAnalyser(element) {
+    const source = this.mediaSources.get(element);
+    if (!source) return null;
+
+    if (!this.analysers.has(element)) {
+      const analyser = this.context.createAnalyser();
+      analyser.fftSize = 512;
+      analyser.smoothingTimeConstant = 0.5;
+      source.connect(analyser);
+      this.analysers.set(element, analyser);
+    }
+    return this.analysers.get(element);
+  }
+
+  /**
+   * Stream of everything the app plays, for MediaRecorder
+   * @returns {MediaStream|null}
+   */
+  getRecordingStream() {
+    const context = this.getContext();
+    if (!context || !context.createMediaStreamDestination) {
+      return null;
+    }
+
+    if (!this.recordingDestination) {
+      this.recordingDestination = context.createMediaStreamDestination();
+      this.output.connect(this.recordingDestination);
+    }
+    return this.recordingDestination.stream;
+  }
+}
+
+// Shared by TextToSpeech, BackgroundSoundManager and ClipRecorder
+export const audioMixer = new AudioMixer();
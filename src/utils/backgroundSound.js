@@ -2,6 +2,8 @@
  * Background Sound Manager - Adds ambient sounds based on object type
  */
 
+import { audioMixer } from './audioMixer.js';
+
 export class BackgroundSoundManager {
   constructor() {
     this.currentSound = null;
@@ -27,9 +29,10 @@ export class BackgroundSoundManager {
    */
   init() {
     if (!this.audioContext) {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      // Shared context so clip recordings pick up the ambience
+      this.audioContext = audioMixer.getContext();
       this.gainNode = this.audioContext.createGain();
-      this.gainNode.connect(this.audioContext.destination);
+      this.gainNode.connect(audioMixer.getOutput());
       this.gainNode.gain.value = 0;
     }
   }
@@ -37,13 +40,13 @@ export class BackgroundSoundManager {
   /**
    * Start background sound for an object type
    */
-  start(objectType = '') {
+  start(objectType = '', category = null) {
     if (!this.isEnabled) return;
 
     this.init();
     this.stop(); // Stop current sound
 
-    const profile = this.getProfileForObject(objectType);
+    const profile = this.getProfileForObject(objectType, category);
 
     // Create oscillator
     this.oscillator = this.audioContext.createOscillator();
@@ -90,8 +93,22 @@ export class BackgroundSoundManager {
 
   /**
    * Get sound profile for object type
+   * @param {string} objectType - Object name
+   * @param {string|null} category - Object category from the vision model, if known
    */
-  getProfileForObject(objectType) {
+  getProfileForObject(objectType, category = null) {
+    const categoryProfiles = {
+      electronic: 'electronic',
+      mechanical: 'mechanical',
+      tool: 'mechanical',
+      vehicle: 'mechanical',
+      nature: 'nature',
+      food: 'nature'
+    };
+    if (category && categoryProfiles[category]) {
+      return this.soundProfiles[categoryProfiles[category]];
+    }
+
     const type = objectType.toLowerCase();
 
     // Electronic devices
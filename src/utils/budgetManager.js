@@ -0,0 +1,243 @@
+/**
+ * Budget Manager - Daily usage and caps for every paid provider
+ * Counts requests, tokens and TTS characters per provider per day, honours
+ * Retry-After pauses from the server, and tells the app how far to back off
+ * as a budget runs low. Usage and caps are saved in localStorage.
+ */
+
+const USAGE_KEY = 'budgetUsage';
+const CAPS_KEY = 'budgetCaps';
+
+export const BUDGET_METRICS = ['requests', 'tokens', 'characters'];
+
+// 0 = no cap. Gemini's free tier allows about 50 image requests a day;
+// ElevenLabs' free tier is 10,000 characters a month, so spend it a few days at a time
+export const DEFAULT_CAPS = {
+  gemini: { requests: 50, tokens: 0 },
+  elevenlabs: { characters: 2000 }
+};
+
+// Share of a cap after which the app starts saving
+export const LOW_BUDGET = 0.8;
+
+// Pause for quota errors that don't say when to retry, in seconds
+const DEFAULT_PAUSE = 600;
+
+/**
+ * Local calendar day, e.g. "2025-01-31" (budgets reset at local midnight)
+ */
+export function getDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Empty usage counters
+ */
+function emptyUsage() {
+  return Object.fromEntries(BUDGET_METRICS.map(metric => [metric, 0]));
+}
+
+export class BudgetManager {
+  constructor() {
+    this.day = getDayKey();
+    this.usage = {}; // Provider → { requests, tokens, characters } today
+    this.pausedUntil = {}; // Provider → timestamp from Retry-After
+    this.caps = {}; // Provider → { metric: daily cap }
+    this.onChange = null; // (budget) => void
+    this.load();
+  }
+
+  /**
+   * Load today's usage and the saved caps
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(USAGE_KEY) || '{}');
+      // Yesterday's usage doesn't count; pauses may still be running
+      this.usage = saved.day === this.day ? saved.usage || {} : {};
+      this.pausedUntil = saved.pausedUntil || {};
+    } catch (error) {
+      console.warn('Could not load budget usage:', error);
+      this.usage = {};
+      this.pausedUntil = {};
+    }
+
+    try {
+      const caps = JSON.parse(localStorage.getItem(CAPS_KEY) || '{}');
+      this.caps = {};
+      Object.keys({ ...DEFAULT_CAPS, ...caps }).forEach(provider => {
+        this.caps[provider] = { ...DEFAULT_CAPS[provider], ...caps[provider] };
+      });
+    } catch (error) {
+      console.warn('Could not load budget caps:', error);
+      this.caps = structuredClone(DEFAULT_CAPS);
+    }
+  }
+
+  /**
+   * Save usage and pauses
+   */
+  save() {
+    localStorage.setItem(USAGE_KEY, JSON.stringify({
+      day: this.day,
+      usage: this.usage,
+      pausedUntil: this.pausedUntil
+    }));
+  }
+
+  /**
+   * Start counting from zero when the day changes
+   */
+  rollover() {
+    const day = getDayKey();
+    if (day !== this.day) {
+      this.day = day;
+      this.usage = {};
+      this.save();
+    }
+  }
+
+  /**
+   * Count what a call used
+   * @param {string} provider - e.g. 'gemini', 'elevenlabs'
+   * @param {Object} usage - { requests, tokens, characters }
+   */
+  record(provider, usage = {}) {
+    this.rollover();
+    const counters = this.usage[provider] || (this.usage[provider] = emptyUsage());
+    BUDGET_METRICS.forEach(metric => {
+      counters[metric] += usage[metric] || 0;
+    });
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Today's counters for a provider
+   */
+  getUsage(provider) {
+    this.rollover();
+    return { ...emptyUsage(), ...this.usage[provider] };
+  }
+
+  /**
+   * Daily caps for a provider (0 = no cap)
+   */
+  getCaps(provider) {
+    return { ...this.caps[provider] };
+  }
+
+  /**
+   * Change daily caps
+   * @param {string} provider - Provider name
+   * @param {Object} caps - { metric: cap }, 0 to remove a cap
+   */
+  setCaps(provider, caps) {
+    this.caps[provider] = { ...this.caps[provider] };
+    Object.entries(caps).forEach(([metric, cap]) => {
+      if (BUDGET_METRICS.includes(metric)) {
+        this.caps[provider][metric] = Math.max(0, Math.floor(cap) || 0);
+      }
+    });
+    localStorage.setItem(CAPS_KEY, JSON.stringify(this.caps));
+    this.notify();
+  }
+
+  /**
+   * How much of the tightest cap is used, from 0 to 1 (0 when nothing is capped)
+   */
+  getFraction(provider) {
+    const usage = this.getUsage(provider);
+    const caps = this.caps[provider] || {};
+    return Math.max(0, ...Object.entries(caps)
+      .filter(([, cap]) => cap > 0)
+      .map(([metric, cap]) => Math.min(1, usage[metric] / cap)));
+  }
+
+  /**
+   * Stop using a provider for a while (quota or rate limit errors)
+   * @param {string} provider - Provider name
+   * @param {number} retryAfter - Seconds, from the server's Retry-After when it sent one
+   */
+  pause(provider, retryAfter = DEFAULT_PAUSE) {
+    this.pausedUntil[provider] = Date.now() + (retryAfter || DEFAULT_PAUSE) * 1000;
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Seconds until a paused provider may be tried again (0 if not paused)
+   */
+  getRetryAfter(provider) {
+    const until = this.pausedUntil[provider] || 0;
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+  }
+
+  /**
+   * 'ok', 'low' (past LOW_BUDGET), 'exhausted' (a cap is reached) or 'paused' (Retry-After)
+   */
+  getLevel(provider) {
+    if (this.getRetryAfter(provider) > 0) return 'paused';
+
+    const fraction = this.getFraction(provider);
+    if (fraction >= 1) return 'exhausted';
+    if (fraction >= LOW_BUDGET) return 'low';
+    return 'ok';
+  }
+
+  /**
+   * Can a provider be called right now?
+   */
+  canUse(provider) {
+    const level = this.getLevel(provider);
+    return level === 'ok' || level === 'low';
+  }
+
+  /**
+   * How much longer to wait between calls: 1 normally, rising to 4 as the
+   * last part of the budget is used up
+   */
+  getSlowdown(provider) {
+    const fraction = this.getFraction(provider);
+    if (fraction < LOW_BUDGET) return 1;
+    return 1 + 3 * Math.min(1, (fraction - LOW_BUDGET) / (1 - LOW_BUDGET));
+  }
+
+  /**
+   * Usage, caps and level for each provider that is capped or has been used today
+   * @returns {Array<{provider: string, usage: Object, caps: Object, fraction: number,
+   *   level: string, retryAfter: number}>}
+   */
+  getSummary() {
+    this.rollover();
+    const providers = [...new Set([...Object.keys(this.caps), ...Object.keys(this.usage)])];
+    return providers.map(provider => ({
+      provider,
+      usage: this.getUsage(provider),
+      caps: this.getCaps(provider),
+      fraction: this.getFraction(provider),
+      level: this.getLevel(provider),
+      retryAfter: this.getRetryAfter(provider)
+    }));
+  }
+
+  /**
+   * Forget today's usage and any pauses (caps are kept)
+   */
+  reset() {
+    this.usage = {};
+    this.pausedUntil = {};
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Tell the UI something changed
+   */
+  notify() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
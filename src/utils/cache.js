@@ -1,148 +1,457 @@
 /**
  * Smart Caching System - Minimize API calls
+ * ResponseCache keeps analysis results in two tiers: a small in-memory LRU for
+ * the current session and IndexedDB behind it, so they survive reloads (memory
+ * only when IndexedDB is unavailable). Entries are keyed by the object, a scene
+ * signature (perceptual hash) and the settings that shaped the reply, and every
+ * line is also kept in a per-object pool the app can speak from when offline.
  */
 
+import { hammingDistance, hashSimilarity } from './perceptualHash.js';
+import { getObjectId } from './objectMemory.js';
+
+const DB_NAME = 'talking-objects-responses';
+const DB_VERSION = 1;
+const RESPONSE_STORE = 'responses';
+const LINE_STORE = 'lines';
+
+/**
+ * Objects a result is about ("coffee mug", or "coffee mug+plant" for a scene)
+ */
+export function getResultObjectId(data) {
+  const objects = data?.objects || (data?.object ? [data] : []);
+  return objects.map(entry => getObjectId(entry.object)).filter(Boolean).join('+');
+}
+
+/**
+ * Cache key for one stored result
+ * @param {Object} entry - { context, objectId, signature }
+ */
+export function getResponseKey({ context = '', objectId = '', signature }) {
+  return [context, objectId, signature].join('|');
+}
+
+/**
+ * Approximate stored size of a result in bytes
+ */
+function measure(data) {
+  return new TextEncoder().encode(JSON.stringify(data ?? null)).length;
+}
+
 export class ResponseCache {
-  constructor(maxSize = 20, ttl = 300000) { // 5 minutes TTL
-    this.cache = new Map();
-    this.maxSize = maxSize;
-    this.ttl = ttl; // Time to live in milliseconds
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Results kept in IndexedDB
+   * @param {number} options.maxBytes - Size limit for stored results
+   * @param {number} options.memoryEntries - Results kept in the in-memory tier
+   * @param {number} options.ttl - How long a result may be reused, in milliseconds
+   * @param {number} options.maxDistance - Hash bits two frames may differ by and
+   *   still share a cached result (0 = exact matches only)
+   * @param {number} options.maxPoolLines - Lines kept per object for offline use
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.maxBytes = options.maxBytes || 2 * 1024 * 1024; // 2 MB
+    this.memoryEntries = options.memoryEntries || 20;
+    this.ttl = options.ttl || 30 * 60 * 1000; // 30 minutes
+    this.maxDistance = options.maxDistance ?? 6;
+    this.maxPoolLines = options.maxPoolLines || 12;
+    this.memory = new Map(); // Hot tier, least recently used first
+    this.db = null;
+    this.fallback = { [RESPONSE_STORE]: new Map(), [LINE_STORE]: new Map() }; // Used when IndexedDB can't be opened
+    this.ready = null;
+    this.onChange = null; // (cache) => void
+
+    // Since page load
+    this.hits = 0;
+    this.memoryHits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.pooledServed = 0;
   }
 
   /**
-   * Generate cache key from image data
-   * Uses a simple hash of image data
+   * Open the database (safe to call more than once)
+   * @returns {Promise<boolean>} True if IndexedDB is in use
    */
-  generateKey(imageData) {
-    // Take samples from different parts of the image
-    const samples = [
-      imageData.slice(100, 120),
-      imageData.slice(1000, 1020),
-      imageData.slice(5000, 5020),
-      imageData.slice(10000, 10020)
-    ].join('');
-
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < samples.length; i++) {
-      const char = samples.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  init() {
+    if (!this.ready) {
+      this.ready = this.openDatabase()
+        .then(db => {
+          this.db = db;
+          return true;
+        })
+        .catch(error => {
+          console.warn('Response cache not persisted - IndexedDB unavailable:', error);
+          return false;
+        });
     }
-
-    return hash.toString(36);
+    return this.ready;
   }
 
   /**
-   * Get cached response if available and not expired
+   * Open IndexedDB and create the stores on first run
    */
-  get(imageData) {
-    const key = this.generateKey(imageData);
-    const cached = this.cache.get(key);
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESPONSE_STORE)) {
+          db.createObjectStore(RESPONSE_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(LINE_STORE)) {
+          db.createObjectStore(LINE_STORE, { keyPath: 'objectId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-    if (!cached) {
+  /**
+   * Find a stored result for a scene that looks like this one
+   * Checks the memory tier first, then IndexedDB, and prefers the closest
+   * signature. When the object in view is known only its results (or scenes it
+   * is in) are served, so a similar-looking frame never speaks as another object.
+   * @param {Object} query
+   * @param {string} query.signature - Perceptual hash of the frame (perceptualHash.js)
+   * @param {string} query.context - Settings the result depends on (mode, personality, model)
+   * @param {string} query.object - Object currently in view, if known
+   * @returns {Promise<Object|null>}
+   */
+  async get({ signature, context = '', object = null } = {}) {
+    if (!signature) {
       return null;
     }
 
-    // Check if expired
-    const age = Date.now() - cached.timestamp;
-    if (age > this.ttl) {
-      this.cache.delete(key);
+    const objectId = getObjectId(object);
+    let record = this.findClosest(this.memory.values(), signature, context, objectId);
+    const fromMemory = !!record;
+    if (!record) {
+      record = this.findClosest(await this.list(RESPONSE_STORE), signature, context, objectId);
+    }
+
+    if (!record) {
+      this.misses++;
+      this.notify();
       return null;
     }
 
-    return cached.data;
+    this.hits++;
+    if (fromMemory) this.memoryHits++;
+    record.lastUsed = Date.now();
+    record.hits++;
+    this.remember(record);
+    await this.write(RESPONSE_STORE, record);
+    this.notify();
+    return record.data;
   }
 
   /**
-   * Store response in cache
+   * Closest unexpired record within maxDistance
    */
-  set(imageData, data) {
-    const key = this.generateKey(imageData);
+  findClosest(records, signature, context, objectId) {
+    const now = Date.now();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const record of records) {
+      if (record.context !== context || now - record.createdAt > this.ttl) continue;
+      if (objectId && !record.objectId.split('+').includes(objectId)) continue;
 
-    // Implement LRU: Remove oldest if cache is full
-    if (this.cache.size >= this.maxSize) {
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
+      const distance = hammingDistance(signature, record.signature);
+      if (distance <= this.maxDistance && distance < bestDistance) {
+        best = record;
+        bestDistance = distance;
+      }
     }
+    return best;
+  }
 
-    this.cache.set(key, {
+  /**
+   * Store a result and add its lines to the object's pool
+   * @param {Object} entry
+   * @param {string} entry.signature - Perceptual hash of the frame
+   * @param {string} entry.context - Same context the result will be looked up with
+   * @param {Object} data - analyzeAndRespond() result or analyzeScene() scene
+   */
+  async set({ signature, context = '' } = {}, data) {
+    if (!signature || !data) {
+      return;
+    }
+
+    const now = Date.now();
+    const objectId = getResultObjectId(data);
+    const record = {
+      key: getResponseKey({ context, objectId, signature }),
+      context,
+      objectId,
+      signature,
       data,
-      timestamp: Date.now()
-    });
+      size: measure(data),
+      hits: 0,
+      createdAt: now,
+      lastUsed: now
+    };
+    if (record.size > this.maxBytes) return;
+
+    this.remember(record);
+    await this.write(RESPONSE_STORE, record);
+    await this.evict();
+    await this.addToPool(data);
+    this.notify();
+  }
+
+  /**
+   * Put a record at the recent end of the memory tier
+   */
+  remember(record) {
+    this.memory.delete(record.key);
+    this.memory.set(record.key, record);
+
+    // The persistent tier still has whatever falls out here
+    while (this.memory.size > this.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
   }
 
   /**
-   * Clear cache
+   * Drop least recently used results until the store fits its limits
    */
-  clear() {
-    this.cache.clear();
+  async evict() {
+    const records = (await this.list(RESPONSE_STORE)).sort((a, b) => a.lastUsed - b.lastUsed);
+    let bytes = records.reduce((total, record) => total + record.size, 0);
+    let count = records.length;
+
+    for (const record of records) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      await this.delete(RESPONSE_STORE, record.key);
+      this.memory.delete(record.key);
+      bytes -= record.size;
+      count--;
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Keep each object's lines for when no new ones can be generated
+   */
+  async addToPool(data) {
+    const entries = data.objects
+      ? data.objects.map((entry, index) => ({
+        ...entry,
+        lines: data.dialogue
+          .filter(line => line.speaker === index)
+          .map(line => ({ response: line.response, mood: line.mood || 'neutral' }))
+      }))
+      : [{ ...data, lines: [{ response: data.response, mood: data.mood || 'neutral' }] }];
+
+    for (const entry of entries) {
+      const objectId = getObjectId(entry.object);
+      const lines = entry.lines.filter(line => line.response);
+      if (!objectId || lines.length === 0) continue;
+
+      const pool = (await this.read(LINE_STORE, objectId)) || { objectId, lines: [] };
+      pool.object = entry.object;
+      pool.emoji = entry.emoji || pool.emoji || null;
+      pool.category = entry.category || pool.category || 'other';
+      pool.updatedAt = Date.now();
+
+      lines.forEach(line => {
+        if (!pool.lines.some(pooled => pooled.response === line.response)) {
+          pool.lines.push({ ...line, served: 0, lastServed: 0 });
+        }
+      });
+      pool.lines = pool.lines.slice(-this.maxPoolLines);
+      await this.write(LINE_STORE, pool);
+    }
   }
 
   /**
-   * Get cache statistics
+   * A stored line for a known object, least used first, for offline or
+   * quota-paused sessions
+   * @param {string|null} object - Object to speak as, or null for the most recent one
+   * @returns {Promise<Object|null>} Result shaped like analyzeAndRespond(), with pooled: true
    */
-  getStats() {
+  async takePooledLine(object = null) {
+    const objectId = getObjectId(object);
+    const pool = objectId
+      ? await this.read(LINE_STORE, objectId)
+      : (await this.list(LINE_STORE)).sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    if (!pool || pool.lines.length === 0) {
+      return null;
+    }
+
+    // Rotate through the pool so the same line doesn't come back every time
+    const line = [...pool.lines].sort((a, b) => a.served - b.served || a.lastServed - b.lastServed)[0];
+    line.served++;
+    line.lastServed = Date.now();
+    await this.write(LINE_STORE, pool);
+
+    this.pooledServed++;
+    this.notify();
     return {
-      size: this.cache.size,
-      maxSize: this.maxSize,
-      ttl: this.ttl
+      object: pool.object,
+      emoji: pool.emoji,
+      category: pool.category,
+      response: line.response,
+      mood: line.mood,
+      boundingBox: null,
+      pooled: true
     };
   }
-}
 
-/**
- * Frame Similarity Detector - Skip similar frames
- */
-export class FrameSimilarityDetector {
-  constructor(threshold = 0.92) {
-    this.previousFrameHash = null;
-    this.threshold = threshold; // 92% similarity = skip
+  /**
+   * Lookup counts since page load plus what is stored
+   * @returns {Promise<{hits: number, memoryHits: number, misses: number, hitRate: number|null,
+   *   evictions: number, entries: number, memoryEntries: number, bytes: number,
+   *   pooledObjects: number, pooledLines: number, pooledServed: number, persistent: boolean}>}
+   */
+  async getStats() {
+    const persistent = await this.init();
+    const records = await this.list(RESPONSE_STORE);
+    const pools = await this.list(LINE_STORE);
+    const lookups = this.hits + this.misses;
+
+    return {
+      hits: this.hits,
+      memoryHits: this.memoryHits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : null,
+      evictions: this.evictions,
+      entries: records.length,
+      memoryEntries: this.memory.size,
+      bytes: records.reduce((total, record) => total + record.size, 0),
+      pooledObjects: pools.length,
+      pooledLines: pools.reduce((total, pool) => total + pool.lines.length, 0),
+      pooledServed: this.pooledServed,
+      persistent
+    };
   }
 
   /**
-   * Calculate perceptual hash of frame
+   * Forget every result and pooled line and reset the stats
    */
-  calculateHash(imageData) {
-    // Extract base64 data
-    const base64 = imageData.split(',')[1];
+  async clear() {
+    await this.init();
+    for (const store of [RESPONSE_STORE, LINE_STORE]) {
+      if (this.db) {
+        await this.request(store, objectStore => objectStore.clear(), 'readwrite');
+      } else {
+        this.fallback[store].clear();
+      }
+    }
+    this.memory.clear();
+
+    this.hits = 0;
+    this.memoryHits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.pooledServed = 0;
+    this.notify();
+  }
 
-    // Sample every Nth character for speed
-    const step = Math.floor(base64.length / 100);
-    let hash = '';
+  /**
+   * Tell the UI something changed
+   */
+  notify() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
 
-    for (let i = 0; i < base64.length; i += step) {
-      hash += base64[i];
+  /**
+   * All records in a store
+   */
+  async list(store) {
+    await this.init();
+    if (this.db) {
+      return this.request(store, objectStore => objectStore.getAll());
     }
+    return [...this.fallback[store].values()];
+  }
 
-    return hash;
+  /**
+   * Read one record by key
+   */
+  async read(store, key) {
+    await this.init();
+    if (this.db) {
+      return (await this.request(store, objectStore => objectStore.get(key))) || null;
+    }
+    return this.fallback[store].get(key) || null;
   }
 
   /**
-   * Calculate similarity between two hashes
+   * Write one record
    */
-  calculateSimilarity(hash1, hash2) {
-    if (!hash1 || !hash2 || hash1.length !== hash2.length) {
-      return 0;
+  async write(store, record) {
+    await this.init();
+    if (this.db) {
+      await this.request(store, objectStore => objectStore.put(record), 'readwrite');
+    } else {
+      this.fallback[store].set(record.key ?? record.objectId, record);
     }
+  }
 
-    let matches = 0;
-    for (let i = 0; i < hash1.length; i++) {
-      if (hash1[i] === hash2[i]) {
-        matches++;
-      }
+  /**
+   * Delete one record
+   */
+  async delete(store, key) {
+    await this.init();
+    if (this.db) {
+      await this.request(store, objectStore => objectStore.delete(key), 'readwrite');
+    } else {
+      this.fallback[store].delete(key);
     }
+  }
+
+  /**
+   * Run a single IndexedDB request in its own transaction
+   */
+  request(store, operation, mode = 'readonly') {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(store, mode);
+      const request = operation(transaction.objectStore(store));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Frame Similarity Detector - Skip similar frames
+ * Compares perceptual hashes, so camera noise and JPEG artifacts don't count as change
+ */
+export class FrameSimilarityDetector {
+  /**
+   * @param {number} threshold - Share of hash bits that must match to skip a
+   *   frame (0.92 = at most 5 of 64 bits differ)
+   */
+  constructor(threshold = 0.92) {
+    this.previousFrameHash = null;
+    this.threshold = threshold; // 92% similarity = skip
+  }
 
-    return matches / hash1.length;
+  /**
+   * Calculate similarity between two hashes
+   */
+  calculateSimilarity(hash1, hash2) {
+    return hashSimilarity(hash1, hash2);
   }
 
   /**
    * Check if frame is similar to previous frame
    * Returns false if frame is different enough to analyze
+   * @param {string} currentHash - Perceptual hash of the frame
    */
-  isSimilar(imageData) {
-    const currentHash = this.calculateHash(imageData);
-
+  isSimilar(currentHash) {
     if (!this.previousFrameHash) {
       this.previousFrameHash = currentHash;
       return false; // First frame, not similar
@@ -150,15 +459,9 @@ export class FrameSimilarityDetector {
 
     const similarity = this.calculateSimilarity(this.previousFrameHash, currentHash);
 
-    // Only update hash if frames are similar (to detect rapid changes)
-    if (similarity >= this.threshold) {
-      this.previousFrameHash = currentHash;
-      return true;
-    }
-
-    // Significant change detected - reset hash for next comparison
+    // The next frame is compared with this one
     this.previousFrameHash = currentHash;
-    return false;
+    return similarity >= this.threshold;
   }
 
   /**
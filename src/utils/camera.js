@@ -1,81 +1,266 @@
 /**
  * Camera Module - Handles camera access and video streaming
+ * Picks a device or a facing mode, applies resolution / frame rate presets and
+ * follows cameras being plugged in or unplugged while it runs.
  */
 
-export class CameraManager {
+import { VideoSource } from './videoSource.js';
+
+// Resolution and frame rate presets for the settings panel
+export const CAMERA_PRESETS = {
+  saver: { label: 'Data saver (640×360, 15 fps)', width: 640, height: 360, frameRate: 15 },
+  balanced: { label: 'Balanced (1280×720, 30 fps)', width: 1280, height: 720, frameRate: 30 },
+  sharp: { label: 'Sharp (1920×1080, 30 fps)', width: 1920, height: 1080, frameRate: 30 },
+  smooth: { label: 'Smooth (1280×720, 60 fps)', width: 1280, height: 720, frameRate: 60 }
+};
+
+export const DEFAULT_PRESET = 'balanced';
+
+/**
+ * Guess which way a camera faces from its label, for browsers that don't report facingMode
+ * @returns {string|null} 'user', 'environment' or null
+ */
+export function guessFacing(label = '') {
+  if (/front|user|facetime|selfie/i.test(label)) return 'user';
+  if (/back|rear|environment|world/i.test(label)) return 'environment';
+  return null;
+}
+
+export class CameraManager extends VideoSource {
   constructor(videoElement) {
-    this.video = videoElement;
-    this.stream = null;
-    this.isActive = false;
+    super(videoElement);
+    this.deviceId = null; // Chosen camera, null for the default of facingMode
+    this.facingMode = 'environment'; // Back camera on mobile
+    this.preset = DEFAULT_PRESET;
+    this.devices = []; // [{deviceId, label, facing}] - labels are empty until permission is given
+    this.settings = {}; // What the running track actually delivers (width, height, frameRate, facingMode)
+    // onChange(camera, reason) - reason is 'devices', 'switched' or 'lost'
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    navigator.mediaDevices?.addEventListener?.('devicechange', this.handleDeviceChange);
   }
 
   /**
    * Initialize camera with mobile-optimized settings
+   * @param {Object} options - { deviceId, facingMode, preset } to change the choice
    */
-  async start() {
+  async start(options = {}) {
+    if ('deviceId' in options) this.deviceId = options.deviceId || null;
+    if (options.facingMode) this.facingMode = options.facingMode;
+    if (options.preset && CAMERA_PRESETS[options.preset]) this.preset = options.preset;
+
+    // Phones can't open a second camera while one is running
+    this.releaseStream();
+
     try {
-      // Mobile-optimized constraints
-      const constraints = {
-        video: {
-          facingMode: 'environment', // Use back camera on mobile
-          width: { ideal: 1280 },
-          height: { ideal: 720 },
-          aspectRatio: { ideal: 16/9 }
-        },
-        audio: false
-      };
-
-      this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.video.srcObject = this.stream;
-      this.isActive = true;
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+      } catch (error) {
+        // The remembered camera is gone - fall back to the default for the facing mode
+        if (!this.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+          throw error;
+        }
+        console.warn('Saved camera unavailable, using the default:', error);
+        this.deviceId = null;
+        stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+      }
 
       // Wait for video to be ready
-      await new Promise((resolve) => {
-        this.video.onloadedmetadata = () => {
-          resolve();
-        };
-      });
+      const ready = this.waitForVideo();
+      this.attach(stream);
+      await ready;
+
+      await this.listDevices();
 
       return true;
     } catch (error) {
       console.error('Camera access error:', error);
+      this.isActive = false;
       throw new Error(this.getCameraErrorMessage(error));
     }
   }
 
+  /**
+   * getUserMedia constraints for the current device, facing mode and preset
+   */
+  getConstraints() {
+    const { width, height, frameRate } = CAMERA_PRESETS[this.preset];
+    return {
+      video: {
+        ...(this.deviceId ? { deviceId: { exact: this.deviceId } } : { facingMode: this.facingMode }),
+        width: { ideal: width },
+        height: { ideal: height },
+        aspectRatio: { ideal: width / height },
+        frameRate: { ideal: frameRate }
+      },
+      audio: false
+    };
+  }
+
+  /**
+   * Show a new stream, stopping the old one
+   */
+  attach(stream) {
+    this.releaseStream();
+    this.stream = stream;
+    this.video.srcObject = stream;
+    this.isActive = true;
+
+    const track = stream.getVideoTracks()[0];
+    track?.addEventListener?.('ended', this.handleTrackEnded);
+    this.settings = track?.getSettings?.() || {};
+  }
+
+  /**
+   * Stop the current stream's tracks
+   */
+  releaseStream() {
+    if (!this.stream) return;
+    this.stream.getTracks().forEach(track => {
+      track.removeEventListener?.('ended', this.handleTrackEnded);
+      track.stop();
+    });
+    this.stream = null;
+  }
+
   /**
    * Stop camera stream
    */
   stop() {
     if (this.stream) {
-      this.stream.getTracks().forEach(track => track.stop());
-      this.stream = null;
+      this.releaseStream();
       this.video.srcObject = null;
       this.isActive = false;
     }
   }
 
   /**
-   * Capture current frame as base64 image
+   * Cameras the browser can see (labels need camera permission first)
+   * @returns {Promise<Array<{deviceId: string, label: string, facing: string|null}>>}
+   */
+  async listDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return this.devices;
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    this.devices = devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`,
+        facing: guessFacing(device.label)
+      }));
+    return this.devices;
+  }
+
+  /**
+   * Switch to another camera, a facing mode or a preset while running
+   * Goes back to the previous camera if the new one can't be opened.
+   * @param {Object} options - Same as start()
+   * @returns {Promise<boolean>} False when the camera isn't running
+   */
+  async switchTo(options) {
+    if (!this.isActive) {
+      return false;
+    }
+
+    const previous = { deviceId: this.deviceId, facingMode: this.facingMode, preset: this.preset };
+    try {
+      await this.start(options);
+    } catch (error) {
+      await this.start(previous);
+      throw error;
+    }
+    this.notify('switched');
+    return true;
+  }
+
+  /**
+   * Switch between the front and back cameras (or to the next camera on desktops)
+   */
+  async flip() {
+    const facing = this.getFacing() === 'user' ? 'environment' : 'user';
+
+    // Prefer a listed camera that faces the other way, then simply the next one
+    const current = this.devices.findIndex(device => device.deviceId === this.settings.deviceId);
+    const next = this.devices.find(device => device.facing === facing) ||
+      (this.devices.length > 1 ? this.devices[(current + 1) % this.devices.length] : null);
+
+    return this.switchTo(next && next.deviceId !== this.settings.deviceId
+      ? { deviceId: next.deviceId, facingMode: facing }
+      : { deviceId: null, facingMode: facing });
+  }
+
+  /**
+   * Which way the running camera faces
+   * @returns {string|null} 'user', 'environment' or null when unknown
+   */
+  getFacing() {
+    if (this.settings.facingMode) {
+      return this.settings.facingMode;
+    }
+    const device = this.devices.find(entry => entry.deviceId === this.settings.deviceId);
+    return device?.facing || (this.deviceId ? null : this.facingMode);
+  }
+
+  get label() {
+    return 'Camera';
+  }
+
+  /**
+   * Front cameras are shown mirrored, like a mirror (the frames sent to the model are not)
+   */
+  get isMirrored() {
+    return this.isActive && this.getFacing() === 'user';
+  }
+
+  /**
+   * A camera was plugged in or unplugged
    */
-  captureFrame(maxWidth = 800) {
+  async handleDeviceChange() {
+    await this.listDevices();
     if (!this.isActive) {
-      throw new Error('Camera is not active');
+      this.notify('devices');
+      return;
     }
 
-    const canvas = document.createElement('canvas');
-    const video = this.video;
+    const track = this.stream?.getVideoTracks()[0];
+    const present = !this.settings.deviceId || this.devices.some(device => device.deviceId === this.settings.deviceId);
 
-    // Calculate dimensions maintaining aspect ratio
-    const scale = Math.min(maxWidth / video.videoWidth, 1);
-    canvas.width = video.videoWidth * scale;
-    canvas.height = video.videoHeight * scale;
+    if (track?.readyState === 'ended' || !present) {
+      await this.recover();
+    } else {
+      this.notify('devices');
+    }
+  }
 
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  /**
+   * The running camera stopped (e.g. its USB cable was pulled)
+   */
+  async handleTrackEnded() {
+    if (!this.isActive) return;
+    await this.listDevices();
+    await this.recover();
+  }
 
-    // Return base64 data URL with reduced quality for API efficiency
-    return canvas.toDataURL('image/jpeg', 0.8);
+  /**
+   * Fall back to the default camera after losing the one in use
+   */
+  async recover() {
+    this.deviceId = null;
+    try {
+      await this.start();
+      this.notify('lost');
+    } catch (error) {
+      console.error('No camera left:', error);
+      this.releaseStream();
+      this.video.srcObject = null;
+      this.isActive = false;
+      this.notify('lost');
+    }
   }
 
   /**
@@ -99,4 +284,4 @@ export class CameraManager {
   static isSupported() {
     return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
   }
-}
\ No newline at end of file
+}
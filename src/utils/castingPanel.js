@@ -0,0 +1,119 @@
+/**
+ * Casting Panel - Settings editor for the voice casting table
+ * Shows one category at a time: its ElevenLabs voice and settings, and the
+ * Web Speech voice, pitch and rate used when ElevenLabs isn't available.
+ */
+
+import { OBJECT_CATEGORIES } from './responseSchema.js';
+import { VOICE_LIBRARY } from './voiceCasting.js';
+
+export class CastingPanel {
+  /**
+   * @param {Object} elements - categorySelect, voiceInput, voiceOptions (datalist),
+   *   webVoiceSelect, ranges (inputs with data-field), previewBtn, resetBtn
+   * @param {VoiceCasting} casting - Table to edit
+   */
+  constructor(elements, casting) {
+    this.elements = elements;
+    this.casting = casting;
+    this.onPreview = null; // (category) => void
+
+    this.renderOptions();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * The category being edited
+   */
+  get category() {
+    return this.elements.categorySelect.value;
+  }
+
+  /**
+   * Fill the category and voice pickers
+   */
+  renderOptions() {
+    const { categorySelect, voiceOptions } = this.elements;
+
+    categorySelect.innerHTML = '';
+    OBJECT_CATEGORIES.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+      categorySelect.appendChild(option);
+    });
+
+    voiceOptions.innerHTML = '';
+    VOICE_LIBRARY.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.id;
+      option.label = voice.name;
+      voiceOptions.appendChild(option);
+    });
+  }
+
+  /**
+   * Save edits as they happen
+   */
+  setupEventListeners() {
+    const { categorySelect, voiceInput, webVoiceSelect, ranges, previewBtn, resetBtn } = this.elements;
+
+    categorySelect.addEventListener('change', () => this.render());
+
+    voiceInput.addEventListener('change', () => {
+      const voiceId = voiceInput.value.trim();
+      const known = VOICE_LIBRARY.find(voice => voice.id === voiceId);
+
+      // A library voice brings its matching browser voice along
+      this.casting.set(this.category, known ? { voiceId, webVoice: known.webVoice } : { voiceId });
+      this.render();
+    });
+
+    webVoiceSelect.addEventListener('change', () => {
+      this.casting.set(this.category, { webVoice: webVoiceSelect.value });
+      this.render();
+    });
+
+    ranges.forEach(input => {
+      input.addEventListener('input', () => {
+        this.casting.set(this.category, { [input.dataset.field]: input.value });
+        this.renderValue(input);
+      });
+      input.addEventListener('change', () => this.render());
+    });
+
+    previewBtn.addEventListener('click', () => this.onPreview?.(this.category));
+
+    resetBtn.addEventListener('click', () => {
+      this.casting.reset(this.category);
+      this.render();
+    });
+  }
+
+  /**
+   * Show the selected category's voice
+   */
+  render() {
+    const { voiceInput, webVoiceSelect, ranges, resetBtn } = this.elements;
+    const voice = this.casting.get(this.category);
+
+    voiceInput.value = voice.voiceId;
+    webVoiceSelect.value = voice.webVoice;
+    ranges.forEach(input => {
+      input.value = voice[input.dataset.field];
+      this.renderValue(input);
+    });
+    resetBtn.disabled = !this.casting.isCustomized(this.category);
+  }
+
+  /**
+   * Show a range input's value next to its label
+   */
+  renderValue(input) {
+    const output = input.closest('label')?.querySelector('output');
+    if (output) {
+      output.textContent = parseFloat(input.value).toFixed(2);
+    }
+  }
+}
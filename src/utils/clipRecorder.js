@@ -0,0 +1,238 @@
+/**
+ * Clip Recorder - Records the composited scene with mixed audio as WebM
+ * Supports manual start/stop and a rolling replay buffer that can save
+ * the last few seconds at any time.
+ */
+
+import { audioMixer } from './audioMixer.js';
+
+const FRAME_RATE = 30;
+const BUFFER_SLICE = 1000; // Replay buffer chunk length (ms)
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+// WebM Cluster element ID - the media data starts at the first one
+const CLUSTER_ID = [0x1F, 0x43, 0xB6, 0x75];
+
+/**
+ * The WebM header at the start of a recording's first chunk (everything before
+ * its first Cluster), which later chunks need in front of them to play
+ * @returns {Promise<Blob>} The whole chunk if it has no Cluster yet
+ */
+function readHeader(chunk) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const bytes = new Uint8Array(reader.result);
+      const end = bytes.findIndex((byte, i) => CLUSTER_ID.every((id, j) => bytes[i + j] === id));
+      resolve(end === -1 ? chunk : chunk.slice(0, end, chunk.type));
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(chunk);
+  });
+}
+
+export class ClipRecorder {
+  /**
+   * @param {SceneCompositor} compositor - Draws each frame of the recording
+   * @param {Object} options - { bufferSeconds }
+   */
+  constructor(compositor, options = {}) {
+    this.compositor = compositor;
+    this.bufferSeconds = options.bufferSeconds || 15;
+    this.mimeType = MIME_TYPES.find(type => ClipRecorder.isSupported() && MediaRecorder.isTypeSupported(type)) || '';
+    this.stream = null;
+    this.frameRequest = null;
+
+    // Manual recording
+    this.recorder = null;
+    this.chunks = [];
+    this.startedAt = null;
+
+    // Replay buffer
+    this.buffer = null; // { recorder, first, header: Promise<Blob>, chunks: [{ data, time }] }
+
+    this.lastClipStart = null; // When the last saved clip begins, for subtitle timing
+  }
+
+  /**
+   * Check if the browser can record a canvas
+   */
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+           typeof HTMLCanvasElement !== 'undefined' &&
+           typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  get isRecording() {
+    return this.recorder !== null;
+  }
+
+  get isBuffering() {
+    return this.buffer !== null;
+  }
+
+  /**
+   * Canvas video plus the mixer's audio, drawn while anything is recording
+   */
+  getStream() {
+    if (!this.stream) {
+      this.stream = this.compositor.canvas.captureStream(FRAME_RATE);
+
+      const audio = audioMixer.getRecordingStream();
+      if (audio) {
+        audio.getAudioTracks().forEach(track => this.stream.addTrack(track));
+      } else {
+        console.warn('Recording without audio - Web Audio not available');
+      }
+    }
+
+    if (!this.frameRequest) {
+      const drawFrame = () => {
+        this.compositor.draw();
+        this.frameRequest = requestAnimationFrame(drawFrame);
+      };
+      drawFrame();
+    }
+
+    return this.stream;
+  }
+
+  /**
+   * Stop drawing once nothing is recording
+   */
+  releaseStream() {
+    if (this.isRecording || this.isBuffering) return;
+
+    cancelAnimationFrame(this.frameRequest);
+    this.frameRequest = null;
+  }
+
+  /**
+   * Create a MediaRecorder for the composited stream
+   */
+  createRecorder() {
+    return new MediaRecorder(this.getStream(), {
+      mimeType: this.mimeType || undefined,
+      videoBitsPerSecond: 2500000,
+      // Frequent keyframes keep trimmed replay clips watchable (Chromium only)
+      videoKeyFrameIntervalDuration: BUFFER_SLICE
+    });
+  }
+
+  /**
+   * Start a manual recording
+   */
+  start() {
+    if (this.isRecording) return;
+
+    this.chunks = [];
+    this.recorder = this.createRecorder();
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.recorder.start();
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Finish the manual recording
+   * @returns {Promise<Blob|null>} The clip, or null if nothing was recording
+   */
+  stop() {
+    if (!this.isRecording) {
+      return Promise.resolve(null);
+    }
+
+    const recorder = this.recorder;
+    return new Promise(resolve => {
+      recorder.onstop = () => {
+        this.recorder = null;
+        this.lastClipStart = this.startedAt;
+        this.startedAt = null;
+        this.releaseStream();
+        resolve(new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' }));
+        this.chunks = [];
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Keep the last bufferSeconds of the scene so it can be saved after the fact
+   */
+  startBuffer() {
+    if (this.isBuffering) return;
+
+    const recorder = this.createRecorder();
+    this.buffer = { recorder, first: null, header: null, chunks: [] };
+
+    recorder.ondataavailable = (event) => {
+      const buffer = this.buffer;
+      if (!buffer || event.data.size === 0) return;
+
+      // The first chunk starts with the WebM header every later chunk depends on,
+      // then the session's first second - only the header goes in front of later clips
+      if (!buffer.first) {
+        buffer.first = event.data;
+        buffer.header = readHeader(event.data);
+      }
+
+      const now = Date.now();
+      buffer.chunks.push({ data: event.data, time: now });
+      buffer.chunks = buffer.chunks.filter(chunk => now - chunk.time < this.bufferSeconds * 1000);
+    };
+    recorder.start(BUFFER_SLICE);
+  }
+
+  /**
+   * Stop the replay buffer and drop what it holds
+   */
+  stopBuffer() {
+    if (!this.isBuffering) return;
+
+    const { recorder } = this.buffer;
+    this.buffer = null;
+    recorder.stop();
+    this.releaseStream();
+  }
+
+  /**
+   * Save what the replay buffer holds
+   * Chunks are cut at one second boundaries rather than keyframes, so the
+   * first frames of a clip can glitch briefly until the next keyframe.
+   * @returns {Promise<Blob|null>} Up to the last bufferSeconds, or null if empty
+   */
+  async saveBuffer() {
+    if (!this.isBuffering) return null;
+
+    // Flush the partial chunk so the clip runs right up to now
+    const buffer = this.buffer;
+    await new Promise(resolve => {
+      const handler = () => {
+        buffer.recorder.removeEventListener('dataavailable', handler);
+        // Let the buffering handler store the chunk first
+        setTimeout(resolve, 0);
+      };
+      buffer.recorder.addEventListener('dataavailable', handler);
+      buffer.recorder.requestData();
+    });
+
+    if (!buffer.first) return null;
+
+    const first = buffer.chunks[0];
+    this.lastClipStart = first ? first.time - BUFFER_SLICE : Date.now();
+
+    // A clip from the start of the session already begins with the header
+    const parts = buffer.chunks.map(chunk => chunk.data);
+    if (first?.data !== buffer.first) {
+      parts.unshift(await buffer.header);
+    }
+    return new Blob(parts, { type: buffer.recorder.mimeType || 'video/webm' });
+  }
+}
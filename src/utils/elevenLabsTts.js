@@ -0,0 +1,116 @@
+/**
+ * ElevenLabs TTS Provider - Requests go through the backend proxy (/api/tts) which holds the key
+ */
+
+import { API_BASE } from './apiClient.js';
+import { getAudioKey } from './audioCache.js';
+import { TtsProvider } from './ttsProvider.js';
+
+// ElevenLabs model (part of the audio cache key, like the voice settings)
+const ELEVENLABS_MODEL = 'eleven_turbo_v2_5';
+
+export class ElevenLabsTts extends TtsProvider {
+  constructor() {
+    super('elevenlabs');
+    this.available = false; // Enabled once the server reports a configured key
+    this.canStream = true;
+  }
+
+  /**
+   * Request audio through the proxy
+   * @param {Object} options - { streaming } to use the streaming endpoint
+   * @returns {Promise<Response>} OK response with audio/mpeg
+   * @throws Errors with isQuotaError when the next provider should take over
+   */
+  async synthesize(text, cast, options = {}) {
+    const response = await this.fetchAudio(`${API_BASE}/tts${options.streaming ? '/stream' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'audio/mpeg',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text: text,
+        voiceId: cast.voiceId,
+        modelId: ELEVENLABS_MODEL,
+        voiceSettings: this.getVoiceSettings(cast)
+      })
+    });
+
+    console.log('ElevenLabs response status:', response.status);
+
+    if (response.ok) {
+      return response;
+    }
+
+    // Server has no ElevenLabs key - use the next provider for the session
+    if (response.status === 503) {
+      const configError = new Error('ElevenLabs not configured on server');
+      configError.isQuotaError = true;
+      configError.isConfigError = true;
+      throw configError;
+    }
+
+    // Check if it's a quota error (401 for invalid key, 429 for rate limit, 403 for quota exceeded)
+    if (response.status === 401 || response.status === 403 || response.status === 429) {
+      let errorMessage = 'Quota exceeded';
+      let retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+
+      try {
+        const errorData = await response.json();
+        // detail/message come from ElevenLabs, error from our proxy (e.g. RATE_LIMITED)
+        errorMessage = errorData.detail?.message || errorData.message || errorData.error || errorMessage;
+        retryAfter = retryAfter || errorData.retryAfter || null;
+      } catch (e) {
+        // If JSON parsing fails, use status code
+      }
+
+      // Check if quota is exhausted (not just rate limited)
+      if (errorMessage.toLowerCase().includes('quota') ||
+          errorMessage.toLowerCase().includes('character limit') ||
+          errorMessage.toLowerCase().includes('insufficient') ||
+          response.status === 401) {
+        const quotaError = new Error(`ElevenLabs quota exhausted: ${errorMessage}`);
+        quotaError.isQuotaError = true;
+        quotaError.retryAfter = retryAfter;
+        throw quotaError;
+      }
+
+      // Rate limited - another provider takes the line until Retry-After
+      if (response.status === 429) {
+        const rateError = new Error(`ElevenLabs API error: ${response.status}`);
+        rateError.isQuotaError = true;
+        rateError.retryAfter = retryAfter || 60;
+        throw rateError;
+      }
+    }
+
+    // Other errors - could be temporary
+    throw new Error(`ElevenLabs API error: ${response.status}`);
+  }
+
+  /**
+   * ElevenLabs voice_settings for a cast voice
+   */
+  getVoiceSettings(cast) {
+    return {
+      stability: cast.stability,
+      similarity_boost: cast.similarity,
+      style: cast.style,
+      use_speaker_boost: true
+    };
+  }
+
+  /**
+   * Mood doesn't change ElevenLabs audio, so it isn't part of the key
+   */
+  getCacheKey(text, cast) {
+    return getAudioKey({
+      provider: this.name,
+      text,
+      voiceId: cast.voiceId,
+      modelId: ELEVENLABS_MODEL,
+      voiceSettings: this.getVoiceSettings(cast)
+    });
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Ensemble Stage - One AR overlay per object when several objects talk
+ * Each actor gets its own eyes, label and speech bubble, cloned from
+ * #actor-template, and its own tracker so it follows its object.
+ */
+
+import { ObjectTracker } from './objectTracker.js';
+
+const EXPRESSIONS = ['happy', 'fearful', 'surprised', 'angry'];
+
+export class EnsembleStage {
+  constructor(container, template, videoElement) {
+    this.container = container;
+    this.template = template;
+    this.video = videoElement;
+    this.actors = [];
+    this.lineTimeout = null;
+    this.mirrored = false; // Front camera - flip x to match the mirrored picture
+  }
+
+  /**
+   * Set the objects in the scene, keeping actors that are still in view
+   * @param {Object[]} objects - Scene objects from VisionProvider.analyzeScene,
+   *   optionally with a display label (e.g. a remembered nickname)
+   * @param {Object[]} voices - One voice per object from TextToSpeech.castVoices
+   */
+  setCast(objects, voices = []) {
+    const previous = new Map(this.actors.map(actor => [actor.name, actor]));
+
+    this.actors = objects.map((entry, index) => {
+      const actor = previous.get(entry.name) || this.createActor(entry);
+      previous.delete(entry.name);
+
+      Object.assign(actor, {
+        object: entry.object,
+        category: entry.category,
+        personality: entry.personality,
+        voice: voices[index] || null
+      });
+      actor.nameText.textContent = entry.label || entry.object;
+      actor.personalityText.textContent = entry.personality || '';
+
+      this.placeActor(actor, entry.boundingBox, index, objects.length);
+      return actor;
+    });
+
+    // Objects that left the scene
+    previous.forEach(actor => this.removeActor(actor));
+  }
+
+  /**
+   * Create the overlay elements for one object
+   */
+  createActor(entry) {
+    const element = this.template.content.firstElementChild.cloneNode(true);
+    this.container.appendChild(element);
+
+    return {
+      name: entry.name,
+      element,
+      eyes: element.querySelector('.expression-eyes'),
+      label: element.querySelector('.actor-label'),
+      nameText: element.querySelector('.actor-name'),
+      personalityText: element.querySelector('.actor-personality'),
+      bubble: element.querySelector('.actor-bubble'),
+      bubbleText: element.querySelector('.actor-text'),
+      tracker: new ObjectTracker(this.video),
+      bounds: null
+    };
+  }
+
+  /**
+   * Start tracking an actor from its normalized bounding box
+   * Objects without a box are spread evenly across the frame
+   */
+  placeActor(actor, box, index, count) {
+    const width = this.video.videoWidth;
+    const height = this.video.videoHeight;
+    if (!width || !height) return;
+
+    if (!box) {
+      box = { x: (index + 0.2) / count, y: 0.3, width: 0.6 / count, height: 0.4 };
+    }
+
+    const bounds = {
+      x: box.x * width,
+      y: box.y * height,
+      width: box.width * width,
+      height: box.height * height
+    };
+    bounds.centerX = bounds.x + bounds.width / 2;
+    bounds.centerY = bounds.y + bounds.height / 2;
+
+    actor.bounds = bounds;
+    actor.tracker.init(bounds);
+    actor.element.classList.add('active');
+    this.positionActor(actor);
+  }
+
+  /**
+   * Follow every actor's object (call once per animation frame)
+   */
+  update() {
+    this.actors.forEach(actor => {
+      if (actor.tracker.isTracking) {
+        // Keep the last known position if the tracker loses the object
+        actor.bounds = actor.tracker.track() || actor.bounds;
+      }
+      this.positionActor(actor);
+    });
+  }
+
+  /**
+   * Position an actor's eyes, label and bubble on its object
+   */
+  positionActor(actor) {
+    const bounds = actor.bounds;
+    if (!bounds || !this.video.videoWidth) return;
+
+    const toX = (x) => `${(this.mirrored ? 1 - x / this.video.videoWidth : x / this.video.videoWidth) * 100}%`;
+    const toY = (y) => `${(y / this.video.videoHeight) * 100}%`;
+
+    // Eyes in the upper third of the object, smaller than in single mode
+    actor.eyes.style.left = toX(bounds.centerX);
+    actor.eyes.style.top = toY(bounds.y + bounds.height * 0.3);
+    const objectSizeRatio = Math.min(bounds.width / this.video.videoWidth,
+                                     bounds.height / this.video.videoHeight);
+    const scale = Math.max(0.35, Math.min(1, objectSizeRatio * 2));
+    actor.eyes.style.transform = `translate(-50%, -50%) scale(${scale})`;
+
+    // Label above the object, bubble below it
+    actor.label.style.left = toX(bounds.centerX);
+    actor.label.style.top = toY(bounds.y);
+    actor.bubble.style.left = toX(bounds.centerX);
+    actor.bubble.style.top = toY(bounds.y + bounds.height);
+  }
+
+  /**
+   * Show a line of dialogue on the speaking actor
+   * @param {number} index - Actor index (dialogue speaker)
+   * @param {string} text - What it says
+   * @param {string} expression - happy, fearful, surprised or angry
+   */
+  showLine(index, text, expression) {
+    const speaker = this.actors[index];
+    if (!speaker) return;
+
+    clearTimeout(this.lineTimeout);
+
+    this.actors.forEach(actor => {
+      actor.element.classList.toggle('speaking', actor === speaker);
+      actor.bubble.classList.toggle('hidden', actor !== speaker);
+    });
+
+    speaker.bubbleText.textContent = text;
+    speaker.element.classList.remove(...EXPRESSIONS);
+    speaker.element.classList.add(expression);
+
+    // Hide the bubble if nothing else is said for a while
+    this.lineTimeout = setTimeout(() => this.endLine(), 8000);
+  }
+
+  /**
+   * Hide speech bubbles between lines
+   */
+  endLine() {
+    clearTimeout(this.lineTimeout);
+    this.actors.forEach(actor => {
+      actor.element.classList.remove('speaking');
+      actor.bubble.classList.add('hidden');
+    });
+  }
+
+  /**
+   * Remove one actor's overlay
+   */
+  removeActor(actor) {
+    actor.tracker.reset();
+    actor.element.remove();
+  }
+
+  /**
+   * Remove all actors
+   */
+  clear() {
+    clearTimeout(this.lineTimeout);
+    this.actors.forEach(actor => this.removeActor(actor));
+    this.actors = [];
+  }
+}
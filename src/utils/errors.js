@@ -0,0 +1,221 @@
+/**
+ * Model Errors - What went wrong with a model call, and whether to try again
+ * Every provider and the API client throw ModelErrors so the app can react to
+ * the kind of failure (pause for quota, stay in character when a reply is
+ * blocked, retry a dropped connection) instead of parsing messages.
+ */
+
+export const ERROR_TYPES = {
+  NETWORK: 'network', // The server or model couldn't be reached
+  TIMEOUT: 'timeout', // No reply in time
+  SERVER: 'server', // The server or model failed (5xx)
+  SAFETY: 'safety', // The model refused to answer (safety filters)
+  AUTH: 'auth', // Missing or invalid API key
+  QUOTA: 'quota', // Out of quota - carries retryAfter
+  RATE_LIMITED: 'rate-limited', // Too many requests - carries retryAfter
+  MALFORMED: 'malformed', // Empty or unusable reply
+  ABORTED: 'aborted', // Cancelled by the app (stop, scene change)
+  UNKNOWN: 'unknown' // Anything else (e.g. a bad request)
+};
+
+// Retries per error type, waiting delay ms and doubling each time. Types that
+// aren't listed are not retried: quota and rate limits pause the whole session,
+// and a bad key or a safety block won't change on a second try.
+export const RETRY_POLICY = {
+  [ERROR_TYPES.NETWORK]: { retries: 2, delay: 1000 },
+  [ERROR_TYPES.TIMEOUT]: { retries: 1, delay: 1000 },
+  [ERROR_TYPES.SERVER]: { retries: 2, delay: 500 },
+  [ERROR_TYPES.MALFORMED]: { retries: 1, delay: 0 }
+};
+
+// Longest wait between two attempts
+const MAX_BACKOFF = 8000;
+
+// Messages quota and rate limit errors have always had (main.js, sessionState)
+const MESSAGES = {
+  [ERROR_TYPES.QUOTA]: 'QUOTA_EXCEEDED',
+  [ERROR_TYPES.RATE_LIMITED]: 'RATE_LIMITED'
+};
+
+// Error codes the server sends, by type
+const SERVER_CODES = {
+  QUOTA_EXCEEDED: ERROR_TYPES.QUOTA,
+  RATE_LIMITED: ERROR_TYPES.RATE_LIMITED,
+  SAFETY_BLOCKED: ERROR_TYPES.SAFETY,
+  INVALID_API_KEY: ERROR_TYPES.AUTH,
+  GEMINI_NOT_CONFIGURED: ERROR_TYPES.AUTH
+};
+
+export class ModelError extends Error {
+  /**
+   * @param {string} type - One of ERROR_TYPES
+   * @param {string} message - Defaults to QUOTA_EXCEEDED / RATE_LIMITED for those types
+   * @param {Object} details - { status, retryAfter (seconds), cause }
+   */
+  constructor(type, message = null, { status = null, retryAfter = null, cause } = {}) {
+    super(message || MESSAGES[type] || `Model request failed (${type})`, cause ? { cause } : undefined);
+    this.name = 'ModelError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Check if the retry policy allows another attempt
+   */
+  get retryable() {
+    return !!RETRY_POLICY[this.type]?.retries;
+  }
+}
+
+/**
+ * Error for a failed HTTP reply
+ * @param {number} status - HTTP status
+ * @param {string|null} code - Error code from the reply body, e.g. 'SAFETY_BLOCKED'
+ * @param {number|null} retryAfter - Seconds, from the body or Retry-After header
+ * @returns {ModelError}
+ */
+export function errorFromResponse(status, code = null, retryAfter = null) {
+  const message = code || `HTTP_${status}`;
+  const details = { status };
+
+  if (status === 429) {
+    const type = code === 'RATE_LIMITED' ? ERROR_TYPES.RATE_LIMITED : ERROR_TYPES.QUOTA;
+    return new ModelError(type, null, { ...details, retryAfter: retryAfter || 60 });
+  }
+  if (SERVER_CODES[code]) {
+    return new ModelError(SERVER_CODES[code], message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new ModelError(ERROR_TYPES.AUTH, message, details);
+  }
+  if (status === 408 || status === 504) {
+    return new ModelError(ERROR_TYPES.TIMEOUT, message, details);
+  }
+  if (status >= 500) {
+    return new ModelError(ERROR_TYPES.SERVER, message, details);
+  }
+  return new ModelError(ERROR_TYPES.UNKNOWN, message, details);
+}
+
+/**
+ * Error for a code the server sent in the middle of a stream
+ */
+export function errorFromCode(code) {
+  return new ModelError(SERVER_CODES[code] || ERROR_TYPES.SERVER, code);
+}
+
+/**
+ * Turn any error from a model call into a ModelError
+ * fetch() rejects with a TypeError when the network is down and an AbortError
+ * when cancelled; bad JSON from the server counts as a malformed reply.
+ */
+export function classifyError(error) {
+  if (error instanceof ModelError) {
+    return error;
+  }
+  if (error?.name === 'AbortError') {
+    return new ModelError(ERROR_TYPES.ABORTED, 'Request cancelled', { cause: error });
+  }
+  if (error?.name === 'TimeoutError') {
+    return new ModelError(ERROR_TYPES.TIMEOUT, 'Request timed out', { cause: error });
+  }
+  if (error instanceof TypeError) {
+    return new ModelError(ERROR_TYPES.NETWORK, error.message, { cause: error });
+  }
+  if (error instanceof SyntaxError) {
+    return new ModelError(ERROR_TYPES.MALFORMED, error.message, { cause: error });
+  }
+  return new ModelError(ERROR_TYPES.UNKNOWN, error?.message || String(error), { cause: error });
+}
+
+/**
+ * Wait before attempt number `attempt` (0 = first retry)
+ * @returns {number} Milliseconds
+ */
+export function getBackoff(type, attempt, policy = RETRY_POLICY) {
+  const delay = policy[type]?.delay || 0;
+  return Math.min(MAX_BACKOFF, delay * 2 ** attempt);
+}
+
+/**
+ * Wait, giving up early if the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(classifyError(signal.reason));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(classifyError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a model call, retrying with exponential backoff as the policy allows
+ * @param {Function} attempt - async () => result; throws on failure
+ * @param {Object} options - { signal, policy, canRetry(error) for extra conditions,
+ *   onRetry(error, attempt, delay) }
+ * @returns {Promise<*>} The first successful result
+ * @throws {ModelError} The last failure
+ */
+export async function withRetry(attempt, { signal = null, policy = RETRY_POLICY, canRetry = null, onRetry = null } = {}) {
+  const attempts = {}; // Error type → retries used
+
+  while (true) {
+    try {
+      return await attempt();
+    } catch (caught) {
+      // A cancelled request surfaces as whatever fetch threw - report the cancellation
+      const error = signal?.aborted ? classifyError(signal.reason) : classifyError(caught);
+      const used = attempts[error.type] || 0;
+
+      if (error.type === ERROR_TYPES.ABORTED || used >= (policy[error.type]?.retries || 0) ||
+          (canRetry && !canRetry(error))) {
+        throw error;
+      }
+
+      const delay = getBackoff(error.type, used, policy);
+      attempts[error.type] = used + 1;
+      onRetry?.(error, used + 1, delay);
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * Signal for one request: aborts when the caller's signal does or after a timeout
+ * @param {AbortSignal|null} signal - Caller's signal (e.g. the app cancelling)
+ * @param {number} timeout - Milliseconds, 0 for none
+ * @returns {{signal: AbortSignal, done: Function}} Call done() when the request is over
+ */
+export function createRequestSignal(signal = null, timeout = 0) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const timer = timeout > 0
+    ? setTimeout(() => controller.abort(new ModelError(ERROR_TYPES.TIMEOUT, `No reply after ${timeout / 1000}s`)), timeout)
+    : null;
+
+  return {
+    signal: controller.signal,
+    done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Eye Animator - Small animation controller for the overlay eyes
+ * Moves the pupils toward a gaze target, blinks at natural intervals, glances
+ * around in quick saccades when there is nothing to look at, and reacts with a
+ * double blink and wide eyes when someone waves. Writes --gaze-x, --gaze-y and
+ * --blink on the eyes container, so expression classes keep their own animations.
+ */
+
+// Blinks: every 2-6 s, closing faster than they open
+const BLINK_MIN_MS = 2000;
+const BLINK_MAX_MS = 6000;
+const BLINK_CLOSE_MS = 60;
+const BLINK_OPEN_MS = 110;
+
+// Idle glances: how long a target is followed after it was last seen,
+// and how long each glance holds
+const TARGET_HOLD_MS = 1500;
+const SACCADE_MIN_MS = 600;
+const SACCADE_MAX_MS = 2500;
+
+// Wave reaction: second blink delay and how long the eyes stay wide
+const DOUBLE_BLINK_MS = 250;
+const REACTION_MS = 1200;
+
+/**
+ * Random time between min and max
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+export class EyeAnimator {
+  /**
+   * @param {HTMLElement} eyes - The .expression-eyes container
+   */
+  constructor(eyes) {
+    this.eyes = eyes;
+    this.origin = { x: 0.5, y: 0.3 }; // Where the eyes sit, 0-1 video coordinates
+    this.gaze = { x: 0, y: 0 }; // Current pupil offset, -1 to 1
+    this.target = null; // Followed point, -1 to 1 from the eyes
+    this.targetTime = -Infinity;
+    this.glance = { x: 0, y: 0 };
+    this.nextGlance = 0;
+    this.blinks = []; // Start times of scheduled blinks
+    this.nextBlink = 0;
+    this.blink = 0; // 0 open - 1 closed
+    this.reactionUntil = 0;
+    this.frame = null;
+  }
+
+  /**
+   * Is the controller running?
+   */
+  get isRunning() {
+    return this.frame !== null;
+  }
+
+  /**
+   * Is the wave reaction still showing?
+   */
+  isReacting(now = performance.now()) {
+    return now < this.reactionUntil;
+  }
+
+  /**
+   * Tell the controller where the eyes are drawn
+   * @param {number} x - 0-1 across the video
+   * @param {number} y - 0-1 down the video
+   */
+  setOrigin(x, y) {
+    this.origin = { x, y };
+  }
+
+  /**
+   * Look toward a point in the picture
+   * @param {{x: number, y: number}|null} point - 0-1 video coordinates;
+   *   null keeps the last target until it goes stale
+   */
+  lookAt(point, now = performance.now()) {
+    if (!point) return;
+
+    // Direction from the eyes, capped to the edge of the eye
+    const dx = (point.x - this.origin.x) * 2;
+    const dy = (point.y - this.origin.y) * 2;
+    const length = Math.hypot(dx, dy);
+    const scale = length > 1 ? 1 / length : 1;
+
+    this.target = { x: dx * scale, y: dy * scale };
+    this.targetTime = now;
+  }
+
+  /**
+   * Notice a wave: look at it, blink twice and widen the eyes
+   * @param {{x: number, y: number}} point - Where the wave is, 0-1 video coordinates
+   */
+  react(point, now = performance.now()) {
+    if (this.isReacting(now)) return;
+
+    this.lookAt(point, now);
+    this.blinks.push(now, now + DOUBLE_BLINK_MS);
+    this.reactionUntil = now + REACTION_MS;
+  }
+
+  /**
+   * Start animating every frame
+   */
+  start() {
+    if (this.frame !== null) return;
+
+    const update = () => {
+      this.step(performance.now());
+      this.render();
+      this.frame = requestAnimationFrame(update);
+    };
+    this.frame = requestAnimationFrame(update);
+  }
+
+  /**
+   * Stop animating and look straight ahead with open eyes
+   */
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.gaze = { x: 0, y: 0 };
+    this.target = null;
+    this.blinks = [];
+    this.blink = 0;
+    this.reactionUntil = 0;
+    this.render();
+  }
+
+  /**
+   * Advance gaze and blinks to this moment
+   */
+  step(now) {
+    // Follow the target while it's fresh, otherwise glance around
+    let goal = this.target;
+    if (!goal || now - this.targetTime > TARGET_HOLD_MS) {
+      if (now >= this.nextGlance) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.random() * 0.5;
+        this.glance = { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance * 0.6 };
+        this.nextGlance = now + randomBetween(SACCADE_MIN_MS, SACCADE_MAX_MS);
+      }
+      goal = this.glance;
+    }
+
+    // Saccades are quick: cover most of the distance in a few frames
+    this.gaze.x += (goal.x - this.gaze.x) * 0.35;
+    this.gaze.y += (goal.y - this.gaze.y) * 0.35;
+
+    if (now >= this.nextBlink) {
+      this.blinks.push(now);
+      this.nextBlink = now + randomBetween(BLINK_MIN_MS, BLINK_MAX_MS);
+    }
+    this.blinks = this.blinks.filter(start => now - start < BLINK_CLOSE_MS + BLINK_OPEN_MS);
+    this.blink = Math.max(0, ...this.blinks.map(start => this.getBlinkAmount(now - start)));
+  }
+
+  /**
+   * How closed the eyes are some time into a blink
+   * @returns {number} 0 open - 1 closed
+   */
+  getBlinkAmount(elapsed) {
+    if (elapsed < 0) return 0;
+    if (elapsed < BLINK_CLOSE_MS) return elapsed / BLINK_CLOSE_MS;
+    return Math.max(0, 1 - (elapsed - BLINK_CLOSE_MS) / BLINK_OPEN_MS);
+  }
+
+  /**
+   * Apply gaze and blink to the eyes container
+   */
+  render() {
+    if (!this.eyes) return;
+    this.eyes.style.setProperty('--gaze-x', this.gaze.x.toFixed(3));
+    this.eyes.style.setProperty('--gaze-y', this.gaze.y.toFixed(3));
+    this.eyes.style.setProperty('--blink', (1 - this.blink * 0.9).toFixed(3));
+    this.eyes.classList.toggle('noticed', this.isReacting());
+  }
+}
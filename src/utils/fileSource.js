@@ -0,0 +1,189 @@
+/**
+ * File Source - Plays a photo, a video file or a URL instead of the live camera
+ * For demos and tests without a webcam. Photos are painted onto a canvas and
+ * streamed with captureStream(), videos loop muted, so the rest of the app
+ * sees an ordinary playing video.
+ */
+
+import { VideoSource } from './videoSource.js';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|bmp|svg)$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|webm|mov|ogv|ogg)$/i;
+
+// A still photo only needs a few frames a second to keep the stream alive
+const PHOTO_FRAME_RATE = 5;
+
+// Larger photos are scaled down, like the camera's sharpest preset
+const MAX_PHOTO_SIZE = 1920;
+
+/**
+ * Whether a file or URL is a photo or a video, from its MIME type or extension
+ * @param {Object} media - { type, name } (a File works)
+ * @returns {string|null} 'image', 'video' or null when unknown
+ */
+export function getMediaKind({ type = '', name = '' }) {
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('video/')) return 'video';
+  if (IMAGE_EXTENSIONS.test(name)) return 'image';
+  if (VIDEO_EXTENSIONS.test(name)) return 'video';
+  return null;
+}
+
+/**
+ * Load an image, rejecting if it can't be shown
+ */
+function loadImage(url, crossOrigin) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    if (crossOrigin) image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Image failed to load'));
+    image.src = url;
+  });
+}
+
+export class FileSource extends VideoSource {
+  constructor(videoElement) {
+    super(videoElement);
+    this.media = null; // { kind, url, name, isFile }
+    this.timer = null; // Redraws a photo into the stream
+  }
+
+  /**
+   * Play an uploaded or dropped file
+   * @param {File} file - A photo or video
+   * @throws {Error} When the file is neither
+   */
+  setFile(file) {
+    const kind = getMediaKind(file);
+    if (!kind) {
+      throw new Error(`${file.name} is not a photo or video`);
+    }
+    this.clear();
+    this.media = { kind, url: URL.createObjectURL(file), name: file.name, isFile: true };
+  }
+
+  /**
+   * Play a photo or video from a URL (the server must allow cross-origin access)
+   * URLs without a known extension are tried as a photo, then as a video.
+   * @throws {Error} When the URL is invalid
+   */
+  setUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url.trim(), window.location.href);
+    } catch (error) {
+      throw new Error(`${url} is not a valid URL`);
+    }
+    this.clear();
+    this.media = {
+      kind: getMediaKind({ name: parsed.pathname }),
+      url: parsed.href,
+      name: parsed.pathname.split('/').pop() || parsed.host,
+      isFile: false
+    };
+  }
+
+  /**
+   * Forget the chosen file or URL
+   */
+  clear() {
+    this.stop();
+    if (this.media?.isFile) {
+      URL.revokeObjectURL(this.media.url);
+    }
+    this.media = null;
+  }
+
+  get label() {
+    return this.media?.name || 'File';
+  }
+
+  /**
+   * Start playing the chosen photo or video
+   */
+  async start() {
+    if (!this.media) {
+      throw new Error('Choose a photo or video first');
+    }
+    this.stop();
+
+    const kinds = this.media.kind ? [this.media.kind] : ['image', 'video'];
+    for (const kind of kinds) {
+      try {
+        await (kind === 'image' ? this.startPhoto() : this.startVideo());
+        this.isActive = true;
+        return true;
+      } catch (error) {
+        console.warn(`Could not play ${this.media.url} as ${kind}:`, error);
+        this.stop();
+      }
+    }
+
+    throw new Error(this.media.isFile
+      ? `Could not open ${this.media.name}`
+      : `Could not open ${this.media.name} - check the URL allows cross-origin access`);
+  }
+
+  /**
+   * Stream a photo from a canvas so it plays like a video
+   */
+  async startPhoto() {
+    if (!HTMLCanvasElement.prototype.captureStream) {
+      throw new Error('Canvas streaming not supported');
+    }
+
+    const image = await loadImage(this.media.url, !this.media.isFile);
+    const scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+
+    const ctx = canvas.getContext('2d');
+    const draw = () => ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    draw();
+
+    // Some browsers only send a frame after the canvas changes
+    this.timer = setInterval(draw, 1000 / PHOTO_FRAME_RATE);
+    this.stream = canvas.captureStream(PHOTO_FRAME_RATE);
+
+    const ready = this.waitForVideo();
+    this.video.srcObject = this.stream;
+    await ready;
+    await this.video.play();
+  }
+
+  /**
+   * Play a video file or URL on a loop, without its sound
+   */
+  async startVideo() {
+    const ready = this.waitForVideo();
+    this.video.crossOrigin = this.media.isFile ? null : 'anonymous';
+    this.video.loop = true;
+    this.video.muted = true;
+    this.video.src = this.media.url;
+    await ready;
+    await this.video.play();
+  }
+
+  /**
+   * Stop playing (the chosen file or URL is kept for the next start)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+      this.video.srcObject = null;
+    }
+    if (this.video.getAttribute('src')) {
+      this.video.pause();
+      this.video.removeAttribute('src');
+      this.video.load();
+    }
+    this.video.loop = false;
+    this.isActive = false;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Frame Pipeline - Sends video frames to the frame worker for motion, edge and
+ * hash work, so per-pixel loops don't jank the UI
+ * Frames travel as transferred ImageBitmaps. Browsers without OffscreenCanvas
+ * (or a worker that fails to start) get the same FrameProcessor on the main thread.
+ */
+
+import { FrameProcessor } from './frameProcessor.js';
+
+export class FramePipeline {
+  /**
+   * @param {HTMLVideoElement} video - The camera feed
+   * @param {Object} options - {useWorker: false} forces the main-thread path
+   */
+  constructor(video, { useWorker = true } = {}) {
+    this.video = video;
+    this.worker = null;
+    this.processor = null;
+    this.pending = new Map(); // Request id -> {resolve, reject}
+    this.nextId = 1;
+    this.lastDuration = 0; // ms the last frame took to process
+
+    if (useWorker && FramePipeline.isWorkerSupported()) {
+      this.startWorker();
+    }
+    if (!this.worker) {
+      this.useMainThread();
+    }
+  }
+
+  /**
+   * Can frames be processed in a worker here?
+   */
+  static isWorkerSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * Is processing happening off the main thread?
+   */
+  get isOffThread() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Start the frame worker
+   */
+  startWorker() {
+    try {
+      this.worker = new Worker(new URL('./frameWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Frame worker unavailable, processing on the main thread:', error);
+      this.worker = null;
+      return;
+    }
+
+    this.worker.onmessage = ({ data }) => {
+      const request = this.pending.get(data.id);
+      if (!request) return;
+
+      this.pending.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        this.lastDuration = data.duration;
+        request.resolve(data.result);
+      }
+    };
+
+    // A worker that can't load or crashes hands over to the main thread
+    this.worker.onerror = (event) => {
+      console.warn('Frame worker failed, processing on the main thread:', event.message);
+      this.useMainThread();
+    };
+  }
+
+  /**
+   * Process frames here from now on
+   */
+  useMainThread() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    // Anything still waiting on the worker will never be answered
+    this.pending.forEach(request => request.reject(new Error('Frame worker stopped')));
+    this.pending.clear();
+
+    this.processor = new FrameProcessor((width, height) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    });
+  }
+
+  /**
+   * Run jobs on the current video frame
+   * @param {Object} jobs - {motion: MotionDetector.getOptions(), edges: true, hash: true,
+   *   gaze: {threshold, minChangedPixels}}
+   * @returns {Promise<Object|null>} FrameProcessor.process() result, or null
+   *   while the video has no frame yet
+   */
+  async run(jobs) {
+    const width = this.video.videoWidth;
+    const height = this.video.videoHeight;
+    if (!width || !height) {
+      return null;
+    }
+
+    if (!this.worker) {
+      const start = performance.now();
+      const result = this.processor.process(this.video, width, height, jobs);
+      this.lastDuration = performance.now() - start;
+      return result;
+    }
+
+    const frame = await createImageBitmap(this.video);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, frame, width, height, jobs }, [frame]);
+    });
+  }
+
+  /**
+   * Forget the previous motion frames (e.g. when the camera restarts)
+   * @param {string|null} job - Only this job's ('motion' or 'gaze'), or all of them
+   */
+  reset(job = null) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset', job });
+    } else {
+      this.processor.reset(job);
+    }
+  }
+
+  /**
+   * Stop the worker for good
+   */
+  destroy() {
+    this.useMainThread();
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Frame Processor - The per-pixel work on camera frames: grid motion, Sobel edges
+ * and a perceptual hash. Uses no DOM, so the same code runs in the frame worker
+ * (on OffscreenCanvas) and on the main thread when workers can't draw.
+ */
+
+import { HASH_SIZES, hashImage } from './perceptualHash.js';
+
+// Grid the frame is split into for per-cell motion
+export const GRID_COLS = 16;
+export const GRID_ROWS = 12;
+
+// Resolution each job works at, relative to the video
+const MOTION_SCALE = 0.25;
+const EDGE_SCALE = 0.5;
+
+/**
+ * Perceived brightness of the RGBA pixel at index i
+ */
+export function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+/**
+ * Measure motion per grid cell and inside a region of interest
+ * @param {ImageData} current - This frame
+ * @param {ImageData} previous - The frame before, same size
+ * @param {Object} options - {threshold, minChangedPixels, region, lastCentroid}
+ * @returns {Object} {width, height, cells, cols, rows, amount, averageChange, centroid, vector, detected}:
+ *   cells holds the share of changed pixels in each cell (row by row); amount,
+ *   averageChange and centroid cover the region only; vector is how far the
+ *   centroid moved since lastCentroid (0-1 video units)
+ */
+export function analyzeMotion(current, previous, { threshold, minChangedPixels, region = null, lastCentroid = null }) {
+  const { width, height } = current;
+  const currentData = current.data;
+  const previousData = previous.data;
+  const cells = new Float32Array(GRID_COLS * GRID_ROWS);
+  const cellPixels = new Uint32Array(GRID_COLS * GRID_ROWS);
+
+  // Region of interest in frame pixels (whole frame without one)
+  const area = region || { x: 0, y: 0, width: 1, height: 1 };
+  const left = Math.floor(area.x * width);
+  const top = Math.floor(area.y * height);
+  const right = Math.ceil((area.x + area.width) * width);
+  const bottom = Math.ceil((area.y + area.height) * height);
+
+  let regionPixels = 0;
+  let changedPixels = 0;
+  let totalChange = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * GRID_ROWS / height) * GRID_COLS;
+    const inRows = y >= top && y < bottom;
+
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const diff = Math.abs(luminance(currentData, i) - luminance(previousData, i));
+      const changed = diff > threshold;
+      const cell = row + Math.floor(x * GRID_COLS / width);
+
+      cellPixels[cell]++;
+      if (changed) cells[cell]++;
+
+      if (inRows && x >= left && x < right) {
+        regionPixels++;
+        totalChange += diff;
+        if (changed) {
+          changedPixels++;
+          sumX += x;
+          sumY += y;
+        }
+      }
+    }
+  }
+
+  for (let cell = 0; cell < cells.length; cell++) {
+    cells[cell] = cellPixels[cell] ? cells[cell] / cellPixels[cell] : 0;
+  }
+
+  const amount = regionPixels ? changedPixels / regionPixels : 0;
+  const averageChange = regionPixels ? totalChange / regionPixels : 0;
+  const centroid = changedPixels
+    ? { x: (sumX / changedPixels + 0.5) / width, y: (sumY / changedPixels + 0.5) / height }
+    : null;
+  const vector = centroid && lastCentroid
+    ? { x: centroid.x - lastCentroid.x, y: centroid.y - lastCentroid.y }
+    : null;
+
+  // Motion detected if either:
+  // 1. Enough pixels changed (normal motion)
+  // 2. Average change is significant (new object with different colors)
+  const detected = amount > minChangedPixels || averageChange > 25;
+
+  return { width, height, cells, cols: GRID_COLS, rows: GRID_ROWS, amount, averageChange, centroid, vector, detected };
+}
+
+/**
+ * Apply Sobel edge detection
+ * @returns {Uint8ClampedArray} 255 on edges, 0 elsewhere, one value per pixel
+ */
+export function detectEdges(imageData) {
+  const width = imageData.width;
+  const height = imageData.height;
+  const data = imageData.data;
+  const edges = new Uint8ClampedArray(width * height);
+
+  // Sobel kernels
+  const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+  const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let gx = 0;
+      let gy = 0;
+
+      // Apply kernels
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          const idx = ((y + ky) * width + (x + kx)) * 4;
+          const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+          const kernelIdx = (ky + 1) * 3 + (kx + 1);
+
+          gx += gray * sobelX[kernelIdx];
+          gy += gray * sobelY[kernelIdx];
+        }
+      }
+
+      // Calculate magnitude
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      edges[y * width + x] = magnitude > 50 ? 255 : 0;
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Find object bounds from edge map using center-weighted detection
+ * @returns {Object} {x, y, width, height, centerX, centerY} in edge map pixels
+ */
+export function findObjectBounds(edges, width, height) {
+  const centerX = width / 2;
+  const centerY = height / 2;
+
+  // Find bounds of edge pixels, weighted towards center
+  let minX = width;
+  let minY = height;
+  let maxX = 0;
+  let maxY = 0;
+  let edgeCount = 0;
+  let weightedSumX = 0;
+  let weightedSumY = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (edges[y * width + x] > 0) {
+        // Calculate distance from center
+        const distX = Math.abs(x - centerX);
+        const distY = Math.abs(y - centerY);
+        const distFromCenter = Math.sqrt(distX * distX + distY * distY);
+
+        // Weight edges closer to center more heavily
+        const maxDist = Math.sqrt(centerX * centerX + centerY * centerY);
+        const weight = 1 - (distFromCenter / maxDist);
+
+        if (weight > 0.3) { // Only consider edges reasonably close to center
+          minX = Math.min(minX, x);
+          minY = Math.min(minY, y);
+          maxX = Math.max(maxX, x);
+          maxY = Math.max(maxY, y);
+
+          weightedSumX += x * weight;
+          weightedSumY += y * weight;
+          edgeCount += weight;
+        }
+      }
+    }
+  }
+
+  // No object found
+  if (edgeCount < 10) {
+    // Fallback to center region
+    return {
+      x: width * 0.25,
+      y: height * 0.25,
+      width: width * 0.5,
+      height: height * 0.5,
+      centerX: centerX,
+      centerY: centerY
+    };
+  }
+
+  // Calculate weighted center
+  const objCenterX = weightedSumX / edgeCount;
+  const objCenterY = weightedSumY / edgeCount;
+
+  // Add padding around detected bounds
+  const padding = 20;
+  minX = Math.max(0, minX - padding);
+  minY = Math.max(0, minY - padding);
+  maxX = Math.min(width, maxX + padding);
+  maxY = Math.min(height, maxY + padding);
+
+  return {
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY,
+    centerX: objCenterX,
+    centerY: objCenterY
+  };
+}
+
+export class FrameProcessor {
+  /**
+   * @param {Function} createCanvas - (width, height) => canvas with a 2D context
+   *   (OffscreenCanvas in the worker, <canvas> on the main thread)
+   */
+  constructor(createCanvas) {
+    this.createCanvas = createCanvas;
+    this.canvases = {}; // One canvas per working resolution
+    this.previousFrames = {}; // Last frame per motion job ('motion', 'gaze')
+    this.lastCentroid = null;
+  }
+
+  /**
+   * Run the requested jobs on one frame
+   * @param {CanvasImageSource} source - Video frame (ImageBitmap, <video>...)
+   * @param {number} width - Source width in pixels
+   * @param {number} height - Source height in pixels
+   * @param {Object} jobs - {motion: {threshold, minChangedPixels, region}, edges: true,
+   *   hash: {algorithm: 'phash' | 'dhash'} (or true for pHash), gaze: {threshold, minChangedPixels}}
+   * @returns {Object} {motion, bounds, hash, gaze} for the jobs that ran; motion and
+   *   gaze are null on the first frame, bounds are in source pixels
+   */
+  process(source, width, height, jobs) {
+    const result = {};
+
+    if (jobs.motion) {
+      result.motion = this.compareMotion('motion', source, width, height, {
+        ...jobs.motion,
+        lastCentroid: this.lastCentroid
+      });
+      this.lastCentroid = result.motion?.centroid || null;
+    }
+
+    // The eyes sample more often than the motion check, so gaze keeps its own previous frame
+    if (jobs.gaze) {
+      result.gaze = this.compareMotion('gaze', source, width, height, jobs.gaze);
+    }
+
+    if (jobs.edges) {
+      const frame = this.readPixels('edges', source, width * EDGE_SCALE, height * EDGE_SCALE);
+      const bounds = findObjectBounds(detectEdges(frame), frame.width, frame.height);
+      const scaleX = width / frame.width;
+      const scaleY = height / frame.height;
+
+      // Scale bounds back to source dimensions
+      result.bounds = {
+        x: bounds.x * scaleX,
+        y: bounds.y * scaleY,
+        width: bounds.width * scaleX,
+        height: bounds.height * scaleY,
+        centerX: bounds.centerX * scaleX,
+        centerY: bounds.centerY * scaleY
+      };
+    }
+
+    if (jobs.hash) {
+      const algorithm = jobs.hash.algorithm === 'dhash' ? 'dhash' : 'phash';
+      const { width: hashWidth, height: hashHeight } = HASH_SIZES[algorithm];
+      result.hash = hashImage(this.readPixels(algorithm, source, hashWidth, hashHeight), algorithm);
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare this frame with the previous one of the same job
+   * @returns {Object|null} analyzeMotion() result, null without a previous frame of the same size
+   */
+  compareMotion(job, source, width, height, options) {
+    const frame = this.readPixels(job, source, width * MOTION_SCALE, height * MOTION_SCALE);
+    const previous = this.previousFrames[job];
+    const sameSize = previous && previous.width === frame.width && previous.height === frame.height;
+
+    this.previousFrames[job] = frame;
+    return sameSize ? analyzeMotion(frame, previous, options) : null;
+  }
+
+  /**
+   * Draw the source at a working size and read its pixels
+   */
+  readPixels(name, source, width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+
+    if (!this.canvases[name]) {
+      const canvas = this.createCanvas(width, height);
+      this.canvases[name] = { canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
+    }
+
+    const { canvas, ctx } = this.canvases[name];
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * Forget the previous motion frames
+   * @param {string|null} job - Only this job's ('motion' or 'gaze'), or all of them
+   */
+  reset(job = null) {
+    if (job) {
+      delete this.previousFrames[job];
+    } else {
+      this.previousFrames = {};
+    }
+    if (!job || job === 'motion') {
+      this.lastCentroid = null;
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Frame Worker - Runs FrameProcessor off the main thread
+ * Receives {id, frame, width, height, jobs} with the frame as a transferred
+ * ImageBitmap and answers {id, result, duration} (or {id, error}).
+ * {type: 'reset', job} forgets the previous motion frames (of one job, or all).
+ */
+
+import { FrameProcessor } from './frameProcessor.js';
+
+const processor = new FrameProcessor((width, height) => new OffscreenCanvas(width, height));
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'reset') {
+    processor.reset(data.job);
+    return;
+  }
+
+  const { id, frame, width, height, jobs } = data;
+  const start = performance.now();
+
+  try {
+    const result = processor.process(frame, width, height, jobs);
+    self.postMessage({ id, result, duration: performance.now() - start });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  } finally {
+    frame.close();
+  }
+};
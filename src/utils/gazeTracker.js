@@ -0,0 +1,160 @@
+/**
+ * Gaze Tracker - Finds what the object's eyes should look at
+ * Prefers the user's face via the Shape Detection API (FaceDetector, Chrome on
+ * desktop and Android), otherwise the center of whatever is moving in the picture.
+ * A hand swinging left and right a few times counts as a wave.
+ */
+
+// A wave: this many direction changes in the motion center within WAVE_WINDOW_MS,
+// each swing at least WAVE_MIN_SWING of the frame width
+const WAVE_WINDOW_MS = 1500;
+const WAVE_MIN_TURNS = 3;
+const WAVE_MIN_SWING = 0.04;
+
+// Motion the eyes follow: pixels changing by more than GAZE_THRESHOLD, over at
+// least GAZE_MIN_CHANGED of the frame
+const GAZE_THRESHOLD = 30;
+const GAZE_MIN_CHANGED = 0.01;
+
+/**
+ * Did the motion center swing back and forth like a waving hand?
+ * @param {Array<{x: number, time: number}>} history - Motion centers, oldest first
+ * @param {number} now - Current time in ms
+ */
+export function isWaving(history, now) {
+  const recent = history.filter(point => now - point.time <= WAVE_WINDOW_MS);
+  let turns = 0;
+  let direction = 0;
+  let anchor = recent[0]?.x;
+
+  for (const point of recent) {
+    const swing = point.x - anchor;
+    if (Math.abs(swing) < WAVE_MIN_SWING) continue;
+
+    const newDirection = Math.sign(swing);
+    if (direction !== 0 && newDirection !== direction) {
+      turns++;
+    }
+    direction = newDirection;
+    anchor = point.x;
+  }
+
+  return turns >= WAVE_MIN_TURNS;
+}
+
+export class GazeTracker {
+  /**
+   * @param {HTMLVideoElement} video - The camera feed
+   * @param {FramePipeline} frames - Measures motion off the main thread (a 'gaze' job,
+   *   so gaze sampling doesn't steal frames from the analysis loop)
+   */
+  constructor(video, frames) {
+    this.video = video;
+    this.frames = frames;
+    this.faceDetector = this.createFaceDetector();
+    this.history = [];
+    this.busy = false;
+  }
+
+  /**
+   * FaceDetector when the browser has one
+   */
+  createFaceDetector() {
+    if (!('FaceDetector' in window)) {
+      return null;
+    }
+
+    try {
+      return new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+    } catch (error) {
+      console.warn('Face detection unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Where the eyes should look right now
+   * @returns {Promise<{x: number, y: number, source: string, waving: boolean}|null>}
+   *   Point in 0-1 video coordinates, or null when there is nothing to look at
+   *   (or the last call is still running)
+   */
+  async locate() {
+    if (this.busy || !this.video.videoWidth) {
+      return null;
+    }
+
+    this.busy = true;
+    try {
+      const now = performance.now();
+
+      // Motion is sampled every time so a wave is noticed even while a face is seen
+      const motion = await this.locateMotion();
+      if (motion) {
+        this.history.push({ x: motion.x, time: now });
+      }
+      this.history = this.history.filter(point => now - point.time <= WAVE_WINDOW_MS);
+      const waving = isWaving(this.history, now);
+
+      const face = await this.findFace();
+      if (face) {
+        return { ...face, source: 'face', waving };
+      }
+
+      return motion ? { x: motion.x, y: motion.y, source: 'motion', waving } : null;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Center of the pixels that changed since the last sample
+   * @returns {Promise<{x: number, y: number, amount: number}|null>} In 0-1 video
+   *   coordinates, null if too little moved
+   */
+  async locateMotion() {
+    const result = await this.frames.run({
+      gaze: { threshold: GAZE_THRESHOLD, minChangedPixels: GAZE_MIN_CHANGED }
+    });
+    const motion = result?.gaze;
+    if (!motion?.centroid || motion.amount < GAZE_MIN_CHANGED) {
+      return null;
+    }
+    return { ...motion.centroid, amount: motion.amount };
+  }
+
+  /**
+   * Center of the first face in the frame
+   * @returns {Promise<{x: number, y: number}|null>} In 0-1 video coordinates
+   */
+  async findFace() {
+    if (!this.faceDetector) {
+      return null;
+    }
+
+    try {
+      const faces = await this.faceDetector.detect(this.video);
+      if (!faces.length) {
+        return null;
+      }
+
+      const box = faces[0].boundingBox;
+      return {
+        x: (box.x + box.width / 2) / this.video.videoWidth,
+        y: (box.y + box.height / 2) / this.video.videoHeight
+      };
+    } catch (error) {
+      // Some platforms expose the API but can't run it - use motion from now on
+      console.warn('Face detection failed, following motion instead:', error);
+      this.faceDetector = null;
+      return null;
+    }
+  }
+
+  /**
+   * Forget motion history (e.g. when the camera stops)
+   */
+  reset() {
+    this.frames.reset('gaze');
+    this.history = [];
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Lip Sync - Moves the overlay mouth while the object speaks
+ * Provider audio is measured live with an AnalyserNode (loudness opens the mouth,
+ * brighter sound widens it). Web Speech can't be measured, so the text is turned
+ * into a timeline of estimated visemes and re-synced on each word boundary event.
+ */
+
+// Mouth shapes: open (0 closed - 1 wide open) and width (1 = normal)
+export const VISEMES = {
+  rest: { open: 0, width: 1 },
+  closed: { open: 0.05, width: 0.95 }, // m, b, p
+  teeth: { open: 0.2, width: 1.05 }, // f, v, s, t...
+  wide: { open: 0.45, width: 1.2 }, // e, i
+  open: { open: 0.9, width: 1.05 }, // a
+  round: { open: 0.6, width: 0.7 } // o, u, w
+};
+
+// Estimated length of one viseme and of the pauses punctuation makes, at rate 1
+const VISEME_MS = 85;
+const PAUSE_MS = { ',': 150, ';': 200, ':': 200, '.': 300, '!': 300, '?': 300, '…': 400 };
+
+/**
+ * Viseme for a run of letters (a vowel group or a single consonant)
+ */
+export function getViseme(letters) {
+  const first = letters[0].toLowerCase();
+  if ('a'.includes(first)) return 'open';
+  if ('ei'.includes(first)) return 'wide';
+  if ('ouw'.includes(first)) return 'round';
+  if ('mbp'.includes(first)) return 'closed';
+  if ('y'.includes(first)) return letters.length > 1 ? 'wide' : 'teeth';
+  return 'teeth';
+}
+
+/**
+ * Estimate when each viseme of a line is said
+ * @param {string} text - The line as spoken
+ * @param {number} rate - Speech rate (1 = normal)
+ * @returns {Array<{index: number, start: number, end: number, viseme: string}>}
+ *   index is the character offset the viseme starts at; times in ms from the start
+ */
+export function buildTimeline(text, rate = 1) {
+  const timeline = [];
+  const step = VISEME_MS / rate;
+  let time = 0;
+
+  // Vowel groups, single consonants, and punctuation that makes a pause
+  for (const match of text.matchAll(/[aeiouy]+|[b-df-hj-np-tv-z]|[,;:.!?…]/gi)) {
+    const pause = PAUSE_MS[match[0]];
+    const length = pause ? pause / rate : step;
+    timeline.push({
+      index: match.index,
+      start: time,
+      end: time + length,
+      viseme: pause ? 'rest' : getViseme(match[0])
+    });
+    time += length;
+  }
+
+  return timeline;
+}
+
+/**
+ * Mouth shape from one frame of analyser data
+ * @param {Uint8Array} waveform - getByteTimeDomainData output
+ * @param {Uint8Array} spectrum - getByteFrequencyData output
+ * @returns {{open: number, width: number}}
+ */
+export function shapeFromAudio(waveform, spectrum) {
+  let sum = 0;
+  for (let i = 0; i < waveform.length; i++) {
+    const sample = (waveform[i] - 128) / 128;
+    sum += sample * sample;
+  }
+  const rms = Math.sqrt(sum / waveform.length);
+
+  // Where the energy sits: low (o, u) keeps the mouth narrow, high (e, i, s) widens it
+  let energy = 0;
+  let weighted = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    energy += spectrum[i];
+    weighted += spectrum[i] * i;
+  }
+  const centroid = energy > 0 ? weighted / energy / spectrum.length : 0;
+
+  return {
+    open: Math.max(0, Math.min(1, (rms - 0.02) * 5)),
+    width: Math.max(0.7, Math.min(1.3, 0.75 + centroid * 2.5))
+  };
+}
+
+export class LipSync {
+  /**
+   * @param {HTMLElement} mouth - Element sized by the --mouth-open and --mouth-width CSS variables
+   */
+  constructor(mouth) {
+    this.mouth = mouth;
+    this.analyser = null;
+    this.waveform = null;
+    this.spectrum = null;
+    this.timeline = [];
+    this.startTime = 0;
+    this.shape = { ...VISEMES.rest };
+    this.frame = null;
+  }
+
+  /**
+   * Is the mouth following speech right now?
+   */
+  get isActive() {
+    return this.frame !== null;
+  }
+
+  /**
+   * Follow audio that is playing through an analyser
+   * @param {AnalyserNode} analyser - Connected to the audio being spoken
+   */
+  followAudio(analyser) {
+    this.stop();
+    this.analyser = analyser;
+    this.waveform = new Uint8Array(analyser.fftSize);
+    this.spectrum = new Uint8Array(analyser.frequencyBinCount);
+    this.run();
+  }
+
+  /**
+   * Follow a line spoken without audio access, using estimated visemes
+   * @param {string} text - The line as spoken
+   * @param {number} rate - Speech rate
+   */
+  followText(text, rate = 1) {
+    this.stop();
+    this.timeline = buildTimeline(text, rate);
+    this.startTime = performance.now();
+    this.run();
+  }
+
+  /**
+   * Catch the estimate up (or back) to a word the voice just reached
+   * @param {number} charIndex - From the utterance's boundary event
+   */
+  syncToWord(charIndex) {
+    const entry = this.timeline.find(item => item.index >= charIndex);
+    if (entry) {
+      this.startTime = performance.now() - entry.start;
+    }
+  }
+
+  /**
+   * Close the mouth and stop following
+   */
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.analyser = null;
+    this.timeline = [];
+    this.shape = { ...VISEMES.rest };
+    this.render();
+  }
+
+  /**
+   * Update the mouth every animation frame
+   */
+  run() {
+    const update = () => {
+      this.step(performance.now());
+      this.render();
+      this.frame = requestAnimationFrame(update);
+    };
+    this.frame = requestAnimationFrame(update);
+  }
+
+  /**
+   * Move the mouth towards the shape for this moment
+   */
+  step(now) {
+    let target = VISEMES.rest;
+    if (this.analyser) {
+      this.analyser.getByteTimeDomainData(this.waveform);
+      this.analyser.getByteFrequencyData(this.spectrum);
+      target = shapeFromAudio(this.waveform, this.spectrum);
+    } else {
+      const elapsed = now - this.startTime;
+      const entry = this.timeline.find(item => elapsed < item.end);
+      if (entry && elapsed >= entry.start) {
+        target = VISEMES[entry.viseme];
+      }
+    }
+
+    // Ease in so the mouth doesn't flicker between frames
+    this.shape.open += (target.open - this.shape.open) * 0.5;
+    this.shape.width += (target.width - this.shape.width) * 0.5;
+  }
+
+  /**
+   * Apply the current shape to the mouth element
+   */
+  render() {
+    if (!this.mouth) return;
+    this.mouth.style.setProperty('--mouth-open', this.shape.open.toFixed(3));
+    this.mouth.style.setProperty('--mouth-width', this.shape.width.toFixed(3));
+    this.mouth.classList.toggle('speaking', this.frame !== null);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Local TTS Provider - An HTTP TTS server on this machine, so speech works offline
+ * Uses the GET /api/tts?text=... endpoint of Coqui TTS, Mimic 3 and OpenTTS; point the
+ * URL at a Piper HTTP server (GET /?text=...) the same way. Servers that read SSML
+ * (Mimic 3, OpenTTS) get the mood as <prosody>.
+ */
+
+import { getAudioKey } from './audioCache.js';
+import { TtsProvider } from './ttsProvider.js';
+
+export class LocalTts extends TtsProvider {
+  constructor(options = {}) {
+    super('local');
+    this.url = options.url || 'http://localhost:5002/api/tts';
+    this.supportsSsml = !!options.ssml;
+  }
+
+  /**
+   * Request WAV audio from the local server
+   * @param {Object} options - { prosody }
+   */
+  async synthesize(text, cast, options = {}) {
+    const url = new URL(this.url);
+    url.searchParams.set('text', this.prepareInput(text, options.prosody));
+    if (this.supportsSsml) {
+      url.searchParams.set('ssml', 'true');
+    }
+
+    const response = await this.fetchAudio(url.toString(), {
+      headers: { 'Accept': 'audio/wav' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local TTS error: ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * The server speaks with its own voice; only the text (and SSML prosody) changes the audio
+   */
+  getCacheKey(text, cast, prosody) {
+    return getAudioKey({
+      provider: this.name,
+      text: this.prepareInput(text, prosody),
+      voiceId: 'server',
+      modelId: this.url
+    });
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Mock Vision Provider - Deterministic offline responses for tests and demos
+ * Returns the same sequence of replies every run, in the real JSON response format,
+ * so parsing and history behave exactly as with a live model.
+ */
+
+import { VisionProvider } from './visionProvider.js';
+
+const DEFAULT_SCRIPT = [
+  {
+    object: 'Coffee Mug', emoji: '☕', category: 'kitchen', confidence: 0.92, mood: 'happy',
+    speech: "Careful, I'm still warm from this morning!",
+    boundingBox: { x: 0.35, y: 0.3, width: 0.3, height: 0.4 }
+  },
+  {
+    object: 'Coffee Mug', emoji: '☕', category: 'kitchen', confidence: 0.9, mood: 'surprised',
+    speech: 'Is that a keyboard? I have spilled on many of those.',
+    boundingBox: { x: 0.36, y: 0.31, width: 0.3, height: 0.4 }
+  },
+  {
+    object: 'Potted Plant', emoji: '🪴', category: 'nature', confidence: 0.88, mood: 'calm',
+    speech: 'Finally, someone noticed me soaking up the sun.',
+    boundingBox: { x: 0.25, y: 0.2, width: 0.4, height: 0.6 }
+  },
+  {
+    object: 'Potted Plant', emoji: '🪴', category: 'nature', confidence: 0.87, mood: 'sad',
+    speech: 'A little water would not hurt, just saying.',
+    boundingBox: { x: 0.26, y: 0.2, width: 0.4, height: 0.6 }
+  }
+];
+
+// Ensemble-mode replies, used when the prompt asks for a dialogue
+const DEFAULT_SCENE_SCRIPT = [
+  {
+    objects: [
+      {
+        id: 1, object: 'Coffee Mug', emoji: '☕', category: 'kitchen', personality: 'grumpy',
+        boundingBox: { x: 0.1, y: 0.35, width: 0.25, height: 0.35 }
+      },
+      {
+        id: 2, object: 'Potted Plant', emoji: '🪴', category: 'nature', personality: 'chill',
+        boundingBox: { x: 0.55, y: 0.2, width: 0.3, height: 0.55 }
+      }
+    ],
+    dialogue: [
+      { speaker: 1, mood: 'angry', speech: 'Stop dropping leaves in me, it ruins the coffee.' },
+      { speaker: 2, mood: 'calm', speech: 'Relax, a little fiber never hurt anyone.' },
+      { speaker: 1, mood: 'surprised', speech: 'Fiber? I am a mug, not a salad bowl!' }
+    ]
+  },
+  {
+    objects: [
+      {
+        id: 1, object: 'Coffee Mug', emoji: '☕', category: 'kitchen', personality: 'grumpy',
+        boundingBox: { x: 0.12, y: 0.36, width: 0.25, height: 0.35 }
+      },
+      {
+        id: 2, object: 'Potted Plant', emoji: '🪴', category: 'nature', personality: 'chill',
+        boundingBox: { x: 0.56, y: 0.2, width: 0.3, height: 0.55 }
+      }
+    ],
+    dialogue: [
+      { speaker: 2, mood: 'happy', speech: 'Hey mug, the human is back. Act natural.' },
+      { speaker: 1, mood: 'sad', speech: 'Natural? I have been empty since nine this morning.' }
+    ]
+  }
+];
+
+export class MockVision extends VisionProvider {
+  constructor(options = {}) {
+    super({ model: options.model || 'mock' });
+    this.script = options.script || DEFAULT_SCRIPT;
+    this.sceneScript = options.sceneScript || DEFAULT_SCENE_SCRIPT;
+    this.latency = options.latency ?? 300;
+    this.callCount = 0;
+    this.sceneCount = 0;
+    this.calls = []; // Recorded prompts for inspection
+  }
+
+  /**
+   * Return the next scripted reply
+   */
+  async complete(prompt, imageDataUrl = null) {
+    this.calls.push({ prompt, hasImage: !!imageDataUrl });
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+    this.reportUsage();
+
+    // Ensemble prompts ask for a dialogue between objects
+    if (imageDataUrl && prompt.includes('"dialogue"')) {
+      const scene = this.sceneScript[this.sceneCount % this.sceneScript.length];
+      this.sceneCount++;
+      return JSON.stringify(scene);
+    }
+
+    const step = this.script[this.callCount % this.script.length];
+    this.callCount++;
+
+    // Text-only calls (reactions) just want the line
+    if (!imageDataUrl) {
+      return step.speech;
+    }
+
+    return JSON.stringify(step);
+  }
+}
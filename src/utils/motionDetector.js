@@ -1,7 +1,11 @@
 /**
  * Motion Detector - Detects significant changes between video frames
+ * Compares luminance on a grid of cells, so motion can be limited to a region
+ * of interest (the tracked object) and shown as a heatmap for debugging.
  */
 
+import { analyzeMotion } from './frameProcessor.js';
+
 export class MotionDetector {
   constructor(videoElement, canvasElement) {
     this.video = videoElement;
@@ -10,6 +14,9 @@ export class MotionDetector {
     this.previousFrame = null;
     this.threshold = 30; // Pixel difference threshold
     this.minChangedPixels = 0.05; // 5% of pixels must change
+    this.region = null; // Region of interest, 0-1 video coordinates
+    this.lastMotion = null; // Latest analyzeFrames() result
+    this.heatmap = false; // Draw the debug heatmap on the canvas
   }
 
   /**
@@ -17,19 +24,11 @@ export class MotionDetector {
    * @returns {boolean} True if significant motion detected
    */
   detectMotion() {
-    if (!this.video.videoWidth || !this.video.videoHeight) {
+    const currentFrame = this.captureFrame();
+    if (!currentFrame) {
       return false;
     }
 
-    // Set canvas size to match video (downsample for performance)
-    const scale = 0.25; // Process at 25% resolution for speed
-    this.canvas.width = this.video.videoWidth * scale;
-    this.canvas.height = this.video.videoHeight * scale;
-
-    // Draw current frame
-    this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-    const currentFrame = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-
     // First frame - no previous data to compare
     if (!this.previousFrame) {
       this.previousFrame = currentFrame;
@@ -45,33 +44,170 @@ export class MotionDetector {
     return motionDetected;
   }
 
+  /**
+   * Find where in the picture things are moving
+   * @returns {{x: number, y: number, amount: number}|null} Center of the changed
+   *   pixels in 0-1 video coordinates, or null if nothing moved
+   */
+  locateMotion() {
+    const currentFrame = this.captureFrame();
+    if (!currentFrame) {
+      return null;
+    }
+
+    const centroid = this.previousFrame ? this.getMotionCentroid(currentFrame, this.previousFrame) : null;
+    this.previousFrame = currentFrame;
+    return centroid;
+  }
+
+  /**
+   * Draw the current video frame at low resolution and read its pixels
+   * @returns {ImageData|null} Null until the video has a size
+   */
+  captureFrame() {
+    if (!this.video.videoWidth || !this.video.videoHeight) {
+      return null;
+    }
+
+    // Set canvas size to match video (downsample for performance)
+    const scale = 0.25; // Process at 25% resolution for speed
+    this.canvas.width = this.video.videoWidth * scale;
+    this.canvas.height = this.video.videoHeight * scale;
+
+    // Draw current frame
+    this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+    const frame = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+
+    // The heatmap canvas is on screen - don't leave the frame showing
+    if (this.heatmap) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    return frame;
+  }
+
+  /**
+   * Center of the pixels that changed between two frames
+   * @returns {{x: number, y: number, amount: number}|null} amount is the share of
+   *   pixels that changed; null if too few changed to count as motion
+   */
+  getMotionCentroid(current, previous) {
+    const motion = this.analyzeFrames(current, previous);
+    if (!motion.centroid || motion.amount < this.minChangedPixels / 5) {
+      return null;
+    }
+
+    return { ...motion.centroid, amount: motion.amount };
+  }
+
   /**
    * Compare two frames and determine if motion occurred
    */
   compareFrames(current, previous) {
-    const currentData = current.data;
-    const previousData = previous.data;
-    let changedPixels = 0;
-    let totalChange = 0;
-    const totalPixels = currentData.length / 4;
-
-    // Compare each pixel (checking only red channel for speed)
-    for (let i = 0; i < currentData.length; i += 4) {
-      const diff = Math.abs(currentData[i] - previousData[i]);
-      totalChange += diff;
-
-      if (diff > this.threshold) {
-        changedPixels++;
-      }
+    return this.analyzeFrames(current, previous).detected;
+  }
+
+  /**
+   * Measure motion per grid cell and inside the region of interest
+   * @returns {Object} analyzeMotion() result, also kept as lastMotion
+   */
+  analyzeFrames(current, previous) {
+    const motion = analyzeMotion(current, previous, {
+      ...this.getOptions(),
+      lastCentroid: this.lastMotion?.centroid
+    });
+    this.acceptMotion(motion);
+    return motion;
+  }
+
+  /**
+   * Settings for analyzeMotion(), also sent to the frame worker
+   */
+  getOptions() {
+    return { threshold: this.threshold, minChangedPixels: this.minChangedPixels, region: this.region };
+  }
+
+  /**
+   * Take a motion result measured elsewhere (e.g. by the frame worker)
+   * @param {Object|null} motion - analyzeMotion() result; null for the first frame
+   * @returns {boolean} True if significant motion detected (the first frame counts)
+   */
+  acceptMotion(motion) {
+    if (!motion) {
+      return true;
     }
 
-    const changePercentage = changedPixels / totalPixels;
-    const avgChange = totalChange / totalPixels;
+    this.lastMotion = motion;
+    if (this.heatmap) {
+      this.drawHeatmap(motion);
+    }
+    return motion.detected;
+  }
 
-    // Motion detected if either:
-    // 1. Enough pixels changed (normal motion)
-    // 2. Average change is significant (new object with different colors)
-    return changePercentage > this.minChangedPixels || avgChange > 25;
+  /**
+   * Only count motion inside part of the picture
+   * @param {Object|null} region - {x, y, width, height} in 0-1 video coordinates,
+   *   or null for the whole frame
+   */
+  setRegion(region) {
+    this.region = region;
+  }
+
+  /**
+   * Show or hide the debug heatmap on the detector's canvas
+   */
+  setHeatmap(enabled) {
+    this.heatmap = enabled;
+    this.canvas.classList.toggle('heatmap', enabled);
+    if (!enabled) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  /**
+   * Paint cell motion, the region of interest and the motion vector
+   */
+  drawHeatmap(motion) {
+    // Results from the worker come without a captured frame to size the canvas
+    if (this.canvas.width !== motion.width || this.canvas.height !== motion.height) {
+      this.canvas.width = motion.width;
+      this.canvas.height = motion.height;
+    }
+
+    const { width, height } = this.canvas;
+    const cellWidth = width / motion.cols;
+    const cellHeight = height / motion.rows;
+    this.ctx.clearRect(0, 0, width, height);
+
+    // Warmer and more opaque where more pixels changed
+    motion.cells.forEach((share, cell) => {
+      if (share === 0) return;
+      const strength = Math.min(1, share * 4);
+      this.ctx.fillStyle = `rgba(255, ${Math.round(200 - strength * 180)}, 40, ${(0.15 + strength * 0.5).toFixed(2)})`;
+      this.ctx.fillRect((cell % motion.cols) * cellWidth, Math.floor(cell / motion.cols) * cellHeight, cellWidth, cellHeight);
+    });
+
+    if (this.region) {
+      this.ctx.strokeStyle = motion.detected ? '#22c55e' : 'rgba(255, 255, 255, 0.7)';
+      this.ctx.lineWidth = 1;
+      this.ctx.strokeRect(this.region.x * width, this.region.y * height, this.region.width * width, this.region.height * height);
+    }
+
+    if (motion.centroid) {
+      const x = motion.centroid.x * width;
+      const y = motion.centroid.y * height;
+      this.ctx.fillStyle = 'white';
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, 2, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      if (motion.vector) {
+        this.ctx.strokeStyle = 'white';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - motion.vector.x * width, y - motion.vector.y * height);
+        this.ctx.lineTo(x, y);
+        this.ctx.stroke();
+      }
+    }
   }
 
   /**
@@ -79,15 +215,20 @@ export class MotionDetector {
    */
   reset() {
     this.previousFrame = null;
+    this.lastMotion = null;
+    if (this.heatmap) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
   }
 
   /**
    * Adjust sensitivity
+   * 5 (the settings slider's default) gives the constructor's threshold of 30 and 5% of pixels.
    * @param {number} sensitivity - Value between 1-10 (10 = most sensitive)
    */
   setSensitivity(sensitivity) {
-    // Higher sensitivity = lower threshold
+    // Higher sensitivity = lower threshold and fewer changed pixels
     this.threshold = 50 - (sensitivity * 4);
-    this.minChangedPixels = 0.02 + (sensitivity * 0.003);
+    this.minChangedPixels = 0.075 - (sensitivity * 0.005);
   }
 }
\ No newline at end of file
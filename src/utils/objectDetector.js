@@ -1,7 +1,11 @@
 /**
  * Object Detector - Detects object boundaries and outline for AR overlay
+ * The edge work itself lives in frameProcessor.js so the frame worker can run it;
+ * detectObjectBounds() is the main-thread path for browsers without one.
  */
 
+import { detectEdges, findObjectBounds } from './frameProcessor.js';
+
 export class ObjectDetector {
   constructor(videoElement) {
     this.video = videoElement;
@@ -58,117 +62,14 @@ export class ObjectDetector {
    * Apply Sobel edge detection
    */
   detectEdges(imageData) {
-    const width = imageData.width;
-    const height = imageData.height;
-    const data = imageData.data;
-    const edges = new Uint8ClampedArray(width * height);
-
-    // Sobel kernels
-    const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-    const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        let gx = 0;
-        let gy = 0;
-
-        // Apply kernels
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            const idx = ((y + ky) * width + (x + kx)) * 4;
-            const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-            const kernelIdx = (ky + 1) * 3 + (kx + 1);
-
-            gx += gray * sobelX[kernelIdx];
-            gy += gray * sobelY[kernelIdx];
-          }
-        }
-
-        // Calculate magnitude
-        const magnitude = Math.sqrt(gx * gx + gy * gy);
-        edges[y * width + x] = magnitude > 50 ? 255 : 0;
-      }
-    }
-
-    return edges;
+    return detectEdges(imageData);
   }
 
   /**
    * Find object bounds from edge map using center-weighted detection
    */
   findObjectBounds(edges) {
-    const width = this.canvas.width;
-    const height = this.canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-
-    // Find bounds of edge pixels, weighted towards center
-    let minX = width;
-    let minY = height;
-    let maxX = 0;
-    let maxY = 0;
-    let edgeCount = 0;
-    let weightedSumX = 0;
-    let weightedSumY = 0;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        if (edges[y * width + x] > 0) {
-          // Calculate distance from center
-          const distX = Math.abs(x - centerX);
-          const distY = Math.abs(y - centerY);
-          const distFromCenter = Math.sqrt(distX * distX + distY * distY);
-
-          // Weight edges closer to center more heavily
-          const maxDist = Math.sqrt(centerX * centerX + centerY * centerY);
-          const weight = 1 - (distFromCenter / maxDist);
-
-          if (weight > 0.3) { // Only consider edges reasonably close to center
-            minX = Math.min(minX, x);
-            minY = Math.min(minY, y);
-            maxX = Math.max(maxX, x);
-            maxY = Math.max(maxY, y);
-
-            weightedSumX += x * weight;
-            weightedSumY += y * weight;
-            edgeCount += weight;
-          }
-        }
-      }
-    }
-
-    // No object found
-    if (edgeCount < 10) {
-      // Fallback to center region
-      return {
-        x: width * 0.25,
-        y: height * 0.25,
-        width: width * 0.5,
-        height: height * 0.5,
-        centerX: centerX,
-        centerY: centerY
-      };
-    }
-
-    // Calculate weighted center
-    const objCenterX = weightedSumX / edgeCount;
-    const objCenterY = weightedSumY / edgeCount;
-
-    // Add padding around detected bounds
-    const padding = 20;
-    minX = Math.max(0, minX - padding);
-    minY = Math.max(0, minY - padding);
-    maxX = Math.min(width, maxX + padding);
-    maxY = Math.min(height, maxY + padding);
-
-    return {
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY,
-      centerX: objCenterX,
-      centerY: objCenterY
-    };
+    return findObjectBounds(edges, this.canvas.width, this.canvas.height);
   }
 
   /**
@@ -195,6 +96,15 @@ export class ObjectDetector {
     return points;
   }
 
+  /**
+   * Use bounds from another source (model bounding box / tracker)
+   * so outline points follow the tracked object
+   * @param {Object} bounds - {x, y, width, height, centerX, centerY} in video pixels
+   */
+  setBounds(bounds) {
+    this.objectBounds = bounds;
+  }
+
   /**
    * Reset detector
    */
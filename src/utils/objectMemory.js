@@ -0,0 +1,222 @@
+/**
+ * Object Memory - Remembers objects across sessions
+ * Stores each recognized object's name, personality, voice and recent lines
+ * in IndexedDB, falling back to memory when IndexedDB is unavailable
+ * (private browsing, tests).
+ */
+
+const DB_NAME = 'talking-objects';
+const DB_VERSION = 1;
+const STORE_NAME = 'objects';
+
+/**
+ * Stable identity for an object name ("☕ Coffee Mug" → "coffee mug")
+ */
+export function getObjectId(name) {
+  return (name || '').replace(/[^\w\s]/gi, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export class ObjectMemory {
+  constructor(options = {}) {
+    this.maxLines = options.maxLines || 6; // Lines kept per object for said/heard
+    this.sightingGap = options.sightingGap || 10 * 60 * 1000; // Away this long = seen again
+    this.db = null;
+    this.fallback = new Map(); // Used when IndexedDB can't be opened
+    this.ready = null;
+  }
+
+  /**
+   * Open the database (safe to call more than once)
+   * @returns {Promise<boolean>} True if IndexedDB is in use
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.openDatabase()
+        .then(db => {
+          this.db = db;
+          return true;
+        })
+        .catch(error => {
+          console.warn('Object memory not persisted - IndexedDB unavailable:', error);
+          return false;
+        });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Open IndexedDB and create the object store on first run
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Look up a remembered object
+   * @param {string} name - Object name as recognized by the model
+   * @returns {Promise<Object|null>} Memory record, or null if never seen
+   */
+  async recall(name) {
+    const id = getObjectId(name);
+    if (!id) return null;
+    return (await this.get(id)) || null;
+  }
+
+  /**
+   * Record a sighting or new lines for an object
+   * @param {string} name - Object name as recognized by the model
+   * @param {Object} update - { emoji, category, personality, voice, said, heard }
+   * @returns {Promise<Object>} Updated record
+   */
+  async remember(name, update = {}) {
+    const id = getObjectId(name);
+    if (!id) return null;
+
+    const now = Date.now();
+    const existing = await this.get(id);
+    const record = existing || {
+      id,
+      name: name.replace(/[^\w\s]/gi, '').trim(),
+      nickname: null,
+      emoji: null,
+      category: 'other',
+      personality: null,
+      voice: null,
+      said: [],
+      heard: [],
+      timesSeen: 0,
+      firstSeen: now,
+      lastSeen: now
+    };
+
+    if (update.emoji) record.emoji = update.emoji;
+    if (update.category) record.category = update.category;
+    if (update.personality) record.personality = update.personality;
+    if (update.voice && !record.voice) record.voice = update.voice; // Keep the voice it first had
+    if (update.said) record.said = [...record.said, update.said].slice(-this.maxLines);
+    if (update.heard) record.heard = [...record.heard, update.heard].slice(-this.maxLines);
+
+    // Count a new sighting the first time, or after being away for a while
+    if (!existing || now - record.lastSeen > this.sightingGap) {
+      record.timesSeen++;
+    }
+    record.lastSeen = now;
+
+    await this.put(record);
+    return record;
+  }
+
+  /**
+   * All remembered objects, most recently seen first
+   */
+  async list() {
+    await this.init();
+
+    let records;
+    if (this.db) {
+      records = await this.request(store => store.getAll());
+    } else {
+      records = [...this.fallback.values()];
+    }
+
+    return records.sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Give a remembered object a nickname (empty clears it)
+   */
+  async rename(id, nickname) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    record.nickname = nickname?.trim() || null;
+    await this.put(record);
+    return record;
+  }
+
+  /**
+   * Pin a voice to a remembered object (null goes back to the casting table)
+   */
+  async setVoice(id, voice) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    record.voice = voice || null;
+    await this.put(record);
+    return record;
+  }
+
+  /**
+   * Forget one object
+   */
+  async forget(id) {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.delete(id), 'readwrite');
+    } else {
+      this.fallback.delete(id);
+    }
+  }
+
+  /**
+   * Forget every object
+   */
+  async clear() {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.clear(), 'readwrite');
+    } else {
+      this.fallback.clear();
+    }
+  }
+
+  /**
+   * Read one record by id
+   */
+  async get(id) {
+    await this.init();
+    if (this.db) {
+      return this.request(store => store.get(id));
+    }
+    return this.fallback.get(id);
+  }
+
+  /**
+   * Write one record
+   */
+  async put(record) {
+    await this.init();
+    if (this.db) {
+      await this.request(store => store.put(record), 'readwrite');
+    } else {
+      this.fallback.set(record.id, record);
+    }
+  }
+
+  /**
+   * Run a single IndexedDB request in its own transaction
+   */
+  request(operation, mode = 'readonly') {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Object Tracker - Follows the model's bounding box between API calls
+ * Uses template matching (mean-normalized SAD) on a downsampled grayscale frame
+ */
+
+export class ObjectTracker {
+  constructor(videoElement) {
+    this.video = videoElement;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.scale = 0.25; // Track at 25% resolution for speed
+
+    this.maxTemplateSamples = 24; // Template is sampled on at most a 24x24 grid
+    this.searchRadius = 16; // Max movement per frame in downsampled pixels
+    this.lostThreshold = 28; // Mean abs difference (0-255) above which we lose the object
+    this.templateBlend = 0.1; // How much of the new appearance to mix into the template
+
+    this.reset();
+  }
+
+  /**
+   * Start tracking from a box in video pixel coordinates
+   * @param {Object} bounds - {x, y, width, height}
+   * @returns {boolean} True if tracking started
+   */
+  init(bounds) {
+    const frame = this.captureGray();
+    if (!frame || !bounds) {
+      this.reset();
+      return false;
+    }
+
+    // Box in downsampled coordinates
+    const box = {
+      x: Math.round(bounds.x * this.scale),
+      y: Math.round(bounds.y * this.scale),
+      width: Math.max(4, Math.round(bounds.width * this.scale)),
+      height: Math.max(4, Math.round(bounds.height * this.scale))
+    };
+    box.x = Math.max(0, Math.min(frame.width - box.width, box.x));
+    box.y = Math.max(0, Math.min(frame.height - box.height, box.y));
+
+    // Sample grid inside the box
+    const cols = Math.min(this.maxTemplateSamples, box.width);
+    const rows = Math.min(this.maxTemplateSamples, box.height);
+    this.offsets = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        this.offsets.push({
+          dx: Math.floor((c + 0.5) * box.width / cols),
+          dy: Math.floor((r + 0.5) * box.height / rows)
+        });
+      }
+    }
+
+    this.template = this.sample(frame, box.x, box.y);
+    this.box = box;
+    this.isTracking = true;
+    this.lastScore = 0;
+    return true;
+  }
+
+  /**
+   * Find the object in the current frame
+   * @returns {Object|null} Bounds in video pixels {x, y, width, height, centerX, centerY}, or null if lost
+   */
+  track() {
+    if (!this.isTracking) return null;
+
+    const frame = this.captureGray();
+    if (!frame) return null;
+
+    const maxX = frame.width - this.box.width;
+    const maxY = frame.height - this.box.height;
+
+    this.templateMean = this.mean(this.template);
+
+    // Coarse search on a 2px grid, then refine around the best match
+    let best = this.search(frame, this.box.x, this.box.y, this.searchRadius, 2, maxX, maxY);
+    best = this.search(frame, best.x, best.y, 1, 1, maxX, maxY, best);
+
+    this.lastScore = best.score;
+    if (best.score > this.lostThreshold) {
+      console.log('Tracker lost object (score', best.score.toFixed(1), ')');
+      this.reset();
+      return null;
+    }
+
+    this.box.x = best.x;
+    this.box.y = best.y;
+
+    // Slowly adapt to lighting / rotation changes
+    const current = this.sample(frame, best.x, best.y);
+    for (let i = 0; i < this.template.length; i++) {
+      this.template[i] += (current[i] - this.template[i]) * this.templateBlend;
+    }
+
+    return this.getBounds();
+  }
+
+  /**
+   * Search a square window for the lowest matching score
+   */
+  search(frame, cx, cy, radius, step, maxX, maxY, initial = null) {
+    let best = initial || { x: cx, y: cy, score: Infinity };
+
+    for (let dy = -radius; dy <= radius; dy += step) {
+      const y = cy + dy;
+      if (y < 0 || y > maxY) continue;
+
+      for (let dx = -radius; dx <= radius; dx += step) {
+        const x = cx + dx;
+        if (x < 0 || x > maxX) continue;
+
+        const score = this.matchScore(frame, x, y, best.score);
+        if (score < best.score) {
+          best = { x, y, score };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Mean-normalized sum of absolute differences (lower is better)
+   * Stops early once the score can't beat the current best
+   */
+  matchScore(frame, x, y, bestScore) {
+    const { gray, width } = frame;
+    const offsets = this.offsets;
+    const count = offsets.length;
+
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+      sum += gray[(y + offsets[i].dy) * width + (x + offsets[i].dx)];
+    }
+    const sampleMean = sum / count;
+
+    const limit = bestScore * count;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const value = gray[(y + offsets[i].dy) * width + (x + offsets[i].dx)];
+      total += Math.abs((value - sampleMean) - (this.template[i] - this.templateMean));
+      if (total > limit) {
+        return Infinity;
+      }
+    }
+
+    return total / count;
+  }
+
+  /**
+   * Read the template grid at a position
+   */
+  sample(frame, x, y) {
+    const values = new Float32Array(this.offsets.length);
+    for (let i = 0; i < this.offsets.length; i++) {
+      const { dx, dy } = this.offsets[i];
+      values[i] = frame.gray[(y + dy) * frame.width + (x + dx)];
+    }
+    return values;
+  }
+
+  /**
+   * Average of an array
+   */
+  mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return sum / values.length;
+  }
+
+  /**
+   * Capture the current video frame as downsampled grayscale
+   */
+  captureGray() {
+    if (!this.video.videoWidth || !this.video.videoHeight) {
+      return null;
+    }
+
+    const width = Math.round(this.video.videoWidth * this.scale);
+    const height = Math.round(this.video.videoHeight * this.scale);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    this.ctx.drawImage(this.video, 0, 0, width, height);
+    const data = this.ctx.getImageData(0, 0, width, height).data;
+    const gray = new Uint8ClampedArray(width * height);
+
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      // Luminance (Rec. 601)
+      gray[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    }
+
+    return { gray, width, height };
+  }
+
+  /**
+   * Current box in video pixel coordinates
+   */
+  getBounds() {
+    if (!this.box) return null;
+
+    const x = this.box.x / this.scale;
+    const y = this.box.y / this.scale;
+    const width = this.box.width / this.scale;
+    const height = this.box.height / this.scale;
+
+    return {
+      x,
+      y,
+      width,
+      height,
+      centerX: x + width / 2,
+      centerY: y + height / 2
+    };
+  }
+
+  /**
+   * Stop tracking
+   */
+  reset() {
+    this.isTracking = false;
+    this.box = null;
+    this.template = null;
+    this.templateMean = 0;
+    this.offsets = [];
+    this.lastScore = 0;
+  }
+}
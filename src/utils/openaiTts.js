@@ -0,0 +1,85 @@
+/**
+ * OpenAI-compatible TTS Provider - Works with any /v1/audio/speech server
+ * (OpenAI, Kokoro-FastAPI, openedai-speech, LocalAI...)
+ */
+
+import { getAudioKey } from './audioCache.js';
+import { TtsProvider } from './ttsProvider.js';
+
+// OpenAI voice for each Web Speech voice type in the casting table
+const DEFAULT_VOICES = {
+  default: 'alloy',
+  female: 'nova',
+  male: 'onyx',
+  robot: 'echo'
+};
+
+export class OpenAITts extends TtsProvider {
+  constructor(options = {}) {
+    super('openai');
+    this.baseUrl = (options.baseUrl || 'http://localhost:8880/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null; // Local servers usually don't need one
+    this.model = options.model || 'tts-1';
+    this.voices = { ...DEFAULT_VOICES, ...options.voices };
+  }
+
+  /**
+   * Request MP3 audio; the mood's rate becomes the speed parameter
+   * @param {Object} options - { prosody }
+   */
+  async synthesize(text, cast, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetchAudio(`${this.baseUrl}/audio/speech`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        input: text,
+        voice: this.getVoice(cast),
+        response_format: 'mp3',
+        speed: this.getSpeed(options.prosody)
+      })
+    });
+
+    if (response.ok) {
+      return response;
+    }
+
+    // Bad key or no credit left - use the next provider for the session
+    if (response.status === 401 || response.status === 402 || response.status === 403) {
+      const quotaError = new Error(`OpenAI TTS refused: ${response.status}`);
+      quotaError.isQuotaError = true;
+      throw quotaError;
+    }
+
+    throw new Error(`OpenAI TTS error: ${response.status}`);
+  }
+
+  /**
+   * Voice name for a cast voice
+   */
+  getVoice(cast) {
+    return this.voices[cast.webVoice] || this.voices.default;
+  }
+
+  /**
+   * Speaking speed from the mood's prosody (the API accepts 0.25-4)
+   */
+  getSpeed(prosody) {
+    return Math.round((prosody?.rate || 1) * 100) / 100;
+  }
+
+  getCacheKey(text, cast, prosody) {
+    return getAudioKey({
+      provider: this.name,
+      text,
+      voiceId: this.getVoice(cast),
+      modelId: `${this.baseUrl}/${this.model}`,
+      voiceSettings: { speed: this.getSpeed(prosody) }
+    });
+  }
+}
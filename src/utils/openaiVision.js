@@ -0,0 +1,66 @@
+/**
+ * OpenAI-compatible Vision Provider - Works with any /v1/chat/completions server
+ * (OpenAI, llama.cpp server, Ollama, LM Studio, vLLM...) that accepts image_url parts
+ */
+
+import { VisionProvider } from './visionProvider.js';
+import { RESPONSE_MAX_TOKENS } from './responseSchema.js';
+import { ERROR_TYPES, ModelError, classifyError, createRequestSignal, errorFromResponse } from './errors.js';
+
+export class OpenAIVision extends VisionProvider {
+  constructor(options = {}) {
+    super({ model: options.model || 'llava' });
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null; // Local servers usually don't need one
+  }
+
+  /**
+   * Send prompt (+ image) as a chat completion
+   */
+  async complete(prompt, imageDataUrl = null, { signal = null, maxTokens = null, json = false } = {}) {
+    const content = [{ type: 'text', text: prompt }];
+    if (imageDataUrl) {
+      content.push({ type: 'image_url', image_url: { url: imageDataUrl } });
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const request = createRequestSignal(signal, this.timeout);
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content }],
+          temperature: 0.9,
+          // Image calls and repairs answer in JSON, which needs a little more room (scenes ask for more)
+          max_tokens: maxTokens || (imageDataUrl || json ? RESPONSE_MAX_TOKENS : 80),
+          ...((imageDataUrl || json) && { response_format: { type: 'json_object' } })
+        }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw errorFromResponse(response.status, null, parseInt(response.headers.get('Retry-After')) || null);
+      }
+
+      const data = await response.json();
+      this.reportUsage(data.usage?.total_tokens);
+
+      // OpenAI-style servers stop with "content_filter" when a reply is blocked
+      const choice = data.choices?.[0];
+      if (choice?.finish_reason === 'content_filter') {
+        throw new ModelError(ERROR_TYPES.SAFETY, 'Reply blocked by the content filter');
+      }
+      return choice?.message?.content || '';
+    } catch (error) {
+      throw classifyError(request.signal.aborted ? request.signal.reason : error);
+    } finally {
+      request.done();
+    }
+  }
+}
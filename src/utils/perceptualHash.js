@@ -0,0 +1,147 @@
+/**
+ * Perceptual Hash - 64-bit fingerprints of what a frame looks like
+ * Unlike JPEG bytes, these barely change with noise, compression or small
+ * lighting shifts, so frames are compared by Hamming distance between hashes.
+ * Hashes are 16-character hex strings (they travel from the worker and work as keys).
+ */
+
+// Size each algorithm reads the frame at
+export const HASH_SIZES = {
+  dhash: { width: 9, height: 8 },
+  phash: { width: 32, height: 32 }
+};
+
+export const HASH_BITS = 64;
+
+// Low-frequency block of the DCT that pHash keeps
+const DCT_SIZE = 8;
+
+/**
+ * Grayscale values of an image (same weights as motion detection's luminance)
+ */
+function toGray(imageData) {
+  const { data } = imageData;
+  const pixels = imageData.width * imageData.height;
+  const gray = new Float32Array(pixels);
+  for (let p = 0; p < pixels; p++) {
+    gray[p] = 0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Pack an array of 0/1 bits into hex
+ */
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Difference hash: is each pixel darker than its right neighbour?
+ * @param {ImageData} imageData - Frame scaled down to 9x8
+ * @returns {string} 16 hex characters
+ */
+export function dHash(imageData) {
+  const { width, height } = imageData;
+  const gray = toGray(imageData);
+  const bits = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      bits.push(gray[y * width + x] < gray[y * width + x + 1] ? 1 : 0);
+    }
+  }
+
+  return bitsToHex(bits);
+}
+
+// cos((2x + 1)uπ / 2N) for the frequencies pHash keeps, built on first use
+let cosineTable = null;
+
+/**
+ * pHash cosine table for an image side
+ */
+function getCosines(size) {
+  if (!cosineTable || cosineTable.length !== DCT_SIZE * size) {
+    cosineTable = new Float32Array(DCT_SIZE * size);
+    for (let u = 0; u < DCT_SIZE; u++) {
+      for (let x = 0; x < size; x++) {
+        cosineTable[u * size + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+      }
+    }
+  }
+  return cosineTable;
+}
+
+/**
+ * DCT hash: is each low-frequency coefficient above the median?
+ * Survives blur, noise and brightness changes better than dHash.
+ * @param {ImageData} imageData - Frame scaled down to 32x32
+ * @returns {string} 16 hex characters
+ */
+export function pHash(imageData) {
+  const size = imageData.width;
+  const gray = toGray(imageData);
+  const cosines = getCosines(size);
+  const coefficients = new Float32Array(DCT_SIZE * DCT_SIZE);
+
+  // Only the top-left 8x8 of the 2D DCT-II (scaling doesn't matter for a median split)
+  for (let v = 0; v < DCT_SIZE; v++) {
+    for (let u = 0; u < DCT_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const cosY = cosines[v * size + y];
+        for (let x = 0; x < size; x++) {
+          sum += gray[y * size + x] * cosines[u * size + x] * cosY;
+        }
+      }
+      coefficients[v * DCT_SIZE + u] = sum;
+    }
+  }
+
+  // The DC term is overall brightness - leave it out of the median
+  const sorted = Array.from(coefficients.subarray(1)).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  return bitsToHex(Array.from(coefficients, value => (value > median ? 1 : 0)));
+}
+
+/**
+ * Hash a frame with the named algorithm
+ * @param {ImageData} imageData - Frame at HASH_SIZES[algorithm]
+ * @param {string} algorithm - 'phash' or 'dhash'
+ */
+export function hashImage(imageData, algorithm = 'phash') {
+  return algorithm === 'dhash' ? dHash(imageData) : pHash(imageData);
+}
+
+/**
+ * Number of bits that differ between two hashes
+ * @returns {number} HASH_BITS when either is missing or they differ in length
+ */
+export function hammingDistance(hash1, hash2) {
+  if (!hash1 || !hash2 || hash1.length !== hash2.length) {
+    return HASH_BITS;
+  }
+
+  let distance = 0;
+  for (let i = 0; i < hash1.length; i++) {
+    let diff = parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Similarity of two hashes from 0 (opposite) to 1 (identical)
+ */
+export function hashSimilarity(hash1, hash2) {
+  return 1 - hammingDistance(hash1, hash2) / HASH_BITS;
+}
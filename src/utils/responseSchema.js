@@ -0,0 +1,336 @@
+/**
+ * Response Schema - Structured JSON replies from the vision model
+ * Describes the expected shape, repairs common model formatting mistakes
+ * and validates/normalizes the result.
+ */
+
+export const OBJECT_CATEGORIES = [
+  'electronic', 'mechanical', 'nature', 'food', 'kitchen', 'toy',
+  'tool', 'furniture', 'clothing', 'stationery', 'vehicle', 'other'
+];
+
+export const MOODS = ['happy', 'excited', 'surprised', 'fearful', 'angry', 'sad', 'calm'];
+
+export const PERSONALITIES = ['playful', 'grumpy', 'wise', 'excited', 'chill'];
+
+/**
+ * Schema text included in prompts
+ */
+export const RESPONSE_SCHEMA_PROMPT = `Respond with ONLY a JSON object, no markdown, matching this schema:
+{
+  "object": string,        // short name of the object, no emoji (e.g. "Coffee Mug")
+  "emoji": string,         // one emoji for the object
+  "category": string,      // one of: ${OBJECT_CATEGORIES.join(', ')}
+  "confidence": number,    // 0-1, how sure you are about the object
+  "mood": string,          // one of: ${MOODS.join(', ')}
+  "speech": string,        // what the object says, first-person
+  "boundingBox": {         // optional, the object's box in normalized 0-1 image coordinates
+    "x": number, "y": number, "width": number, "height": number
+  }
+}`;
+
+// Output tokens for a one-object reply, and what each cast object adds to a scene
+// (its entry with a bounding box plus its two dialogue lines)
+export const RESPONSE_MAX_TOKENS = 200;
+const SCENE_TOKENS_PER_OBJECT = 200;
+
+/**
+ * Output tokens a scene reply needs so its JSON isn't cut off
+ * @param {number} maxObjects - Most objects the model may cast
+ */
+export function getSceneMaxTokens(maxObjects) {
+  return RESPONSE_MAX_TOKENS + maxObjects * SCENE_TOKENS_PER_OBJECT;
+}
+
+/**
+ * Schema text for ensemble scenes, where several objects talk to each other
+ * @param {number} maxObjects - Most objects the model may cast
+ */
+export function buildEnsembleSchemaPrompt(maxObjects) {
+  return `Respond with ONLY a JSON object, no markdown, matching this schema:
+{
+  "objects": [               // 1-${maxObjects} distinct objects, most prominent first
+    {
+      "id": number,          // 1, 2, 3...
+      "object": string,      // short name of the object, no emoji
+      "emoji": string,       // one emoji for the object
+      "category": string,    // one of: ${OBJECT_CATEGORIES.join(', ')}
+      "personality": string, // one of: ${PERSONALITIES.join(', ')} - make them differ
+      "boundingBox": {       // the object's box in normalized 0-1 image coordinates
+        "x": number, "y": number, "width": number, "height": number
+      }
+    }
+  ],
+  "dialogue": [              // 2-${maxObjects * 2} lines, the objects talking to EACH OTHER
+    {
+      "speaker": number,     // id of the object saying this line
+      "mood": string,        // one of: ${MOODS.join(', ')}
+      "speech": string       // what it says, first-person
+    }
+  ]
+}`;
+}
+
+/**
+ * Pull a JSON object out of model text, repairing common mistakes
+ * (markdown fences, leading prose, trailing commas, smart quotes)
+ * @param {string} text - Raw model output
+ * @returns {Object|null} Parsed object, or null if nothing usable
+ */
+export function extractJson(text) {
+  if (!text) return null;
+
+  let candidate = text.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  // Fast path - already valid
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall through to repair
+  }
+
+  // Keep only the outermost {...}
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  candidate = candidate.slice(start, end + 1);
+
+  const repaired = candidate
+    .replace(/[“”]/g, '"') // Smart double quotes
+    .replace(/[‘’]/g, "'") // Smart single quotes
+    .replace(/\/\/[^\n"]*$/gm, '') // Line comments copied from the schema
+    .replace(/,\s*([}\]])/g, '$1'); // Trailing commas
+
+  try {
+    return JSON.parse(repaired);
+  } catch (error) {
+    // Last resort below - it can touch text inside strings, so only try it now
+  }
+
+  try {
+    // Unquoted keys
+    return JSON.parse(repaired.replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalize a parsed response
+ * @param {Object} data - Parsed JSON
+ * @returns {{valid: boolean, errors: string[], value: Object|null}}
+ */
+export function validateResponse(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Response is not an object'], value: null };
+  }
+
+  const name = typeof data.object === 'string' ? data.object.trim() : '';
+  const speech = typeof data.speech === 'string' ? data.speech.trim() : '';
+
+  if (!name) errors.push('Missing "object"');
+  if (!speech) errors.push('Missing "speech"');
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  const category = OBJECT_CATEGORIES.includes(data.category) ? data.category : 'other';
+  const mood = MOODS.includes(data.mood) ? data.mood : null;
+  const confidence = typeof data.confidence === 'number'
+    ? Math.max(0, Math.min(1, data.confidence))
+    : null;
+  const emoji = typeof data.emoji === 'string' && data.emoji.trim() ? data.emoji.trim() : '📦';
+
+  return {
+    valid: true,
+    errors: [],
+    value: {
+      name,
+      emoji,
+      category,
+      confidence,
+      mood,
+      speech,
+      boundingBox: normalizeBoundingBox(data.boundingBox)
+    }
+  };
+}
+
+/**
+ * Validate and normalize a parsed ensemble scene
+ * Dialogue speakers are returned as indexes into objects
+ * @param {Object} data - Parsed JSON
+ * @param {number} maxObjects - Extra objects are dropped
+ * @returns {{valid: boolean, errors: string[], value: Object|null}}
+ */
+export function validateEnsembleResponse(data, maxObjects = 4) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.objects)) {
+    return { valid: false, errors: ['Missing "objects" array'], value: null };
+  }
+
+  const objects = [];
+  const speakerIndex = new Map(); // Model id or lowercase name → index in objects
+
+  for (const entry of data.objects) {
+    if (objects.length >= maxObjects) break;
+    const name = typeof entry?.object === 'string' ? entry.object.trim() : '';
+    if (!name) continue;
+
+    speakerIndex.set(String(entry.id ?? objects.length + 1), objects.length);
+    speakerIndex.set(name.toLowerCase(), objects.length);
+
+    objects.push({
+      name,
+      emoji: typeof entry.emoji === 'string' && entry.emoji.trim() ? entry.emoji.trim() : '📦',
+      category: OBJECT_CATEGORIES.includes(entry.category) ? entry.category : 'other',
+      personality: PERSONALITIES.includes(entry.personality) ? entry.personality : null,
+      boundingBox: normalizeBoundingBox(entry.boundingBox)
+    });
+  }
+
+  const dialogue = [];
+  for (const line of Array.isArray(data.dialogue) ? data.dialogue : []) {
+    const speech = typeof line?.speech === 'string' ? line.speech.trim() : '';
+    const speaker = speakerIndex.get(String(line?.speaker ?? '').toLowerCase());
+    if (!speech || speaker === undefined) continue;
+
+    dialogue.push({
+      speaker,
+      speech,
+      mood: MOODS.includes(line.mood) ? line.mood : null
+    });
+  }
+
+  const errors = [];
+  if (objects.length === 0) errors.push('No usable objects');
+  if (dialogue.length === 0) errors.push('No usable dialogue');
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  return { valid: true, errors: [], value: { objects, dialogue } };
+}
+
+/**
+ * Clamp a normalized bounding box, or return null if it's unusable
+ */
+export function normalizeBoundingBox(box) {
+  if (!box || typeof box !== 'object') return null;
+
+  const values = [box.x, box.y, box.width, box.height];
+  if (!values.every(v => typeof v === 'number' && isFinite(v))) {
+    return null;
+  }
+
+  // Some models answer in percent - bring those back to 0-1
+  const scale = values.some(v => v > 1) ? 100 : 1;
+  const x = Math.max(0, Math.min(1, box.x / scale));
+  const y = Math.max(0, Math.min(1, box.y / scale));
+  const width = Math.min(1 - x, Math.max(0, box.width / scale));
+  const height = Math.min(1 - y, Math.max(0, box.height / scale));
+
+  if (width < 0.01 || height < 0.01) {
+    return null;
+  }
+
+  return { x, y, width, height };
+}
+
+/**
+ * Parse and validate model text in one step
+ * @returns {{valid: boolean, errors: string[], value: Object|null}}
+ */
+export function parseStructuredResponse(text) {
+  const data = extractJson(text);
+  if (!data) {
+    return { valid: false, errors: ['No JSON object found'], value: null };
+  }
+  return validateResponse(data);
+}
+
+/**
+ * Parse and validate an ensemble scene in one step
+ * @returns {{valid: boolean, errors: string[], value: Object|null}}
+ */
+export function parseEnsembleResponse(text, maxObjects = 4) {
+  const data = extractJson(text);
+  if (!data) {
+    return { valid: false, errors: ['No JSON object found'], value: null };
+  }
+  return validateEnsembleResponse(data, maxObjects);
+}
+
+// JSON string escapes other than \uXXXX
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Read one string field from JSON that is still streaming in
+ * @param {string} text - Reply so far
+ * @param {string} field - Field name
+ * @returns {{value: string, complete: boolean}|null} null until the string has started
+ */
+export function readPartialString(text, field) {
+  const start = text.match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!start) return null;
+
+  let value = '';
+  for (let i = start.index + start[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      return { value, complete: true };
+    }
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    // Stop at an escape that hasn't fully arrived yet
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+
+  return { value, complete: false };
+}
+
+/**
+ * Pick what is already known out of a structured reply that is still streaming in
+ * "speech" is returned as far as it got; other fields only once complete
+ * @param {string} text - Reply so far
+ * @returns {{speech: string, complete: boolean, name: string|null, emoji: string|null,
+ *   category: string|null, mood: string|null}}
+ */
+export function parsePartialResponse(text) {
+  const field = (name) => {
+    const result = readPartialString(text, name);
+    return result?.complete ? result.value.trim() : null;
+  };
+  const speech = readPartialString(text, 'speech');
+  const category = field('category');
+  const mood = field('mood');
+
+  return {
+    speech: speech?.value.trimStart() || '',
+    complete: !!speech?.complete,
+    name: field('object'),
+    emoji: field('emoji'),
+    category: OBJECT_CATEGORIES.includes(category) ? category : null,
+    mood: MOODS.includes(mood) ? mood : null
+  };
+}
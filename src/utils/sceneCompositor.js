@@ -0,0 +1,278 @@
+/**
+ * Scene Compositor - Draws what the user sees onto one canvas
+ * Paints the camera frame plus the AR overlay (eyes, particles, labels and
+ * speech bubbles) from the live DOM, so a recording matches the screen.
+ */
+
+const MAX_WIDTH = 1280; // Recording resolution cap
+const FALLBACK_FILL = 'rgba(30, 41, 59, 0.85)';
+const BUBBLE_FILL = '#6366f1'; // Gradient bubbles (user speech) are drawn flat
+
+export class SceneCompositor {
+  /**
+   * @param {HTMLElement} container - Element whose area is recorded (#camera-container)
+   * @param {HTMLVideoElement} videoElement - Camera feed
+   * @param {HTMLElement} root - Element containing every overlay (#app)
+   */
+  constructor(container, videoElement, root) {
+    this.container = container;
+    this.video = videoElement;
+    this.root = root;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.scale = 1;
+    this.origin = { left: 0, top: 0 };
+  }
+
+  /**
+   * Match the canvas to the container's on-screen size
+   */
+  resize() {
+    const rect = this.container.getBoundingClientRect();
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.scale = Math.min(pixelRatio, MAX_WIDTH / Math.max(1, rect.width));
+
+    // MediaRecorder encoders want even dimensions
+    const width = Math.round(rect.width * this.scale / 2) * 2;
+    const height = Math.round(rect.height * this.scale / 2) * 2;
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.origin = { left: rect.left, top: rect.top };
+  }
+
+  /**
+   * Draw one frame (call once per animation frame while recording)
+   */
+  draw() {
+    this.resize();
+    const ctx = this.ctx;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.drawVideo();
+
+    this.root.querySelectorAll('.expression-eyes').forEach(eyes => this.drawEyes(eyes));
+    this.root.querySelectorAll('.expression-mouth').forEach(mouth => this.drawMouth(mouth));
+    this.root.querySelectorAll('.particle').forEach(particle => this.drawText(particle, particle.textContent));
+    this.root.querySelectorAll('#object-label, .actor-label').forEach(label => this.drawBubble(label));
+    this.root.querySelectorAll('#speech-bubble, #user-bubble, .actor-bubble').forEach(bubble => this.drawBubble(bubble));
+  }
+
+  /**
+   * Draw the camera frame with the same cover crop as the <video> element
+   */
+  drawVideo() {
+    const { videoWidth, videoHeight } = this.video;
+    if (!videoWidth || !videoHeight) return;
+
+    const rect = this.toCanvas(this.video.getBoundingClientRect());
+    const cover = Math.max(rect.width / videoWidth, rect.height / videoHeight);
+    const sourceWidth = rect.width / cover;
+    const sourceHeight = rect.height / cover;
+
+    // Front cameras are shown mirrored - record what the user sees
+    const mirrored = this.video.classList.contains('mirrored');
+    this.ctx.save();
+    if (mirrored) {
+      this.ctx.translate(2 * rect.x + rect.width, 0);
+      this.ctx.scale(-1, 1);
+    }
+    this.ctx.drawImage(
+      this.video,
+      (videoWidth - sourceWidth) / 2, (videoHeight - sourceHeight) / 2, sourceWidth, sourceHeight,
+      rect.x, rect.y, rect.width, rect.height
+    );
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw a pair of eyes as white ellipses with pupils
+   */
+  drawEyes(eyes) {
+    const opacity = this.getOpacity(eyes);
+    if (opacity === 0) return;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = opacity;
+
+    eyes.querySelectorAll('.eye').forEach(eye => {
+      this.fillEllipse(this.toCanvas(eye.getBoundingClientRect()), 'white');
+
+      const pupil = eye.querySelector('.pupil');
+      if (pupil) {
+        const color = getComputedStyle(pupil).backgroundColor;
+        this.fillEllipse(this.toCanvas(pupil.getBoundingClientRect()), color);
+      }
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the lip-synced mouth as a dark ellipse with a white rim
+   */
+  drawMouth(mouth) {
+    const opacity = this.getOpacity(mouth);
+    if (opacity === 0) return;
+
+    const style = getComputedStyle(mouth);
+    const rect = this.toCanvas(mouth.getBoundingClientRect());
+    const border = (parseFloat(style.borderTopWidth) || 0) * this.scale;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = opacity;
+    this.fillEllipse(rect, style.borderTopColor || 'white');
+    this.fillEllipse({
+      x: rect.x + border,
+      y: rect.y + border,
+      width: Math.max(0, rect.width - border * 2),
+      height: Math.max(0, rect.height - border * 2)
+    }, style.backgroundColor);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw a label or speech bubble as a rounded box with wrapped text
+   */
+  drawBubble(element) {
+    const opacity = this.getOpacity(element);
+    if (opacity === 0) return;
+
+    const style = getComputedStyle(element);
+    const rect = this.toCanvas(element.getBoundingClientRect());
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = opacity;
+
+    const radius = Math.min(parseFloat(style.borderTopLeftRadius) * this.scale || 0, rect.height / 2);
+    ctx.beginPath();
+    ctx.roundRect(rect.x, rect.y, rect.width, rect.height, radius);
+    ctx.fillStyle = isTransparent(style.backgroundColor)
+      ? (style.backgroundImage !== 'none' ? BUBBLE_FILL : FALLBACK_FILL)
+      : style.backgroundColor;
+    ctx.fill();
+
+    if (parseFloat(style.borderTopWidth) > 0 && !isTransparent(style.borderTopColor)) {
+      ctx.lineWidth = parseFloat(style.borderTopWidth) * this.scale;
+      ctx.strokeStyle = style.borderTopColor;
+      ctx.stroke();
+    }
+
+    // Text comes from the innermost element so its font and color are used
+    const textElement = element.querySelector('p, span') || element;
+    const textStyle = getComputedStyle(textElement);
+    const text = element.innerText.replace(/\s+/g, ' ').trim();
+
+    const fontSize = parseFloat(textStyle.fontSize) * this.scale;
+    ctx.font = `${textStyle.fontStyle} ${textStyle.fontWeight} ${fontSize}px ${textStyle.fontFamily}`;
+    ctx.fillStyle = textStyle.color;
+    ctx.textAlign = style.textAlign === 'center' || element.id === 'object-label' ? 'center' : 'left';
+    ctx.textBaseline = 'middle';
+
+    const paddingX = parseFloat(style.paddingLeft) * this.scale;
+    const paddingY = parseFloat(style.paddingTop) * this.scale;
+    const maxWidth = rect.width - paddingX * 2;
+    const lines = wrapText(ctx, text, maxWidth);
+    const lineHeight = fontSize * 1.5;
+    const x = ctx.textAlign === 'center' ? rect.x + rect.width / 2 : rect.x + paddingX;
+    const top = rect.y + Math.max(paddingY, (rect.height - lines.length * lineHeight) / 2);
+
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x, top + lineHeight * (index + 0.5), maxWidth);
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw free-floating text such as a particle emoji
+   */
+  drawText(element, text) {
+    const opacity = this.getOpacity(element);
+    if (opacity === 0 || !text) return;
+
+    const style = getComputedStyle(element);
+    const rect = this.toCanvas(element.getBoundingClientRect());
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.font = `${parseFloat(style.fontSize) * this.scale}px ${style.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.restore();
+  }
+
+  /**
+   * Opacity as seen on screen (0 if the element or an ancestor is hidden)
+   */
+  getOpacity(element) {
+    let opacity = 1;
+    for (let node = element; node && node !== this.root.parentElement; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.display === 'none' || style.visibility === 'hidden') return 0;
+      opacity *= parseFloat(style.opacity);
+    }
+    return opacity;
+  }
+
+  /**
+   * Convert a client rect to canvas coordinates
+   */
+  toCanvas(rect) {
+    return {
+      x: (rect.left - this.origin.left) * this.scale,
+      y: (rect.top - this.origin.top) * this.scale,
+      width: rect.width * this.scale,
+      height: rect.height * this.scale
+    };
+  }
+
+  /**
+   * Fill an ellipse inscribed in a rect
+   */
+  fillEllipse(rect, color) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+}
+
+/**
+ * Check for a fully transparent CSS color
+ */
+function isTransparent(color) {
+  return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+}
+
+/**
+ * Split text into lines that fit a width
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+
+  text.split(' ').forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
@@ -0,0 +1,239 @@
+/**
+ * Session State Machine - What the app is doing right now
+ * Replaces ad-hoc flags with explicit states and transitions. The UI
+ * subscribes to changes and derives its status indicator from the state.
+ *
+ *   idle → starting → watching → analyzing → speaking → cooldown → watching
+ *                        ↑ ↓          ↓ ↘ thinking ↗        ↓
+ *                     quota-paused ←──┴──────────────────────┘
+ */
+
+export const SESSION_STATES = [
+  'idle',         // Camera off
+  'starting',     // Camera starting
+  'watching',     // Waiting for motion
+  'analyzing',    // Vision request for scene commentary in flight
+  'thinking',     // Generating an answer or reaction
+  'speaking',     // The object (or ensemble) is talking
+  'cooldown',     // Short pause before watching again
+  'quota-paused'  // Provider quota exceeded - waiting to retry
+];
+
+// Allowed transitions: state → { event: next state }
+const TRANSITIONS = {
+  idle: { start: 'starting' },
+  starting: { ready: 'watching', stop: 'idle' },
+  watching: { analyze: 'analyzing', think: 'thinking', speak: 'speaking', quota: 'quota-paused', stop: 'idle' },
+  analyzing: { speak: 'speaking', skip: 'cooldown', think: 'thinking', quota: 'quota-paused', stop: 'idle' },
+  thinking: { speak: 'speaking', skip: 'cooldown', quota: 'quota-paused', stop: 'idle' },
+  speaking: { finish: 'cooldown', think: 'thinking', stop: 'idle' },
+  cooldown: { ready: 'watching', think: 'thinking', quota: 'quota-paused', stop: 'idle' },
+  'quota-paused': { resume: 'watching', stop: 'idle' }
+};
+
+// What to do with an analysis result that arrives after the session moved on
+// (e.g. the user started talking while the frame was being analyzed)
+export const RESULT_POLICY = {
+  newObject: 'queue', // Keep the latest and play it when watching again
+  sameObject: 'drop'  // Stale commentary about the same object
+};
+
+// Status indicator for each state: [indicator class, text]
+const STATUS = {
+  idle: ['idle', 'Ready'],
+  starting: ['analyzing', 'Starting camera...'],
+  watching: ['idle', 'Watching...'],
+  analyzing: ['analyzing', 'Looking...'],
+  thinking: ['thinking', 'Thinking...'],
+  speaking: ['speaking', 'Speaking...'],
+  cooldown: ['idle', 'Ready'],
+  'quota-paused': ['idle', 'Quota exceeded']
+};
+
+// More specific text for what the object is doing
+const ACTIVITY_TEXT = {
+  thinking: { reaction: 'Generating reaction...' },
+  speaking: { answer: 'Answering...', reaction: 'Reacting...', dialogue: 'Chatting...' },
+  cooldown: { 'rate-limited': 'Rate limited', network: 'Connection lost', timeout: 'Model is slow', auth: 'Check API key' }
+};
+
+export class SessionStateMachine {
+  /**
+   * @param {Object} options - { cooldown (ms before watching again), policy }
+   */
+  constructor(options = {}) {
+    this.state = 'idle';
+    this.data = {}; // Details of the current state, e.g. { activity: 'reaction' }
+    this.turn = 0; // Increments on every transition so stale callbacks can be ignored
+    this.cooldown = options.cooldown ?? 5000;
+    this.policy = { ...RESULT_POLICY, ...options.policy };
+    this.queued = null;
+    this.resumeAt = null;
+    this.micOpen = false;
+    this.timer = null;
+    this.ticker = null;
+    this.listeners = { change: [], tick: [] };
+  }
+
+  /**
+   * Subscribe to 'change' ({ from, to, event, data }) or 'tick' (once a second while quota-paused)
+   * @returns {Function} Unsubscribe
+   */
+  on(type, handler) {
+    this.listeners[type].push(handler);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Check the current state
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Check if an event is allowed in the current state
+   */
+  can(event) {
+    return event in TRANSITIONS[this.state];
+  }
+
+  /**
+   * True while the camera session is running
+   */
+  get isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Apply an event
+   * @param {string} event - e.g. 'analyze', 'speak', 'finish'
+   * @param {Object} data - Details for the new state
+   *   (activity, reason, duration for cooldown, retryAfter in seconds for quota)
+   * @returns {boolean} False if the event isn't allowed in the current state
+   */
+  send(event, data = {}) {
+    const to = TRANSITIONS[this.state][event];
+    if (!to) {
+      console.log(`Session: ignoring "${event}" while ${this.state}`);
+      return false;
+    }
+
+    const from = this.state;
+    this.clearTimers();
+    this.state = to;
+    this.data = data;
+    this.turn++;
+
+    this.enter(to, data);
+    this.emit('change', { from, to, event, data });
+    return true;
+  }
+
+  /**
+   * Apply an event only if nothing else has happened since `turn`
+   * Used when async work finishes, e.g. speech that may have been interrupted
+   */
+  sendIfCurrent(turn, event, data = {}) {
+    if (turn !== this.turn) return false;
+    return this.send(event, data);
+  }
+
+  /**
+   * Start the timers that belong to a state
+   */
+  enter(state, data) {
+    if (state === 'cooldown') {
+      this.timer = setTimeout(() => this.send('ready'), data.duration ?? this.cooldown);
+    } else if (state === 'quota-paused') {
+      const retryAfter = data.retryAfter ?? 60;
+      this.resumeAt = Date.now() + retryAfter * 1000;
+      this.timer = setTimeout(() => this.send('resume'), retryAfter * 1000);
+      this.ticker = setInterval(() => this.emit('tick', this.getStatus()), 1000);
+    } else if (state === 'idle') {
+      this.queued = null;
+      this.micOpen = false;
+    }
+
+    if (state !== 'quota-paused') {
+      this.resumeAt = null;
+    }
+  }
+
+  /**
+   * Stop the current state's timers
+   */
+  clearTimers() {
+    clearTimeout(this.timer);
+    clearInterval(this.ticker);
+    this.timer = null;
+    this.ticker = null;
+  }
+
+  /**
+   * Decide what happens to an analysis result
+   * Results are played while analyzing, and while watching (a queued result's turn).
+   * @param {Object} result - Analysis result or ensemble scene
+   * @param {boolean} isNewObject - Whether it's about a different object
+   * @returns {string} 'accept' (handle it now), 'queue' or 'drop'
+   */
+  submit(result, isNewObject) {
+    if (this.is('analyzing', 'watching')) {
+      return 'accept';
+    }
+
+    const decision = this.policy[isNewObject ? 'newObject' : 'sameObject'];
+    if (decision === 'queue' && this.isActive) {
+      this.queued = result; // Only the latest is worth playing
+      return 'queue';
+    }
+    return 'drop';
+  }
+
+  /**
+   * Take the queued result, if any (call on entering 'watching')
+   */
+  takeQueued() {
+    const result = this.queued;
+    this.queued = null;
+    return result;
+  }
+
+  /**
+   * Note whether the microphone is listening (affects status only)
+   */
+  setMicOpen(open) {
+    if (this.micOpen === open) return;
+    this.micOpen = open;
+    this.emit('tick', this.getStatus());
+  }
+
+  /**
+   * Status indicator for the current state
+   * @returns {{ status: string, text: string }}
+   */
+  getStatus() {
+    if (this.micOpen && this.is('watching', 'cooldown')) {
+      return { status: 'listening', text: 'Listening...' };
+    }
+
+    const [status, defaultText] = STATUS[this.state];
+    let text = ACTIVITY_TEXT[this.state]?.[this.data.activity || this.data.reason] || defaultText;
+
+    if (this.state === 'quota-paused') {
+      const secondsLeft = Math.max(0, Math.ceil((this.resumeAt - Date.now()) / 1000));
+      text = `Quota exceeded. Resuming in ${secondsLeft}s`;
+    }
+
+    return { status, text };
+  }
+
+  /**
+   * Call every listener for an event
+   */
+  emit(type, payload) {
+    this.listeners[type].forEach(handler => handler(payload));
+  }
+}
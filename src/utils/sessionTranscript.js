@@ -0,0 +1,225 @@
+/**
+ * Session Transcript - Everything said during a session, with timing
+ * Records object lines, reactions and user utterances so they can be
+ * reviewed later and exported as JSON, Markdown or SRT subtitles.
+ */
+
+const TRANSCRIPT_VERSION = 1;
+const ENTRY_TYPES = ['analysis', 'reaction', 'answer', 'dialogue', 'user'];
+
+export class SessionTranscript {
+  constructor() {
+    this.entries = [];
+    this.startedAt = null; // Timeline origin (ms since epoch)
+    this.nextId = 1;
+    this.onChange = null; // (transcript) => void
+  }
+
+  /**
+   * Start the session timeline (no-op if already started)
+   */
+  start(time = Date.now()) {
+    if (this.startedAt === null) {
+      this.startedAt = time;
+    }
+  }
+
+  /**
+   * Record a line
+   * @param {Object} details - { type, text, object, personality, provider, model, mood, reaction }
+   * @returns {Object} The entry, to pass to finish() once it has been spoken
+   */
+  add(details) {
+    const now = Date.now();
+    this.start(now);
+
+    const entry = {
+      id: this.nextId++,
+      type: ENTRY_TYPES.includes(details.type) ? details.type : 'analysis',
+      speaker: details.type === 'user' ? 'user' : 'object',
+      text: details.text,
+      object: details.object || null,
+      personality: details.personality || null,
+      provider: details.provider || null,
+      model: details.model || null,
+      mood: details.mood || null,
+      reaction: details.reaction || null,
+      timestamp: now,
+      offset: now - this.startedAt,
+      duration: null
+    };
+
+    this.entries.push(entry);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Mark a line as finished so subtitles last as long as the speech
+   */
+  finish(entry) {
+    if (!entry || entry.duration !== null) return;
+    entry.duration = Date.now() - entry.timestamp;
+    this.notify();
+  }
+
+  /**
+   * Remove every entry and restart the timeline
+   */
+  clear() {
+    this.entries = [];
+    this.startedAt = null;
+    this.nextId = 1;
+    this.notify();
+  }
+
+  /**
+   * Tell the UI something changed
+   */
+  notify() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * Export as plain data (what fromJSON reads back)
+   */
+  toJSON() {
+    return {
+      version: TRANSCRIPT_VERSION,
+      startedAt: this.startedAt,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Export as a readable Markdown log
+   */
+  toMarkdown() {
+    const title = this.startedAt
+      ? `# Talking Objects Session - ${new Date(this.startedAt).toLocaleString()}`
+      : '# Talking Objects Session';
+
+    const lines = this.entries.map(entry => {
+      const time = formatClock(entry.offset);
+      if (entry.speaker === 'user') {
+        return `- **[${time}] You:** ${entry.text}`;
+      }
+
+      const details = [entry.personality, entry.mood, entry.reaction && `reaction: ${entry.reaction}`]
+        .filter(Boolean)
+        .join(', ');
+      return `- **[${time}] ${entry.object || 'Object'}**${details ? ` _(${details})_` : ''}: ${entry.text}`;
+    });
+
+    const providers = [...new Set(this.entries.filter(e => e.provider).map(e => `${e.provider} (${e.model})`))];
+    const footer = providers.length > 0 ? `\n\n_Provider: ${providers.join(', ')}_` : '';
+
+    return `${title}\n\n${lines.join('\n')}${footer}\n`;
+  }
+
+  /**
+   * Export as SRT subtitles
+   * @param {number|null} origin - Timeline start in ms since epoch, e.g. when a recording
+   *   started; defaults to the session start. Lines before it are skipped.
+   */
+  toSRT(origin = null) {
+    const start = origin ?? this.startedAt ?? 0;
+    const visible = this.entries.filter(entry => entry.timestamp >= start);
+
+    return visible.map((entry, index) => {
+      const from = entry.timestamp - start;
+      let to = from + (entry.duration ?? estimateDuration(entry.text));
+
+      // Don't overlap the next line
+      const next = visible[index + 1];
+      if (next) {
+        to = Math.min(to, next.timestamp - start);
+      }
+      to = Math.max(to, from + 500);
+
+      const speaker = entry.speaker === 'user' ? 'You' : stripEmoji(entry.object || 'Object');
+      return `${index + 1}\n${formatSrtTime(from)} --> ${formatSrtTime(to)}\n${speaker}: ${entry.text}\n`;
+    }).join('\n');
+  }
+
+  /**
+   * Restore a transcript exported with toJSON()
+   * @param {Object|string} data - Parsed or raw JSON
+   * @returns {SessionTranscript}
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('Not a transcript file');
+    }
+    if (data.version > TRANSCRIPT_VERSION) {
+      throw new Error(`Transcript version ${data.version} is newer than this app supports`);
+    }
+
+    const valid = data.entries
+      .filter(entry => entry && typeof entry.text === 'string' && typeof entry.timestamp === 'number');
+
+    const transcript = new SessionTranscript();
+    transcript.startedAt = typeof data.startedAt === 'number' ? data.startedAt : (valid[0]?.timestamp ?? null);
+
+    transcript.entries = valid.map((entry, index) => ({
+      id: index + 1,
+      type: ENTRY_TYPES.includes(entry.type) ? entry.type : 'analysis',
+      speaker: entry.speaker === 'user' ? 'user' : 'object',
+      text: entry.text,
+      object: entry.object || null,
+      personality: entry.personality || null,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      mood: entry.mood || null,
+      reaction: entry.reaction || null,
+      timestamp: entry.timestamp,
+      offset: entry.timestamp - transcript.startedAt,
+      duration: typeof entry.duration === 'number' ? entry.duration : null
+    }));
+
+    transcript.nextId = transcript.entries.length + 1;
+    return transcript;
+  }
+}
+
+/**
+ * Rough speaking time for a line without a measured duration
+ */
+function estimateDuration(text) {
+  const words = text.trim().split(/\s+/).length;
+  return Math.max(1500, words * 400); // ~150 words per minute
+}
+
+/**
+ * Format ms as HH:MM:SS,mmm for SRT
+ */
+function formatSrtTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
+}
+
+/**
+ * Format ms as M:SS for the transcript view
+ */
+export function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Remove a leading emoji from an object label ("☕ Coffee Mug" → "Coffee Mug")
+ */
+function stripEmoji(label) {
+  return label.replace(/^[^\w]+/u, '').trim() || label;
+}
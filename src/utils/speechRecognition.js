@@ -0,0 +1,319 @@
+/**
+ * Speech Recognition Module - Lets the user talk back to the object
+ * Uses the Web Speech recognition API behind a pluggable recognizer interface
+ */
+
+/**
+ * Base recognizer - every implementation exposes start/stop and reports
+ * transcripts through the onResult/onError/onEnd handlers
+ */
+export class Recognizer {
+  constructor() {
+    this.isListening = false;
+    this.onResult = null; // (transcript, isFinal) => void
+    this.onError = null; // (error) => void
+    this.onEnd = null; // () => void
+  }
+
+  /**
+   * Begin listening
+   * @param {Object} options - { continuous: boolean }
+   */
+  start(options = {}) {
+    throw new Error('Recognizer.start() must be implemented');
+  }
+
+  /**
+   * Stop listening and flush any pending result
+   */
+  stop() {
+    throw new Error('Recognizer.stop() must be implemented');
+  }
+
+  /**
+   * Emit a transcript to the listener
+   */
+  emitResult(transcript, isFinal) {
+    if (this.onResult) {
+      this.onResult(transcript, isFinal);
+    }
+  }
+
+  /**
+   * Emit an error to the listener
+   */
+  emitError(error) {
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Emit end of a listening session
+   */
+  emitEnd() {
+    this.isListening = false;
+    if (this.onEnd) {
+      this.onEnd();
+    }
+  }
+}
+
+/**
+ * Browser speech recognition (Chrome, Edge, Safari)
+ */
+export class WebSpeechRecognizer extends Recognizer {
+  constructor(lang = 'en-US') {
+    super();
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+      throw new Error('Speech recognition not supported');
+    }
+
+    this.recognition = new SpeechRecognition();
+    this.recognition.lang = lang;
+    this.recognition.interimResults = true;
+    this.recognition.maxAlternatives = 1;
+
+    this.recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        this.emitResult(result[0].transcript.trim(), result.isFinal);
+      }
+    };
+
+    this.recognition.onerror = (event) => {
+      // 'no-speech' and 'aborted' are normal when the user stays quiet or we stop
+      if (event.error === 'no-speech' || event.error === 'aborted') {
+        return;
+      }
+      this.emitError(new Error(`Speech recognition error: ${event.error}`));
+    };
+
+    this.recognition.onend = () => this.emitEnd();
+  }
+
+  start(options = {}) {
+    if (this.isListening) return;
+
+    this.recognition.continuous = !!options.continuous;
+    try {
+      this.recognition.start();
+      this.isListening = true;
+    } catch (error) {
+      // start() throws if the engine is already running
+      console.warn('Speech recognition start failed:', error);
+    }
+  }
+
+  stop() {
+    if (!this.isListening) return;
+    this.recognition.stop();
+  }
+
+  /**
+   * Check if the browser provides speech recognition
+   */
+  static isSupported() {
+    return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+  }
+}
+
+/**
+ * Local stand-in recognizer - replays scripted transcripts instead of using
+ * the microphone. Useful for tests, demos and browsers without recognition.
+ */
+export class ScriptedRecognizer extends Recognizer {
+  constructor(transcripts = [], delay = 300) {
+    super();
+    this.transcripts = [...transcripts];
+    this.delay = delay;
+    this.timer = null;
+  }
+
+  start(options = {}) {
+    if (this.isListening) return;
+    this.isListening = true;
+
+    if (this.transcripts.length > 0) {
+      const next = this.transcripts.shift();
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.say(next);
+        if (!options.continuous) {
+          this.emitEnd();
+        }
+      }, this.delay);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.isListening) {
+      this.emitEnd();
+    }
+  }
+
+  /**
+   * Immediately deliver a final transcript, as if the user had spoken it
+   */
+  say(text) {
+    if (!this.isListening) return;
+    this.emitResult(text, true);
+  }
+}
+
+/**
+ * Voice Input - Push-to-talk and hands-free control on top of a recognizer
+ */
+export class VoiceInput {
+  constructor(recognizer = null) {
+    this.recognizer = recognizer || VoiceInput.createDefaultRecognizer();
+    this.handsFree = false;
+    this.isPaused = false;
+    this.isActive = false;
+    this.pendingTranscript = '';
+
+    // Callbacks
+    this.onUtterance = null; // (text) => void - final user sentence
+    this.onInterim = null; // (text) => void - partial transcript while speaking
+    this.onListeningChange = null; // (isListening) => void
+    this.onError = null; // (error) => void
+
+    if (this.recognizer) {
+      this.bindRecognizer();
+    }
+  }
+
+  /**
+   * Pick the browser recognizer when available
+   */
+  static createDefaultRecognizer() {
+    if (WebSpeechRecognizer.isSupported()) {
+      return new WebSpeechRecognizer();
+    }
+    return null;
+  }
+
+  /**
+   * Wire recognizer events into utterances
+   */
+  bindRecognizer() {
+    this.recognizer.onResult = (transcript, isFinal) => {
+      if (!transcript) return;
+
+      if (isFinal) {
+        this.pendingTranscript = '';
+        if (this.onUtterance) {
+          this.onUtterance(transcript);
+        }
+      } else {
+        this.pendingTranscript = transcript;
+        if (this.onInterim) {
+          this.onInterim(transcript);
+        }
+      }
+    };
+
+    this.recognizer.onError = (error) => {
+      console.log('Voice input error:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+    };
+
+    this.recognizer.onEnd = () => {
+      // Paused while the object talks - resume() restarts the recognizer
+      if (this.isPaused) return;
+
+      // Hands-free keeps the microphone open until explicitly stopped
+      if (this.handsFree && this.isActive) {
+        this.recognizer.start({ continuous: true });
+        return;
+      }
+
+      this.isActive = false;
+      if (this.onListeningChange) {
+        this.onListeningChange(false);
+      }
+    };
+  }
+
+  /**
+   * Start listening (push-to-talk press or hands-free enable)
+   */
+  start() {
+    if (!this.recognizer || this.isActive) return;
+
+    this.isActive = true;
+    this.isPaused = false;
+    this.pendingTranscript = '';
+    this.recognizer.start({ continuous: this.handsFree });
+
+    if (this.onListeningChange) {
+      this.onListeningChange(true);
+    }
+  }
+
+  /**
+   * Stop listening (push-to-talk release or hands-free disable)
+   */
+  stop() {
+    if (!this.recognizer || !this.isActive) return;
+
+    this.isActive = false;
+
+    // Recognizer is already stopped while paused, so no onEnd will follow
+    if (this.isPaused) {
+      this.isPaused = false;
+      if (this.onListeningChange) {
+        this.onListeningChange(false);
+      }
+      return;
+    }
+
+    this.recognizer.stop();
+  }
+
+  /**
+   * Switch between push-to-talk and hands-free mode
+   */
+  setHandsFree(enabled) {
+    const wasActive = this.isActive;
+    if (wasActive) {
+      this.stop();
+    }
+    this.handsFree = enabled;
+    if (enabled && wasActive) {
+      this.start();
+    }
+  }
+
+  /**
+   * Temporarily stop listening so the object doesn't hear itself speak
+   */
+  pause() {
+    if (!this.handsFree || !this.isActive || this.isPaused) return;
+    this.isPaused = true;
+    this.recognizer.stop();
+  }
+
+  /**
+   * Resume listening after a pause
+   */
+  resume() {
+    if (!this.handsFree || !this.isActive || !this.isPaused) return;
+    this.isPaused = false;
+    this.recognizer.start({ continuous: true });
+  }
+
+  /**
+   * Check if voice input can be used
+   */
+  isAvailable() {
+    return !!this.recognizer;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Speech Stream - Speaks a reply sentence by sentence while it is still being generated
+ * Fed with the growing speech from VisionProvider's onSpeech, it hands each finished
+ * sentence to the TTS queue so the first words play before the model is done.
+ */
+
+// End of a sentence: punctuation (plus closing quotes/brackets) followed by whitespace
+const SENTENCE_END = /[.!?…]+["')\]]*\s+/g;
+
+/**
+ * Split text into finished sentences and the unfinished rest
+ * Sentences keep their trailing whitespace, so joining them gives back the text
+ * @param {string} text - Text so far
+ * @param {boolean} final - The text is complete; the rest counts as a sentence
+ * @returns {{sentences: string[], rest: string}}
+ */
+export function splitSentences(text, final = false) {
+  const sentences = [];
+  let start = 0;
+
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    sentences.push(text.slice(start, end));
+    start = end;
+  }
+
+  let rest = text.slice(start);
+  if (final && rest.trim()) {
+    sentences.push(rest);
+    rest = '';
+  }
+
+  return { sentences, rest };
+}
+
+export class SpeechStream {
+  /**
+   * @param {TextToSpeech} tts - Speaks the sentences through its queue
+   * @param {Object} options
+   * @param {Function} options.onStart - (partial) => speaker options for tts.enqueue
+   *   ({ objectType, category, voice }), or null to not speak this reply at all.
+   *   Called once, when the first sentence is ready.
+   * @param {Function} options.onSentence - (text) => void, called as each sentence starts
+   *   playing with everything spoken so far
+   */
+  constructor(tts, { onStart, onSentence } = {}) {
+    this.tts = tts;
+    this.onStart = onStart || (() => ({}));
+    this.onSentence = onSentence || null;
+    this.speaker = null; // What onStart returned
+    this.queued = ''; // Text handed to the TTS queue so far
+    this.lines = [];
+    this.cancelled = false;
+  }
+
+  /**
+   * Has the first sentence been handed to the TTS?
+   */
+  get started() {
+    return this.speaker !== null;
+  }
+
+  /**
+   * Speak any sentences the reply finished since the last update
+   * @param {{speech: string, complete: boolean}} partial - From parsePartialResponse
+   */
+  update(partial) {
+    if (this.cancelled || !partial.speech.startsWith(this.queued)) return;
+
+    const { sentences } = splitSentences(partial.speech.slice(this.queued.length), partial.complete);
+    if (sentences.length === 0) return;
+
+    if (!this.speaker) {
+      this.speaker = this.onStart(partial) || null;
+      if (!this.speaker) {
+        this.cancel();
+        return;
+      }
+    }
+
+    sentences.forEach(sentence => this.say(sentence));
+  }
+
+  /**
+   * Queue one sentence
+   */
+  say(sentence) {
+    this.queued += sentence;
+    const spoken = this.queued.trim();
+
+    this.lines.push(this.tts.enqueue(sentence, {
+      ...this.speaker,
+      onStart: () => this.onSentence?.(spoken)
+    }));
+  }
+
+  /**
+   * Speak what is left of the final reply and wait until everything was said
+   * If the final text no longer matches what was streamed (e.g. after a repair),
+   * the streamed part stands and the rest is skipped.
+   * @param {string} text - The final speech
+   * @throws The first speech error, once every sentence has settled
+   */
+  async finish(text) {
+    if (this.started && !this.cancelled) {
+      const said = this.queued.trimEnd();
+      const rest = text.startsWith(said) ? text.slice(said.length).trimStart() : '';
+      if (rest) {
+        this.say(rest);
+      }
+    }
+    this.cancelled = true;
+
+    const results = await Promise.allSettled(this.lines);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+  }
+
+  /**
+   * Stop following the reply; sentences already queued are left to the TTS
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
@@ -1,37 +1,49 @@
 /**
- * Text-to-Speech Module - Uses ElevenLabs API with Web Speech API fallback
+ * Text-to-Speech Module - Speaks through a fallback chain of TTS providers
+ * (ElevenLabs, OpenAI-compatible, local server), ending with the Web Speech API
  */
 
+import { audioMixer } from './audioMixer.js';
+import { SpeechStream } from './speechStream.js';
+import { AudioCache } from './audioCache.js';
+import { VoiceCasting, VOICE_LIBRARY, WEB_VOICES } from './voiceCasting.js';
+import { TTS_PROVIDERS, DEFAULT_TTS_CHAIN, createTtsProvider } from './ttsProviders.js';
+import { getProsody } from './ttsProvider.js';
+
+// Pitch multipliers so objects sharing a voice still sound different
+const ENSEMBLE_PITCH_STEPS = [1.0, 1.15, 0.87, 1.3];
+
 export class TextToSpeech {
   constructor() {
-    this.synth = window.speechSynthesis;
-    this.currentUtterance = null;
     this.isSpeaking = false;
-    this.voice = null;
-    this.voiceMap = {};
     this.currentAudio = null;
     this.audioContext = null;
     this.currentBlobUrl = null; // Track blob URL for cleanup
+    this.resolvePlayback = null; // Settles the playing audio line if it gets stopped
+    this.queue = []; // Lines waiting to be spoken (ensemble dialogue)
+    this.isProcessingQueue = false;
+    this.streams = new Set(); // Replies still streaming in, cancelled by stop()
+    this.audioCache = new AudioCache(); // Synthesized audio, so repeated lines are free
+    this.budget = null; // BudgetManager, set by the app: counts characters, skips capped or paused providers
+
+    // Speech engines, tried in chain order until one works
+    this.providers = {};
+    Object.keys(TTS_PROVIDERS).forEach(name => {
+      this.providers[name] = createTtsProvider(name);
+    });
+    this.webSpeech = this.providers.webspeech;
+    this.chain = [...DEFAULT_TTS_CHAIN];
 
-    // ElevenLabs API config
-    this.elevenLabsApiKey = import.meta.env.VITE_ELEVENLABS_API_KEY;
-    this.useElevenLabs = !!this.elevenLabsApiKey;
-
-    console.log('ElevenLabs API Key loaded:', this.useElevenLabs ? 'YES' : 'NO');
-    if (this.useElevenLabs) {
-      console.log('Will use ElevenLabs for TTS');
-    }
-
-    // ElevenLabs voice IDs (free tier voices)
-    this.elevenLabsVoices = {
-      default: 'XB0fDUnXU5powFXDhCwa', // Charlotte - British female
-      female: 'XB0fDUnXU5powFXDhCwa', // Charlotte - British female
-      male: 'XB0fDUnXU5powFXDhCwa', // Charlotte - British female (using same for consistency)
-      robot: 'XB0fDUnXU5powFXDhCwa' // Charlotte - British female (using same for consistency)
-    };
+    // Lip sync hooks
+    this.onAudioStart = null; // (audioElement, text) => void, provider audio started playing
+    this.onSpeechStart = null; // (text, rate) => void, Web Speech started a line
+    this.onWordBoundary = null; // (charIndex) => void, Web Speech reached a word
+    this.onSpeechEnd = null; // () => void, the line ended or was stopped
+    this.webSpeech.onStart = (text, rate) => this.onSpeechStart?.(text, rate);
+    this.webSpeech.onWord = (charIndex) => this.onWordBoundary?.(charIndex);
 
-    // Initialize fallback voices
-    this.initVoices();
+    // Category → voice table, shared by every provider
+    this.casting = new VoiceCasting();
 
     // Initialize audio context for mobile Safari
     this.initAudioContext();
@@ -42,11 +54,8 @@ export class TextToSpeech {
    */
   initAudioContext() {
     try {
-      // Create AudioContext on first user interaction (handled by browser)
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      if (AudioContext) {
-        this.audioContext = new AudioContext();
-      }
+      // Shared with background sounds and the clip recorder
+      this.audioContext = audioMixer.getContext();
     } catch (error) {
       console.warn('AudioContext not supported:', error);
     }
@@ -76,6 +85,7 @@ export class TextToSpeech {
       this.currentAudio = new Audio();
       this.currentAudio.preload = 'auto';
       this.currentAudio.playsInline = true; // Critical for iOS
+      audioMixer.connectMediaElement(this.currentAudio);
 
       // Play silent audio to unlock iOS audio
       const silentAudio = 'data:audio/mp3;base64,SUQzBAAAAAABEVRYWFgAAAAtAAADY29tbWVudABCaWdTb3VuZEJhbmsuY29tIC8gTGFTb25vdGhlcXVlLm9yZwBURU5DAAAAHQAAA1N3aXRjaCBQbHVzIMKpIE5DSCBTb2Z0d2FyZQBUSVQyAAAABgAAAzIyMzUAVFNTRQAAAA8AAANMYXZmNTcuODMuMTAwAAAAAAAAAAAAAAD/80DEAAAAA0gAAAAATEFNRTMuMTAwVVVVVVVVVVVVVUxBTUUzLjEwMFVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVf/zQsRbAAADSAAAAABVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVf/zQMSkAAADSAAAAABVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVVV';
@@ -95,46 +105,50 @@ export class TextToSpeech {
   }
 
   /**
-   * Initialize and categorize available voices
+   * Set the fallback chain and (re)create the providers that take options
+   * The Web Speech API is always kept as the last resort.
+   * @param {string[]} chain - Provider names, most preferred first
+   * @param {Object} options - Provider name → options for createTtsProvider
    */
-  initVoices() {
-    const loadVoices = () => {
-      const voices = this.synth.getVoices();
-
-      // Categorize voices by characteristics, prioritizing natural-sounding voices
-      this.voiceMap = {
-        default: voices.find(v => v.default) || voices[0],
-        female: voices.find(v =>
-          v.name.includes('Samantha') ||
-          v.name.includes('Victoria') ||
-          v.name.includes('Fiona') ||
-          v.name.includes('Karen') ||
-          (v.name.includes('female') && v.lang.startsWith('en'))
-        ),
-        male: voices.find(v =>
-          v.name.includes('Daniel') ||
-          v.name.includes('Alex') ||
-          v.name.includes('Fred') ||
-          v.name.includes('Tom') ||
-          (v.name.includes('male') && v.lang.startsWith('en'))
-        ),
-        robot: voices.find(v => v.name.includes('Albert') || v.name.includes('Bad News')),
-      };
-
-      // Set default voice to a natural English voice if available
-      const preferredVoice = voices.find(v =>
-        (v.lang.startsWith('en-US') || v.lang.startsWith('en-GB')) &&
-        (v.name.includes('Google') || v.name.includes('Microsoft') || v.name.includes('Samantha') || v.name.includes('Daniel'))
-      );
-      this.voice = preferredVoice || this.voiceMap.default;
-    };
-
-    // Voices load asynchronously
-    if (this.synth.getVoices().length > 0) {
-      loadVoices();
+  configure(chain, options = {}) {
+    Object.entries(options).forEach(([name, providerOptions]) => {
+      this.providers[name] = createTtsProvider(name, providerOptions);
+    });
+    this.chain = [...new Set([...chain.filter(name => this.providers[name]), 'webspeech'])];
+  }
+
+  /**
+   * Enable or disable a provider (e.g. ElevenLabs once the server reports its key)
+   */
+  setAvailable(name, available) {
+    if (this.providers[name]) {
+      this.providers[name].available = available;
     }
+  }
 
-    this.synth.addEventListener('voiceschanged', loadVoices);
+  /**
+   * Providers that can be tried, in chain order (skipping any over budget or waiting out a Retry-After)
+   * @returns {TtsProvider[]}
+   */
+  getProviders() {
+    return this.chain.map(name => this.providers[name])
+      .filter(provider => provider.available && (!this.budget || this.budget.canUse(provider.name)));
+  }
+
+  /**
+   * Synthesize a line and count it against the provider's budget
+   */
+  async synthesize(provider, text, cast, options) {
+    const response = await provider.synthesize(text, cast, options);
+    this.budget?.record(provider.name, { requests: 1, characters: text.length });
+    return response;
+  }
+
+  /**
+   * Is the first usable provider one whose audio can be cached?
+   */
+  canCacheAudio() {
+    return !!this.getProviders()[0]?.producesAudio;
   }
 
   /**
@@ -151,8 +165,12 @@ export class TextToSpeech {
    * Speak text with personality-based voice selection
    * @param {string} text - Text to speak
    * @param {string} objectType - Type of object (to select appropriate voice)
+   * @param {string|null} category - Object category from the vision model, if known
+   * @param {Object|null} voice - The object's own voice (pinned, or from castVoices());
+   *   fields it sets override the casting table
+   * @param {string|null} mood - Mood from the vision model, used for prosody
    */
-  async speak(text, objectType = '') {
+  async speak(text, objectType = '', category = null, voice = null, mood = null) {
     // Cancel current speech if any
     if (this.isSpeaking) {
       this.stop();
@@ -166,32 +184,66 @@ export class TextToSpeech {
       return Promise.resolve();
     }
 
-    // Try ElevenLabs first, only fallback if quota is exhausted
-    if (this.useElevenLabs) {
+    const cast = this.casting.resolve(objectType, category, voice);
+    const prosody = getProsody(mood);
+
+    // Go down the chain: a provider out of quota rests until its Retry-After
+    // (or is dropped for the session without a budget), an unreachable one is skipped for this line
+    for (const provider of this.getProviders()) {
       try {
-        return await this.speakWithElevenLabs(cleanText, objectType);
+        return await this.speakWith(provider, cleanText, cast, prosody);
       } catch (error) {
-        // Only fallback to Web Speech API if quota is exhausted
+        // For other errors (bad response, playback), throw to let caller retry
+        if (!error.isQuotaError && !error.isUnreachable) {
+          throw error;
+        }
         if (error.isQuotaError) {
-          console.warn('ElevenLabs quota exhausted, falling back to Web Speech API');
-          this.useElevenLabs = false; // Disable for rest of session
-          return await this.speakWithWebAPI(cleanText, objectType);
+          if (this.budget && !error.isConfigError) {
+            this.budget.pause(provider.name, error.retryAfter);
+          } else if (!error.retryAfter) {
+            provider.available = false;
+          }
         }
-        // For other errors (network, etc), throw to let caller retry
-        throw error;
+        console.warn(`${provider.name} TTS unavailable, falling back:`, error.message);
       }
-    } else {
-      return await this.speakWithWebAPI(cleanText, objectType);
     }
+
+    throw new Error('Text-to-speech not supported');
   }
 
   /**
-   * Speak using ElevenLabs API
+   * Speak a line with one provider
    */
-  async speakWithElevenLabs(text, objectType = '') {
-    const voiceId = this.selectElevenLabsVoice(objectType);
+  async speakWith(provider, text, cast, prosody) {
+    try {
+      if (provider.producesAudio) {
+        await this.speakWithAudio(provider, text, cast, prosody);
+      } else {
+        await this.speakWithSpeech(provider, text, cast, prosody);
+      }
+    } finally {
+      this.onSpeechEnd?.();
+    }
+  }
+
+  /**
+   * Speak using a provider that plays the line itself (Web Speech)
+   */
+  async speakWithSpeech(provider, text, cast, prosody) {
+    this.isSpeaking = true;
+    try {
+      await provider.speak(text, cast, prosody);
+    } finally {
+      this.isSpeaking = false;
+    }
+  }
 
+  /**
+   * Speak using a provider that returns audio, through the shared audio element
+   */
+  async speakWithAudio(provider, text, cast, prosody) {
     return new Promise(async (resolve, reject) => {
+      this.resolvePlayback = resolve;
       try {
         // Resume audio context for mobile Safari
         await this.resumeAudioContext();
@@ -210,59 +262,30 @@ export class TextToSpeech {
 
         this.isSpeaking = true;
 
-        console.log('Calling ElevenLabs API with voice:', voiceId);
-
-        const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-          method: 'POST',
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.elevenLabsApiKey.trim()
-          },
-          body: JSON.stringify({
-            text: text,
-            model_id: 'eleven_turbo_v2_5',
-            voice_settings: {
-              stability: 0.5,
-              similarity_boost: 0.75,
-              style: 0.0,
-              use_speaker_boost: true
-            }
-          })
-        });
-
-        console.log('ElevenLabs response status:', response.status);
-
-        if (!response.ok) {
-          // Check if it's a quota error (401 for invalid key, 429 for rate limit, 403 for quota exceeded)
-          if (response.status === 401 || response.status === 403 || response.status === 429) {
-            let errorMessage = 'Quota exceeded';
-
-            try {
-              const errorData = await response.json();
-              errorMessage = errorData.detail?.message || errorData.message || errorMessage;
-            } catch (e) {
-              // If JSON parsing fails, use status code
-            }
-
-            // Check if quota is exhausted (not just rate limited)
-            if (errorMessage.toLowerCase().includes('quota') ||
-                errorMessage.toLowerCase().includes('character limit') ||
-                errorMessage.toLowerCase().includes('insufficient') ||
-                response.status === 401) {
-              const quotaError = new Error(`ElevenLabs quota exhausted: ${errorMessage}`);
-              quotaError.isQuotaError = true;
-              throw quotaError;
-            }
-          }
+        // Replayed lines (cached responses, fallback phrases) don't need a new request
+        const cacheKey = provider.getCacheKey(text, cast, prosody);
+        const cached = await this.audioCache.get(cacheKey);
 
-          // Other errors - could be temporary
-          throw new Error(`ElevenLabs API error: ${response.status}`);
+        let audioUrl;
+        if (cached) {
+          console.log(`Playing cached ${provider.name} audio`);
+          audioUrl = URL.createObjectURL(cached);
+        } else {
+          console.log(`Calling ${provider.name} TTS with voice:`, VoiceCasting.getVoiceName(cast.voiceId));
+
+          // Where MediaSource can play MP3, start playback while the audio downloads
+          const streaming = provider.canStream && TextToSpeech.canStreamAudio();
+          const response = await this.synthesize(provider, text, cast, { prosody, streaming });
+
+          if (streaming) {
+            audioUrl = this.streamAudio(response, blob => this.cacheAudio(cacheKey, blob, text));
+          } else {
+            const audioBlob = await response.blob();
+            this.cacheAudio(cacheKey, audioBlob, text);
+            audioUrl = URL.createObjectURL(audioBlob);
+          }
         }
 
-        const audioBlob = await response.blob();
-        const audioUrl = URL.createObjectURL(audioBlob);
-
         // Store blob URL for cleanup
         this.currentBlobUrl = audioUrl;
 
@@ -271,6 +294,7 @@ export class TextToSpeech {
           this.currentAudio = new Audio();
           this.currentAudio.preload = 'auto';
           this.currentAudio.playsInline = true; // Critical for iOS
+          audioMixer.connectMediaElement(this.currentAudio);
         }
 
         this.currentAudio.src = audioUrl;
@@ -302,6 +326,7 @@ export class TextToSpeech {
         // Play with error handling for mobile
         try {
           await this.currentAudio.play();
+          this.onAudioStart?.(this.currentAudio, text);
         } catch (playError) {
           console.error('Play failed:', playError);
           this.isSpeaking = false;
@@ -325,146 +350,222 @@ export class TextToSpeech {
   }
 
   /**
-   * Speak using Web Speech API (fallback)
+   * Store audio in the cache without holding up playback
    */
-  async speakWithWebAPI(text, objectType = '') {
-    return new Promise((resolve, reject) => {
-      // Fix for Chrome/Safari bug where speechSynthesis stops working
-      // Cancel any pending utterances and resume if paused
-      if (this.synth.speaking || this.synth.pending) {
-        this.synth.cancel();
-      }
+  cacheAudio(key, blob, text) {
+    this.audioCache.put(key, blob, text).catch(error => {
+      console.warn('Could not cache audio:', error);
+    });
+  }
 
-      // Resume if paused (common issue on mobile)
-      if (this.synth.paused) {
-        this.synth.resume();
-      }
+  /**
+   * Synthesize lines ahead of time so they play from the audio cache
+   * Uses the first provider in the chain if it returns audio (not Web Speech);
+   * stops at the first failed request (e.g. rate limited)
+   * @param {string[]} lines - Lines to synthesize
+   * @param {string} objectType - Object whose voice to use
+   * @param {string|null} category - Object category, if known
+   * @param {Object|null} voice - The object's own voice, as for speak()
+   * @returns {Promise<number>} How many lines were newly cached
+   */
+  async prewarm(lines, objectType = '', category = null, voice = null) {
+    if (!this.canCacheAudio()) return 0;
 
-      const utterance = new SpeechSynthesisUtterance(text);
+    const provider = this.getProviders()[0];
+    const cast = this.casting.resolve(objectType, category, voice);
+    const prosody = getProsody(null);
+    let added = 0;
 
-      // Select voice based on object type
-      utterance.voice = this.selectVoiceForObject(objectType);
+    for (const line of lines) {
+      const text = this.removeEmojis(line).trim();
+      if (!text) continue;
 
-      // Voice parameters for more natural speech
-      utterance.rate = 0.95;
-      utterance.pitch = this.selectPitchForObject(objectType);
-      utterance.volume = 1.0;
+      const key = provider.getCacheKey(text, cast, prosody);
+      if (await this.audioCache.has(key)) continue;
 
-      // Event handlers
-      utterance.onstart = () => {
-        this.isSpeaking = true;
-        this.currentUtterance = utterance;
-      };
+      const response = await this.synthesize(provider, text, cast, { prosody });
+      await this.audioCache.put(key, await response.blob(), text);
+      added++;
+    }
 
-      utterance.onend = () => {
-        this.isSpeaking = false;
-        this.currentUtterance = null;
-        resolve();
-      };
+    return added;
+  }
 
-      utterance.onerror = (event) => {
-        console.error('Speech error:', event);
-        this.isSpeaking = false;
-        this.currentUtterance = null;
+  /**
+   * Feed a streaming MP3 response into a MediaSource as it downloads
+   * @param {Response} response - MP3 reply from a streaming provider (/api/tts/stream)
+   * @param {Function} onComplete - Called with the whole audio as a Blob once downloaded
+   * @returns {string} Object URL to play
+   */
+  streamAudio(response, onComplete = null) {
+    const mediaSource = new MediaSource();
+    const reader = response.body.getReader();
+    const chunks = [];
 
-        // If error is 'interrupted' or 'canceled', still resolve (not an actual error)
-        if (event.error === 'interrupted' || event.error === 'canceled') {
-          resolve();
-        } else {
-          reject(event);
+    mediaSource.addEventListener('sourceopen', async () => {
+      const sourceBuffer = mediaSource.addSourceBuffer('audio/mpeg');
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          chunks.push(value);
+          sourceBuffer.appendBuffer(value);
+          await new Promise(resolve => sourceBuffer.addEventListener('updateend', resolve, { once: true }));
         }
-      };
+        mediaSource.endOfStream();
+        onComplete?.(new Blob(chunks, { type: 'audio/mpeg' }));
+      } catch (error) {
+        // The element moved on (stop() or the next line) or the download broke off
+        console.warn('Audio stream interrupted:', error);
+        reader.cancel().catch(() => {});
+      }
+    }, { once: true });
 
-      // Speak
-      this.synth.speak(utterance);
+    return URL.createObjectURL(mediaSource);
+  }
 
-      // Workaround for Chrome bug: force resume after a brief delay
-      setTimeout(() => {
-        if (this.synth.paused) {
-          this.synth.resume();
-        }
-      }, 100);
-    });
+  /**
+   * Pick a Web Speech voice type (robot/female/male/default) for an object
+   * Comes from the casting table: the model's category, otherwise name keywords
+   */
+  getVoiceType(objectType, category = null, voice = null) {
+    return this.casting.resolve(objectType, category, voice).webVoice;
   }
 
   /**
-   * Select ElevenLabs voice based on object type
+   * Select appropriate voice based on object type
    */
-  selectElevenLabsVoice(objectType) {
-    const type = objectType.toLowerCase();
+  selectVoiceForObject(objectType, category = null, voice = null) {
+    return this.webSpeech.selectVoice(this.getVoiceType(objectType, category, voice));
+  }
 
-    // Robots, electronics, machines
-    if (type.includes('robot') || type.includes('computer') || type.includes('phone')) {
-      return this.elevenLabsVoices.robot;
-    }
+  /**
+   * Select pitch based on object type
+   */
+  selectPitchForObject(objectType, category = null, voice = null) {
+    return this.casting.resolve(objectType, category, voice).pitch;
+  }
 
-    // Soft objects, toys, cute things
-    if (type.includes('teddy') || type.includes('toy') || type.includes('pillow') || type.includes('plush')) {
-      return this.elevenLabsVoices.female;
-    }
+  /**
+   * Give each object in a scene its own voice
+   * Pinned voices are kept; others move to a free voice when theirs is taken
+   * @param {Array<{object: string, category: string, voice: Object|null}>} objects - Cast of the scene
+   * @returns {Array<{voiceId: string, webVoice: string, pitch: number}>} One voice per object
+   */
+  castVoices(objects) {
+    const usedIds = new Set();
+    const usedWebVoices = new Set();
+    objects.forEach(entry => {
+      if (entry.voice?.pinned) usedIds.add(entry.voice.voiceId);
+    });
 
-    // Tools, sports equipment, tough objects
-    if (type.includes('hammer') || type.includes('tool') || type.includes('ball') || type.includes('equipment')) {
-      return this.elevenLabsVoices.male;
-    }
+    return objects.map((entry, index) => {
+      // A voice pinned in settings always wins
+      if (entry.voice?.pinned) {
+        return entry.voice;
+      }
 
-    return this.elevenLabsVoices.default;
+      let { voiceId, webVoice, pitch } = this.casting.resolve(entry.object, entry.category);
+      if (usedIds.has(voiceId)) {
+        voiceId = VOICE_LIBRARY.find(voice => !usedIds.has(voice.id))?.id || voiceId;
+      }
+      if (usedWebVoices.has(webVoice)) {
+        webVoice = WEB_VOICES.find(type => !usedWebVoices.has(type)) || webVoice;
+      }
+      usedIds.add(voiceId);
+      usedWebVoices.add(webVoice);
+
+      const step = ENSEMBLE_PITCH_STEPS[index % ENSEMBLE_PITCH_STEPS.length];
+      return { voiceId, webVoice, pitch: Math.max(0.5, Math.min(2, pitch * step)) };
+    });
   }
 
   /**
-   * Select appropriate voice based on object type
+   * Queue a line to be spoken after the ones already queued
+   * @param {string} text - Text to speak
+   * @param {Object} options - { objectType, category, voice, mood, onStart }
+   * @returns {Promise} Resolves once the line was spoken or the queue was cleared
    */
-  selectVoiceForObject(objectType) {
-    const type = objectType.toLowerCase();
+  enqueue(text, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ text, options, resolve, reject });
+      this.processQueue();
+    });
+  }
 
-    // Robots, electronics, machines
-    if (type.includes('robot') || type.includes('computer') || type.includes('phone')) {
-      return this.voiceMap.robot || this.voiceMap.male || this.voiceMap.default;
-    }
+  /**
+   * Speak queued lines one at a time
+   */
+  async processQueue() {
+    if (this.isProcessingQueue) return;
+    this.isProcessingQueue = true;
 
-    // Soft objects, toys, cute things
-    if (type.includes('teddy') || type.includes('toy') || type.includes('pillow') || type.includes('plush')) {
-      return this.voiceMap.female || this.voiceMap.default;
-    }
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      const { objectType = '', category = null, voice = null, mood = null, onStart } = item.options;
 
-    // Tools, sports equipment, tough objects
-    if (type.includes('hammer') || type.includes('tool') || type.includes('ball') || type.includes('equipment')) {
-      return this.voiceMap.male || this.voiceMap.default;
+      try {
+        if (onStart) onStart();
+        await this.speak(item.text, objectType, category, voice, mood);
+        item.resolve();
+      } catch (error) {
+        // One failed line shouldn't stop the rest of the dialogue
+        item.reject(error);
+      }
     }
 
-    return this.voiceMap.default;
+    this.isProcessingQueue = false;
   }
 
   /**
-   * Select pitch based on object type
+   * Start speaking a reply that is still being generated, sentence by sentence
+   * @param {Object} options - { onStart, onSentence }, see SpeechStream
+   * @returns {SpeechStream}
    */
-  selectPitchForObject(objectType) {
-    const type = objectType.toLowerCase();
-
-    // Small, cute objects = higher pitch
-    if (type.includes('toy') || type.includes('small') || type.includes('cute')) {
-      return 1.3;
-    }
+  createStream(options = {}) {
+    // Forget streams that already ended
+    this.streams.forEach(stream => {
+      if (stream.cancelled) this.streams.delete(stream);
+    });
 
-    // Large, heavy objects = lower pitch
-    if (type.includes('heavy') || type.includes('machine') || type.includes('furniture')) {
-      return 0.8;
-    }
+    const stream = new SpeechStream(this, options);
+    this.streams.add(stream);
+    return stream;
+  }
 
-    return 1.0; // Normal pitch
+  /**
+   * Drop queued lines that haven't started yet
+   */
+  clearQueue() {
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(item => item.resolve());
   }
 
   /**
    * Stop current speech
    */
   stop() {
-    // Stop ElevenLabs audio
+    // Replies still streaming in mustn't queue more sentences
+    this.streams.forEach(stream => stream.cancel());
+    this.streams.clear();
+    this.clearQueue();
+
+    // Stop provider audio
     if (this.currentAudio) {
       this.currentAudio.pause();
       this.currentAudio.currentTime = 0;
       // Don't set to null - reuse the element
     }
 
+    // A paused element never fires onended - settle the line ourselves
+    if (this.resolvePlayback) {
+      const resolve = this.resolvePlayback;
+      this.resolvePlayback = null;
+      resolve();
+    }
+
     // Clean up blob URL
     if (this.currentBlobUrl) {
       URL.revokeObjectURL(this.currentBlobUrl);
@@ -472,14 +573,18 @@ export class TextToSpeech {
     }
 
     // Stop Web Speech API
-    if (this.synth.speaking) {
-      this.synth.cancel();
-      this.currentUtterance = null;
-    }
+    this.webSpeech.stop();
 
     this.isSpeaking = false;
   }
 
+  /**
+   * Check if streamed MP3 audio can be played while it downloads
+   */
+  static canStreamAudio() {
+    return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported('audio/mpeg');
+  }
+
   /**
    * Check if TTS is supported
    */
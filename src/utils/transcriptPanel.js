@@ -0,0 +1,178 @@
+/**
+ * Transcript Panel - Side panel showing the session transcript
+ * Handles export downloads (JSON, Markdown, SRT) and JSON import.
+ */
+
+import { SessionTranscript, formatClock } from './sessionTranscript.js';
+
+export class TranscriptPanel {
+  constructor(elements) {
+    this.elements = elements;
+    this.transcript = null;
+    this.getSrtOrigin = () => null; // Recording start, if any, so subtitles line up
+    this.onImport = null; // (transcript) => void
+    this.onMessage = null; // (text, type) => void
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Wire up toggle, export and import controls
+   */
+  setupEventListeners() {
+    const { panel, toggle, closeBtn, exportJsonBtn, exportMarkdownBtn, exportSrtBtn,
+            importBtn, importInput, clearBtn } = this.elements;
+
+    toggle.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      this.scrollToEnd();
+    });
+    closeBtn.addEventListener('click', () => panel.classList.add('collapsed'));
+
+    exportJsonBtn.addEventListener('click', () => {
+      this.download('json', JSON.stringify(this.transcript.toJSON(), null, 2), 'application/json');
+    });
+    exportMarkdownBtn.addEventListener('click', () => {
+      this.download('md', this.transcript.toMarkdown(), 'text/markdown');
+    });
+    exportSrtBtn.addEventListener('click', () => {
+      this.download('srt', this.transcript.toSRT(this.getSrtOrigin()), 'application/x-subrip');
+    });
+
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = ''; // Allow importing the same file again
+      if (file) {
+        this.importFile(file);
+      }
+    });
+
+    clearBtn.addEventListener('click', () => {
+      if (this.transcript.entries.length === 0 || confirm('Clear the transcript?')) {
+        this.transcript.clear();
+      }
+    });
+  }
+
+  /**
+   * Show a transcript and follow its changes
+   */
+  setTranscript(transcript) {
+    if (this.transcript) {
+      this.transcript.onChange = null;
+    }
+    this.transcript = transcript;
+    transcript.onChange = () => this.render();
+    this.render();
+  }
+
+  /**
+   * Rebuild the entry list
+   */
+  render() {
+    const { list, empty, exportJsonBtn, exportMarkdownBtn, exportSrtBtn } = this.elements;
+    const entries = this.transcript.entries;
+
+    list.innerHTML = '';
+    empty.classList.toggle('hidden', entries.length > 0);
+    [exportJsonBtn, exportMarkdownBtn, exportSrtBtn].forEach(btn => {
+      btn.disabled = entries.length === 0;
+    });
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `transcript-entry transcript-${entry.speaker}`;
+
+      const header = document.createElement('div');
+      header.className = 'transcript-entry-header';
+
+      const time = document.createElement('span');
+      time.className = 'transcript-time';
+      time.textContent = formatClock(entry.offset);
+
+      const speaker = document.createElement('span');
+      speaker.className = 'transcript-speaker';
+      speaker.textContent = entry.speaker === 'user' ? 'You' : (entry.object || 'Object');
+
+      header.append(time, speaker);
+
+      const text = document.createElement('p');
+      text.className = 'transcript-text';
+      text.textContent = entry.text;
+
+      item.append(header, text);
+
+      const details = [
+        entry.reaction && `reaction: ${entry.reaction}`,
+        entry.personality,
+        entry.mood,
+        entry.provider && `${entry.provider}${entry.model ? ` · ${entry.model}` : ''}`
+      ].filter(Boolean);
+      if (entry.speaker === 'object' && details.length > 0) {
+        const meta = document.createElement('span');
+        meta.className = 'transcript-meta';
+        meta.textContent = details.join(' · ');
+        item.appendChild(meta);
+      }
+
+      list.appendChild(item);
+    });
+
+    this.scrollToEnd();
+  }
+
+  /**
+   * Keep the newest line in view
+   */
+  scrollToEnd() {
+    const { panel, list } = this.elements;
+    if (!panel.classList.contains('collapsed')) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }
+
+  /**
+   * Save the transcript as a file
+   */
+  download(extension, content, type) {
+    const stamp = new Date(this.transcript.startedAt || Date.now()).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `talking-objects-${stamp}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Load a transcript exported as JSON
+   */
+  async importFile(file) {
+    try {
+      const transcript = SessionTranscript.fromJSON(await file.text());
+      this.setTranscript(transcript);
+      if (this.onImport) {
+        this.onImport(transcript);
+      }
+      this.message(`Imported ${transcript.entries.length} lines`, 'success');
+    } catch (error) {
+      console.error('Transcript import error:', error);
+      this.message(`Could not import transcript: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show a toast through the app
+   */
+  message(text, type) {
+    if (this.onMessage) {
+      this.onMessage(text, type);
+    }
+  }
+}
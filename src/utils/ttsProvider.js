@@ -0,0 +1,110 @@
+/**
+ * TTS Provider - Common interface for the engines objects speak with
+ * Audio providers return a Response with the clip, which TextToSpeech plays, streams
+ * and caches; Web Speech plays directly. Errors flagged isQuotaError take the provider
+ * out of the fallback chain until their retryAfter (seconds) has passed, or for the
+ * session when isConfigError is set; isUnreachable only for the current line.
+ */
+
+import { getAudioKey } from './audioCache.js';
+
+// Speaking rate and pitch (multipliers) for each mood the vision model reports
+export const MOOD_PROSODY = {
+  happy: { rate: 1.05, pitch: 1.05 },
+  excited: { rate: 1.15, pitch: 1.1 },
+  surprised: { rate: 1.1, pitch: 1.15 },
+  fearful: { rate: 1.1, pitch: 1.05 },
+  angry: { rate: 1.05, pitch: 0.9 },
+  sad: { rate: 0.85, pitch: 0.9 },
+  calm: { rate: 0.9, pitch: 0.95 }
+};
+
+const NEUTRAL_PROSODY = { rate: 1, pitch: 1 };
+
+/**
+ * Prosody hints for a mood
+ * @param {string|null} mood - One of MOODS, or null
+ * @returns {{rate: number, pitch: number}}
+ */
+export function getProsody(mood) {
+  return MOOD_PROSODY[mood] || NEUTRAL_PROSODY;
+}
+
+/**
+ * Escape text for use inside SSML
+ */
+export function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap a line in SSML, with a <prosody> element unless the prosody is neutral
+ * @param {string} text - Plain text
+ * @param {{rate: number, pitch: number}} prosody - From getProsody()
+ * @returns {string}
+ */
+export function buildSsml(text, prosody = NEUTRAL_PROSODY) {
+  const body = escapeXml(text);
+  if (prosody.rate === 1 && prosody.pitch === 1) {
+    return `<speak>${body}</speak>`;
+  }
+
+  const rate = `${Math.round(prosody.rate * 100)}%`;
+  const change = Math.round((prosody.pitch - 1) * 100);
+  const pitch = `${change >= 0 ? '+' : ''}${change}%`;
+  return `<speak><prosody rate="${rate}" pitch="${pitch}">${body}</prosody></speak>`;
+}
+
+export class TtsProvider {
+  constructor(name) {
+    this.name = name;
+    this.available = true; // Set to false when the provider can't be used this session
+    this.producesAudio = true; // False for providers that play the speech themselves
+    this.supportsSsml = false;
+    this.canStream = false; // Returns MP3 that can play while it downloads
+  }
+
+  /**
+   * Synthesize a line
+   * @param {string} text - Text without emojis
+   * @param {Object} cast - Voice from VoiceCasting.resolve()
+   * @param {Object} options - { prosody, streaming }
+   * @returns {Promise<Response>} OK response with the audio
+   */
+  async synthesize(text, cast, options = {}) {
+    throw new Error(`${this.constructor.name}.synthesize() must be implemented`);
+  }
+
+  /**
+   * Audio cache key for a line; covers everything that changes the audio
+   * @returns {string}
+   */
+  getCacheKey(text, cast, prosody = NEUTRAL_PROSODY) {
+    return getAudioKey({ provider: this.name, text, voiceId: cast.voiceId });
+  }
+
+  /**
+   * Text to send: SSML with prosody for providers that read it, plain text otherwise
+   */
+  prepareInput(text, prosody = NEUTRAL_PROSODY) {
+    return this.supportsSsml ? buildSsml(text, prosody) : text;
+  }
+
+  /**
+   * fetch() that marks connection failures so the next provider takes the line
+   */
+  async fetchAudio(url, init) {
+    try {
+      return await fetch(url, init);
+    } catch (error) {
+      const unreachable = new Error(`${this.name} TTS unreachable: ${error.message}`);
+      unreachable.isUnreachable = true;
+      throw unreachable;
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * TTS Provider Registry - Creates the speech engines for the fallback chain
+ */
+
+import { ElevenLabsTts } from './elevenLabsTts.js';
+import { OpenAITts } from './openaiTts.js';
+import { LocalTts } from './localTts.js';
+import { WebSpeechTts } from './webSpeechTts.js';
+
+export const TTS_PROVIDERS = {
+  elevenlabs: {
+    label: 'ElevenLabs',
+    create: () => new ElevenLabsTts(),
+    needsServer: true
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    create: (options) => new OpenAITts(options),
+    needsServer: false
+  },
+  local: {
+    label: 'Local server (Piper, Coqui)',
+    create: (options) => new LocalTts(options),
+    needsServer: false
+  },
+  webspeech: {
+    label: 'Browser voice',
+    create: () => new WebSpeechTts(),
+    needsServer: false
+  }
+};
+
+// Used until the chain is changed in settings
+export const DEFAULT_TTS_CHAIN = ['elevenlabs', 'webspeech'];
+
+/**
+ * Create a TTS provider by name
+ * @param {string} name - Key of TTS_PROVIDERS
+ * @param {Object} options - openai: { baseUrl, apiKey, model, voices }, local: { url, ssml }
+ * @returns {TtsProvider}
+ */
+export function createTtsProvider(name, options = {}) {
+  const provider = TTS_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+  return provider.create(options);
+}
@@ -0,0 +1,90 @@
+/**
+ * Video Source - What plays in the video element the app watches
+ * The live camera and photo / video files share this interface. Motion
+ * detection, object tracking, analysis and the overlay all read the same
+ * video element, so they work the same whichever source feeds it.
+ */
+
+export class VideoSource {
+  constructor(videoElement) {
+    this.video = videoElement;
+    this.stream = null;
+    this.isActive = false;
+    this.onChange = null; // (source, reason) => void
+  }
+
+  /**
+   * Start playing into the video element
+   */
+  async start() {
+    throw new Error('start() must be implemented by the video source');
+  }
+
+  /**
+   * Stop playing and release the video element
+   */
+  stop() {
+    throw new Error('stop() must be implemented by the video source');
+  }
+
+  /**
+   * Short name for messages, e.g. 'Camera' or a file name
+   */
+  get label() {
+    return 'Video';
+  }
+
+  /**
+   * Whether the picture is shown mirrored (only front cameras are)
+   */
+  get isMirrored() {
+    return false;
+  }
+
+  /**
+   * Resolve once the video element knows the picture size, reject if it can't load
+   * Call before setting the source so the event can't be missed.
+   */
+  waitForVideo() {
+    return new Promise((resolve, reject) => {
+      this.video.onloadedmetadata = () => {
+        resolve();
+      };
+      this.video.onerror = () => {
+        reject(new Error('Video failed to load'));
+      };
+    });
+  }
+
+  /**
+   * Tell the app what changed
+   */
+  notify(reason) {
+    if (this.onChange) {
+      this.onChange(this, reason);
+    }
+  }
+
+  /**
+   * Capture current frame as base64 image
+   */
+  captureFrame(maxWidth = 800) {
+    if (!this.isActive) {
+      throw new Error(`${this.label} is not active`);
+    }
+
+    const canvas = document.createElement('canvas');
+    const video = this.video;
+
+    // Calculate dimensions maintaining aspect ratio
+    const scale = Math.min(maxWidth / video.videoWidth, 1);
+    canvas.width = video.videoWidth * scale;
+    canvas.height = video.videoHeight * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    // Return base64 data URL with reduced quality for API efficiency
+    return canvas.toDataURL('image/jpeg', 0.8);
+  }
+}
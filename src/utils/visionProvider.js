@@ -0,0 +1,734 @@
+/**
+ * Vision Provider - Common interface for the models that bring objects to life
+ * Subclasses only implement complete(); prompting, parsing and conversation
+ * history are shared so every provider behaves the same way in main.js.
+ */
+
+import {
+  RESPONSE_SCHEMA_PROMPT,
+  RESPONSE_MAX_TOKENS,
+  PERSONALITIES,
+  buildEnsembleSchemaPrompt,
+  getSceneMaxTokens,
+  parseStructuredResponse,
+  parseEnsembleResponse,
+  parsePartialResponse
+} from './responseSchema.js';
+import { getObjectId } from './objectMemory.js';
+import { ERROR_TYPES, ModelError, RETRY_POLICY, classifyError, withRetry } from './errors.js';
+
+// The server rejects longer prompts (MAX_PROMPT_LENGTH in server/api.js)
+export const MAX_PROMPT_LENGTH = 4000;
+
+// Longest user utterance and remembered line quoted in a prompt
+const MAX_USER_TEXT = 300;
+const MAX_QUOTE_LENGTH = 150;
+
+/**
+ * Shorten text to maxLength characters, marking the cut with an ellipsis
+ */
+function clip(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= 0) return '';
+  return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
+/**
+ * Quote something said, shortened to MAX_QUOTE_LENGTH
+ */
+function quote(text) {
+  return `"${clip(String(text), MAX_QUOTE_LENGTH)}"`;
+}
+
+/**
+ * The first version of a text that fits in maxLength (pass the longest first),
+ * or the last one cut short
+ */
+function fitText(versions, maxLength) {
+  return versions.find(text => text.length <= maxLength) ?? clip(versions[versions.length - 1], maxLength);
+}
+
+// Lines for when there is nothing to see (fixed, so their audio can be cached ahead of time)
+export const VOID_RESPONSES = [
+  "Nothing but darkness... or is there?",
+  "Ah, the emptiness embraces me again.",
+  "I see everything and nothing at once.",
+  "The void whispers secrets only I can hear.",
+  "In darkness, I find myself.",
+  "Between existence and nothingness, here I am.",
+  "The shadows are my companions.",
+  "What lies beyond the black? I wonder...",
+  "In this nothingness, I am everything.",
+  "The abyss stares back, and I stare harder."
+];
+
+// What an object says when the model won't answer (safety filters), so it stays in character
+export const SAFETY_RESPONSES = [
+  "Whoa, I'd rather not talk about that. Show me something else!",
+  "My lips are sealed on that one. Next topic!",
+  "Hmm, let's pretend I didn't see that.",
+  "Nope, not going there. Ask me about the weather!"
+];
+
+export class VisionProvider {
+  constructor(options = {}) {
+    this.model = options.model || null;
+    this.conversationHistory = [];
+    this.maxHistoryLength = 8; // Object and user turns
+    this.currentObject = null;
+    this.currentCategory = null;
+    this.objectHistories = new Map(); // Ensemble mode: object name → its recent lines
+    this.maxObjectHistory = 4;
+    this.memories = []; // Records from ObjectMemory, most recently seen first
+    this.onUsage = null; // ({requests, tokens}) => void, after each model call
+    this.timeout = options.timeout ?? 20000; // Per request, in ms
+    this.retryPolicy = options.retryPolicy || RETRY_POLICY;
+  }
+
+  /**
+   * Report one model call for the daily budget
+   * @param {number} tokens - Tokens the call used, if the API says
+   */
+  reportUsage(tokens = 0) {
+    this.onUsage?.({ requests: 1, tokens: tokens || 0 });
+  }
+
+  /**
+   * Send a prompt (and optional image) to the model and return its raw text
+   * Implementations throw ModelErrors (see errors.js) and give up after this.timeout
+   * @param {string} prompt - Prompt text
+   * @param {string|null} imageDataUrl - Base64 JPEG data URL, or null for text-only
+   * @param {Object} options - { signal } to cancel the request,
+   *   { maxTokens } for a bigger output budget than a one-object reply,
+   *   { json } to ask for JSON without an image (image calls always answer in JSON)
+   * @returns {Promise<string>}
+   */
+  async complete(prompt, imageDataUrl = null, options = {}) {
+    throw new Error(`${this.constructor.name}.complete() must be implemented`);
+  }
+
+  /**
+   * Like complete(), but reports the text as the model writes it
+   * Providers that can stream override this; the default delivers everything at once
+   * @param {Function} onText - Called with each chunk of text
+   * @returns {Promise<string>} The whole text
+   */
+  async completeStream(prompt, imageDataUrl, onText, options = {}) {
+    const text = await this.complete(prompt, imageDataUrl, options);
+    onText(text);
+    return text;
+  }
+
+  /**
+   * Analyze image and generate object's response
+   * @param {string} imageDataUrl - Base64 encoded image
+   * @param {string} personality - Personality style
+   * @param {Object} context - { userText } when answering something the user said,
+   *   { onSpeech } to follow the reply while it streams in (see parsePartialResponse),
+   *   { signal } to cancel the request
+   * @returns {Promise<{object: string, response: string, name: string, emoji: string,
+   *   category: string, confidence: number|null, mood: string|null, boundingBox: Object|null,
+   *   valid: boolean, blocked?: boolean}>} blocked results are safety fallbacks - don't cache them
+   */
+  async analyzeAndRespond(imageDataUrl, personality = 'playful', context = {}) {
+    const prompt = context.userText
+      ? this.buildConversationPrompt(personality, context.userText)
+      : this.buildPrompt(personality);
+
+    let text;
+    try {
+      text = await this.requestAnalysis(prompt, imageDataUrl, { onSpeech: context.onSpeech, signal: context.signal });
+    } catch (error) {
+      if (error.type === ERROR_TYPES.SAFETY) {
+        return this.getSafetyResponse();
+      }
+      throw error;
+    }
+
+    // Parse response to extract object identity and dialogue
+    let parsed = this.parseResponse(text);
+
+    // Malformed output - ask the model once to fix its own reply
+    if (!parsed.valid) {
+      console.warn('Malformed model response, requesting repair:', parsed.errors);
+      try {
+        const repaired = this.parseResponse(await this.complete(this.buildRepairPrompt(text), null, {
+          signal: context.signal,
+          json: true,
+          maxTokens: RESPONSE_MAX_TOKENS
+        }));
+        if (repaired.valid) {
+          parsed = repaired;
+        }
+      } catch (error) {
+        if (error.type === ERROR_TYPES.ABORTED) throw error;
+        console.log('Repair request failed, using best-effort parse:', error);
+      }
+    }
+
+    // Update current object
+    if (parsed.object) {
+      this.currentObject = parsed.object;
+      this.currentCategory = parsed.category;
+    }
+
+    // Update conversation history (both sides when the user spoke)
+    if (context.userText) {
+      this.updateHistory(context.userText, 'user');
+    }
+    this.updateHistory(parsed.response);
+
+    return parsed;
+  }
+
+  /**
+   * Analyze a scene with several objects and script a dialogue between them
+   * @param {string} imageDataUrl - Base64 encoded image
+   * @param {string} personality - Personality style of the lead object
+   * @param {number} maxObjects - Most objects to cast
+   * @param {Object} context - { signal } to cancel the request
+   * @returns {Promise<{objects: Object[], dialogue: Object[], valid: boolean, blocked?: boolean}>}
+   *   objects have the same fields as analyzeAndRespond results plus personality;
+   *   dialogue lines are { speaker (index into objects), response, mood }
+   */
+  async analyzeScene(imageDataUrl, personality = 'playful', maxObjects = 3, context = {}) {
+    let text;
+    try {
+      text = await this.requestAnalysis(this.buildEnsemblePrompt(personality, maxObjects), imageDataUrl, {
+        signal: context.signal,
+        maxTokens: getSceneMaxTokens(maxObjects)
+      });
+    } catch (error) {
+      if (error.type === ERROR_TYPES.SAFETY) {
+        // The lead object declines on behalf of the cast
+        const lead = { ...this.getSafetyResponse(), personality };
+        return { objects: [lead], dialogue: [{ speaker: 0, response: lead.response, mood: lead.mood }], valid: false, blocked: true };
+      }
+      throw error;
+    }
+
+    let scene = this.parseScene(text, personality, maxObjects);
+
+    // Malformed output - ask the model once to fix its own reply
+    if (!scene.valid) {
+      console.warn('Malformed scene response, requesting repair:', scene.errors);
+      try {
+        const repairPrompt = this.buildRepairPrompt(text, buildEnsembleSchemaPrompt(maxObjects));
+        const repaired = this.parseScene(await this.complete(repairPrompt, null, {
+          signal: context.signal,
+          json: true,
+          maxTokens: getSceneMaxTokens(maxObjects)
+        }), personality, maxObjects);
+        if (repaired.valid) {
+          scene = repaired;
+        }
+      } catch (error) {
+        if (error.type === ERROR_TYPES.ABORTED) throw error;
+        console.log('Repair request failed, using best-effort parse:', error);
+      }
+    }
+
+    // The lead object answers reactions and questions
+    this.currentObject = scene.objects[0].object;
+    this.currentCategory = scene.objects[0].category;
+
+    // Each object remembers its own lines
+    scene.dialogue.forEach(line => {
+      this.updateObjectHistory(scene.objects[line.speaker].name, line.response);
+    });
+
+    return scene;
+  }
+
+  /**
+   * Call the model for a frame, retrying failures the retry policy allows
+   * A streamed reply is only retried if none of its speech reached the app yet.
+   * @param {Object} options - { onSpeech } streams the reply, called whenever its speech grows;
+   *   { signal } cancels the request and any retries; { maxTokens } as for complete()
+   * @returns {Promise<string>} Non-empty model text
+   * @throws {ModelError}
+   */
+  async requestAnalysis(prompt, imageDataUrl, { onSpeech = null, signal = null, maxTokens = null } = {}) {
+    let spoken = false;
+
+    const attempt = async () => {
+      let text;
+      if (onSpeech) {
+        let received = '';
+        let lastSpeech = null;
+        text = await this.completeStream(prompt, imageDataUrl, (chunk) => {
+          received += chunk;
+          const partial = parsePartialResponse(received);
+          if (partial.speech && (partial.speech !== lastSpeech?.speech || partial.complete !== lastSpeech.complete)) {
+            lastSpeech = partial;
+            spoken = true;
+            onSpeech(partial);
+          }
+        }, { signal, maxTokens });
+      } else {
+        text = await this.complete(prompt, imageDataUrl, { signal, maxTokens });
+      }
+
+      // Safety check - ensure we got a valid response
+      if (!text || text.trim().length === 0) {
+        throw new ModelError(ERROR_TYPES.MALFORMED, 'Empty model reply');
+      }
+      return text;
+    };
+
+    try {
+      return await withRetry(attempt, {
+        signal,
+        policy: this.retryPolicy,
+        canRetry: () => !spoken,
+        onRetry: (error, count, delay) => {
+          console.warn(`${this.constructor.name} ${error.type} error, retry ${count} in ${delay}ms:`, error.message);
+        }
+      });
+    } catch (error) {
+      if (error.type !== ERROR_TYPES.ABORTED) {
+        console.error(`${this.constructor.name} error:`, error);
+      }
+      throw classifyError(error);
+    }
+  }
+
+  /**
+   * In-character line for when the model won't answer, from the object in view
+   * @returns {Object} An analyzeAndRespond result with blocked: true
+   */
+  getSafetyResponse() {
+    const object = this.currentObject || '🙊 Shy Object';
+    return {
+      object,
+      response: SAFETY_RESPONSES[Math.floor(Math.random() * SAFETY_RESPONSES.length)],
+      name: object.replace(/[^\w\s]/gi, '').trim(),
+      emoji: null,
+      category: this.currentCategory || 'other',
+      confidence: null,
+      mood: 'surprised',
+      boundingBox: null,
+      valid: false,
+      blocked: true
+    };
+  }
+
+  /**
+   * Generate the object's reaction to a user action (compliment, laugh, ...)
+   * @param {string} object - Current object identity
+   * @param {string} reaction - Reaction type from the reaction buttons
+   * @param {string} personality - Personality style
+   * @returns {Promise<string>} Reaction text
+   */
+  async generateReaction(object, reaction, personality = 'playful') {
+    const reactionPrompts = {
+      compliment: "The user just complimented you! Respond with delight and appreciation in first-person. ONE SHORT sentence.",
+      laugh: "The user is trying to make you laugh! Respond with laughter and joy in first-person. ONE SHORT sentence.",
+      surprise: "The user just surprised you! Respond with shock or amazement in first-person. ONE SHORT sentence.",
+      grumpy: "The user annoyed you! Respond grumpily or sarcastically in first-person. ONE SHORT sentence."
+    };
+
+    const prompt = `You are a ${object}. ${reactionPrompts[reaction]}
+
+Personality: ${personality}
+Format: Just the response text, nothing else. Stay in character as the object.`;
+
+    const text = await this.complete(prompt);
+    return text.trim();
+  }
+
+  /**
+   * Get a random void response for when analysis fails
+   */
+  getVoidResponse() {
+    return VOID_RESPONSES[Math.floor(Math.random() * VOID_RESPONSES.length)];
+  }
+
+  /**
+   * Get the prompt description for a personality style
+   */
+  getPersonalityTrait(personality) {
+    const personalityTraits = {
+      playful: "You are playful, curious, and love to make observations about your surroundings. You're friendly and slightly mischievous.",
+      grumpy: "You are grumpy, sarcastic, and tired of being an object. You complain about things but in a funny way.",
+      wise: "You are wise, philosophical, and offer thoughtful observations about life and existence.",
+      excited: "You are extremely excited and energetic! Everything amazes you! You use lots of enthusiasm!",
+      chill: "You are super laid-back and chill. Nothing bothers you. You speak like a relaxed surfer dude."
+    };
+
+    return personalityTraits[personality] || personalityTraits.playful;
+  }
+
+  /**
+   * Build personality-aware prompt
+   */
+  buildPrompt(personality) {
+    const trait = this.getPersonalityTrait(personality);
+
+    const prompt = (context) => `You are an AI that brings objects to life. Look at this image and:
+
+1. Identify the MAIN object in the center/foreground
+2. Speak AS that object in first-person
+3. React to what you see around you in ONE SHORT sentence (10-15 words max)
+
+Personality: ${trait}
+
+${RESPONSE_SCHEMA_PROMPT}
+
+"speech" is ONE SHORT punchy sentence. "mood" is how the object feels right now.
+Always include "boundingBox" tightly around the MAIN object.
+
+${context}
+
+Be observant, reactive, and fun! Keep it VERY SHORT (one sentence, 10-15 words).`;
+
+    return prompt(this.getContextPrompt(MAX_PROMPT_LENGTH - prompt('').length));
+  }
+
+  /**
+   * Build prompt for answering something the user said
+   */
+  buildConversationPrompt(personality, userText) {
+    const trait = this.getPersonalityTrait(personality);
+
+    const prompt = (context) => `You are an AI that brings objects to life. Look at this image.
+
+You ARE the MAIN object in the center/foreground, and a human is talking to you.
+The human just said: "${clip(userText, MAX_USER_TEXT)}"
+
+Answer the human AS that object in first-person, in ONE OR TWO SHORT sentences (25 words max).
+Stay in character and mention what you can see if it helps.
+
+Personality: ${trait}
+
+${RESPONSE_SCHEMA_PROMPT}
+
+"speech" is your answer to the human. Include "boundingBox" tightly around the MAIN object.
+
+${context}`;
+
+    return prompt(this.getContextPrompt(MAX_PROMPT_LENGTH - prompt('').length));
+  }
+
+  /**
+   * Build prompt for a scene where several objects talk to each other
+   */
+  buildEnsemblePrompt(personality, maxObjects) {
+    const trait = this.getPersonalityTrait(personality);
+
+    const prompt = (context) => `You are an AI that brings objects to life. Look at this image and:
+
+1. Find up to ${maxObjects} distinct objects (the most prominent first)
+2. Give each object its own personality - make them different from each other
+3. Write a short back-and-forth conversation BETWEEN the objects about what they see
+
+The lead object's personality: ${trait}
+
+${buildEnsembleSchemaPrompt(maxObjects)}
+
+Each "speech" is ONE SHORT sentence (10-15 words max). The objects talk to each other, not to the camera.
+Only one object in view? Let it talk to itself.
+
+${context}`;
+
+    return prompt(this.getEnsembleContextPrompt(MAX_PROMPT_LENGTH - prompt('').length));
+  }
+
+  /**
+   * Build prompt asking the model to turn a malformed reply into valid JSON
+   */
+  buildRepairPrompt(badOutput, schemaPrompt = RESPONSE_SCHEMA_PROMPT) {
+    return `Your previous reply was not valid JSON for the required schema.
+
+Previous reply:
+${badOutput.slice(0, 1500)}
+
+Rewrite it so it matches the schema exactly, keeping the same object and speech.
+
+${schemaPrompt}`;
+  }
+
+  /**
+   * Get context from conversation history
+   * @param {number} maxLength - Room left in the prompt; memories go first, then older turns
+   */
+  getContextPrompt(maxLength = MAX_PROMPT_LENGTH) {
+    if (this.conversationHistory.length === 0) {
+      const intro = "This is your first time being seen. Introduce yourself with excitement or personality!";
+      const known = this.getKnownObjectsPrompt();
+      return fitText(known
+        ? [`${known}\n\nIf you are one of these objects, greet the human like an old friend. Otherwise introduce yourself with excitement or personality!`, intro]
+        : [intro], maxLength);
+    }
+
+    const conversation = (turns) => {
+      const recentHistory = turns
+        .map(turn => turn.role === 'user' ? `Human: ${quote(turn.text)}` : `You: ${quote(turn.text)}`)
+        .join('\n');
+      return `Recent conversation:\n${recentHistory}\n\nBuild on this or notice NEW things around you. If the scene changed drastically, react to it!`;
+    };
+    const recent = this.conversationHistory.slice(-4);
+    const memory = this.getMemoryPrompt(this.currentObject);
+    return fitText([
+      ...(memory ? [`${memory}\n\n${conversation(recent)}`] : []),
+      conversation(recent),
+      conversation(recent.slice(-2)),
+      conversation(recent.slice(-1))
+    ], maxLength);
+  }
+
+  /**
+   * Use remembered objects from ObjectMemory in prompts
+   * @param {Object[]} records - Memory records, most recently seen first
+   */
+  setMemories(records) {
+    this.memories = records || [];
+  }
+
+  /**
+   * Find the memory record for an object name
+   */
+  getMemory(objectName) {
+    const id = getObjectId(objectName);
+    return this.memories.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Describe what an object remembers from earlier sessions
+   */
+  getMemoryPrompt(objectName) {
+    const memory = objectName && this.getMemory(objectName);
+    if (!memory) return '';
+
+    const lines = [`What you remember (you've been seen ${memory.timesSeen} time${memory.timesSeen === 1 ? '' : 's'}):`];
+    if (memory.nickname) {
+      lines.push(`The human calls you ${quote(memory.nickname)} - that's your name.`);
+    }
+    if (memory.said.length > 0) {
+      lines.push(`You said: ${memory.said.slice(-3).map(quote).join(' ')}`);
+    }
+    if (memory.heard.length > 0) {
+      lines.push(`The human told you: ${memory.heard.slice(-3).map(quote).join(' ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * List recently remembered objects so a returning object can recognize itself
+   */
+  getKnownObjectsPrompt() {
+    if (this.memories.length === 0) return '';
+
+    const known = this.memories.slice(0, 5).map(memory => {
+      const name = memory.nickname ? `${memory.name} called ${quote(memory.nickname)}` : memory.name;
+      const lastLine = memory.said[memory.said.length - 1];
+      return `- ${name}${lastLine ? `, last said ${quote(lastLine)}` : ''}`;
+    });
+    return `Objects you have met before:\n${known.join('\n')}`;
+  }
+
+  /**
+   * Get what each object said in earlier scenes
+   */
+  getEnsembleContextPrompt(maxLength = MAX_PROMPT_LENGTH) {
+    if (this.objectHistories.size === 0) {
+      const intro = "This is the first time these objects meet. Let them introduce themselves!";
+      const known = this.getKnownObjectsPrompt();
+      return fitText(known
+        ? [`${known}\n\nObjects from this list remember each other and the human. New ones introduce themselves!`, intro]
+        : [intro], maxLength);
+    }
+
+    const earlier = (entries) => {
+      const recent = entries
+        .map(([name, lines]) => `${name} said: ${lines.slice(-2).map(quote).join(' ')}`)
+        .join('\n');
+      return `Earlier in this scene:\n${recent}\n\nObjects seen before should remember what they said. Build on it or react to something NEW.`;
+    };
+    const entries = [...this.objectHistories].slice(-4);
+    return fitText([earlier(entries), earlier(entries.slice(-2)), earlier(entries.slice(-1))], maxLength);
+  }
+
+  /**
+   * Parse an ensemble reply; a single-object reply becomes a one-object scene
+   */
+  parseScene(text, personality = 'playful', maxObjects = 3) {
+    const structured = parseEnsembleResponse(text, maxObjects);
+
+    // Objects without a personality get one different from the lead's
+    const offset = Math.max(0, PERSONALITIES.indexOf(personality));
+    const pickPersonality = (index) => PERSONALITIES[(offset + index) % PERSONALITIES.length];
+
+    if (structured.valid) {
+      const { objects, dialogue } = structured.value;
+      return {
+        objects: objects.map((entry, index) => ({
+          ...entry,
+          object: `${entry.emoji} ${entry.name}`,
+          personality: entry.personality || pickPersonality(index)
+        })),
+        dialogue: dialogue.map(line => ({ speaker: line.speaker, response: line.speech, mood: line.mood })),
+        valid: true
+      };
+    }
+
+    const single = this.parseResponse(text);
+    return {
+      objects: [{
+        object: single.object,
+        name: single.name,
+        emoji: single.emoji,
+        category: single.category,
+        personality,
+        boundingBox: single.boundingBox
+      }],
+      dialogue: [{ speaker: 0, response: single.response, mood: single.mood }],
+      valid: single.valid,
+      errors: structured.errors
+    };
+  }
+
+  /**
+   * Parse the model's JSON response, falling back to the legacy line format
+   * @returns {Object} Normalized result; valid is false if the schema didn't match
+   */
+  parseResponse(text) {
+    const structured = parseStructuredResponse(text);
+
+    if (structured.valid) {
+      const { name, emoji, speech, ...details } = structured.value;
+      return {
+        object: `${emoji} ${name}`,
+        response: speech,
+        name,
+        emoji,
+        ...details,
+        valid: true
+      };
+    }
+
+    return { ...this.parseLegacyResponse(text), valid: false, errors: structured.errors };
+  }
+
+  /**
+   * Parse the older OBJECT:/SPEECH: line format (also the last-resort fallback)
+   */
+  parseLegacyResponse(text) {
+    const lines = text.trim().split('\n');
+    let object = null;
+    let response = text;
+
+    for (const line of lines) {
+      if (line.startsWith('OBJECT:')) {
+        object = line.replace('OBJECT:', '').trim();
+      } else if (line.startsWith('SPEECH:')) {
+        response = line.replace('SPEECH:', '').trim();
+      }
+    }
+
+    // Fallback if parsing fails
+    if (!object) {
+      object = this.currentObject || '📦 Mysterious Object';
+    }
+
+    // Broken JSON - salvage the speech rather than reading out braces
+    const speechMatch = response.match(/"speech"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+    if (speechMatch) {
+      response = speechMatch[1];
+    } else if (response.trim().startsWith('{')) {
+      response = '';
+    }
+
+    // Clean up response
+    response = response.replace(/^(OBJECT:|SPEECH:)/gi, '').trim();
+
+    // Safety check - ensure response is not empty after cleanup
+    if (!response || response.length === 0) {
+      response = "I'm here!";
+    }
+
+    return {
+      object,
+      response,
+      name: object.replace(/[^\w\s]/gi, '').trim(),
+      emoji: null,
+      category: 'other',
+      confidence: null,
+      mood: null,
+      boundingBox: null
+    };
+  }
+
+  /**
+   * Update conversation history
+   * @param {string} message - What was said
+   * @param {string} role - 'object' for the object's lines, 'user' for the human
+   */
+  updateHistory(message, role = 'object') {
+    this.conversationHistory.push({ role, text: message });
+
+    // Keep history size manageable
+    if (this.conversationHistory.length > this.maxHistoryLength) {
+      this.conversationHistory.shift();
+    }
+  }
+
+  /**
+   * Record a line said by one object in ensemble mode
+   */
+  updateObjectHistory(name, message) {
+    const lines = this.objectHistories.get(name) || [];
+    lines.push(message);
+    if (lines.length > this.maxObjectHistory) {
+      lines.shift();
+    }
+
+    // Re-insert so the most recently heard objects come last
+    this.objectHistories.delete(name);
+    this.objectHistories.set(name, lines);
+  }
+
+  /**
+   * Reset conversation history
+   */
+  resetHistory() {
+    this.conversationHistory = [];
+    this.objectHistories.clear();
+    this.currentObject = null;
+    this.currentCategory = null;
+  }
+
+  /**
+   * Get current object identity
+   */
+  getCurrentObject() {
+    return this.currentObject || '📦 Unknown Object';
+  }
+
+  /**
+   * Start a fresh conversation as a newly seen object, keeping the line it says now
+   * @param {Object} result - An analyzeAndRespond result
+   */
+  switchObject(result) {
+    this.resetHistory();
+    this.currentObject = result.object;
+    this.currentCategory = result.category;
+    this.updateHistory(result.response);
+  }
+
+  /**
+   * Check if detected object is different from current object
+   * @param {string|null} currentObject - Compare with this instead, e.g. the object
+   *   before a request that has since updated currentObject
+   */
+  isNewObject(detectedObject, currentObject = this.currentObject) {
+    if (!currentObject) return true;
+
+    // Normalize object names for comparison (remove emojis, lowercase)
+    const normalize = (str) => str.replace(/[^\w\s]/gi, '').trim().toLowerCase();
+    const current = normalize(currentObject);
+    const detected = normalize(detectedObject);
+
+    return current !== detected;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Vision Provider Registry - Creates the provider chosen in settings
+ */
+
+import { GeminiVision } from './geminiAPI.js';
+import { OpenAIVision } from './openaiVision.js';
+import { MockVision } from './mockVision.js';
+
+export const VISION_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    create: (options) => new GeminiVision(options),
+    models: ['gemini-2.0-flash-exp', 'gemini-1.5-flash', 'gemini-1.5-pro'],
+    needsServer: true
+  },
+  openai: {
+    label: 'OpenAI-compatible (local)',
+    create: (options) => new OpenAIVision(options),
+    models: ['llava', 'llama3.2-vision', 'gpt-4o-mini'],
+    needsServer: false
+  },
+  mock: {
+    label: 'Mock (offline)',
+    create: (options) => new MockVision(options),
+    models: ['mock'],
+    needsServer: false
+  }
+};
+
+/**
+ * Create a vision provider by name
+ * @param {string} name - Key of VISION_PROVIDERS
+ * @param {Object} options - { model, baseUrl, apiKey }
+ * @returns {VisionProvider}
+ */
+export function createVisionProvider(name, options = {}) {
+  const provider = VISION_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+  return provider.create(options);
+}
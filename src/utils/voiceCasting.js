@@ -0,0 +1,193 @@
+/**
+ * Voice Casting - Which voice each kind of object speaks with
+ * A table from object category to an ElevenLabs voice (ID + stability/similarity/style)
+ * and the matching Web Speech voice, pitch and rate. Edits are saved in localStorage;
+ * objects can also carry their own voice (pinned in settings or cast in ensemble mode).
+ */
+
+import { OBJECT_CATEGORIES } from './responseSchema.js';
+
+const STORAGE_KEY = 'voiceCasting';
+
+// ElevenLabs premade voices offered in settings (any voice ID from the account works too)
+export const VOICE_LIBRARY = [
+  { id: 'XB0fDUnXU5powFXDhCwa', name: 'Charlotte', webVoice: 'female' },
+  { id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', webVoice: 'female' },
+  { id: 'EXAVITQu4vr4xnSDxMaL', name: 'Bella', webVoice: 'female' },
+  { id: 'MF3mGyEYCl7XYWbV9V6O', name: 'Elli', webVoice: 'female' },
+  { id: 'AZnzlk1XvdvUeBnXmlld', name: 'Domi', webVoice: 'female' },
+  { id: 'pNInz6obpgDQGcFmaJgB', name: 'Adam', webVoice: 'male' },
+  { id: 'ErXwobaYiN019PkySvjV', name: 'Antoni', webVoice: 'male' },
+  { id: 'VR6AewLTigWG4xSOukaG', name: 'Arnold', webVoice: 'male' },
+  { id: 'TxGEqnHWrfWFTfGW9XjX', name: 'Josh', webVoice: 'male' },
+  { id: 'yoZ06aMxZJJ28mfd3POQ', name: 'Sam', webVoice: 'male' }
+];
+
+// Web Speech voice types TextToSpeech finds among the browser's voices
+export const WEB_VOICES = ['default', 'female', 'male', 'robot'];
+
+const voiceId = (name) => VOICE_LIBRARY.find(voice => voice.name === name).id;
+
+const BASE_VOICE = {
+  voiceId: voiceId('Charlotte'),
+  stability: 0.5,
+  similarity: 0.75,
+  style: 0,
+  webVoice: 'default',
+  pitch: 1.0,
+  rate: 0.95
+};
+
+// Small, cute objects sound higher; large, heavy ones lower
+export const DEFAULT_CASTING = {
+  other: { ...BASE_VOICE },
+  electronic: { ...BASE_VOICE, voiceId: voiceId('Arnold'), stability: 0.9, webVoice: 'robot', rate: 0.9 },
+  mechanical: { ...BASE_VOICE, voiceId: voiceId('Arnold'), stability: 0.7, webVoice: 'male', pitch: 0.8 },
+  nature: { ...BASE_VOICE, voiceId: voiceId('Rachel'), stability: 0.6, webVoice: 'female' },
+  food: { ...BASE_VOICE, voiceId: voiceId('Antoni'), style: 0.3, webVoice: 'male', pitch: 1.1 },
+  kitchen: { ...BASE_VOICE },
+  toy: { ...BASE_VOICE, voiceId: voiceId('Elli'), stability: 0.35, style: 0.4, webVoice: 'female', pitch: 1.3, rate: 1.05 },
+  tool: { ...BASE_VOICE, voiceId: voiceId('Adam'), webVoice: 'male' },
+  furniture: { ...BASE_VOICE, voiceId: voiceId('Sam'), stability: 0.7, pitch: 0.8, rate: 0.9 },
+  clothing: { ...BASE_VOICE, voiceId: voiceId('Bella'), webVoice: 'female' },
+  stationery: { ...BASE_VOICE, voiceId: voiceId('Domi'), style: 0.2, webVoice: 'female', pitch: 1.1 },
+  vehicle: { ...BASE_VOICE, voiceId: voiceId('Josh'), webVoice: 'male', pitch: 0.8 }
+};
+
+// Category guesses from the object's name, when the model didn't give one
+const NAME_KEYWORDS = [
+  { category: 'electronic', words: ['robot', 'computer', 'phone'] },
+  { category: 'toy', words: ['teddy', 'toy', 'pillow', 'plush', 'small', 'cute'] },
+  { category: 'tool', words: ['hammer', 'tool', 'ball', 'equipment'] },
+  { category: 'mechanical', words: ['heavy', 'machine'] },
+  { category: 'furniture', words: ['furniture'] }
+];
+
+// Editable fields and their ranges
+export const VOICE_FIELDS = {
+  stability: { min: 0, max: 1 },
+  similarity: { min: 0, max: 1 },
+  style: { min: 0, max: 1 },
+  pitch: { min: 0.5, max: 2 },
+  rate: { min: 0.5, max: 1.5 }
+};
+
+/**
+ * Guess a category from the object's name
+ */
+export function guessCategory(objectType = '') {
+  const type = objectType.toLowerCase();
+  const match = NAME_KEYWORDS.find(entry => entry.words.some(word => type.includes(word)));
+  return match ? match.category : 'other';
+}
+
+/**
+ * Keep only valid voice fields, clamped to their ranges
+ */
+export function sanitizeVoice(voice = {}) {
+  const clean = {};
+
+  if (typeof voice.voiceId === 'string' && /^[A-Za-z0-9]+$/.test(voice.voiceId)) {
+    clean.voiceId = voice.voiceId;
+  }
+  if (WEB_VOICES.includes(voice.webVoice)) {
+    clean.webVoice = voice.webVoice;
+  }
+  Object.entries(VOICE_FIELDS).forEach(([field, { min, max }]) => {
+    const value = parseFloat(voice[field]);
+    if (Number.isFinite(value)) {
+      clean[field] = Math.max(min, Math.min(max, value));
+    }
+  });
+
+  return clean;
+}
+
+export class VoiceCasting {
+  constructor() {
+    this.overrides = {}; // Category → changed fields
+    this.load();
+  }
+
+  /**
+   * Load saved edits
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      this.overrides = {};
+      Object.entries(saved).forEach(([category, voice]) => {
+        if (DEFAULT_CASTING[category]) {
+          this.overrides[category] = sanitizeVoice(voice);
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load voice casting:', error);
+      this.overrides = {};
+    }
+  }
+
+  /**
+   * Save edits
+   */
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+  }
+
+  /**
+   * The voice a category speaks with
+   * @param {string} category - One of OBJECT_CATEGORIES
+   * @returns {Object} { voiceId, stability, similarity, style, webVoice, pitch, rate }
+   */
+  get(category) {
+    const key = DEFAULT_CASTING[category] ? category : 'other';
+    return { ...DEFAULT_CASTING[key], ...this.overrides[key] };
+  }
+
+  /**
+   * Change part of a category's voice
+   */
+  set(category, changes) {
+    if (!DEFAULT_CASTING[category]) return;
+    this.overrides[category] = { ...this.overrides[category], ...sanitizeVoice(changes) };
+    this.save();
+  }
+
+  /**
+   * Go back to the built-in voice for a category
+   */
+  reset(category) {
+    delete this.overrides[category];
+    this.save();
+  }
+
+  /**
+   * Was this category's voice changed?
+   */
+  isCustomized(category) {
+    return Object.keys(this.overrides[category] || {}).length > 0;
+  }
+
+  /**
+   * The full voice for one object
+   * @param {string} objectType - Object name, used when there is no category
+   * @param {string|null} category - Category from the vision model
+   * @param {Object|null} voice - The object's own voice (pinned or ensemble cast); fields
+   *   it sets win. Voices remembered before casting existed ({ voiceType, pitch }) still work.
+   * @returns {Object} { voiceId, stability, similarity, style, webVoice, pitch, rate }
+   */
+  resolve(objectType = '', category = null, voice = null) {
+    const cast = this.get(OBJECT_CATEGORIES.includes(category) ? category : guessCategory(objectType));
+    if (!voice) return cast;
+
+    const own = sanitizeVoice({ ...voice, webVoice: voice.webVoice || voice.voiceType });
+    return { ...cast, ...own };
+  }
+
+  /**
+   * Name of a library voice, or the ID for custom voices
+   */
+  static getVoiceName(id) {
+    return VOICE_LIBRARY.find(voice => voice.id === id)?.name || id;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Web Speech TTS Provider - The browser's speechSynthesis, the last link of every chain
+ * Plays the line itself instead of returning audio, so it can't be cached or recorded.
+ */
+
+import { TtsProvider } from './ttsProvider.js';
+
+export class WebSpeechTts extends TtsProvider {
+  constructor() {
+    super('webspeech');
+    this.producesAudio = false;
+    this.synth = window.speechSynthesis;
+    this.currentUtterance = null;
+    this.voice = null;
+    this.voiceMap = {};
+    this.onStart = null; // (text, rate) => void, when the voice starts a line
+    this.onWord = null; // (charIndex) => void, when the voice reaches a word
+
+    this.initVoices();
+  }
+
+  /**
+   * Initialize and categorize available voices
+   */
+  initVoices() {
+    const loadVoices = () => {
+      const voices = this.synth.getVoices();
+
+      // Categorize voices by characteristics, prioritizing natural-sounding voices
+      this.voiceMap = {
+        default: voices.find(v => v.default) || voices[0],
+        female: voices.find(v =>
+          v.name.includes('Samantha') ||
+          v.name.includes('Victoria') ||
+          v.name.includes('Fiona') ||
+          v.name.includes('Karen') ||
+          (v.name.includes('female') && v.lang.startsWith('en'))
+        ),
+        male: voices.find(v =>
+          v.name.includes('Daniel') ||
+          v.name.includes('Alex') ||
+          v.name.includes('Fred') ||
+          v.name.includes('Tom') ||
+          (v.name.includes('male') && v.lang.startsWith('en'))
+        ),
+        robot: voices.find(v => v.name.includes('Albert') || v.name.includes('Bad News')),
+      };
+
+      // Set default voice to a natural English voice if available
+      const preferredVoice = voices.find(v =>
+        (v.lang.startsWith('en-US') || v.lang.startsWith('en-GB')) &&
+        (v.name.includes('Google') || v.name.includes('Microsoft') || v.name.includes('Samantha') || v.name.includes('Daniel'))
+      );
+      this.voice = preferredVoice || this.voiceMap.default;
+    };
+
+    // Voices load asynchronously
+    if (this.synth.getVoices().length > 0) {
+      loadVoices();
+    }
+
+    this.synth.addEventListener('voiceschanged', loadVoices);
+  }
+
+  /**
+   * Browser voice for a voice type (robot/female/male/default)
+   */
+  selectVoice(voiceType) {
+    if (voiceType === 'robot') {
+      return this.voiceMap.robot || this.voiceMap.male || this.voiceMap.default;
+    }
+    if (voiceType === 'female' || voiceType === 'male') {
+      return this.voiceMap[voiceType] || this.voiceMap.default;
+    }
+
+    return this.voiceMap.default;
+  }
+
+  /**
+   * Speak a line; the cast's pitch and rate are scaled by the mood's prosody
+   * @param {string} text - Text without emojis
+   * @param {Object} cast - Voice from VoiceCasting.resolve()
+   * @param {{rate: number, pitch: number}} prosody - From getProsody()
+   * @returns {Promise} Resolves when the line was spoken or interrupted
+   */
+  speak(text, cast, prosody = { rate: 1, pitch: 1 }) {
+    return new Promise((resolve, reject) => {
+      // Fix for Chrome/Safari bug where speechSynthesis stops working
+      // Cancel any pending utterances and resume if paused
+      if (this.synth.speaking || this.synth.pending) {
+        this.synth.cancel();
+      }
+
+      // Resume if paused (common issue on mobile)
+      if (this.synth.paused) {
+        this.synth.resume();
+      }
+
+      const utterance = new SpeechSynthesisUtterance(text);
+
+      // Voice, pitch and rate from the casting table
+      utterance.voice = this.selectVoice(cast.webVoice);
+      utterance.rate = cast.rate * prosody.rate;
+      utterance.pitch = Math.max(0, Math.min(2, cast.pitch * prosody.pitch));
+      utterance.volume = 1.0;
+
+      // Event handlers
+      utterance.onstart = () => {
+        this.currentUtterance = utterance;
+        this.onStart?.(text, utterance.rate);
+      };
+
+      // Not every voice reports word boundaries
+      utterance.onboundary = (event) => {
+        if (event.name === 'word') {
+          this.onWord?.(event.charIndex);
+        }
+      };
+
+      utterance.onend = () => {
+        this.currentUtterance = null;
+        resolve();
+      };
+
+      utterance.onerror = (event) => {
+        console.error('Speech error:', event);
+        this.currentUtterance = null;
+
+        // If error is 'interrupted' or 'canceled', still resolve (not an actual error)
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+          resolve();
+        } else {
+          reject(event);
+        }
+      };
+
+      // Speak
+      this.synth.speak(utterance);
+
+      // Workaround for Chrome bug: force resume after a brief delay
+      setTimeout(() => {
+        if (this.synth.paused) {
+          this.synth.resume();
+        }
+      }, 100);
+    });
+  }
+
+  /**
+   * Stop the current line
+   */
+  stop() {
+    if (this.synth.speaking) {
+      this.synth.cancel();
+      this.currentUtterance = null;
+    }
+  }
+}
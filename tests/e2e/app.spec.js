@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Replace getUserMedia with an animated canvas stream before the app loads,
+ * so CameraManager gets real video frames without a camera
+ */
+async function useSyntheticCamera(page) {
+  await page.addInitScript(() => {
+    navigator.mediaDevices.getUserMedia = async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 640;
+      canvas.height = 360;
+      const ctx = canvas.getContext('2d');
+
+      // A "mug" that drifts across a gradient so motion detection fires
+      let frame = 0;
+      const draw = () => {
+        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+        gradient.addColorStop(0, '#334155');
+        gradient.addColorStop(1, '#94a3b8');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#f59e0b';
+        ctx.fillRect(240 + Math.sin(frame / 20) * 80, 120, 160, 140);
+        frame++;
+        requestAnimationFrame(draw);
+      };
+      draw();
+
+      return canvas.captureStream(30);
+    };
+
+    // Speech finishes instantly and records what was said
+    window.spokenLines = [];
+    speechSynthesis.speak = (utterance) => {
+      window.spokenLines.push(utterance.text);
+      setTimeout(() => {
+        utterance.onstart?.();
+        utterance.onend?.();
+      }, 50);
+    };
+  });
+}
+
+/**
+ * Answer /api/* in the page - no backend or network needed
+ */
+async function useFakeApi(page) {
+  await page.route('**/api/status', route => route.fulfill({
+    json: { gemini: true, elevenLabs: false, models: ['gemini-2.0-flash-exp'] }
+  }));
+
+  const reply = JSON.stringify({
+    object: 'Coffee Mug',
+    emoji: '☕',
+    category: 'kitchen',
+    confidence: 0.9,
+    mood: 'happy',
+    speech: 'Fill me up, I dare you!',
+    boundingBox: { x: 0.375, y: 0.33, width: 0.25, height: 0.39 }
+  });
+  await page.route('**/api/analyze', route => route.fulfill({ json: { text: reply } }));
+
+  // The streaming endpoint answers with NDJSON chunks like server/api.js
+  await page.route('**/api/analyze/stream', route => route.fulfill({
+    contentType: 'application/x-ndjson',
+    body: [reply.slice(0, 60), reply.slice(60)].map(text => JSON.stringify({ text })).join('\n') +
+      '\n' + JSON.stringify({ done: true }) + '\n'
+  }));
+  await page.route('**/api/react', route => route.fulfill({
+    json: { text: 'Oh, you flatter me!' }
+  }));
+}
+
+test.beforeEach(async ({ page }) => {
+  await useSyntheticCamera(page);
+  await useFakeApi(page);
+  await page.goto('/');
+});
+
+test('a started session identifies the object and speaks', async ({ page }) => {
+  await page.click('#start-btn');
+
+  await expect(page.locator('#object-name')).toHaveText('☕ Coffee Mug');
+  await expect(page.locator('#speech-text')).toHaveText('Fill me up, I dare you!');
+  await expect(page.locator('#expression-overlay')).toHaveClass(/active/);
+  await expect.poll(() => page.evaluate(() => window.spokenLines)).toContain('Fill me up, I dare you!');
+  await expect(page.locator('#status-text')).toHaveText('Ready');
+});
+
+test('reaction buttons make the object respond', async ({ page }) => {
+  await page.click('#start-btn');
+  await expect(page.locator('#status-text')).toHaveText('Ready');
+
+  await page.click('[data-reaction="compliment"]');
+
+  await expect(page.locator('#speech-text')).toHaveText('Oh, you flatter me!');
+});
+
+test('stopping returns to the start screen', async ({ page }) => {
+  await page.click('#start-btn');
+  await expect(page.locator('#stop-btn')).toBeVisible();
+
+  await page.click('#stop-btn');
+
+  await expect(page.locator('#start-btn')).toBeVisible();
+  await expect(page.locator('#reaction-buttons')).toBeHidden();
+});
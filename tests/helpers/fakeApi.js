@@ -0,0 +1,96 @@
+/**
+ * Fake backend for fetch - answers /api/* like server/api.js would
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * A fetch Response with a JSON body
+ */
+export function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * A streaming NDJSON Response, one { text } line per chunk like /api/analyze/stream
+ * @param {string[]} chunks - Text chunks in order
+ * @param {Object|null} usage - Token counts for the closing { done } line
+ */
+export function streamResponse(chunks, usage = null) {
+  const done = usage ? { done: true, usage } : { done: true };
+  const lines = [...chunks.map(text => JSON.stringify({ text })), JSON.stringify(done)];
+  const encoder = new TextEncoder();
+
+  return new Response(new ReadableStream({
+    start(controller) {
+      lines.forEach(line => controller.enqueue(encoder.encode(line + '\n')));
+      controller.close();
+    }
+  }), { status: 200, headers: { 'Content-Type': 'application/x-ndjson' } });
+}
+
+/**
+ * A reply that never comes - rejects like fetch once the request's signal aborts
+ */
+export function pendingResponse(signal) {
+  return new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+/**
+ * Split text into chunks of a few characters, like a model streaming tokens
+ */
+export function chunkText(text, size = 7) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * A structured model reply as the Gemini proxy returns it
+ */
+export function modelReply(overrides = {}) {
+  return JSON.stringify({
+    object: 'Coffee Mug',
+    emoji: '☕',
+    category: 'kitchen',
+    confidence: 0.9,
+    mood: 'happy',
+    speech: 'Fill me up, I dare you!',
+    boundingBox: { x: 0.3, y: 0.2, width: 0.4, height: 0.5 },
+    ...overrides
+  });
+}
+
+/**
+ * Replace fetch with a fake /api
+ * @param {Object} routes - 'METHOD /path' → (body, fetchOptions) => Response
+ * @returns {Function} The fetch mock, to inspect calls
+ */
+export function installFakeApi(routes = {}) {
+  const handlers = {
+    'GET /api/status': () => jsonResponse(200, { gemini: true, elevenLabs: false, models: ['gemini-2.0-flash-exp'] }),
+    'POST /api/analyze': () => jsonResponse(200, { text: modelReply() }),
+    'POST /api/analyze/stream': () => streamResponse(chunkText(modelReply())),
+    'POST /api/react': () => jsonResponse(200, { text: 'Oh, you flatter me!' }),
+    ...routes
+  };
+
+  const fetchMock = vi.fn(async (url, options = {}) => {
+    const route = `${options.method || 'GET'} ${url}`;
+    const handler = handlers[route];
+    if (!handler) {
+      return jsonResponse(404, { error: `No fake route for ${route}` });
+    }
+    return handler(options.body ? JSON.parse(options.body) : null, options);
+  });
+
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
@@ -0,0 +1,280 @@
+/**
+ * Fake browser media for jsdom - canvas, camera, speech and Web Audio
+ * jsdom implements none of these, so tests install small stand-ins that
+ * record what the app asked for.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * A JPEG-like data URL; different seeds give different frames
+ */
+export function fakeFrame(seed = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let body = '';
+  for (let i = 0; i < 4000; i++) {
+    body += alphabet[(i * 7 + seed * 13 + Math.floor(i / 50) * seed) % alphabet.length];
+  }
+  return `data:image/jpeg;base64,${body}`;
+}
+
+/**
+ * ImageData-like object filled with one gray level
+ */
+export function solidImage(width, height, value = 0) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(value);
+  return { width, height, data };
+}
+
+/**
+ * 2D context that accepts every drawing call and reads back blank pixels
+ */
+function createFakeContext(canvas) {
+  const context = {
+    canvas,
+    getImageData: (x, y, width, height) => solidImage(Math.max(1, Math.round(width)), Math.max(1, Math.round(height))),
+    measureText: (text) => ({ width: text.length * 8 })
+  };
+
+  // Any other method (drawImage, fillRect, roundRect...) is a no-op
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {})
+  });
+}
+
+/**
+ * Canvas getContext/toDataURL/captureStream
+ */
+export function installFakeCanvas() {
+  let frameSeed = 0;
+
+  HTMLCanvasElement.prototype.getContext = function () {
+    if (!this.fakeContext) {
+      this.fakeContext = createFakeContext(this);
+    }
+    return this.fakeContext;
+  };
+  HTMLCanvasElement.prototype.toDataURL = () => fakeFrame(frameSeed);
+
+  return {
+    // Change what the camera "sees" in the next captured frame
+    setFrame(seed) {
+      frameSeed = seed;
+    }
+  };
+}
+
+/**
+ * getUserMedia returning a fake stream; <video> reports the given size
+ * @param {Object} options - { width, height, devices: [{deviceId, label, facingMode}] }
+ *   getUserMedia opens the device asked for by id or facing mode (the first one otherwise)
+ *   and fails like a browser when an exact deviceId isn't plugged in
+ */
+export function installFakeCamera({ width = 1280, height = 720, devices = [] } = {}) {
+  const cameras = [...devices];
+  const deviceListeners = new Set();
+  let stream = null;
+
+  const getUserMedia = vi.fn(async (constraints = {}) => {
+    const exact = constraints.video?.deviceId?.exact;
+    if (exact && !cameras.some(device => device.deviceId === exact)) {
+      throw new DOMException('Requested camera not found', 'OverconstrainedError');
+    }
+    const device = cameras.find(entry => entry.deviceId === exact) ||
+      cameras.find(entry => entry.facingMode === constraints.video?.facingMode) || cameras[0];
+
+    const endedListeners = new Set();
+    const track = {
+      kind: 'video',
+      readyState: 'live',
+      device,
+      stop: vi.fn(() => { track.readyState = 'ended'; }),
+      getSettings: () => ({ deviceId: device?.deviceId, facingMode: device?.facingMode, width, height }),
+      addEventListener: (type, listener) => type === 'ended' && endedListeners.add(listener),
+      removeEventListener: (type, listener) => endedListeners.delete(listener),
+      // The camera was unplugged
+      end() {
+        track.readyState = 'ended';
+        endedListeners.forEach(listener => listener());
+      }
+    };
+    stream = { getTracks: () => [track], getVideoTracks: () => [track] };
+    camera.track = track;
+    return stream;
+  });
+
+  const camera = {
+    track: null,
+    getUserMedia,
+    // Plug a camera in or out and tell listeners, like the browser's devicechange
+    setDevices(list) {
+      cameras.splice(0, cameras.length, ...list);
+      deviceListeners.forEach(listener => listener());
+    }
+  };
+
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia,
+      enumerateDevices: vi.fn(async () => cameras.map(device => ({
+        kind: 'videoinput', deviceId: device.deviceId, label: device.label || ''
+      }))),
+      addEventListener: (type, listener) => type === 'devicechange' && deviceListeners.add(listener),
+      removeEventListener: (type, listener) => deviceListeners.delete(listener)
+    }
+  });
+
+  Object.defineProperty(HTMLVideoElement.prototype, 'videoWidth', {
+    configurable: true,
+    get() { return this.srcObject ? width : 0; }
+  });
+  Object.defineProperty(HTMLVideoElement.prototype, 'videoHeight', {
+    configurable: true,
+    get() { return this.srcObject ? height : 0; }
+  });
+
+  // Metadata "loads" right after the stream is attached
+  Object.defineProperty(HTMLMediaElement.prototype, 'srcObject', {
+    configurable: true,
+    get() { return this.fakeSrcObject || null; },
+    set(value) {
+      this.fakeSrcObject = value;
+      if (value) {
+        setTimeout(() => this.onloadedmetadata?.(), 0);
+      }
+    }
+  });
+
+  return camera;
+}
+
+/**
+ * Image that "loads" any URL at the given size, and canvas captureStream
+ * Lets photo sources play without real image decoding. URLs containing
+ * 'broken' fail to load like a missing file.
+ * @returns {{images: Array<Image>}} Every image created
+ */
+export function installFakeImage({ width = 1600, height = 1200 } = {}) {
+  const images = [];
+
+  vi.stubGlobal('Image', class {
+    constructor() {
+      this.naturalWidth = 0;
+      this.naturalHeight = 0;
+      images.push(this);
+    }
+    set src(url) {
+      this.url = url;
+      setTimeout(() => {
+        if (url.includes('broken')) {
+          this.onerror?.();
+          return;
+        }
+        this.naturalWidth = width;
+        this.naturalHeight = height;
+        this.onload?.();
+      }, 0);
+    }
+    get src() {
+      return this.url;
+    }
+  });
+
+  HTMLCanvasElement.prototype.captureStream = function (frameRate) {
+    const track = { kind: 'video', readyState: 'live', stop: vi.fn(() => { track.readyState = 'ended'; }) };
+    return { canvas: this, frameRate, getTracks: () => [track], getVideoTracks: () => [track] };
+  };
+
+  return { images };
+}
+
+/**
+ * speechSynthesis that "speaks" each utterance after a short delay
+ */
+export function installFakeSpeech({ duration = 10 } = {}) {
+  const spoken = [];
+  let current = null;
+
+  const synth = {
+    speaking: false,
+    pending: false,
+    paused: false,
+    getVoices: () => [{ name: 'Test Voice', lang: 'en-US', default: true }],
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    pause: () => {},
+    resume: () => {},
+    speak: vi.fn((utterance) => {
+      spoken.push(utterance.text);
+      current = utterance;
+      synth.speaking = true;
+      setTimeout(() => {
+        utterance.onstart?.();
+        setTimeout(() => {
+          if (current !== utterance) return;
+          current = null;
+          synth.speaking = false;
+          utterance.onend?.();
+        }, duration);
+      }, 0);
+    }),
+    cancel: vi.fn(() => {
+      const utterance = current;
+      current = null;
+      synth.speaking = false;
+      utterance?.onerror?.({ error: 'canceled' });
+    })
+  };
+
+  window.speechSynthesis = synth;
+  window.SpeechSynthesisUtterance = class {
+    constructor(text) {
+      this.text = text;
+    }
+  };
+
+  return { synth, spoken };
+}
+
+/**
+ * Minimal Web Audio graph and media element playback
+ */
+export function installFakeAudio() {
+  const node = () => ({
+    connect: () => {},
+    disconnect: () => {},
+    gain: { value: 1, setValueAtTime: () => {}, linearRampToValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} },
+    frequency: { value: 0, setValueAtTime: () => {} },
+    start: () => {},
+    stop: () => {},
+    type: 'sine'
+  });
+
+  window.AudioContext = class {
+    constructor() {
+      this.state = 'running';
+      this.currentTime = 0;
+      this.destination = node();
+    }
+    createGain() { return node(); }
+    createOscillator() { return node(); }
+    createBiquadFilter() { return node(); }
+    createMediaElementSource() { return node(); }
+    createAnalyser() {
+      return {
+        ...node(),
+        fftSize: 2048,
+        frequencyBinCount: 1024,
+        getByteTimeDomainData: (data) => data.fill(128), // Silence
+        getByteFrequencyData: (data) => data.fill(0)
+      };
+    }
+    createMediaStreamDestination() { return { ...node(), stream: { getAudioTracks: () => [] } }; }
+    resume() { return Promise.resolve(); }
+  };
+
+  HTMLMediaElement.prototype.play = () => Promise.resolve();
+  HTMLMediaElement.prototype.pause = () => {};
+  HTMLMediaElement.prototype.load = () => {};
+}
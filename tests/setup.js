@@ -0,0 +1,12 @@
+/**
+ * Test setup - runs before every unit test file
+ */
+
+import { installFakeCanvas, installFakeSpeech, installFakeAudio } from './helpers/fakeMedia.js';
+
+// jsdom has no canvas, speech or Web Audio (the node environment has no window)
+if (typeof window !== 'undefined') {
+  installFakeCanvas();
+  installFakeSpeech();
+  installFakeAudio();
+}
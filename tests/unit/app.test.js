@@ -0,0 +1,328 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { installFakeCamera, installFakeImage, installFakeSpeech } from '../helpers/fakeMedia.js';
+import { installFakeApi, jsonResponse, streamResponse, chunkText, modelReply, pendingResponse } from '../helpers/fakeApi.js';
+import { SAFETY_RESPONSES } from '../../src/utils/visionProvider.js';
+import { TalkingObjectsApp } from '../../src/main.js';
+import { getDayKey } from '../../src/utils/budgetManager.js';
+
+const html = readFileSync(resolve(__dirname, '../../index.html'), 'utf8');
+const body = html.slice(html.indexOf('<body>') + 6, html.indexOf('</body>'))
+  .replace(/<script[\s\S]*?<\/script>/g, '');
+
+/**
+ * Create the app on a fresh copy of index.html and wait for it to be ready
+ */
+async function createApp() {
+  const app = new TalkingObjectsApp();
+  await vi.waitFor(() => expect(app.vision).not.toBeNull());
+  return app;
+}
+
+describe('TalkingObjectsApp', () => {
+  let app;
+  let fetchMock;
+  let speech;
+
+  beforeEach(() => {
+    document.body.innerHTML = body;
+    localStorage.clear();
+    installFakeCamera();
+    speech = installFakeSpeech();
+    fetchMock = installFakeApi();
+  });
+
+  afterEach(() => {
+    app?.stop();
+    app = null;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.unstubAllGlobals();
+  });
+
+  it('looks at the camera, then speaks as the object', async () => {
+    app = await createApp();
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+
+    // The frame went to the (mocked) model
+    const analyze = fetchMock.mock.calls.find(([url]) => url === '/api/analyze/stream');
+    expect(JSON.parse(analyze[1].body).image).toMatch(/^data:image\/jpeg;base64,/);
+
+    // ...and the answer was shown and spoken
+    expect(speech.spoken).toEqual(['Fill me up, I dare you!']);
+    expect(document.getElementById('speech-text').textContent).toBe('Fill me up, I dare you!');
+    expect(document.getElementById('object-name').textContent).toBe('☕ Coffee Mug');
+    expect(document.getElementById('status-text').textContent).toBe('Ready');
+
+    // ...and logged in the transcript
+    expect(app.transcript.entries).toMatchObject([
+      { type: 'analysis', object: '☕ Coffee Mug', text: 'Fill me up, I dare you!', provider: 'gemini' }
+    ]);
+    expect(app.transcript.entries[0].duration).not.toBeNull();
+  });
+
+  it('answers the user when they talk to the object', async () => {
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+
+    installFakeApi({
+      'POST /api/analyze/stream': () => streamResponse(chunkText(modelReply({ speech: 'I hold coffee, obviously.' })))
+    });
+
+    await app.handleUserUtterance('What do you do?');
+
+    expect(speech.spoken).toContain('I hold coffee, obviously.');
+    expect(app.transcript.entries.map(entry => entry.type)).toEqual(['analysis', 'user', 'answer']);
+    expect(app.session.state).toBe('cooldown');
+  });
+
+  it('queues a new object\'s reply that arrives while answering the user', async () => {
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    installFakeApi({
+      'POST /api/analyze/stream': () => released.then(() => streamResponse(chunkText(
+        modelReply({ object: 'Potted Plant', emoji: '🪴', category: 'nature', speech: 'Finally, some sunlight.' })
+      )))
+    });
+
+    // The plant comes into view, then the user speaks before its reply is in
+    app.similarityDetector.reset();
+    await app.cache.clear();
+    app.session.send('ready');
+    const analysis = app.analyzeFrame();
+    await vi.waitFor(() => expect(app.requests.size).toBe(1));
+    app.session.send('think');
+    release();
+    await analysis;
+
+    expect(app.session.queued).toMatchObject({ object: '🪴 Potted Plant', isNewObject: true });
+    expect(speech.spoken).not.toContain('Finally, some sunlight.');
+
+    // Played once the app is watching again
+    app.session.send('skip');
+    app.session.send('ready');
+    await app.playResult(app.session.takeQueued());
+
+    expect(speech.spoken.at(-1)).toBe('Finally, some sunlight.');
+    expect(document.getElementById('object-name').textContent).toBe('🪴 Potted Plant');
+    expect(app.vision.conversationHistory).toEqual([{ role: 'object', text: 'Finally, some sunlight.' }]);
+  });
+
+  it('pauses when the model quota is exceeded', async () => {
+    installFakeApi({
+      'POST /api/analyze/stream': () => jsonResponse(429, { error: 'QUOTA_EXCEEDED', retryAfter: 30 })
+    });
+
+    app = await createApp();
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('quota-paused'));
+    expect(document.getElementById('status-text').textContent).toBe('Quota exceeded. Resuming in 30s');
+    expect(speech.spoken).toEqual([]);
+  });
+
+  it('repeats a line the object said before when the quota runs out', async () => {
+    installFakeApi({
+      'POST /api/analyze/stream': () => jsonResponse(429, { error: 'QUOTA_EXCEEDED', retryAfter: 30 })
+    });
+
+    app = await createApp();
+    await app.cache.set(
+      { signature: 'f0f0f0f0f0f0f0f0', context: 'earlier session' },
+      { object: '☕ Coffee Mug', emoji: '☕', category: 'kitchen', response: 'Back again?', mood: 'happy' }
+    );
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('quota-paused'), { timeout: 2000 });
+    expect(speech.spoken).toEqual(['Back again?']);
+    expect(document.getElementById('object-name').textContent).toBe('☕ Coffee Mug');
+
+    // A pooled line isn't a new reply - it doesn't go back into object memory
+    expect(await app.memory.list()).toEqual([]);
+  });
+
+  it('stops calling the model once today\'s budget is used up', async () => {
+    localStorage.setItem('budgetCaps', JSON.stringify({ gemini: { requests: 2 } }));
+    localStorage.setItem('budgetUsage', JSON.stringify({ day: getDayKey(), usage: { gemini: { requests: 2 } } }));
+
+    app = await createApp();
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+    expect(fetchMock.mock.calls.some(([url]) => url.startsWith('/api/analyze'))).toBe(false);
+    expect(document.getElementById('message-toast').textContent).toBe(
+      "Today's Google Gemini budget is used up - raise it in settings"
+    );
+    expect(app.session.cooldown).toBe(app.baseCooldown * 4);
+    expect(document.getElementById('budget-meter').classList.contains('exhausted')).toBe(true);
+  });
+
+  it('slows down from the chosen response interval as the budget runs out', async () => {
+    localStorage.setItem('budgetCaps', JSON.stringify({ gemini: { requests: 10 } }));
+
+    app = await createApp();
+    const interval = document.getElementById('interval-select');
+    interval.value = '7000';
+    interval.dispatchEvent(new Event('change'));
+    expect(app.session.cooldown).toBe(7000);
+
+    // The last of the budget: the chosen interval stretches, it isn't reset to the default
+    app.budget.record('gemini', { requests: 10 });
+    expect(app.session.cooldown).toBe(28000);
+
+    interval.value = '3000';
+    interval.dispatchEvent(new Event('change'));
+    expect(app.session.cooldown).toBe(12000);
+  });
+
+  it('says something in character when the model refuses to answer', async () => {
+    installFakeApi({
+      'POST /api/analyze/stream': () => jsonResponse(422, { error: 'SAFETY_BLOCKED' })
+    });
+
+    app = await createApp();
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+    expect(SAFETY_RESPONSES).toContain(speech.spoken[0]);
+    expect((await app.cache.getStats()).entries).toBe(0);
+    expect(await app.memory.list()).toEqual([]);
+  });
+
+  it('keeps a refused answer out of object memory', async () => {
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+    const before = structuredClone(await app.memory.list());
+
+    installFakeApi({
+      'POST /api/analyze/stream': () => jsonResponse(422, { error: 'SAFETY_BLOCKED' })
+    });
+    await app.handleUserUtterance('Say something rude');
+
+    expect(SAFETY_RESPONSES).toContain(speech.spoken.at(-1));
+    expect(await app.memory.list()).toEqual(before);
+  });
+
+  it('backs off longer when the API key is rejected', async () => {
+    installFakeApi({
+      'POST /api/analyze/stream': () => jsonResponse(401, { error: 'INVALID_API_KEY' })
+    });
+
+    app = await createApp();
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+    expect(app.session.data).toMatchObject({ reason: 'auth', duration: 30000 });
+    expect(document.getElementById('status-text').textContent).toBe('Check API key');
+  });
+
+  it('cancels the model call in flight when stopped', async () => {
+    let signal = null;
+    installFakeApi({
+      'POST /api/analyze/stream': (body, options) => {
+        signal = options.signal;
+        return pendingResponse(signal);
+      }
+    });
+
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(signal).not.toBeNull(), { timeout: 2000 });
+
+    app.stop();
+
+    expect(signal.aborted).toBe(true);
+    expect(app.requests.size).toBe(0);
+    expect(app.session.state).toBe('idle');
+  });
+
+  it('reopens the remembered camera and mirrors the front one', async () => {
+    const camera = installFakeCamera({
+      devices: [
+        { deviceId: 'back', label: 'Back Camera', facingMode: 'environment' },
+        { deviceId: 'front', label: 'Front Camera', facingMode: 'user' }
+      ]
+    });
+    localStorage.setItem('cameraSettings', JSON.stringify({ deviceId: 'front', preset: 'sharp' }));
+
+    app = await createApp();
+    await app.start();
+
+    expect(camera.getUserMedia.mock.calls[0][0].video).toMatchObject({
+      deviceId: { exact: 'front' }, width: { ideal: 1920 }
+    });
+    expect(document.getElementById('camera-feed').classList.contains('mirrored')).toBe(true);
+    expect(document.getElementById('camera-select').value).toBe('front');
+    expect(document.getElementById('flip-camera-btn').classList.contains('hidden')).toBe(false);
+
+    // Overlay x positions follow the mirrored picture
+    app.positionEyesOnObject({ x: 0, y: 0, width: 320, height: 180, centerX: 160, centerY: 90 });
+    expect(document.querySelector('#expression-overlay .expression-eyes').style.left).toBe('87.5%');
+
+    const resetFrames = vi.spyOn(app.frames, 'reset');
+    await app.flipCamera();
+    expect(camera.track.device.deviceId).toBe('back');
+    expect(resetFrames).toHaveBeenCalledWith();
+    expect(document.getElementById('camera-feed').classList.contains('mirrored')).toBe(false);
+    expect(JSON.parse(localStorage.getItem('cameraSettings'))).toMatchObject({ deviceId: 'back', preset: 'sharp' });
+  });
+
+  it('plays a photo URL instead of the camera and talks about it', async () => {
+    const camera = installFakeCamera();
+    installFakeImage();
+    localStorage.setItem('sourceSettings', JSON.stringify({ type: 'url', url: '/demo/mug.jpg' }));
+
+    app = await createApp();
+    expect(document.getElementById('source-select').value).toBe('url');
+    expect(document.getElementById('source-url-setting').classList.contains('hidden')).toBe(false);
+    await app.start();
+
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+    expect(camera.getUserMedia).not.toHaveBeenCalled();
+    expect(app.source).toBe(app.fileSource);
+    expect(speech.spoken).toEqual(['Fill me up, I dare you!']);
+    expect(document.getElementById('flip-camera-btn').classList.contains('hidden')).toBe(true);
+  });
+
+  it('switches from the camera to a dropped photo while running', async () => {
+    installFakeImage();
+    URL.createObjectURL = vi.fn(() => 'blob:upload');
+    URL.revokeObjectURL = vi.fn();
+
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+
+    const resetFrames = vi.spyOn(app.frames, 'reset');
+    await app.setSourceFile(new File(['jpeg'], 'kettle.jpg', { type: 'image/jpeg' }));
+
+    expect(app.camera.isActive).toBe(false);
+    expect(app.fileSource.isActive).toBe(true);
+    expect(app.viewChanged).toBe(true);
+    expect(resetFrames).toHaveBeenCalledWith();
+    expect(document.getElementById('source-select').value).toBe('file');
+    expect(JSON.parse(localStorage.getItem('sourceSettings')).type).toBe('file');
+  });
+
+  it('stops cleanly', async () => {
+    app = await createApp();
+    await app.start();
+    await vi.waitFor(() => expect(app.session.state).toBe('cooldown'), { timeout: 2000 });
+
+    app.stop();
+
+    expect(app.session.state).toBe('idle');
+    expect(app.camera.isActive).toBe(false);
+    expect(document.getElementById('start-btn').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('status-text').textContent).toBe('Ready');
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudioCache, getAudioKey, formatBytes } from '../../src/utils/audioCache.js';
+import { TextToSpeech } from '../../src/utils/textToSpeech.js';
+import { installFakeApi, jsonResponse } from '../helpers/fakeApi.js';
+
+const audio = (size) => new Blob([new Uint8Array(size)], { type: 'audio/mpeg' });
+
+describe('getAudioKey', () => {
+  const request = {
+    text: 'Hello there',
+    voiceId: 'voice1',
+    modelId: 'eleven_turbo_v2_5',
+    voiceSettings: { stability: 0.5, similarity_boost: 0.75 }
+  };
+
+  it('does not depend on the order of voice settings', () => {
+    const reordered = { ...request, voiceSettings: { similarity_boost: 0.75, stability: 0.5 } };
+    expect(getAudioKey(reordered)).toBe(getAudioKey(request));
+  });
+
+  it('changes with the text, voice, model or settings', () => {
+    const key = getAudioKey(request);
+
+    expect(getAudioKey({ ...request, text: 'Hello' })).not.toBe(key);
+    expect(getAudioKey({ ...request, voiceId: 'voice2' })).not.toBe(key);
+    expect(getAudioKey({ ...request, modelId: 'eleven_multilingual_v2' })).not.toBe(key);
+    expect(getAudioKey({ ...request, voiceSettings: { stability: 0.9, similarity_boost: 0.75 } })).not.toBe(key);
+  });
+});
+
+describe('AudioCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new AudioCache({ maxEntries: 3, maxBytes: 1000 });
+  });
+
+  it('counts hits and misses', async () => {
+    expect(await cache.get('a')).toBeNull();
+    await cache.put('a', audio(100), 'Hello');
+    expect((await cache.get('a')).size).toBe(100);
+
+    expect(await cache.getStats()).toMatchObject({
+      hits: 1,
+      misses: 1,
+      hitRate: 0.5,
+      entries: 1,
+      bytes: 100,
+      persistent: false // jsdom has no IndexedDB
+    });
+  });
+
+  it('evicts the least recently used clip past the entry limit', async () => {
+    vi.useFakeTimers();
+    try {
+      await cache.put('a', audio(10));
+      vi.advanceTimersByTime(10);
+      await cache.put('b', audio(10));
+      vi.advanceTimersByTime(10);
+      await cache.put('c', audio(10));
+      vi.advanceTimersByTime(10);
+
+      await cache.get('a'); // a is now the most recent
+      vi.advanceTimersByTime(10);
+      await cache.put('d', audio(10));
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(await cache.has('a')).toBe(true);
+    expect(await cache.has('b')).toBe(false);
+    expect(await cache.has('d')).toBe(true);
+    expect((await cache.getStats()).evictions).toBe(1);
+  });
+
+  it('keeps the total size under the byte limit', async () => {
+    await cache.put('a', audio(600));
+    await cache.put('b', audio(600));
+
+    const stats = await cache.getStats();
+    expect(stats.entries).toBe(1);
+    expect(stats.bytes).toBe(600);
+    expect(await cache.has('b')).toBe(true);
+  });
+
+  it('ignores empty and oversized clips', async () => {
+    await cache.put('empty', audio(0));
+    await cache.put('huge', audio(2000));
+
+    expect((await cache.getStats()).entries).toBe(0);
+  });
+
+  it('clears clips and stats and tells the UI', async () => {
+    const onChange = vi.fn();
+    cache.onChange = onChange;
+    await cache.put('a', audio(10));
+    await cache.get('a');
+
+    await cache.clear();
+
+    expect(onChange).toHaveBeenCalled();
+    expect(await cache.getStats()).toMatchObject({ hits: 0, misses: 0, entries: 0 });
+  });
+
+  it('formats sizes', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2.0 KB');
+    expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+});
+
+describe('TextToSpeech with the audio cache', () => {
+  let tts;
+  let fetchMock;
+
+  beforeEach(() => {
+    URL.createObjectURL = vi.fn(() => 'blob:audio');
+    URL.revokeObjectURL = vi.fn();
+    fetchMock = installFakeApi({
+      'POST /api/tts': () => new Response(audio(50), { status: 200, headers: { 'Content-Type': 'audio/mpeg' } })
+    });
+    tts = new TextToSpeech();
+    tts.setAvailable('elevenlabs', true);
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.unstubAllGlobals();
+  });
+
+  const ttsCalls = () => fetchMock.mock.calls.filter(([url]) => url === '/api/tts');
+
+  /**
+   * Speak a line and let the fake audio element finish playing it
+   */
+  async function speakAndEnd(text) {
+    const playing = tts.speak(text, 'Coffee Mug');
+    await vi.waitFor(() => expect(tts.currentAudio?.src).toContain('blob:audio'));
+    tts.currentAudio.onended();
+    await playing;
+    tts.currentAudio.src = '';
+  }
+
+  it('replays a line from the cache instead of fetching it again', async () => {
+    await speakAndEnd('Fill me up!');
+    await vi.waitFor(async () => expect((await tts.audioCache.getStats()).entries).toBe(1));
+
+    await speakAndEnd('Fill me up! ☕');
+
+    expect(ttsCalls()).toHaveLength(1);
+    expect(await tts.audioCache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('prewarms lines that are not cached yet', async () => {
+    expect(await tts.prewarm(['Haha! That tickles!', 'Ugh, seriously?'])).toBe(2);
+    expect(await tts.prewarm(['Haha! That tickles!', 'Ugh, seriously?'])).toBe(0);
+    expect(ttsCalls()).toHaveLength(2);
+
+    await speakAndEnd('Ugh, seriously?');
+    expect(ttsCalls()).toHaveLength(2);
+  });
+
+  it('stops prewarming at the first failed request', async () => {
+    installFakeApi({
+      'POST /api/tts': () => jsonResponse(429, { error: 'RATE_LIMITED', retryAfter: 30 })
+    });
+
+    await expect(tts.prewarm(['One', 'Two'])).rejects.toThrow('ElevenLabs API error: 429');
+  });
+
+  it('does nothing without ElevenLabs', async () => {
+    tts.setAvailable('elevenlabs', false);
+    expect(await tts.prewarm(['Hello'])).toBe(0);
+    expect(ttsCalls()).toHaveLength(0);
+  });
+});
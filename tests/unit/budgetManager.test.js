@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BudgetManager, DEFAULT_CAPS, getDayKey } from '../../src/utils/budgetManager.js';
+
+describe('getDayKey', () => {
+  it('formats the local date', () => {
+    expect(getDayKey(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+  });
+});
+
+describe('BudgetManager', () => {
+  let budget;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 0, 5, 12, 0));
+    localStorage.clear();
+    budget = new BudgetManager();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('starts with the default caps and nothing used', () => {
+    expect(budget.getCaps('gemini')).toEqual(DEFAULT_CAPS.gemini);
+    expect(budget.getUsage('gemini')).toEqual({ requests: 0, tokens: 0, characters: 0 });
+    expect(budget.getLevel('gemini')).toBe('ok');
+  });
+
+  it('adds up usage per provider', () => {
+    budget.record('gemini', { requests: 1, tokens: 300 });
+    budget.record('gemini', { requests: 1, tokens: 200 });
+    budget.record('elevenlabs', { requests: 1, characters: 40 });
+
+    expect(budget.getUsage('gemini')).toEqual({ requests: 2, tokens: 500, characters: 0 });
+    expect(budget.getUsage('elevenlabs')).toMatchObject({ characters: 40 });
+  });
+
+  it('survives a reload on the same day', () => {
+    budget.record('gemini', { requests: 3 });
+    budget.setCaps('gemini', { requests: 10 });
+
+    const reloaded = new BudgetManager();
+    expect(reloaded.getUsage('gemini').requests).toBe(3);
+    expect(reloaded.getCaps('gemini').requests).toBe(10);
+  });
+
+  it('starts counting again the next day', () => {
+    budget.record('gemini', { requests: 3 });
+
+    vi.setSystemTime(new Date(2025, 0, 6, 0, 1));
+    expect(budget.getUsage('gemini').requests).toBe(0);
+    expect(new BudgetManager().getUsage('gemini').requests).toBe(0);
+  });
+
+  it('goes low, then exhausted, against the tightest cap', () => {
+    budget.setCaps('gemini', { requests: 10, tokens: 1000 });
+
+    budget.record('gemini', { requests: 2, tokens: 850 });
+    expect(budget.getFraction('gemini')).toBe(0.85);
+    expect(budget.getLevel('gemini')).toBe('low');
+    expect(budget.canUse('gemini')).toBe(true);
+
+    budget.record('gemini', { requests: 1, tokens: 150 });
+    expect(budget.getLevel('gemini')).toBe('exhausted');
+    expect(budget.canUse('gemini')).toBe(false);
+  });
+
+  it('treats a cap of 0 as no cap', () => {
+    budget.setCaps('gemini', { requests: 0, tokens: 0 });
+    budget.record('gemini', { requests: 1000 });
+
+    expect(budget.getFraction('gemini')).toBe(0);
+    expect(budget.canUse('gemini')).toBe(true);
+  });
+
+  it('slows down over the last part of a budget', () => {
+    budget.setCaps('gemini', { requests: 10 });
+
+    budget.record('gemini', { requests: 7 });
+    expect(budget.getSlowdown('gemini')).toBe(1);
+    budget.record('gemini', { requests: 2 });
+    expect(budget.getSlowdown('gemini')).toBeCloseTo(2.5);
+    budget.record('gemini', { requests: 1 });
+    expect(budget.getSlowdown('gemini')).toBe(4);
+  });
+
+  it('pauses a provider until Retry-After, even across reloads', () => {
+    budget.pause('elevenlabs', 90);
+
+    expect(budget.getLevel('elevenlabs')).toBe('paused');
+    expect(new BudgetManager().getRetryAfter('elevenlabs')).toBe(90);
+
+    vi.advanceTimersByTime(60 * 1000);
+    expect(budget.getRetryAfter('elevenlabs')).toBe(30);
+
+    vi.advanceTimersByTime(30 * 1000);
+    expect(budget.canUse('elevenlabs')).toBe(true);
+  });
+
+  it('pauses for a default time when the server gives none', () => {
+    budget.pause('elevenlabs');
+    expect(budget.getRetryAfter('elevenlabs')).toBe(600);
+  });
+
+  it('summarizes capped and used providers', () => {
+    budget.record('openai', { requests: 2, tokens: 90 });
+
+    const summary = budget.getSummary();
+    expect(summary.map(entry => entry.provider)).toEqual(['gemini', 'elevenlabs', 'openai']);
+    expect(summary[2]).toMatchObject({ usage: { requests: 2, tokens: 90 }, fraction: 0, level: 'ok' });
+  });
+
+  it('tells the UI about changes and resets usage but not caps', () => {
+    budget.onChange = vi.fn();
+    budget.setCaps('gemini', { requests: 5 });
+    budget.record('gemini', { requests: 5 });
+    budget.pause('gemini', 30);
+    budget.reset();
+
+    expect(budget.onChange).toHaveBeenCalledTimes(4);
+    expect(budget.getUsage('gemini').requests).toBe(0);
+    expect(budget.getLevel('gemini')).toBe('ok');
+    expect(budget.getCaps('gemini').requests).toBe(5);
+  });
+});
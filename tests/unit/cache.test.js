@@ -0,0 +1,344 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ResponseCache, FrameSimilarityDetector, RateLimiter, getResultObjectId } from '../../src/utils/cache.js';
+
+describe('getResultObjectId', () => {
+  it('identifies a single result by its object', () => {
+    expect(getResultObjectId({ object: '☕ Coffee Mug' })).toBe('coffee mug');
+  });
+
+  it('joins the objects of a scene', () => {
+    expect(getResultObjectId({ objects: [{ object: 'Mug' }, { object: 'Plant' }] })).toBe('mug+plant');
+  });
+});
+
+describe('ResponseCache', () => {
+  const mug = { object: '☕ Coffee Mug', emoji: '☕', category: 'kitchen', response: 'Hello!', mood: 'happy' };
+  const key = (signature, extra = {}) => ({ signature, context: 'single|sarcastic', ...extra });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('returns null on a miss and the stored data on a hit', async () => {
+    const cache = new ResponseCache();
+
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0'))).toBeNull();
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0'))).toEqual(mug);
+  });
+
+  it('serves a frame that looks almost the same', async () => {
+    const cache = new ResponseCache({ maxDistance: 6 });
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+
+    // 4 bits differ - the same scene with a little camera noise
+    expect(await cache.get(key('f0f0f0f0f0f0f0ff'))).toEqual(mug);
+    // 8 bits differ - something else
+    expect(await cache.get(key('f0f0f0f0f0f0ffff'))).toBeNull();
+  });
+
+  it('prefers the closest match', async () => {
+    const cache = new ResponseCache({ maxDistance: 6 });
+    await cache.set(key('f0f0f0f0f0f0f0ff'), { object: 'Far', response: 'far' });
+    await cache.set(key('f0f0f0f0f0f0f0f1'), { object: 'Near', response: 'near' });
+
+    expect((await cache.get(key('f0f0f0f0f0f0f0f0'))).response).toBe('near');
+  });
+
+  it('only serves the object in view, even when another one looks closer', async () => {
+    const cache = new ResponseCache({ maxDistance: 6 });
+    await cache.set(key('f0f0f0f0f0f0f0f0'), { object: 'Plant', response: 'plant' });
+    await cache.set(key('f0f0f0f0f0f0f0ff'), mug);
+
+    expect((await cache.get(key('f0f0f0f0f0f0f0f0', { object: 'Coffee Mug' }))).response).toBe('Hello!');
+    expect((await cache.get(key('f0f0f0f0f0f0f0ff', { object: 'Plant' }))).response).toBe('plant');
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0', { object: 'Kettle' }))).toBeNull();
+
+    // Nothing known about the view - the closest frame wins
+    expect((await cache.get(key('f0f0f0f0f0f0f0f0'))).response).toBe('plant');
+  });
+
+  it('serves a scene to any of its actors', async () => {
+    const cache = new ResponseCache();
+    const scene = {
+      objects: [{ object: 'Plant' }, { object: '☕ Coffee Mug' }],
+      dialogue: [{ speaker: 0, response: 'Water me.' }, { speaker: 1, response: 'No.' }]
+    };
+    await cache.set(key('f0f0f0f0f0f0f0f0'), scene);
+
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0', { object: 'Coffee Mug' }))).toEqual(scene);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0', { object: 'Kettle' }))).toBeNull();
+  });
+
+  it('only reuses results made with the same settings', async () => {
+    const cache = new ResponseCache();
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+
+    expect(await cache.get({ signature: 'f0f0f0f0f0f0f0f0', context: 'single|wholesome' })).toBeNull();
+  });
+
+  it('matches exactly with a distance of 0', async () => {
+    const cache = new ResponseCache({ maxDistance: 0 });
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f1'))).toBeNull();
+  });
+
+  it('stops reusing results after the TTL', async () => {
+    vi.useFakeTimers();
+    const cache = new ResponseCache({ ttl: 1000 });
+
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    vi.advanceTimersByTime(999);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0'))).toEqual(mug);
+
+    vi.advanceTimersByTime(2);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0'))).toBeNull();
+  });
+
+  it('evicts the least recently used result, not the oldest', async () => {
+    vi.useFakeTimers();
+    const cache = new ResponseCache({ maxEntries: 2, maxDistance: 0 });
+    const hashes = ['0000000000000000', 'ffffffff00000000', 'ffffffffffffffff'];
+
+    await cache.set(key(hashes[0]), { object: 'A', response: 'a' });
+    vi.advanceTimersByTime(10);
+    await cache.set(key(hashes[1]), { object: 'B', response: 'b' });
+    vi.advanceTimersByTime(10);
+    await cache.get(key(hashes[0])); // Used again - B is now the least recent
+    vi.advanceTimersByTime(10);
+    await cache.set(key(hashes[2]), { object: 'C', response: 'c' });
+
+    expect(await cache.get(key(hashes[1]))).toBeNull();
+    expect((await cache.get(key(hashes[0]))).response).toBe('a');
+    expect((await cache.get(key(hashes[2]))).response).toBe('c');
+    expect((await cache.getStats()).evictions).toBe(1);
+  });
+
+  it('keeps results the memory tier dropped in the persistent tier', async () => {
+    const cache = new ResponseCache({ memoryEntries: 1, maxDistance: 0 });
+    await cache.set(key('0000000000000000'), { object: 'A', response: 'a' });
+    await cache.set(key('ffffffffffffffff'), { object: 'B', response: 'b' });
+
+    expect(cache.memory.size).toBe(1);
+    expect((await cache.get(key('0000000000000000'))).response).toBe('a');
+    expect((await cache.get(key('0000000000000000'))).response).toBe('a');
+
+    const stats = await cache.getStats();
+    expect(stats.hits).toBe(2);
+    expect(stats.memoryHits).toBe(1); // Promoted after the first lookup
+    expect(stats.entries).toBe(2);
+  });
+
+  it('evicts past the byte limit', async () => {
+    const cache = new ResponseCache({ maxBytes: 150, maxDistance: 0 });
+    await cache.set(key('0000000000000000'), { object: 'A', response: 'a'.repeat(60) });
+    await cache.set(key('ffffffffffffffff'), { object: 'B', response: 'b'.repeat(60) });
+
+    const stats = await cache.getStats();
+    expect(stats.entries).toBe(1);
+    expect(stats.bytes).toBeLessThanOrEqual(150);
+  });
+
+  it('reports hit rate and size', async () => {
+    const cache = new ResponseCache();
+    await cache.get(key('f0f0f0f0f0f0f0f0'));
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    await cache.get(key('f0f0f0f0f0f0f0f0'));
+
+    const stats = await cache.getStats();
+    expect(stats).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5, entries: 1, persistent: false });
+    expect(stats.bytes).toBe(new TextEncoder().encode(JSON.stringify(mug)).length);
+  });
+
+  it('ignores frames without a hash', async () => {
+    const cache = new ResponseCache();
+    await cache.set(key(null), mug);
+    expect((await cache.getStats()).entries).toBe(0);
+    expect(await cache.get(key(null))).toBeNull();
+  });
+
+  it('clears everything', async () => {
+    const cache = new ResponseCache();
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    await cache.clear();
+
+    const stats = await cache.getStats();
+    expect(stats.entries).toBe(0);
+    expect(stats.pooledLines).toBe(0);
+    expect(await cache.get(key('f0f0f0f0f0f0f0f0'))).toBeNull();
+  });
+
+  it('tells the UI when something changes', async () => {
+    const cache = new ResponseCache();
+    cache.onChange = vi.fn();
+    await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+    expect(cache.onChange).toHaveBeenCalledWith(cache);
+  });
+
+  describe('line pool', () => {
+    it('has nothing for an object it never heard', async () => {
+      const cache = new ResponseCache();
+      expect(await cache.takePooledLine('Coffee Mug')).toBeNull();
+      expect(await cache.takePooledLine()).toBeNull();
+    });
+
+    it('serves a stored line shaped like an analysis result', async () => {
+      const cache = new ResponseCache();
+      await cache.set(key('f0f0f0f0f0f0f0f0'), mug);
+
+      expect(await cache.takePooledLine('Coffee Mug')).toEqual({
+        object: '☕ Coffee Mug',
+        emoji: '☕',
+        category: 'kitchen',
+        response: 'Hello!',
+        mood: 'happy',
+        boundingBox: null,
+        pooled: true
+      });
+      expect((await cache.getStats()).pooledServed).toBe(1);
+    });
+
+    it('rotates through the lines instead of repeating one', async () => {
+      const cache = new ResponseCache();
+      await cache.set(key('0000000000000000'), { ...mug, response: 'First' });
+      await cache.set(key('ffffffffffffffff'), { ...mug, response: 'Second' });
+
+      const said = [];
+      for (let i = 0; i < 4; i++) {
+        said.push((await cache.takePooledLine('Coffee Mug')).response);
+      }
+      expect(said.slice(0, 2).sort()).toEqual(['First', 'Second']);
+      expect(said.slice(2).sort()).toEqual(['First', 'Second']);
+    });
+
+    it('outlives the results it came from', async () => {
+      const cache = new ResponseCache({ maxEntries: 1, maxDistance: 0 });
+      await cache.set(key('0000000000000000'), mug);
+      await cache.set(key('ffffffffffffffff'), { object: 'Plant', response: 'Water me' });
+
+      expect((await cache.takePooledLine('coffee mug')).response).toBe('Hello!');
+    });
+
+    it('falls back to the most recently heard object', async () => {
+      vi.useFakeTimers();
+      const cache = new ResponseCache();
+      await cache.set(key('0000000000000000'), mug);
+      vi.advanceTimersByTime(10);
+      await cache.set(key('ffffffffffffffff'), { object: 'Plant', response: 'Water me' });
+
+      expect((await cache.takePooledLine(null)).object).toBe('Plant');
+    });
+
+    it('keeps each line once and only the most recent ones', async () => {
+      const cache = new ResponseCache({ maxPoolLines: 2, maxDistance: 0 });
+      const hashes = ['0000000000000000', 'ffffffff00000000', 'ffffffffffffffff', '00000000ffffffff'];
+      const lines = ['One', 'One', 'Two', 'Three'];
+      for (let i = 0; i < hashes.length; i++) {
+        await cache.set(key(hashes[i]), { ...mug, response: lines[i] });
+      }
+
+      expect((await cache.getStats()).pooledLines).toBe(2);
+      const said = [await cache.takePooledLine('Coffee Mug'), await cache.takePooledLine('Coffee Mug')];
+      expect(said.map(line => line.response).sort()).toEqual(['Three', 'Two']);
+    });
+
+    it('pools each actor\'s dialogue from a scene', async () => {
+      const cache = new ResponseCache();
+      await cache.set(key('f0f0f0f0f0f0f0f0'), {
+        objects: [{ object: 'Mug', category: 'kitchen' }, { object: 'Plant', category: 'plant' }],
+        dialogue: [
+          { speaker: 0, response: 'Morning.', mood: 'tired' },
+          { speaker: 1, response: 'Water, please.' }
+        ]
+      });
+
+      expect(await cache.takePooledLine('Mug')).toMatchObject({ response: 'Morning.', mood: 'tired' });
+      expect(await cache.takePooledLine('Plant')).toMatchObject({ response: 'Water, please.', mood: 'neutral' });
+    });
+  });
+});
+
+describe('FrameSimilarityDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new FrameSimilarityDetector(0.92);
+  });
+
+  it('never treats the first frame as similar', () => {
+    expect(detector.isSimilar('f0f0f0f0f0f0f0f0')).toBe(false);
+  });
+
+  it('skips a repeated frame', () => {
+    detector.isSimilar('f0f0f0f0f0f0f0f0');
+    expect(detector.isSimilar('f0f0f0f0f0f0f0f0')).toBe(true);
+  });
+
+  it('skips a frame a few bits away', () => {
+    detector.isSimilar('f0f0f0f0f0f0f0f0');
+    expect(detector.isSimilar('f0f0f0f0f0f0f0f7')).toBe(true);
+  });
+
+  it('lets a different frame through', () => {
+    detector.isSimilar('f0f0f0f0f0f0f0f0');
+    expect(detector.isSimilar('0f0f0f0f0f0f0f0f')).toBe(false);
+  });
+
+  it('starts over after reset', () => {
+    detector.isSimilar('f0f0f0f0f0f0f0f0');
+    detector.reset();
+    expect(detector.isSimilar('f0f0f0f0f0f0f0f0')).toBe(false);
+  });
+
+  it('scores similarity as the share of matching hash bits', () => {
+    expect(detector.calculateSimilarity('ffff', 'ffff')).toBe(1);
+    expect(detector.calculateSimilarity('ffffffffffffffff', 'ffffffff00000000')).toBe(0.5);
+    expect(detector.calculateSimilarity('ffff', 'fff')).toBe(0);
+    expect(detector.calculateSimilarity(null, 'ffff')).toBe(0);
+  });
+});
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('allows requests up to the limit', () => {
+    const limiter = new RateLimiter(3, 60000);
+
+    expect(limiter.canMakeRequest()).toBe(true);
+    expect(limiter.canMakeRequest()).toBe(true);
+    expect(limiter.canMakeRequest()).toBe(true);
+    expect(limiter.canMakeRequest()).toBe(false);
+  });
+
+  it('reports the wait until the oldest request leaves the window', () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter(2, 10000);
+
+    expect(limiter.getTimeUntilNextRequest()).toBe(0);
+    limiter.canMakeRequest();
+    vi.advanceTimersByTime(4000);
+    limiter.canMakeRequest();
+
+    expect(limiter.getTimeUntilNextRequest()).toBe(6000);
+  });
+
+  it('frees capacity as the window slides', () => {
+    vi.useFakeTimers();
+    const limiter = new RateLimiter(1, 10000);
+
+    expect(limiter.canMakeRequest()).toBe(true);
+    expect(limiter.canMakeRequest()).toBe(false);
+
+    vi.advanceTimersByTime(10000);
+    expect(limiter.canMakeRequest()).toBe(true);
+  });
+
+  it('forgets requests on reset', () => {
+    const limiter = new RateLimiter(1, 60000);
+    limiter.canMakeRequest();
+    limiter.reset();
+    expect(limiter.canMakeRequest()).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CameraManager, CAMERA_PRESETS, guessFacing } from '../../src/utils/camera.js';
+import { installFakeCamera } from '../helpers/fakeMedia.js';
+
+const FRONT = { deviceId: 'front', label: 'Front Camera', facingMode: 'user' };
+const BACK = { deviceId: 'back', label: 'Back Camera', facingMode: 'environment' };
+const USB = { deviceId: 'usb', label: 'USB Webcam' };
+
+describe('guessFacing', () => {
+  it('reads the facing from common camera labels', () => {
+    expect(guessFacing('Front Camera')).toBe('user');
+    expect(guessFacing('FaceTime HD Camera')).toBe('user');
+    expect(guessFacing('camera2 0, facing back')).toBe('environment');
+    expect(guessFacing('USB Webcam')).toBeNull();
+  });
+});
+
+describe('CameraManager', () => {
+  let fake;
+  let camera;
+
+  beforeEach(() => {
+    fake = installFakeCamera({ devices: [BACK, FRONT] });
+    camera = new CameraManager(document.createElement('video'));
+  });
+
+  it('asks for the back camera at the balanced preset by default', async () => {
+    await camera.start();
+
+    const { video } = fake.getUserMedia.mock.calls[0][0];
+    expect(video).toMatchObject({ facingMode: 'environment', width: { ideal: 1280 }, frameRate: { ideal: 30 } });
+    expect(camera.getFacing()).toBe('environment');
+    expect(camera.isMirrored).toBe(false);
+  });
+
+  it('opens the chosen camera at the chosen preset', async () => {
+    await camera.start({ deviceId: 'front', preset: 'saver' });
+
+    const { video } = fake.getUserMedia.mock.calls[0][0];
+    expect(video.deviceId).toEqual({ exact: 'front' });
+    expect(video.frameRate).toEqual({ ideal: CAMERA_PRESETS.saver.frameRate });
+    expect(camera.isMirrored).toBe(true);
+  });
+
+  it('falls back to the default camera when the saved one is gone', async () => {
+    await camera.start({ deviceId: 'unplugged' });
+
+    expect(fake.getUserMedia).toHaveBeenCalledTimes(2);
+    expect(camera.deviceId).toBeNull();
+    expect(camera.isActive).toBe(true);
+  });
+
+  it('lists cameras with a guessed facing', async () => {
+    await camera.start();
+
+    expect(camera.devices).toEqual([
+      { deviceId: 'back', label: 'Back Camera', facing: 'environment' },
+      { deviceId: 'front', label: 'Front Camera', facing: 'user' }
+    ]);
+  });
+
+  it('flips between the back and front cameras', async () => {
+    await camera.start();
+    camera.onChange = vi.fn();
+
+    await camera.flip();
+    expect(fake.track.device).toBe(FRONT);
+    expect(camera.isMirrored).toBe(true);
+    expect(camera.onChange).toHaveBeenCalledWith(camera, 'switched');
+
+    await camera.flip();
+    expect(fake.track.device).toBe(BACK);
+    expect(camera.isMirrored).toBe(false);
+  });
+
+  it('goes back to the old camera if the new one fails to open', async () => {
+    await camera.start();
+    fake.getUserMedia.mockRejectedValueOnce(new DOMException('Busy', 'NotReadableError'));
+
+    await expect(camera.switchTo({ deviceId: 'front' })).rejects.toThrow('already in use');
+    expect(fake.track.device).toBe(BACK);
+    expect(camera.isActive).toBe(true);
+  });
+
+  it('only lists a camera plugged in mid-session', async () => {
+    await camera.start();
+    camera.onChange = vi.fn();
+
+    fake.setDevices([BACK, FRONT, USB]);
+
+    await vi.waitFor(() => expect(camera.onChange).toHaveBeenCalledWith(camera, 'devices'));
+    expect(camera.devices.map(device => device.deviceId)).toEqual(['back', 'front', 'usb']);
+    expect(fake.getUserMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it('switches to the default camera when the one in use is unplugged', async () => {
+    fake.setDevices([USB, BACK]);
+    await camera.start({ deviceId: 'usb' });
+    camera.onChange = vi.fn();
+
+    fake.setDevices([BACK]);
+
+    await vi.waitFor(() => expect(camera.onChange).toHaveBeenCalledWith(camera, 'lost'));
+    expect(fake.track.device).toBe(BACK);
+    expect(camera.deviceId).toBeNull();
+  });
+
+  it('recovers when the running track ends', async () => {
+    await camera.start({ deviceId: 'front' });
+    camera.onChange = vi.fn();
+
+    fake.track.end();
+
+    await vi.waitFor(() => expect(camera.onChange).toHaveBeenCalledWith(camera, 'lost'));
+    expect(camera.isActive).toBe(true);
+    expect(camera.deviceId).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ClipRecorder } from '../../src/utils/clipRecorder.js';
+import { installFakeImage } from '../helpers/fakeMedia.js';
+
+// A WebM recording's first chunk: the header (EBML, segment, tracks), then its first Cluster
+const HEADER = [0x1A, 0x45, 0xDF, 0xA3, 0x01, 0x02];
+const FIRST_CLUSTER = [0x1F, 0x43, 0xB6, 0x75, 0x09, 0x09];
+
+/**
+ * MediaRecorder that hands out the chunks a test gives it
+ */
+class FakeRecorder {
+  static isTypeSupported() {
+    return true;
+  }
+
+  constructor(stream, options) {
+    this.mimeType = options.mimeType || 'video/webm';
+    this.listeners = new Set();
+    this.pending = [0x05]; // Sent on the next requestData()
+    FakeRecorder.last = this;
+  }
+
+  start() {}
+  stop() {}
+
+  addEventListener(type, listener) {
+    this.listeners.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.delete(listener);
+  }
+
+  emit(bytes) {
+    const event = { data: new Blob([new Uint8Array(bytes)]) };
+    this.ondataavailable?.(event);
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  requestData() {
+    this.emit(this.pending);
+  }
+}
+
+/**
+ * The bytes of a Blob (jsdom's Blob has no arrayBuffer())
+ */
+function readBytes(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve([...new Uint8Array(reader.result)]);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+describe('ClipRecorder replay buffer', () => {
+  let now;
+  let recorder;
+
+  beforeEach(() => {
+    installFakeImage();
+    vi.stubGlobal('MediaRecorder', FakeRecorder);
+    vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    now = 1000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const compositor = { canvas: document.createElement('canvas'), draw: vi.fn() };
+    recorder = new ClipRecorder(compositor, { bufferSeconds: 2 });
+    recorder.startBuffer();
+  });
+
+  afterEach(() => {
+    recorder.stopBuffer();
+    vi.unstubAllGlobals();
+  });
+
+  /**
+   * Record one chunk a second, like the BUFFER_SLICE timeslice
+   */
+  function record(...chunks) {
+    chunks.forEach(bytes => {
+      FakeRecorder.last.emit(bytes);
+      now += 1000;
+    });
+  }
+
+  it('starts a saved clip at the buffered window, after only the WebM header', async () => {
+    record([...HEADER, ...FIRST_CLUSTER], [0x07, 0x07], [0x08, 0x08], [0x06, 0x06]);
+    now -= 500;
+
+    const clip = await recorder.saveBuffer();
+
+    // The session's first second is not replayed in front of the window
+    expect(await readBytes(clip)).toEqual([...HEADER, 0x08, 0x08, 0x06, 0x06, 0x05]);
+    expect(recorder.lastClipStart).toBe(2000);
+  });
+
+  it('saves a short session from its start without repeating the header', async () => {
+    record([...HEADER, ...FIRST_CLUSTER], [0x07, 0x07]);
+    now -= 500;
+
+    const clip = await recorder.saveBuffer();
+
+    expect(await readBytes(clip)).toEqual([...HEADER, ...FIRST_CLUSTER, 0x07, 0x07, 0x05]);
+  });
+});
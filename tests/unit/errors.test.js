@@ -0,0 +1,154 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  ERROR_TYPES,
+  ModelError,
+  classifyError,
+  createRequestSignal,
+  errorFromCode,
+  errorFromResponse,
+  getBackoff,
+  withRetry
+} from '../../src/utils/errors.js';
+
+describe('errorFromResponse', () => {
+  it('keeps the messages quota and rate limit errors always had', () => {
+    expect(errorFromResponse(429, 'QUOTA_EXCEEDED', 30)).toMatchObject({
+      type: ERROR_TYPES.QUOTA, message: 'QUOTA_EXCEEDED', retryAfter: 30
+    });
+    expect(errorFromResponse(429, 'RATE_LIMITED')).toMatchObject({
+      type: ERROR_TYPES.RATE_LIMITED, message: 'RATE_LIMITED', retryAfter: 60
+    });
+  });
+
+  it('classifies by server code, then by status', () => {
+    expect(errorFromResponse(422, 'SAFETY_BLOCKED').type).toBe(ERROR_TYPES.SAFETY);
+    expect(errorFromResponse(401, 'INVALID_API_KEY').type).toBe(ERROR_TYPES.AUTH);
+    expect(errorFromResponse(503, 'GEMINI_NOT_CONFIGURED').type).toBe(ERROR_TYPES.AUTH);
+    expect(errorFromResponse(403).type).toBe(ERROR_TYPES.AUTH);
+    expect(errorFromResponse(504).type).toBe(ERROR_TYPES.TIMEOUT);
+    expect(errorFromResponse(502, 'Gemini request failed')).toMatchObject({ type: ERROR_TYPES.SERVER, status: 502 });
+    expect(errorFromResponse(400, 'Invalid image').type).toBe(ERROR_TYPES.UNKNOWN);
+  });
+
+  it('reads codes sent in a stream', () => {
+    expect(errorFromCode('SAFETY_BLOCKED').type).toBe(ERROR_TYPES.SAFETY);
+    expect(errorFromCode('Gemini request failed').type).toBe(ERROR_TYPES.SERVER);
+  });
+});
+
+describe('classifyError', () => {
+  it('recognizes what fetch and JSON.parse throw', () => {
+    expect(classifyError(new TypeError('Failed to fetch')).type).toBe(ERROR_TYPES.NETWORK);
+    expect(classifyError(new DOMException('Aborted', 'AbortError')).type).toBe(ERROR_TYPES.ABORTED);
+    expect(classifyError(new SyntaxError('Unexpected token')).type).toBe(ERROR_TYPES.MALFORMED);
+    expect(classifyError(new Error('Something else')).type).toBe(ERROR_TYPES.UNKNOWN);
+  });
+
+  it('leaves ModelErrors alone', () => {
+    const error = new ModelError(ERROR_TYPES.QUOTA);
+    expect(classifyError(error)).toBe(error);
+  });
+});
+
+describe('getBackoff', () => {
+  it('doubles the delay each attempt up to a limit', () => {
+    expect(getBackoff(ERROR_TYPES.NETWORK, 0)).toBe(1000);
+    expect(getBackoff(ERROR_TYPES.NETWORK, 1)).toBe(2000);
+    expect(getBackoff(ERROR_TYPES.NETWORK, 10)).toBe(8000);
+    expect(getBackoff(ERROR_TYPES.QUOTA, 0)).toBe(0);
+  });
+});
+
+describe('withRetry', () => {
+  const fast = {
+    [ERROR_TYPES.NETWORK]: { retries: 2, delay: 1 },
+    [ERROR_TYPES.SERVER]: { retries: 1, delay: 1 }
+  };
+
+  it('retries retryable errors until one attempt succeeds', async () => {
+    const attempt = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue('ok');
+    const onRetry = vi.fn();
+
+    await expect(withRetry(attempt, { policy: fast, onRetry })).resolves.toBe('ok');
+    expect(attempt).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([error, count, delay]) => [error.type, count, delay]))
+      .toEqual([[ERROR_TYPES.NETWORK, 1, 1], [ERROR_TYPES.NETWORK, 2, 2]]);
+  });
+
+  it('gives up when the policy runs out', async () => {
+    const attempt = vi.fn().mockRejectedValue(errorFromResponse(502));
+
+    await expect(withRetry(attempt, { policy: fast })).rejects.toMatchObject({ type: ERROR_TYPES.SERVER });
+    expect(attempt).toHaveBeenCalledTimes(2);
+  });
+
+  it('never retries quota, auth or safety errors', async () => {
+    for (const error of [errorFromResponse(429), errorFromResponse(401), errorFromCode('SAFETY_BLOCKED')]) {
+      const attempt = vi.fn().mockRejectedValue(error);
+      await expect(withRetry(attempt)).rejects.toBe(error);
+      expect(attempt).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it('lets the caller veto a retry', async () => {
+    const attempt = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(withRetry(attempt, { policy: fast, canRetry: () => false })).rejects.toMatchObject({
+      type: ERROR_TYPES.NETWORK
+    });
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting to retry when cancelled', async () => {
+    const controller = new AbortController();
+    const attempt = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const slow = { [ERROR_TYPES.NETWORK]: { retries: 1, delay: 60000 } };
+
+    const result = withRetry(attempt, { policy: slow, signal: controller.signal });
+    await vi.waitFor(() => expect(attempt).toHaveBeenCalledTimes(1));
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ type: ERROR_TYPES.ABORTED });
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createRequestSignal', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('aborts with a timeout error after the timeout', () => {
+    vi.useFakeTimers();
+    const request = createRequestSignal(null, 5000);
+
+    vi.advanceTimersByTime(4999);
+    expect(request.signal.aborted).toBe(false);
+    vi.advanceTimersByTime(1);
+
+    expect(request.signal.aborted).toBe(true);
+    expect(classifyError(request.signal.reason).type).toBe(ERROR_TYPES.TIMEOUT);
+  });
+
+  it('stops the timer once the request is done', () => {
+    vi.useFakeTimers();
+    const request = createRequestSignal(null, 5000);
+
+    request.done();
+    vi.advanceTimersByTime(10000);
+
+    expect(request.signal.aborted).toBe(false);
+  });
+
+  it('aborts when the caller cancels', () => {
+    const controller = new AbortController();
+    const request = createRequestSignal(controller.signal);
+    controller.abort();
+
+    expect(request.signal.aborted).toBe(true);
+    expect(classifyError(request.signal.reason).type).toBe(ERROR_TYPES.ABORTED);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EyeAnimator } from '../../src/utils/eyeAnimator.js';
+
+describe('EyeAnimator', () => {
+  let eyes;
+  let animator;
+
+  beforeEach(() => {
+    eyes = document.createElement('div');
+    animator = new EyeAnimator(eyes);
+    // No surprise blinks unless a test asks for one
+    animator.nextBlink = Infinity;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const css = (name) => parseFloat(eyes.style.getPropertyValue(name));
+
+  it('looks toward a point relative to where the eyes are', () => {
+    animator.setOrigin(0.5, 0.3);
+    animator.lookAt({ x: 0.75, y: 0.3 }, 0);
+
+    for (let i = 0; i < 20; i++) animator.step(10);
+    animator.render();
+
+    expect(css('--gaze-x')).toBeCloseTo(0.5);
+    expect(css('--gaze-y')).toBeCloseTo(0);
+  });
+
+  it('keeps far targets at the edge of the eye', () => {
+    animator.setOrigin(0.5, 0.5);
+    animator.lookAt({ x: 0, y: 1 }, 0);
+    expect(Math.hypot(animator.target.x, animator.target.y)).toBeCloseTo(1);
+  });
+
+  it('glances around once the target goes stale', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.25);
+    animator.lookAt({ x: 0.9, y: 0.3 }, 0);
+
+    for (let i = 0; i < 20; i++) animator.step(5000);
+
+    // The glance at angle π/2, half distance, squashed vertically
+    expect(animator.gaze.x).toBeCloseTo(0);
+    expect(animator.gaze.y).toBeCloseTo(0.125 * 0.6);
+  });
+
+  it('closes and reopens the eyes in a blink', () => {
+    animator.nextBlink = 0;
+    animator.step(0);
+    expect(animator.blink).toBe(0);
+
+    animator.step(60);
+    animator.render();
+    expect(animator.blink).toBe(1);
+    expect(css('--blink')).toBeCloseTo(0.1);
+
+    animator.step(400);
+    expect(animator.blink).toBe(0);
+  });
+
+  it('blinks twice and widens the eyes at a wave', () => {
+    animator.react({ x: 0.2, y: 0.3 }, 0);
+
+    expect(animator.target.x).toBeLessThan(0);
+    expect(animator.blinks).toEqual([0, 250]);
+    expect(animator.isReacting(1000)).toBe(true);
+    expect(animator.isReacting(1300)).toBe(false);
+
+    // A second wave during the reaction is ignored
+    animator.react({ x: 0.8, y: 0.3 }, 100);
+    expect(animator.target.x).toBeLessThan(0);
+  });
+
+  it('relaxes the eyes when stopped', () => {
+    animator.start();
+    expect(animator.isRunning).toBe(true);
+    animator.lookAt({ x: 1, y: 0 }, 0);
+    animator.step(10);
+
+    animator.stop();
+
+    expect(animator.isRunning).toBe(false);
+    expect(css('--gaze-x')).toBe(0);
+    expect(css('--blink')).toBe(1);
+  });
+});
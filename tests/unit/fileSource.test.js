@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FileSource, getMediaKind } from '../../src/utils/fileSource.js';
+import { installFakeCamera, installFakeImage } from '../helpers/fakeMedia.js';
+
+describe('getMediaKind', () => {
+  it('reads the MIME type, then the extension', () => {
+    expect(getMediaKind({ type: 'image/png', name: 'mug' })).toBe('image');
+    expect(getMediaKind({ type: 'video/webm', name: 'clip' })).toBe('video');
+    expect(getMediaKind({ name: '/demo/Kettle.JPG' })).toBe('image');
+    expect(getMediaKind({ name: '/demo/kitchen.mp4' })).toBe('video');
+    expect(getMediaKind({ type: 'text/plain', name: 'notes.txt' })).toBeNull();
+  });
+});
+
+describe('FileSource', () => {
+  let video;
+  let source;
+  let image;
+
+  beforeEach(() => {
+    installFakeCamera({ width: 800, height: 600 });
+    image = installFakeImage({ width: 4000, height: 3000 });
+    URL.createObjectURL = vi.fn(() => 'blob:upload');
+    URL.revokeObjectURL = vi.fn();
+    video = document.createElement('video');
+    source = new FileSource(video);
+  });
+
+  afterEach(() => {
+    source.clear();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.unstubAllGlobals();
+  });
+
+  it('needs a photo or video before it can start', async () => {
+    await expect(source.start()).rejects.toThrow('Choose a photo or video first');
+    expect(() => source.setFile(new File(['hi'], 'notes.txt', { type: 'text/plain' })))
+      .toThrow('notes.txt is not a photo or video');
+  });
+
+  it('streams an uploaded photo into the video element', async () => {
+    source.setFile(new File(['jpeg'], 'mug.jpg', { type: 'image/jpeg' }));
+    await source.start();
+
+    expect(source.isActive).toBe(true);
+    expect(source.label).toBe('mug.jpg');
+    expect(image.images[0].src).toBe('blob:upload');
+
+    // Scaled down to the largest photo size, streamed from the canvas
+    expect(video.srcObject.canvas.width).toBe(1920);
+    expect(video.srcObject.canvas.height).toBe(1440);
+    expect(source.captureFrame(800)).toMatch(/^data:image\/jpeg;base64,/);
+  });
+
+  it('loops a video file without its sound', async () => {
+    source.setFile(new File(['webm'], 'clip.webm', { type: 'video/webm' }));
+    const started = source.start();
+    await vi.waitFor(() => expect(video.getAttribute('src')).toBe('blob:upload'));
+    video.onloadedmetadata();
+    await started;
+
+    expect(source.isActive).toBe(true);
+    expect(video.loop).toBe(true);
+    expect(video.muted).toBe(true);
+    expect(video.crossOrigin).toBeNull();
+  });
+
+  it('asks remote URLs for cross-origin access', async () => {
+    source.setUrl('https://example.com/media/kitchen.mp4');
+    const started = source.start();
+    await vi.waitFor(() => expect(video.getAttribute('src')).toBe('https://example.com/media/kitchen.mp4'));
+    video.onloadedmetadata();
+    await started;
+
+    expect(video.crossOrigin).toBe('anonymous');
+    expect(source.label).toBe('kitchen.mp4');
+  });
+
+  it('tries a URL without an extension as a photo, then as a video', async () => {
+    source.setUrl('https://example.com/broken-image');
+    const started = source.start();
+    await vi.waitFor(() => expect(video.getAttribute('src')).toBe('https://example.com/broken-image'));
+    video.onloadedmetadata();
+    await started;
+
+    expect(video.srcObject).toBeNull();
+    expect(source.isActive).toBe(true);
+  });
+
+  it('reports a URL that plays as neither', async () => {
+    source.setUrl('https://example.com/broken.png');
+
+    await expect(source.start()).rejects.toThrow('Could not open broken.png - check the URL allows cross-origin access');
+    expect(source.isActive).toBe(false);
+    expect(() => source.setUrl('http://')).toThrow('is not a valid URL');
+  });
+
+  it('releases the stream when stopped and the upload when cleared', async () => {
+    source.setFile(new File(['png'], 'mug.png', { type: 'image/png' }));
+    await source.start();
+    const [track] = video.srcObject.getTracks();
+
+    source.stop();
+    expect(track.stop).toHaveBeenCalled();
+    expect(video.srcObject).toBeNull();
+    expect(source.isActive).toBe(false);
+    expect(() => source.captureFrame()).toThrow('mug.png is not active');
+
+    source.clear();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:upload');
+    expect(source.media).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FramePipeline } from '../../src/utils/framePipeline.js';
+
+const video = { videoWidth: 640, videoHeight: 480 };
+
+/**
+ * Worker stand-in that answers every frame with a fixed result
+ */
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.terminate = vi.fn();
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message, transfer) {
+    this.messages.push({ message, transfer });
+    if (message.id) {
+      queueMicrotask(() => this.onmessage({
+        data: { id: message.id, result: { hash: '1010' }, duration: 3 }
+      }));
+    }
+  }
+}
+
+describe('FramePipeline', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    FakeWorker.instances = [];
+  });
+
+  it('processes on the main thread without OffscreenCanvas', async () => {
+    const pipeline = new FramePipeline(video);
+
+    expect(pipeline.isOffThread).toBe(false);
+    const result = await pipeline.run({ hash: true, motion: { threshold: 30, minChangedPixels: 0.05 } });
+    expect(result.hash).toHaveLength(16);
+    expect(result.motion).toBeNull();
+  });
+
+  it('waits for the video to have a frame', async () => {
+    expect(await new FramePipeline({ videoWidth: 0, videoHeight: 0 }).run({ hash: true })).toBeNull();
+  });
+
+  describe('with a worker', () => {
+    let bitmap;
+
+    beforeEach(() => {
+      bitmap = { close: vi.fn() };
+      vi.stubGlobal('Worker', FakeWorker);
+      vi.stubGlobal('OffscreenCanvas', class {});
+      vi.stubGlobal('createImageBitmap', vi.fn(async () => bitmap));
+    });
+
+    it('transfers the frame to the worker and returns its answer', async () => {
+      const pipeline = new FramePipeline(video);
+      const worker = FakeWorker.instances[0];
+
+      const result = await pipeline.run({ hash: true });
+
+      expect(pipeline.isOffThread).toBe(true);
+      expect(worker.options).toEqual({ type: 'module' });
+      expect(worker.messages[0].message).toMatchObject({ frame: bitmap, width: 640, height: 480, jobs: { hash: true } });
+      expect(worker.messages[0].transfer).toEqual([bitmap]);
+      expect(result).toEqual({ hash: '1010' });
+      expect(pipeline.lastDuration).toBe(3);
+    });
+
+    it('falls back to the main thread when the worker fails', async () => {
+      const pipeline = new FramePipeline(video);
+      const worker = FakeWorker.instances[0];
+      worker.postMessage = vi.fn(); // Never answers
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const waiting = pipeline.run({ hash: true });
+      await vi.waitFor(() => expect(worker.postMessage).toHaveBeenCalled());
+      worker.onerror({ message: 'Failed to load' });
+
+      await expect(waiting).rejects.toThrow('Frame worker stopped');
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(pipeline.isOffThread).toBe(false);
+      expect((await pipeline.run({ hash: true })).hash).toHaveLength(16);
+    });
+
+    it('can be told to stay on the main thread', () => {
+      expect(new FramePipeline(video, { useWorker: false }).isOffThread).toBe(false);
+      expect(FakeWorker.instances).toHaveLength(0);
+    });
+  });
+});
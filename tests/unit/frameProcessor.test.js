@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FrameProcessor, detectEdges, findObjectBounds } from '../../src/utils/frameProcessor.js';
+import { solidImage } from '../helpers/fakeMedia.js';
+
+/**
+ * Image with a bright square on a dark background
+ */
+function squareImage(width, height, x0, y0, size) {
+  const image = solidImage(width, height, 0);
+  for (let y = y0; y < y0 + size; y++) {
+    for (let x = x0; x < x0 + size; x++) {
+      const i = (y * width + x) * 4;
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = 255;
+    }
+  }
+  return image;
+}
+
+describe('frame processing functions', () => {
+  it('finds the edges of a bright square', () => {
+    const edges = detectEdges(squareImage(20, 20, 5, 5, 10));
+
+    expect(edges[5 * 20 + 10]).toBe(255);
+    expect(edges[10 * 20 + 10]).toBe(0);
+    expect(edges[1 * 20 + 1]).toBe(0);
+  });
+
+  it('wraps the edges in bounds', () => {
+    const edges = detectEdges(squareImage(100, 100, 40, 40, 20));
+    const bounds = findObjectBounds(edges, 100, 100);
+
+    expect(bounds.x).toBeLessThan(40);
+    expect(bounds.x + bounds.width).toBeGreaterThan(60);
+    expect(bounds.centerX).toBeCloseTo(49.5, 0);
+  });
+});
+
+describe('FrameProcessor', () => {
+  let frames;
+  let processor;
+
+  beforeEach(() => {
+    frames = [];
+
+    // Canvases that "draw" the next queued test image at their size
+    processor = new FrameProcessor((width, height) => {
+      const canvas = { width, height };
+      canvas.getContext = () => ({
+        drawImage: () => {},
+        getImageData: (x, y, w, h) => frames.shift() || solidImage(w, h, 0)
+      });
+      return canvas;
+    });
+  });
+
+  it('has no motion result for the first frame', () => {
+    const result = processor.process({}, 40, 40, { motion: { threshold: 30, minChangedPixels: 0.05 } });
+    expect(result.motion).toBeNull();
+  });
+
+  it('compares each frame with the one before', () => {
+    const jobs = { motion: { threshold: 30, minChangedPixels: 0.05 } };
+    frames.push(solidImage(10, 10, 0), squareImage(10, 10, 0, 0, 5));
+
+    processor.process({}, 40, 40, jobs);
+    const { motion } = processor.process({}, 40, 40, jobs);
+
+    expect(motion.detected).toBe(true);
+    expect(motion.centroid.x).toBeCloseTo(0.25);
+  });
+
+  it('starts over after reset', () => {
+    const jobs = { motion: { threshold: 30, minChangedPixels: 0.05 } };
+    processor.process({}, 40, 40, jobs);
+    processor.reset();
+    expect(processor.process({}, 40, 40, jobs).motion).toBeNull();
+  });
+
+  it('keeps a separate previous frame for gaze sampling', () => {
+    const options = { threshold: 30, minChangedPixels: 0.01 };
+    frames.push(solidImage(10, 10, 0), solidImage(10, 10, 0), squareImage(10, 10, 0, 0, 5));
+
+    processor.process({}, 40, 40, { motion: options });
+    expect(processor.process({}, 40, 40, { gaze: options }).gaze).toBeNull();
+    expect(processor.process({}, 40, 40, { gaze: options }).gaze.centroid.x).toBeCloseTo(0.25);
+
+    // Resetting gaze leaves the motion check's frame alone
+    processor.reset('gaze');
+    expect(processor.process({}, 40, 40, { gaze: options }).gaze).toBeNull();
+    expect(processor.process({}, 40, 40, { motion: options }).motion).not.toBeNull();
+  });
+
+  it('scales edge bounds back to the source size', () => {
+    frames.push(squareImage(100, 50, 40, 15, 20));
+
+    const { bounds } = processor.process({}, 200, 100, { edges: true });
+
+    expect(bounds.centerX).toBeCloseTo(99, 0);
+    expect(bounds.centerY).toBeCloseTo(49, 0);
+  });
+
+  it('reads the frame at the size of the hash algorithm', () => {
+    const sizes = [];
+    processor.createCanvas = (width, height) => {
+      sizes.push([width, height]);
+      return { width, height, getContext: () => ({ drawImage: () => {}, getImageData: () => solidImage(width, height, 0) }) };
+    };
+
+    expect(processor.process({}, 40, 40, { hash: true }).hash).toHaveLength(16);
+    processor.process({}, 40, 40, { hash: { algorithm: 'dhash' } });
+    expect(sizes).toEqual([[32, 32], [9, 8]]);
+  });
+
+  it('only runs the jobs it was given', () => {
+    expect(Object.keys(processor.process({}, 40, 40, { hash: true }))).toEqual(['hash']);
+  });
+});
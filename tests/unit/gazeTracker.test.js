@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GazeTracker, isWaving } from '../../src/utils/gazeTracker.js';
+
+const video = { videoWidth: 640, videoHeight: 480 };
+
+/**
+ * FramePipeline stand-in whose gaze job reports motion around the given points
+ */
+function fakeFrames(...points) {
+  const run = vi.fn(async () => {
+    const point = points.length > 1 ? points.shift() : points[0];
+    return { gaze: point ? { centroid: { x: point.x, y: point.y }, amount: point.amount ?? 0.1 } : null };
+  });
+  return { run, reset: vi.fn() };
+}
+
+describe('isWaving', () => {
+  it('sees a hand swinging back and forth', () => {
+    const xs = [0.5, 0.6, 0.5, 0.6, 0.5];
+    const history = xs.map((x, i) => ({ x, time: i * 200 }));
+    expect(isWaving(history, 800)).toBe(true);
+  });
+
+  it('ignores steady movement and jitter', () => {
+    const walking = [0.2, 0.3, 0.4, 0.5, 0.6].map((x, i) => ({ x, time: i * 200 }));
+    const jitter = [0.5, 0.51, 0.5, 0.51, 0.5].map((x, i) => ({ x, time: i * 200 }));
+    expect(isWaving(walking, 800)).toBe(false);
+    expect(isWaving(jitter, 800)).toBe(false);
+  });
+
+  it('forgets swings that are too old', () => {
+    const xs = [0.5, 0.6, 0.5, 0.6, 0.5];
+    const history = xs.map((x, i) => ({ x, time: i * 200 }));
+    expect(isWaving(history, 3000)).toBe(false);
+  });
+});
+
+describe('GazeTracker', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('follows motion when the browser has no face detection', async () => {
+    const frames = fakeFrames({ x: 0.2, y: 0.7 });
+    const tracker = new GazeTracker(video, frames);
+
+    expect(tracker.faceDetector).toBeNull();
+    expect(await tracker.locate()).toEqual({ x: 0.2, y: 0.7, source: 'motion', waving: false });
+    expect(frames.run).toHaveBeenCalledWith({ gaze: { threshold: 30, minChangedPixels: 0.01 } });
+  });
+
+  it('ignores a few flickering pixels', async () => {
+    const tracker = new GazeTracker(video, fakeFrames({ x: 0.2, y: 0.7, amount: 0.005 }));
+    expect(await tracker.locate()).toBeNull();
+  });
+
+  it('only forgets its own motion frame on reset', () => {
+    const frames = fakeFrames(null);
+    new GazeTracker(video, frames).reset();
+    expect(frames.reset).toHaveBeenCalledWith('gaze');
+  });
+
+  describe('with FaceDetector', () => {
+    let detect;
+
+    beforeEach(() => {
+      detect = vi.fn(async () => [{ boundingBox: { x: 320, y: 0, width: 160, height: 240 } }]);
+      vi.stubGlobal('FaceDetector', class {
+        detect(...args) {
+          return detect(...args);
+        }
+      });
+    });
+
+    it('prefers the center of a face', async () => {
+      const tracker = new GazeTracker(video, fakeFrames({ x: 0.2, y: 0.7 }));
+
+      expect(await tracker.locate()).toEqual({ x: 0.625, y: 0.25, source: 'face', waving: false });
+    });
+
+    it('falls back to motion for good when detection fails', async () => {
+      detect.mockRejectedValue(new Error('NotSupportedError'));
+      const tracker = new GazeTracker(video, fakeFrames({ x: 0.2, y: 0.7 }));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect((await tracker.locate()).source).toBe('motion');
+      expect(tracker.faceDetector).toBeNull();
+    });
+  });
+
+  it('reports a wave from the motion it sampled', async () => {
+    const xs = [0.5, 0.6, 0.5, 0.6, 0.5];
+    const tracker = new GazeTracker(video, fakeFrames(...xs.map(x => ({ x, y: 0.5 }))));
+
+    let target;
+    for (let i = 0; i < xs.length; i++) {
+      target = await tracker.locate();
+    }
+
+    expect(target.waving).toBe(true);
+  });
+
+  it('has nothing to look at before the camera starts', async () => {
+    expect(await new GazeTracker({ videoWidth: 0, videoHeight: 0 }, fakeFrames()).locate()).toBeNull();
+  });
+});
@@ -0,0 +1,398 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GeminiVision } from '../../src/utils/geminiAPI.js';
+import { OpenAIVision } from '../../src/utils/openaiVision.js';
+import { installFakeApi, jsonResponse, streamResponse, chunkText, modelReply, pendingResponse } from '../helpers/fakeApi.js';
+import { SAFETY_RESPONSES, MAX_PROMPT_LENGTH } from '../../src/utils/visionProvider.js';
+import { parsePartialResponse, getSceneMaxTokens, RESPONSE_MAX_TOKENS } from '../../src/utils/responseSchema.js';
+import { fakeFrame } from '../helpers/fakeMedia.js';
+
+describe('GeminiVision.parseResponse', () => {
+  let vision;
+
+  beforeEach(() => {
+    vision = new GeminiVision();
+  });
+
+  it('parses a structured JSON reply', () => {
+    const result = vision.parseResponse(modelReply());
+
+    expect(result.valid).toBe(true);
+    expect(result.object).toBe('☕ Coffee Mug');
+    expect(result.response).toBe('Fill me up, I dare you!');
+    expect(result.category).toBe('kitchen');
+    expect(result.mood).toBe('happy');
+    expect(result.boundingBox).toEqual({ x: 0.3, y: 0.2, width: 0.4, height: 0.5 });
+  });
+
+  it('accepts JSON wrapped in a markdown fence', () => {
+    const result = vision.parseResponse('```json\n' + modelReply() + '\n```');
+    expect(result.valid).toBe(true);
+    expect(result.name).toBe('Coffee Mug');
+  });
+
+  it('falls back to the legacy OBJECT:/SPEECH: format', () => {
+    const result = vision.parseResponse('OBJECT: 🪴 Plant\nSPEECH: I need water.');
+
+    expect(result.valid).toBe(false);
+    expect(result.object).toBe('🪴 Plant');
+    expect(result.response).toBe('I need water.');
+    expect(result.category).toBe('other');
+  });
+
+  it('salvages the speech from broken JSON', () => {
+    const result = vision.parseResponse('{"object": "Lamp", "speech": "I am so bright!"');
+
+    expect(result.valid).toBe(false);
+    expect(result.response).toBe('I am so bright!');
+  });
+
+  it('never returns empty speech', () => {
+    const result = vision.parseResponse('{ broken');
+    expect(result.response).toBe("I'm here!");
+  });
+});
+
+describe('GeminiVision.isNewObject', () => {
+  let vision;
+
+  beforeEach(() => {
+    vision = new GeminiVision();
+  });
+
+  it('treats anything as new before the first object', () => {
+    expect(vision.isNewObject('☕ Coffee Mug')).toBe(true);
+  });
+
+  it('ignores emoji and case when comparing', () => {
+    vision.currentObject = '☕ Coffee Mug';
+
+    expect(vision.isNewObject('coffee mug')).toBe(false);
+    expect(vision.isNewObject('🍵 Coffee Mug')).toBe(false);
+    expect(vision.isNewObject('🪴 Plant')).toBe(true);
+  });
+
+  it('forgets the object on reset', () => {
+    vision.currentObject = '☕ Coffee Mug';
+    vision.resetHistory();
+    expect(vision.isNewObject('☕ Coffee Mug')).toBe(true);
+  });
+});
+
+describe('GeminiVision prompts', () => {
+  const long = (word) => `${word} `.repeat(400);
+  let vision;
+
+  beforeEach(() => {
+    // A long-remembered mug in a long conversation
+    vision = new GeminiVision();
+    vision.currentObject = '☕ Coffee Mug';
+    vision.setMemories([{
+      id: 'coffee mug',
+      name: 'Coffee Mug',
+      nickname: long('Mugsy'),
+      timesSeen: 40,
+      said: [long('said'), long('said'), long('said')],
+      heard: [long('heard'), long('heard'), long('heard')]
+    }]);
+    for (let i = 0; i < 8; i++) {
+      vision.updateHistory(long(`turn${i}`), i % 2 ? 'object' : 'user');
+    }
+  });
+
+  it('keeps every prompt under the server limit', () => {
+    const prompts = [
+      vision.buildPrompt('playful'),
+      vision.buildConversationPrompt('grumpy', long('blah')),
+      vision.buildEnsemblePrompt('wise', 4)
+    ];
+
+    prompts.forEach(prompt => expect(prompt.length).toBeLessThanOrEqual(MAX_PROMPT_LENGTH));
+    expect(prompts[1]).toContain('The human just said: "blah blah');
+    expect(prompts[1]).toContain('Recent conversation:');
+  });
+
+  it('drops memories before the recent conversation when space runs out', () => {
+    const full = vision.getContextPrompt();
+    const tight = vision.getContextPrompt(800);
+
+    expect(full).toContain('What you remember');
+    expect(tight).not.toContain('What you remember');
+    expect(tight).toContain('turn7');
+    expect(tight.length).toBeLessThanOrEqual(800);
+  });
+});
+
+describe('GeminiVision requests', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends the frame through the proxy and tracks the object', async () => {
+    const fetchMock = installFakeApi();
+    const vision = new GeminiVision();
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1), 'playful');
+
+    const [url, options] = fetchMock.mock.calls[0];
+    const body = JSON.parse(options.body);
+    expect(url).toBe('/api/analyze');
+    expect(body.image).toBe(fakeFrame(1));
+    expect(body.model).toBe('gemini-2.0-flash-exp');
+
+    expect(result.response).toBe('Fill me up, I dare you!');
+    expect(vision.currentObject).toBe('☕ Coffee Mug');
+    expect(vision.isNewObject('Coffee Mug')).toBe(false);
+  });
+
+  it('asks for more output tokens the more objects a scene may cast', async () => {
+    const fetchMock = installFakeApi();
+    const vision = new GeminiVision();
+
+    await vision.analyzeAndRespond(fakeFrame(1));
+    await vision.analyzeScene(fakeFrame(2), 'playful', 4);
+
+    const [single, scene] = fetchMock.mock.calls.map(([, options]) => JSON.parse(options.body));
+    expect(single.maxTokens).toBeUndefined();
+    expect(scene.maxTokens).toBe(getSceneMaxTokens(4));
+    expect(getSceneMaxTokens(4)).toBeGreaterThan(getSceneMaxTokens(2));
+  });
+
+  it('reports each call and its tokens for the budget', async () => {
+    installFakeApi({
+      'POST /api/analyze': () => jsonResponse(200, { text: modelReply(), usage: { totalTokens: 321 } })
+    });
+    const vision = new GeminiVision();
+    vision.onUsage = vi.fn();
+
+    await vision.analyzeAndRespond(fakeFrame(1));
+
+    expect(vision.onUsage).toHaveBeenCalledWith({ requests: 1, tokens: 321 });
+  });
+
+  it('reports quota errors with a retry time', async () => {
+    installFakeApi({
+      'POST /api/analyze': () => jsonResponse(429, { error: 'QUOTA_EXCEEDED', retryAfter: 42 })
+    });
+    const vision = new GeminiVision();
+
+    await expect(vision.analyzeAndRespond(fakeFrame(1))).rejects.toMatchObject({
+      type: 'quota',
+      message: 'QUOTA_EXCEEDED',
+      retryAfter: 42
+    });
+  });
+});
+
+describe('Repairing malformed replies', () => {
+  const scene = JSON.stringify({
+    objects: [
+      { id: 1, object: 'Coffee Mug', emoji: '☕', category: 'kitchen', personality: 'grumpy' },
+      { id: 2, object: 'Potted Plant', emoji: '🪴', category: 'nature', personality: 'chill' }
+    ],
+    dialogue: [
+      { speaker: 1, mood: 'angry', speech: 'Stop dropping leaves in me.' },
+      { speaker: 2, mood: 'calm', speech: 'Relax, it is fiber.' }
+    ]
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks Gemini for JSON with the budget of the reply being repaired', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/analyze': (body) => jsonResponse(200, { text: body.maxTokens ? '{"objects": [' : '{"object": "Coffee' }),
+      'POST /api/react': (body) => jsonResponse(200, { text: body.prompt.includes('"dialogue"') ? scene : modelReply() })
+    });
+    const vision = new GeminiVision();
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1));
+    const cast = await vision.analyzeScene(fakeFrame(2), 'playful', 4);
+
+    expect(result).toMatchObject({ valid: true, response: 'Fill me up, I dare you!' });
+    expect(cast.valid).toBe(true);
+    const repairs = fetchMock.mock.calls.filter(([url]) => url === '/api/react').map(([, options]) => JSON.parse(options.body));
+    expect(repairs).toMatchObject([
+      { json: true, maxTokens: RESPONSE_MAX_TOKENS },
+      { json: true, maxTokens: getSceneMaxTokens(4) }
+    ]);
+  });
+
+  it('asks OpenAI-compatible servers for JSON with the same budget', async () => {
+    const fetchMock = vi.fn(async (url, options) => {
+      const { messages } = JSON.parse(options.body);
+      const hasImage = messages[0].content.length > 1;
+      return jsonResponse(200, { choices: [{ message: { content: hasImage ? 'OBJECT: mug' : modelReply() } }] });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const vision = new OpenAIVision();
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1));
+
+    expect(result.valid).toBe(true);
+    const repair = JSON.parse(fetchMock.mock.calls[1][1].body);
+    expect(repair.max_tokens).toBe(RESPONSE_MAX_TOKENS);
+    expect(repair.response_format).toEqual({ type: 'json_object' });
+  });
+});
+
+describe('GeminiVision errors', () => {
+  // Retry at once instead of waiting out the backoff
+  const fastRetries = { server: { retries: 2, delay: 0 }, network: { retries: 2, delay: 0 }, malformed: { retries: 1, delay: 0 } };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('retries a failed request with backoff', async () => {
+    let calls = 0;
+    const fetchMock = installFakeApi({
+      'POST /api/analyze': () => (++calls === 1
+        ? jsonResponse(502, { error: 'Gemini request failed' })
+        : jsonResponse(200, { text: modelReply() }))
+    });
+    const vision = new GeminiVision();
+    vision.retryPolicy = fastRetries;
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1));
+
+    expect(result.response).toBe('Fill me up, I dare you!');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports a dropped connection as a network error once retries run out', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/analyze': () => Promise.reject(new TypeError('Failed to fetch'))
+    });
+    const vision = new GeminiVision();
+    vision.retryPolicy = fastRetries;
+
+    await expect(vision.analyzeAndRespond(fakeFrame(1))).rejects.toMatchObject({ type: 'network' });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry a rejected API key', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/analyze': () => jsonResponse(401, { error: 'INVALID_API_KEY' })
+    });
+    const vision = new GeminiVision();
+    vision.retryPolicy = fastRetries;
+
+    await expect(vision.analyzeAndRespond(fakeFrame(1))).rejects.toMatchObject({ type: 'auth' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('stays in character when the reply is blocked', async () => {
+    installFakeApi({
+      'POST /api/analyze': () => jsonResponse(422, { error: 'SAFETY_BLOCKED' })
+    });
+    const vision = new GeminiVision();
+    vision.currentObject = '☕ Coffee Mug';
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1));
+
+    expect(result).toMatchObject({ object: '☕ Coffee Mug', blocked: true, mood: 'surprised' });
+    expect(SAFETY_RESPONSES).toContain(result.response);
+  });
+
+  it('gives up after the timeout', async () => {
+    installFakeApi({
+      'POST /api/analyze': (body, { signal }) => pendingResponse(signal)
+    });
+    const vision = new GeminiVision();
+    vision.timeout = 20;
+    vision.retryPolicy = {};
+
+    await expect(vision.analyzeAndRespond(fakeFrame(1))).rejects.toMatchObject({ type: 'timeout' });
+  });
+
+  it('cancels the request when the signal aborts', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/analyze/stream': (body, { signal }) => pendingResponse(signal)
+    });
+    const vision = new GeminiVision();
+    const controller = new AbortController();
+
+    const result = vision.analyzeAndRespond(fakeFrame(1), 'playful', { onSpeech: () => {}, signal: controller.signal });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ type: 'aborted' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('parsePartialResponse', () => {
+  it('reads the speech before the string is closed', () => {
+    const partial = parsePartialResponse('{"object": "Lamp", "emoji": "💡", "mood": "happy", "speech": "I am so br');
+
+    expect(partial).toEqual({
+      speech: 'I am so br',
+      complete: false,
+      name: 'Lamp',
+      emoji: '💡',
+      category: null,
+      mood: 'happy'
+    });
+  });
+
+  it('only reports other fields once they are complete', () => {
+    expect(parsePartialResponse('{"object": "La').name).toBeNull();
+    expect(parsePartialResponse('{"object": "Lamp", "speech": "Hi"').complete).toBe(true);
+  });
+
+  it('decodes escapes and waits for half-arrived ones', () => {
+    expect(parsePartialResponse('{"speech": "Say \\"hi\\"\\n').speech).toBe('Say "hi"\n');
+    expect(parsePartialResponse('{"speech": "caf\\u00e9').speech).toBe('café');
+    expect(parsePartialResponse('{"speech": "caf\\u00').speech).toBe('caf');
+  });
+});
+
+describe('GeminiVision streaming', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports the speech while the reply streams in', async () => {
+    const fetchMock = installFakeApi();
+    const vision = new GeminiVision();
+    const onSpeech = vi.fn();
+
+    const result = await vision.analyzeAndRespond(fakeFrame(1), 'playful', { onSpeech });
+
+    expect(fetchMock.mock.calls[0][0]).toBe('/api/analyze/stream');
+    const speeches = onSpeech.mock.calls.map(([partial]) => partial.speech);
+    expect(speeches.length).toBeGreaterThan(1);
+    expect(speeches[0].length).toBeLessThan(result.response.length);
+    expect(onSpeech).toHaveBeenLastCalledWith(expect.objectContaining({
+      speech: 'Fill me up, I dare you!',
+      complete: true,
+      name: 'Coffee Mug'
+    }));
+    expect(result.response).toBe('Fill me up, I dare you!');
+  });
+
+  it('reports the tokens from the end of the stream', async () => {
+    installFakeApi({
+      'POST /api/analyze/stream': () => streamResponse(chunkText(modelReply()), { totalTokens: 150 })
+    });
+    const vision = new GeminiVision();
+    vision.onUsage = vi.fn();
+
+    await vision.analyzeAndRespond(fakeFrame(1), 'playful', { onSpeech: () => {} });
+
+    expect(vision.onUsage).toHaveBeenCalledTimes(1);
+    expect(vision.onUsage).toHaveBeenCalledWith({ requests: 1, tokens: 150 });
+  });
+
+  it('fails without retrying when the stream breaks after speech came in', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/analyze/stream': () => new Response('{"text": "{\\"speech\\": \\"Hi"}\n{"error": "Gemini request failed"}\n')
+    });
+    const vision = new GeminiVision();
+
+    await expect(vision.analyzeAndRespond(fakeFrame(1), 'playful', { onSpeech: () => {} }))
+      .rejects.toMatchObject({ type: 'server', message: 'Gemini request failed' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LipSync, VISEMES, buildTimeline, getViseme, shapeFromAudio } from '../../src/utils/lipSync.js';
+import { TextToSpeech } from '../../src/utils/textToSpeech.js';
+import { installFakeSpeech } from '../helpers/fakeMedia.js';
+
+describe('viseme estimates', () => {
+  it('maps letters to mouth shapes', () => {
+    expect(getViseme('a')).toBe('open');
+    expect(getViseme('ee')).toBe('wide');
+    expect(getViseme('ou')).toBe('round');
+    expect(getViseme('m')).toBe('closed');
+    expect(getViseme('s')).toBe('teeth');
+  });
+
+  it('times each viseme and pauses at punctuation', () => {
+    const timeline = buildTimeline('Mama, no.');
+
+    expect(timeline.map(item => item.viseme)).toEqual(['closed', 'open', 'closed', 'open', 'rest', 'teeth', 'round', 'rest']);
+    expect(timeline[4]).toMatchObject({ index: 4, end: timeline[4].start + 150 });
+    expect(timeline[5].index).toBe(6);
+  });
+
+  it('speeds up with the speech rate', () => {
+    const normal = buildTimeline('Hello there');
+    const fast = buildTimeline('Hello there', 2);
+    expect(fast.at(-1).end).toBeCloseTo(normal.at(-1).end / 2);
+  });
+});
+
+describe('shapeFromAudio', () => {
+  it('keeps the mouth closed on silence', () => {
+    const shape = shapeFromAudio(new Uint8Array(256).fill(128), new Uint8Array(128));
+    expect(shape.open).toBe(0);
+  });
+
+  it('opens with loudness and widens with bright sound', () => {
+    const loud = new Uint8Array(256).map((_, i) => (i % 2 ? 200 : 56));
+    const low = new Uint8Array(128).map((_, i) => (i < 8 ? 255 : 0));
+    const high = new Uint8Array(128).map((_, i) => (i > 40 && i < 60 ? 255 : 0));
+
+    expect(shapeFromAudio(loud, low).open).toBe(1);
+    expect(shapeFromAudio(loud, high).width).toBeGreaterThan(shapeFromAudio(loud, low).width);
+  });
+});
+
+describe('LipSync', () => {
+  let mouth;
+  let lipSync;
+
+  beforeEach(() => {
+    mouth = document.createElement('div');
+    lipSync = new LipSync(mouth);
+  });
+
+  const open = () => parseFloat(mouth.style.getPropertyValue('--mouth-open'));
+
+  it('follows the estimated timeline', () => {
+    lipSync.timeline = buildTimeline('Ah');
+    lipSync.startTime = 0;
+
+    for (let i = 0; i < 5; i++) lipSync.step(10);
+    lipSync.render();
+    expect(open()).toBeGreaterThan(0.8);
+
+    for (let i = 0; i < 10; i++) lipSync.step(10000);
+    lipSync.render();
+    expect(open()).toBeLessThan(0.01);
+  });
+
+  it('jumps to the word the voice reached', () => {
+    lipSync.followText('Hello there friend');
+    const entry = lipSync.timeline.find(item => item.index >= 12);
+
+    lipSync.syncToWord(12);
+
+    expect(performance.now() - lipSync.startTime).toBeGreaterThanOrEqual(entry.start);
+    expect(performance.now() - lipSync.startTime).toBeLessThan(entry.end);
+    lipSync.stop();
+  });
+
+  it('measures audio through the analyser', () => {
+    const analyser = {
+      fftSize: 256,
+      frequencyBinCount: 128,
+      getByteTimeDomainData: (data) => data.forEach((_, i) => { data[i] = i % 2 ? 220 : 36; }),
+      getByteFrequencyData: (data) => data.fill(100)
+    };
+
+    lipSync.followAudio(analyser);
+    expect(lipSync.isActive).toBe(true);
+    for (let i = 0; i < 10; i++) lipSync.step(0);
+    lipSync.render();
+
+    expect(open()).toBeGreaterThan(0.9);
+    expect(mouth.classList.contains('speaking')).toBe(true);
+  });
+
+  it('closes the mouth when stopped', () => {
+    lipSync.followText('Wow');
+    lipSync.stop();
+
+    expect(lipSync.isActive).toBe(false);
+    expect(open()).toBe(VISEMES.rest.open);
+    expect(mouth.classList.contains('speaking')).toBe(false);
+  });
+});
+
+describe('TextToSpeech lip sync hooks', () => {
+  it('reports browser lines from start to end', async () => {
+    installFakeSpeech({ duration: 1 });
+    const tts = new TextToSpeech();
+    const onSpeechStart = vi.fn();
+    const onSpeechEnd = vi.fn();
+    tts.onSpeechStart = onSpeechStart;
+    tts.onSpeechEnd = onSpeechEnd;
+
+    await tts.speak('Hello there', 'Ball', 'toy');
+
+    expect(onSpeechStart).toHaveBeenCalledWith('Hello there', expect.any(Number));
+    expect(onSpeechEnd).toHaveBeenCalledTimes(1);
+  });
+});
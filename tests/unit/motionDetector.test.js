@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MotionDetector } from '../../src/utils/motionDetector.js';
+import { solidImage } from '../helpers/fakeMedia.js';
+
+/**
+ * Set one pixel of a test image to a gray level
+ */
+function paint(image, x, y, value) {
+  const i = (y * image.width + x) * 4;
+  image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+}
+
+describe('MotionDetector.compareFrames', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new MotionDetector(document.createElement('video'), document.createElement('canvas'));
+  });
+
+  it('sees no motion between identical frames', () => {
+    expect(detector.compareFrames(solidImage(10, 10, 100), solidImage(10, 10, 100))).toBe(false);
+  });
+
+  it('detects motion when enough pixels change', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+
+    // 10 of 100 pixels change a lot (more than the 5% minimum)
+    for (let pixel = 0; pixel < 10; pixel++) {
+      paint(current, pixel, 0, 200);
+    }
+
+    expect(detector.compareFrames(current, previous)).toBe(true);
+  });
+
+  it('ignores a few changed pixels', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+    paint(current, 0, 0, 200);
+    paint(current, 1, 0, 200);
+
+    expect(detector.compareFrames(current, previous)).toBe(false);
+  });
+
+  it('detects a large average change even below the pixel threshold', () => {
+    // Every pixel shifts by 28: under the threshold of 30 but over the average of 25
+    expect(detector.compareFrames(solidImage(10, 10, 128), solidImage(10, 10, 100))).toBe(true);
+  });
+
+  it('compares brightness rather than the red channel alone', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+
+    // Green changes a lot, red not at all
+    for (let pixel = 0; pixel < 10; pixel++) {
+      current.data[pixel * 4 + 1] = 200;
+    }
+
+    expect(detector.compareFrames(current, previous)).toBe(true);
+  });
+
+  it('becomes more sensitive at higher settings', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+    for (let pixel = 0; pixel < 6; pixel++) {
+      paint(current, pixel, 0, 120);
+    }
+
+    detector.setSensitivity(1);
+    expect(detector.compareFrames(current, previous)).toBe(false);
+
+    detector.setSensitivity(10);
+    expect(detector.compareFrames(current, previous)).toBe(true);
+  });
+
+  it('starts at the settings slider\'s default sensitivity', () => {
+    const { threshold, minChangedPixels } = detector;
+
+    detector.setSensitivity(5);
+
+    expect(detector.threshold).toBe(threshold);
+    expect(detector.minChangedPixels).toBeCloseTo(minChangedPixels);
+  });
+
+  it('needs fewer changed pixels at higher settings', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+    for (let pixel = 0; pixel < 3; pixel++) {
+      paint(current, pixel, 0, 200);
+    }
+
+    detector.setSensitivity(1);
+    expect(detector.minChangedPixels).toBeCloseTo(0.07);
+    expect(detector.compareFrames(current, previous)).toBe(false);
+
+    detector.setSensitivity(10);
+    expect(detector.minChangedPixels).toBeCloseTo(0.025);
+    expect(detector.compareFrames(current, previous)).toBe(true);
+  });
+});
+
+describe('MotionDetector regions and grid', () => {
+  let detector;
+  let previous;
+  let walkerFrame;
+
+  beforeEach(() => {
+    detector = new MotionDetector(document.createElement('video'), document.createElement('canvas'));
+    previous = solidImage(32, 24, 100);
+
+    // Someone walks past in the left quarter of the frame
+    walkerFrame = solidImage(32, 24, 100);
+    for (let y = 0; y < 24; y++) {
+      for (let x = 0; x < 8; x++) {
+        paint(walkerFrame, x, y, 200);
+      }
+    }
+  });
+
+  it('counts changed pixels per grid cell', () => {
+    const motion = detector.analyzeFrames(walkerFrame, previous);
+
+    expect(motion.cols * motion.rows).toBe(motion.cells.length);
+    expect(motion.cells[0]).toBe(1);
+    expect(motion.cells[motion.cols - 1]).toBe(0);
+    expect(motion.amount).toBeCloseTo(0.25);
+  });
+
+  it('ignores motion outside the region of interest', () => {
+    detector.setRegion({ x: 0.5, y: 0.25, width: 0.4, height: 0.5 });
+    expect(detector.compareFrames(walkerFrame, previous)).toBe(false);
+
+    detector.setRegion(null);
+    expect(detector.compareFrames(walkerFrame, previous)).toBe(true);
+  });
+
+  it('reports the centroid and how it moved since the last frame', () => {
+    const first = detector.analyzeFrames(walkerFrame, previous);
+    expect(first.centroid.x).toBeCloseTo(0.125);
+    expect(first.centroid.y).toBeCloseTo(0.5);
+    expect(first.vector).toBeNull();
+
+    // The walker moves one quarter to the right
+    const moved = solidImage(32, 24, 100);
+    for (let y = 0; y < 24; y++) {
+      for (let x = 8; x < 16; x++) {
+        paint(moved, x, y, 200);
+      }
+    }
+
+    const second = detector.analyzeFrames(moved, previous);
+    expect(second.vector.x).toBeCloseTo(0.25);
+    expect(second.vector.y).toBeCloseTo(0);
+  });
+
+  it('draws the heatmap only when it is switched on', () => {
+    const drawHeatmap = vi.spyOn(detector, 'drawHeatmap');
+
+    detector.analyzeFrames(walkerFrame, previous);
+    expect(drawHeatmap).not.toHaveBeenCalled();
+
+    detector.setHeatmap(true);
+    detector.analyzeFrames(walkerFrame, previous);
+    expect(drawHeatmap).toHaveBeenCalledWith(detector.lastMotion);
+    expect(detector.canvas.classList.contains('heatmap')).toBe(true);
+  });
+});
+
+describe('MotionDetector.getMotionCentroid', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new MotionDetector(document.createElement('video'), document.createElement('canvas'));
+  });
+
+  it('finds the center of the pixels that changed', () => {
+    const previous = solidImage(10, 10, 100);
+    const current = solidImage(10, 10, 100);
+
+    // A 2x2 block in the top right corner moves
+    for (const [x, y] of [[8, 0], [9, 0], [8, 1], [9, 1]]) {
+      paint(current, x, y, 200);
+    }
+
+    const centroid = detector.getMotionCentroid(current, previous);
+    expect(centroid.x).toBeCloseTo(0.9);
+    expect(centroid.y).toBeCloseTo(0.1);
+    expect(centroid.amount).toBeCloseTo(0.04);
+  });
+
+  it('returns null when nothing moved', () => {
+    expect(detector.getMotionCentroid(solidImage(10, 10, 100), solidImage(10, 10, 100))).toBeNull();
+  });
+});
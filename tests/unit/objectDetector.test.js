@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ObjectDetector } from '../../src/utils/objectDetector.js';
+
+const WIDTH = 200;
+const HEIGHT = 100;
+
+/**
+ * Edge map with the outline of a rectangle
+ */
+function rectangleEdges(x0, y0, x1, y1) {
+  const edges = new Uint8ClampedArray(WIDTH * HEIGHT);
+  for (let x = x0; x <= x1; x++) {
+    edges[y0 * WIDTH + x] = 255;
+    edges[y1 * WIDTH + x] = 255;
+  }
+  for (let y = y0; y <= y1; y++) {
+    edges[y * WIDTH + x0] = 255;
+    edges[y * WIDTH + x1] = 255;
+  }
+  return edges;
+}
+
+describe('ObjectDetector.findObjectBounds', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new ObjectDetector(document.createElement('video'));
+    detector.canvas.width = WIDTH;
+    detector.canvas.height = HEIGHT;
+  });
+
+  it('falls back to the center region when there are no edges', () => {
+    const bounds = detector.findObjectBounds(new Uint8ClampedArray(WIDTH * HEIGHT));
+
+    expect(bounds).toEqual({
+      x: 50,
+      y: 25,
+      width: 100,
+      height: 50,
+      centerX: 100,
+      centerY: 50
+    });
+  });
+
+  it('wraps a centered object with padding', () => {
+    const bounds = detector.findObjectBounds(rectangleEdges(80, 40, 120, 60));
+
+    expect(bounds.x).toBe(60);
+    expect(bounds.y).toBe(20);
+    expect(bounds.width).toBe(80);
+    expect(bounds.height).toBe(60);
+    expect(bounds.centerX).toBeCloseTo(100, 0);
+    expect(bounds.centerY).toBeCloseTo(50, 0);
+  });
+
+  it('ignores edges near the frame corners', () => {
+    const edges = rectangleEdges(90, 45, 110, 55);
+
+    // Clutter in the top-left corner
+    for (let x = 0; x < 10; x++) {
+      edges[x] = 255;
+    }
+
+    const bounds = detector.findObjectBounds(edges);
+    expect(bounds.x).toBe(70);
+    expect(bounds.y).toBe(25);
+  });
+
+  it('keeps padded bounds inside the frame', () => {
+    const bounds = detector.findObjectBounds(rectangleEdges(40, 10, 160, 90));
+
+    expect(bounds.x).toBeGreaterThanOrEqual(0);
+    expect(bounds.y).toBeGreaterThanOrEqual(0);
+    expect(bounds.x + bounds.width).toBeLessThanOrEqual(WIDTH);
+    expect(bounds.y + bounds.height).toBeLessThanOrEqual(HEIGHT);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { dHash, pHash, hammingDistance, hashSimilarity, HASH_SIZES } from '../../src/utils/perceptualHash.js';
+
+/**
+ * Gray image drawn by a function of (x, y) returning 0-255
+ */
+function drawImage({ width, height }, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = shade(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// A bright disc left of center on a diagonal gradient - something like a mug on a table
+const scene = (x, y) => {
+  const inDisc = (x - 12) ** 2 + (y - 16) ** 2 < 64;
+  return inDisc ? 220 : 40 + (x + y) * 2;
+};
+
+// Repeatable noise, like camera grain
+const grain = (x, y) => ((x * 7919 + y * 104729) % 17) - 8;
+
+describe('dHash', () => {
+  it('sets every bit on a left-to-right brightening gradient', () => {
+    expect(dHash(drawImage(HASH_SIZES.dhash, x => x * 25))).toBe('ffffffffffffffff');
+    expect(dHash(drawImage(HASH_SIZES.dhash, x => 255 - x * 25))).toBe('0000000000000000');
+  });
+
+  it('ignores overall brightness', () => {
+    const image = drawImage(HASH_SIZES.dhash, scene);
+    const brighter = drawImage(HASH_SIZES.dhash, (x, y) => scene(x, y) + 20);
+    expect(dHash(brighter)).toBe(dHash(image));
+  });
+});
+
+describe('pHash', () => {
+  const original = pHash(drawImage(HASH_SIZES.phash, scene));
+
+  it('is 64 bits as hex', () => {
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('barely changes with brightness, contrast or grain', () => {
+    const brighter = pHash(drawImage(HASH_SIZES.phash, (x, y) => scene(x, y) + 25));
+    const flatter = pHash(drawImage(HASH_SIZES.phash, (x, y) => scene(x, y) * 0.8));
+    const grainy = pHash(drawImage(HASH_SIZES.phash, (x, y) => scene(x, y) + grain(x, y)));
+
+    expect(hammingDistance(original, brighter)).toBeLessThanOrEqual(2);
+    expect(hammingDistance(original, flatter)).toBeLessThanOrEqual(2);
+    expect(hammingDistance(original, grainy)).toBeLessThanOrEqual(6);
+  });
+
+  it('changes a lot when the object moves or the scene changes', () => {
+    const moved = pHash(drawImage(HASH_SIZES.phash, (x, y) => scene(31 - x, y)));
+    const other = pHash(drawImage(HASH_SIZES.phash, (x, y) => ((x >> 3) + (y >> 3)) % 2 ? 200 : 30));
+
+    expect(hammingDistance(original, moved)).toBeGreaterThan(12);
+    expect(hammingDistance(original, other)).toBeGreaterThan(20);
+  });
+});
+
+describe('hash distance', () => {
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+
+  it('treats missing or mismatched hashes as completely different', () => {
+    expect(hammingDistance(null, '0000000000000000')).toBe(64);
+    expect(hashSimilarity('00', '0000000000000000')).toBe(0);
+    expect(hashSimilarity('000000000000000f', '0000000000000000')).toBe(0.9375);
+  });
+});
@@ -0,0 +1,280 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Readable } from 'node:stream';
+
+const generateContent = vi.fn();
+const generateContentStream = vi.fn();
+
+// The Gemini SDK never reaches the network in tests
+vi.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: class {
+    getGenerativeModel() {
+      return { generateContent, generateContentStream };
+    }
+  }
+}));
+
+const { ApiRoutes } = await import('../../server/api.js');
+const { getSceneMaxTokens, parseEnsembleResponse } = await import('../../src/utils/responseSchema.js');
+
+/**
+ * Call a route and collect the response
+ */
+async function request(api, method, url, body = null, { headers = {}, remoteAddress = '127.0.0.1', raw = false } = {}) {
+  // raw sends the body even when it is null or falsy
+  const req = Readable.from(body || raw ? [Buffer.from(JSON.stringify(body))] : []);
+  Object.assign(req, { method, url, headers, socket: { remoteAddress } });
+
+  const res = {
+    statusCode: null,
+    headers: {},
+    body: '',
+    headersSent: false,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    writeHead(status, headers = {}) {
+      this.statusCode = status;
+      Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+      this.headersSent = true;
+    },
+    write(data) { this.body += data; },
+    end(data = '') { this.body += data; }
+  };
+
+  await api.handle(req, res);
+  const json = res.headers['content-type'] === 'application/x-ndjson'
+    ? res.body.trim().split('\n').map(line => JSON.parse(line))
+    : JSON.parse(res.body);
+  return { status: res.statusCode, headers: res.headers, json };
+}
+
+const IMAGE = 'data:image/jpeg;base64,AAAA';
+
+describe('ApiRoutes', () => {
+  let api;
+
+  beforeEach(() => {
+    generateContent.mockReset();
+    generateContentStream.mockReset();
+    api = new ApiRoutes({ geminiApiKey: 'test-key' });
+  });
+
+  afterEach(() => {
+    api.close();
+  });
+
+  it('reports configured services', async () => {
+    const { status, json } = await request(api, 'GET', '/api/status');
+
+    expect(status).toBe(200);
+    expect(json.gemini).toBe(true);
+    expect(json.elevenLabs).toBe(false);
+  });
+
+  it('forwards frames to Gemini and returns its text', async () => {
+    generateContent.mockResolvedValue({ response: { text: () => '{"speech": "Hi"}' } });
+
+    const { status, json } = await request(api, 'POST', '/api/analyze', { prompt: 'Who are you?', image: IMAGE });
+
+    expect(status).toBe(200);
+    expect(json.text).toBe('{"speech": "Hi"}');
+
+    const content = generateContent.mock.calls[0][0];
+    expect(content.contents[0].parts[1].inlineData).toEqual({ data: 'AAAA', mimeType: 'image/jpeg' });
+    expect(content.generationConfig.responseMimeType).toBe('application/json');
+  });
+
+  it('passes token counts on to the client', async () => {
+    generateContent.mockResolvedValue({
+      response: {
+        text: () => 'Hi',
+        usageMetadata: { promptTokenCount: 250, candidatesTokenCount: 12, totalTokenCount: 262 }
+      }
+    });
+
+    const { json } = await request(api, 'POST', '/api/react', { prompt: 'React!' });
+
+    expect(json).toEqual({ text: 'Hi', usage: { promptTokens: 250, outputTokens: 12, totalTokens: 262 } });
+  });
+
+  it('translates Gemini quota errors into 429 with Retry-After', async () => {
+    generateContent.mockRejectedValue(new Error('429 Too Many Requests: quota exceeded, retry in 17s'));
+
+    const { status, headers, json } = await request(api, 'POST', '/api/react', { prompt: 'React!' });
+
+    expect(status).toBe(429);
+    expect(headers['retry-after']).toBe('17');
+    expect(json).toEqual({ error: 'QUOTA_EXCEEDED', retryAfter: 17 });
+  });
+
+  it('streams Gemini text as NDJSON lines', async () => {
+    generateContentStream.mockResolvedValue({
+      stream: (async function* () {
+        yield { text: () => '{"speech": ' };
+        yield { text: () => '"Hi"}' };
+      })()
+    });
+
+    const { status, json } = await request(api, 'POST', '/api/analyze/stream', { prompt: 'Who are you?', image: IMAGE });
+
+    expect(status).toBe(200);
+    expect(json).toEqual([{ text: '{"speech": ' }, { text: '"Hi"}' }, { done: true }]);
+    expect(generateContent).not.toHaveBeenCalled();
+  });
+
+  it('reports stream failures in the stream', async () => {
+    generateContentStream.mockResolvedValue({
+      stream: (async function* () {
+        yield { text: () => '{"speech": "Hi' };
+        throw new Error('connection reset');
+      })()
+    });
+
+    const { status, json } = await request(api, 'POST', '/api/analyze/stream', { prompt: 'Hi', image: IMAGE });
+
+    expect(status).toBe(200);
+    expect(json).toEqual([{ text: '{"speech": "Hi' }, { error: 'Gemini request failed' }]);
+  });
+
+  it('answers quota errors before streaming with 429', async () => {
+    generateContentStream.mockRejectedValue(new Error('429 quota exceeded'));
+
+    const { status, json } = await request(api, 'POST', '/api/analyze/stream', { prompt: 'Hi', image: IMAGE });
+
+    expect(status).toBe(429);
+    expect(json).toEqual({ error: 'QUOTA_EXCEEDED', retryAfter: 60 });
+  });
+
+  it('tells the client when Gemini blocks a reply for safety', async () => {
+    generateContent.mockResolvedValue({
+      response: {
+        text: () => { throw new Error('[GoogleGenerativeAI Error]: Text not available. Response was blocked due to SAFETY'); }
+      }
+    });
+
+    const { status, json } = await request(api, 'POST', '/api/analyze', { prompt: 'Hi', image: IMAGE });
+
+    expect(status).toBe(422);
+    expect(json).toEqual({ error: 'SAFETY_BLOCKED' });
+  });
+
+  it('reports safety blocks in the stream', async () => {
+    generateContentStream.mockResolvedValue({
+      stream: (async function* () {
+        yield { text: () => { throw new Error('Candidate was blocked due to SAFETY'); } };
+      })()
+    });
+
+    const { json } = await request(api, 'POST', '/api/analyze/stream', { prompt: 'Hi', image: IMAGE });
+
+    expect(json).toEqual([{ error: 'SAFETY_BLOCKED' }]);
+  });
+
+  it('answers 401 for an invalid API key', async () => {
+    generateContent.mockRejectedValue(new Error('[400 Bad Request] API key not valid. Please pass a valid API key.'));
+
+    const { status, json } = await request(api, 'POST', '/api/analyze', { prompt: 'Hi', image: IMAGE });
+
+    expect(status).toBe(401);
+    expect(json).toEqual({ error: 'INVALID_API_KEY' });
+  });
+
+  it('gives a full four-object scene enough output tokens', async () => {
+    const box = { x: 0.125, y: 0.25, width: 0.2, height: 0.35 };
+    const scene = {
+      objects: ['Coffee Mug', 'Potted Plant', 'Desk Lamp', 'Stapler'].map((object, index) => ({
+        id: index + 1, object, emoji: '📦', category: 'other', personality: 'playful', boundingBox: box
+      })),
+      dialogue: Array.from({ length: 8 }, (_, index) => ({
+        speaker: (index % 4) + 1, mood: 'surprised', speech: 'I cannot believe you would say that about me, honestly!'
+      }))
+    };
+    // Cut the reply off where Gemini would, at about three characters of JSON per token
+    generateContent.mockImplementation(async ({ generationConfig }) => ({
+      response: { text: () => JSON.stringify(scene, null, 2).slice(0, generationConfig.maxOutputTokens * 3) }
+    }));
+
+    const { status, json } = await request(api, 'POST', '/api/analyze', {
+      prompt: 'Cast the scene', image: IMAGE, maxTokens: getSceneMaxTokens(4)
+    });
+
+    expect(status).toBe(200);
+    const parsed = parseEnsembleResponse(json.text, 4);
+    expect(parsed.valid).toBe(true);
+    expect(parsed.value.objects).toHaveLength(4);
+    expect(parsed.value.dialogue).toHaveLength(8);
+
+    // The one-object budget would have cut it off
+    const single = await request(api, 'POST', '/api/analyze', { prompt: 'Cast the scene', image: IMAGE });
+    expect(parseEnsembleResponse(single.json.text, 4).valid).toBe(false);
+  });
+
+  it('answers repair requests in JSON with the requested budget', async () => {
+    generateContent.mockResolvedValue({ response: { text: () => '{"speech": "Hi"}' } });
+
+    const { status } = await request(api, 'POST', '/api/react', { prompt: 'Fix this JSON', json: true, maxTokens: 600 });
+
+    expect(status).toBe(200);
+    const content = generateContent.mock.calls[0][0];
+    expect(content.contents[0].parts).toEqual([{ text: 'Fix this JSON' }]);
+    expect(content.generationConfig).toMatchObject({ maxOutputTokens: 600, responseMimeType: 'application/json' });
+  });
+
+  it('rejects bad input', async () => {
+    const noImage = await request(api, 'POST', '/api/analyze', { prompt: 'Hi', image: 'not-an-image' });
+    expect(noImage.status).toBe(400);
+
+    const badModel = await request(api, 'POST', '/api/react', { prompt: 'Hi', model: 'gpt-4' });
+    expect(badModel.status).toBe(400);
+
+    const greedy = await request(api, 'POST', '/api/analyze', { prompt: 'Hi', image: IMAGE, maxTokens: 100000 });
+    expect(greedy.status).toBe(400);
+    expect(greedy.json.error).toBe('maxTokens must be 1-1024');
+
+    for (const [url, body] of [['/api/analyze', null], ['/api/react', []], ['/api/react', 'Hi'], ['/api/react', 42]]) {
+      const notObject = await request(api, 'POST', url, body, { raw: true });
+      expect(notObject).toMatchObject({ status: 400, json: { error: 'JSON body must be an object' } });
+    }
+    expect(generateContent).not.toHaveBeenCalled();
+  });
+
+  it('answers 503 without a Gemini key', async () => {
+    const unconfigured = new ApiRoutes({});
+    const { status, json } = await request(unconfigured, 'POST', '/api/react', { prompt: 'Hi' });
+    unconfigured.close();
+
+    expect(status).toBe(503);
+    expect(json.error).toBe('GEMINI_NOT_CONFIGURED');
+  });
+
+  it('rate limits by socket address, whatever X-Forwarded-For says', async () => {
+    generateContent.mockResolvedValue({ response: { text: () => 'Hi!' } });
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      const headers = { 'x-forwarded-for': `10.0.0.${i}` };
+      statuses.push((await request(api, 'POST', '/api/react', { prompt: 'Hi' }, { headers })).status);
+    }
+
+    expect(statuses.slice(0, 10).every(status => status === 200)).toBe(true);
+    expect(statuses[10]).toBe(429);
+  });
+
+  it('reads the proxy-appended X-Forwarded-For entry behind a trusted proxy', async () => {
+    const proxied = new ApiRoutes({ geminiApiKey: 'test-key', trustProxy: true });
+    generateContent.mockResolvedValue({ response: { text: () => 'Hi!' } });
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      // Clients can fake the first entries, not the one the proxy adds
+      const headers = { 'x-forwarded-for': `10.0.0.${i}, 203.0.113.7` };
+      statuses.push((await request(proxied, 'POST', '/api/react', { prompt: 'Hi' }, { headers, remoteAddress: '10.1.1.1' })).status);
+    }
+    const other = await request(proxied, 'POST', '/api/react', { prompt: 'Hi' }, {
+      headers: { 'x-forwarded-for': '198.51.100.2' }, remoteAddress: '10.1.1.1'
+    });
+    proxied.close();
+
+    expect(statuses[10]).toBe(429);
+    expect(other.status).toBe(200);
+  });
+});
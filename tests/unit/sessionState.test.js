@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionStateMachine } from '../../src/utils/sessionState.js';
+
+describe('SessionStateMachine', () => {
+  let session;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    session = new SessionStateMachine({ cooldown: 1000 });
+  });
+
+  afterEach(() => {
+    session.send('stop');
+    vi.useRealTimers();
+  });
+
+  it('runs a full analyze → speak → cooldown cycle', () => {
+    const changes = [];
+    session.on('change', ({ from, to }) => changes.push(`${from}→${to}`));
+
+    session.send('start');
+    session.send('ready');
+    session.send('analyze');
+    session.send('speak');
+    session.send('finish');
+    vi.advanceTimersByTime(1000);
+
+    expect(changes).toEqual([
+      'idle→starting',
+      'starting→watching',
+      'watching→analyzing',
+      'analyzing→speaking',
+      'speaking→cooldown',
+      'cooldown→watching'
+    ]);
+  });
+
+  it('ignores events that are not allowed', () => {
+    expect(session.send('analyze')).toBe(false);
+    expect(session.state).toBe('idle');
+
+    session.send('start');
+    session.send('ready');
+    session.send('analyze');
+    expect(session.can('analyze')).toBe(false);
+    expect(session.send('finish')).toBe(false);
+    expect(session.state).toBe('analyzing');
+  });
+
+  it('ignores stale callbacks after the state moved on', () => {
+    session.send('start');
+    session.send('ready');
+    session.send('analyze');
+    session.send('speak');
+    const turn = session.turn;
+
+    // The user interrupts before the speech promise settles
+    session.send('think', { activity: 'answer' });
+
+    expect(session.sendIfCurrent(turn, 'finish')).toBe(false);
+    expect(session.state).toBe('thinking');
+  });
+
+  it('pauses for quota and resumes after retryAfter', () => {
+    session.send('start');
+    session.send('ready');
+    session.send('analyze');
+    session.send('quota', { retryAfter: 3 });
+
+    expect(session.getStatus().text).toBe('Quota exceeded. Resuming in 3s');
+    vi.advanceTimersByTime(1000);
+    expect(session.getStatus().text).toBe('Quota exceeded. Resuming in 2s');
+
+    vi.advanceTimersByTime(2000);
+    expect(session.state).toBe('watching');
+  });
+
+  it('uses a custom cooldown, e.g. after a rate limit', () => {
+    session.send('start');
+    session.send('ready');
+    session.send('analyze');
+    session.send('skip', { reason: 'rate-limited', duration: 5000 });
+
+    expect(session.getStatus()).toEqual({ status: 'idle', text: 'Rate limited' });
+    vi.advanceTimersByTime(4999);
+    expect(session.state).toBe('cooldown');
+    vi.advanceTimersByTime(1);
+    expect(session.state).toBe('watching');
+  });
+
+  it('derives status text from state and activity', () => {
+    expect(session.getStatus()).toEqual({ status: 'idle', text: 'Ready' });
+
+    session.send('start');
+    session.send('ready');
+    session.setMicOpen(true);
+    expect(session.getStatus()).toEqual({ status: 'listening', text: 'Listening...' });
+
+    session.send('think', { activity: 'reaction' });
+    expect(session.getStatus()).toEqual({ status: 'thinking', text: 'Generating reaction...' });
+
+    session.send('speak', { activity: 'dialogue' });
+    expect(session.getStatus()).toEqual({ status: 'speaking', text: 'Chatting...' });
+  });
+
+  describe('late analysis results', () => {
+    beforeEach(() => {
+      session.send('start');
+      session.send('ready');
+      session.send('analyze');
+    });
+
+    it('accepts results while analyzing', () => {
+      expect(session.submit({ object: 'Mug' }, true)).toBe('accept');
+    });
+
+    it('queues a new object that arrives during a conversation', () => {
+      session.send('think', { activity: 'answer' });
+
+      expect(session.submit({ object: 'Plant' }, true)).toBe('queue');
+      expect(session.takeQueued()).toEqual({ object: 'Plant' });
+      expect(session.takeQueued()).toBeNull();
+    });
+
+    it('plays a queued result once watching again', () => {
+      session.send('think', { activity: 'answer' });
+      session.submit({ object: 'Plant' }, true);
+      session.send('skip');
+      session.send('ready');
+
+      expect(session.submit(session.takeQueued(), true)).toBe('accept');
+    });
+
+    it('drops stale commentary about the same object', () => {
+      session.send('think', { activity: 'answer' });
+
+      expect(session.submit({ object: 'Mug' }, false)).toBe('drop');
+      expect(session.takeQueued()).toBeNull();
+    });
+
+    it('follows a custom policy', () => {
+      const dropAll = new SessionStateMachine({ policy: { newObject: 'drop' } });
+      dropAll.send('start');
+      dropAll.send('ready');
+      dropAll.send('think');
+
+      expect(dropAll.submit({ object: 'Plant' }, true)).toBe('drop');
+      dropAll.send('stop');
+    });
+
+    it('clears the queue on stop', () => {
+      session.send('think');
+      session.submit({ object: 'Plant' }, true);
+      session.send('stop');
+
+      expect(session.takeQueued()).toBeNull();
+    });
+  });
+});
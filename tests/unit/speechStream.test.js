@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SpeechStream, splitSentences } from '../../src/utils/speechStream.js';
+import { TextToSpeech } from '../../src/utils/textToSpeech.js';
+import { installFakeSpeech } from '../helpers/fakeMedia.js';
+
+/**
+ * TTS stand-in that records lines and lets the test decide when each one ends
+ */
+function fakeTts() {
+  const lines = [];
+  return {
+    lines,
+    enqueue: vi.fn((text, options) => new Promise((resolve, reject) => {
+      options.onStart?.();
+      lines.push({ text, options, resolve, reject });
+    }))
+  };
+}
+
+describe('splitSentences', () => {
+  it('keeps the unfinished sentence back', () => {
+    expect(splitSentences('Hello there! I am a mug. And I')).toEqual({
+      sentences: ['Hello there! ', 'I am a mug. '],
+      rest: 'And I'
+    });
+  });
+
+  it('waits for whitespace so numbers and ellipses are not cut', () => {
+    expect(splitSentences('I hold 0.5').sentences).toEqual([]);
+    expect(splitSentences('Well...').sentences).toEqual([]);
+    expect(splitSentences('Well... fine.', true).sentences).toEqual(['Well... ', 'fine.']);
+  });
+
+  it('flushes the rest once the text is final', () => {
+    expect(splitSentences('No punctuation at all', true)).toEqual({
+      sentences: ['No punctuation at all'],
+      rest: ''
+    });
+  });
+});
+
+describe('SpeechStream', () => {
+  let tts;
+
+  beforeEach(() => {
+    tts = fakeTts();
+  });
+
+  it('speaks each sentence as soon as it is finished', () => {
+    const onStart = vi.fn(() => ({ objectType: '☕ Coffee Mug' }));
+    const stream = new SpeechStream(tts, { onStart });
+
+    stream.update({ speech: 'Fill me', complete: false });
+    expect(stream.started).toBe(false);
+
+    stream.update({ speech: 'Fill me up! I dare', complete: false });
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(tts.lines.map(line => line.text)).toEqual(['Fill me up! ']);
+    expect(tts.lines[0].options.objectType).toBe('☕ Coffee Mug');
+
+    stream.update({ speech: 'Fill me up! I dare you!', complete: true });
+    expect(tts.lines.map(line => line.text)).toEqual(['Fill me up! ', 'I dare you!']);
+    expect(onStart).toHaveBeenCalledTimes(1);
+  });
+
+  it('fills the bubble with everything spoken so far', () => {
+    const shown = [];
+    const stream = new SpeechStream(tts, { onSentence: text => shown.push(text) });
+
+    stream.update({ speech: 'One. Two. Thr', complete: false });
+    stream.update({ speech: 'One. Two. Three.', complete: true });
+
+    expect(shown).toEqual(['One.', 'One. Two.', 'One. Two. Three.']);
+  });
+
+  it('speaks what is left of the final text and waits for it', async () => {
+    const stream = new SpeechStream(tts);
+    stream.update({ speech: 'Hi! I am', complete: false });
+
+    let finished = false;
+    const done = stream.finish('Hi! I am a lamp.').then(() => { finished = true; });
+
+    expect(tts.lines.map(line => line.text)).toEqual(['Hi! ', 'I am a lamp.']);
+    tts.lines[0].resolve();
+    await Promise.resolve();
+    expect(finished).toBe(false);
+
+    tts.lines[1].resolve();
+    await done;
+    expect(finished).toBe(true);
+  });
+
+  it('keeps what was streamed when the final text changed', async () => {
+    const stream = new SpeechStream(tts);
+    stream.update({ speech: 'Hello. ', complete: false });
+
+    const done = stream.finish('Something else entirely.');
+    tts.lines.forEach(line => line.resolve());
+    await done;
+
+    expect(tts.lines.map(line => line.text)).toEqual(['Hello. ']);
+  });
+
+  it('stays silent when onStart declines', () => {
+    const stream = new SpeechStream(tts, { onStart: () => null });
+
+    stream.update({ speech: 'Too late. Nobody listens.', complete: true });
+
+    expect(stream.started).toBe(false);
+    expect(stream.cancelled).toBe(true);
+    expect(tts.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('reports speech errors once every sentence settled', async () => {
+    const stream = new SpeechStream(tts);
+    stream.update({ speech: 'One. Two.', complete: true });
+
+    const done = stream.finish('One. Two.');
+    tts.lines[0].reject(new Error('network'));
+    tts.lines[1].resolve();
+
+    await expect(done).rejects.toThrow('network');
+  });
+});
+
+describe('TextToSpeech.createStream', () => {
+  it('speaks through the queue and is silenced by stop()', async () => {
+    const speech = installFakeSpeech();
+    const realTts = new TextToSpeech();
+    const stream = realTts.createStream();
+
+    stream.update({ speech: 'First line. Second', complete: false });
+    await vi.waitFor(() => expect(speech.spoken).toEqual(['First line.']));
+
+    realTts.stop();
+    stream.update({ speech: 'First line. Second line.', complete: true });
+    await stream.finish('First line. Second line.');
+
+    expect(speech.spoken).toEqual(['First line.']);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { buildSsml, getProsody, MOOD_PROSODY } from '../../src/utils/ttsProvider.js';
+import { createTtsProvider } from '../../src/utils/ttsProviders.js';
+import { TextToSpeech } from '../../src/utils/textToSpeech.js';
+import { installFakeSpeech } from '../helpers/fakeMedia.js';
+import { installFakeApi, jsonResponse } from '../helpers/fakeApi.js';
+import { BudgetManager } from '../../src/utils/budgetManager.js';
+
+const mp3 = () => new Response(new Blob([new Uint8Array(50)], { type: 'audio/mpeg' }), { status: 200 });
+const cast = { voiceId: 'voice1', stability: 0.5, similarity: 0.75, style: 0, webVoice: 'female', pitch: 1, rate: 0.95 };
+
+describe('SSML and prosody', () => {
+  it('wraps text in prosody for the mood', () => {
+    expect(buildSsml('Hi & bye', getProsody('sad'))).toBe(
+      '<speak><prosody rate="85%" pitch="-10%">Hi &amp; bye</prosody></speak>'
+    );
+    expect(buildSsml('Hello <there>', getProsody(null))).toBe('<speak>Hello &lt;there&gt;</speak>');
+  });
+
+  it('is neutral for unknown moods', () => {
+    expect(getProsody('bored')).toEqual({ rate: 1, pitch: 1 });
+    expect(getProsody('excited')).toBe(MOOD_PROSODY.excited);
+  });
+});
+
+describe('TTS providers', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends OpenAI-compatible servers a voice for the cast and the mood as speed', async () => {
+    const fetchMock = installFakeApi({ 'POST http://tts.local/v1/audio/speech': mp3 });
+    const provider = createTtsProvider('openai', { baseUrl: 'http://tts.local/v1/' });
+
+    await provider.synthesize('Wheee!', cast, { prosody: getProsody('excited') });
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body).toMatchObject({ model: 'tts-1', input: 'Wheee!', voice: 'nova', speed: 1.15 });
+  });
+
+  it('gives SSML to a local server that reads it', async () => {
+    const fetchMock = vi.fn(async () => mp3());
+    vi.stubGlobal('fetch', fetchMock);
+    const provider = createTtsProvider('local', { url: 'http://localhost:59125/api/tts', ssml: true });
+
+    await provider.synthesize('Oh no', cast, { prosody: getProsody('sad') });
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.searchParams.get('ssml')).toBe('true');
+    expect(url.searchParams.get('text')).toContain('<prosody rate="85%"');
+  });
+
+  it('gives plain text to a local server without SSML', async () => {
+    const fetchMock = vi.fn(async () => mp3());
+    vi.stubGlobal('fetch', fetchMock);
+
+    await createTtsProvider('local').synthesize('Oh no', cast, { prosody: getProsody('sad') });
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.searchParams.get('text')).toBe('Oh no');
+    expect(url.searchParams.has('ssml')).toBe(false);
+  });
+
+  it('marks servers that cannot be reached', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    }));
+
+    await expect(createTtsProvider('local').synthesize('Hi', cast)).rejects.toMatchObject({ isUnreachable: true });
+  });
+});
+
+describe('TextToSpeech fallback chain', () => {
+  let tts;
+  let speech;
+
+  beforeEach(() => {
+    URL.createObjectURL = vi.fn(() => 'blob:audio');
+    URL.revokeObjectURL = vi.fn();
+    localStorage.clear();
+    speech = installFakeSpeech({ duration: 1 });
+    tts = new TextToSpeech();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.unstubAllGlobals();
+  });
+
+  /**
+   * Let the fake audio element finish whatever line is playing
+   */
+  async function endAudio() {
+    await vi.waitFor(() => expect(tts.currentAudio?.src).toContain('blob:audio'));
+    tts.currentAudio.onended();
+    tts.currentAudio.src = '';
+  }
+
+  it('always ends with the browser voice', () => {
+    tts.configure(['local', 'openai']);
+    expect(tts.chain).toEqual(['local', 'openai', 'webspeech']);
+
+    tts.configure(['webspeech', 'nope']);
+    expect(tts.chain).toEqual(['webspeech']);
+  });
+
+  it('drops a provider out of quota for the rest of the session', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/tts': () => jsonResponse(401, { detail: { message: 'Invalid API key' } }),
+      'POST http://localhost:8880/v1/audio/speech': mp3
+    });
+    tts.setAvailable('elevenlabs', true);
+    tts.configure(['elevenlabs', 'openai']);
+
+    const playing = tts.speak('Hello there', 'Coffee Mug', 'kitchen');
+    await endAudio();
+    await playing;
+
+    expect(tts.providers.elevenlabs.available).toBe(false);
+    expect(tts.getProviders().map(provider => provider.name)).toEqual(['openai', 'webspeech']);
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['/api/tts', 'http://localhost:8880/v1/audio/speech']);
+  });
+
+  it('rests a provider out of quota until its Retry-After when there is a budget', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    installFakeApi({
+      'POST /api/tts': () => jsonResponse(429, { detail: { message: 'Quota exceeded' } }, { 'Retry-After': '120' })
+    });
+    tts.budget = new BudgetManager();
+    tts.setAvailable('elevenlabs', true);
+    tts.configure(['elevenlabs']);
+
+    await tts.speak('Hello there', 'Coffee Mug', 'kitchen');
+
+    expect(speech.spoken).toEqual(['Hello there']);
+    expect(tts.providers.elevenlabs.available).toBe(true);
+    expect(tts.budget.getRetryAfter('elevenlabs')).toBe(120);
+    expect(tts.getProviders().map(provider => provider.name)).toEqual(['webspeech']);
+
+    vi.advanceTimersByTime(120 * 1000);
+    expect(tts.getProviders().map(provider => provider.name)).toEqual(['elevenlabs', 'webspeech']);
+    vi.useRealTimers();
+  });
+
+  it('counts characters and skips a provider past its daily cap', async () => {
+    installFakeApi({ 'POST /api/tts': mp3 });
+    tts.budget = new BudgetManager();
+    tts.budget.setCaps('elevenlabs', { characters: 15 });
+    tts.setAvailable('elevenlabs', true);
+    tts.configure(['elevenlabs']);
+
+    const playing = tts.speak('Hello there', 'Coffee Mug', 'kitchen');
+    await endAudio();
+    await playing;
+    expect(tts.budget.getUsage('elevenlabs')).toMatchObject({ requests: 1, characters: 11 });
+
+    tts.budget.record('elevenlabs', { characters: 4 });
+    await tts.speak('Over budget', 'Coffee Mug', 'kitchen');
+    expect(speech.spoken).toEqual(['Over budget']);
+  });
+
+  it('skips an unreachable server for one line only', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    }));
+    tts.configure(['local']);
+
+    await tts.speak('Anyone there?', 'Lamp', 'furniture', null, 'sad');
+
+    expect(speech.spoken).toEqual(['Anyone there?']);
+    expect(tts.providers.local.available).toBe(true);
+  });
+
+  it('scales browser pitch and rate by the mood', async () => {
+    tts.configure(['webspeech']);
+
+    await tts.speak('Yay!', 'Ball', 'toy', null, 'excited');
+
+    const utterance = speech.synth.speak.mock.calls[0][0];
+    expect(utterance.rate).toBeCloseTo(tts.casting.get('toy').rate * MOOD_PROSODY.excited.rate);
+    expect(utterance.pitch).toBeCloseTo(tts.casting.get('toy').pitch * MOOD_PROSODY.excited.pitch);
+  });
+
+  it('caches audio per provider and prewarms with the first one', async () => {
+    const fetchMock = installFakeApi({ 'POST http://localhost:8880/v1/audio/speech': mp3 });
+    tts.configure(['openai']);
+
+    expect(await tts.prewarm(['Hi!'])).toBe(1);
+    const playing = tts.speak('Hi!');
+    await endAudio();
+    await playing;
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    tts.configure(['webspeech']);
+    expect(tts.canCacheAudio()).toBe(false);
+    expect(await tts.prewarm(['Hi!'])).toBe(0);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VoiceCasting, DEFAULT_CASTING, VOICE_LIBRARY, guessCategory, sanitizeVoice } from '../../src/utils/voiceCasting.js';
+import { TextToSpeech } from '../../src/utils/textToSpeech.js';
+import { installFakeApi } from '../helpers/fakeApi.js';
+
+const voiceNamed = (name) => VOICE_LIBRARY.find(voice => voice.name === name).id;
+
+describe('VoiceCasting', () => {
+  let casting;
+
+  beforeEach(() => {
+    localStorage.clear();
+    casting = new VoiceCasting();
+  });
+
+  it('gives each category its own voice', () => {
+    expect(casting.get('toy').voiceId).toBe(voiceNamed('Elli'));
+    expect(casting.get('vehicle').voiceId).toBe(voiceNamed('Josh'));
+    expect(casting.get('toy').voiceId).not.toBe(casting.get('vehicle').voiceId);
+    expect(casting.get('unknown')).toEqual(DEFAULT_CASTING.other);
+  });
+
+  it('guesses the category from the name when the model gave none', () => {
+    expect(guessCategory('Teddy Bear')).toBe('toy');
+    expect(guessCategory('Old Phone')).toBe('electronic');
+    expect(guessCategory('Banana')).toBe('other');
+    expect(casting.resolve('Claw Hammer').voiceId).toBe(casting.get('tool').voiceId);
+    expect(casting.resolve('Claw Hammer', 'food').voiceId).toBe(casting.get('food').voiceId);
+  });
+
+  it('saves edits and clamps them to their ranges', () => {
+    casting.set('food', { voiceId: 'customVoice123', stability: '0.2', pitch: 5, webVoice: 'alien' });
+
+    const reloaded = new VoiceCasting();
+    expect(reloaded.get('food')).toMatchObject({ voiceId: 'customVoice123', stability: 0.2, pitch: 2 });
+    expect(reloaded.get('food').webVoice).toBe(DEFAULT_CASTING.food.webVoice);
+    expect(reloaded.isCustomized('food')).toBe(true);
+
+    reloaded.reset('food');
+    expect(new VoiceCasting().get('food')).toEqual(DEFAULT_CASTING.food);
+  });
+
+  it('ignores broken saved data', () => {
+    localStorage.setItem('voiceCasting', '{not json');
+    expect(new VoiceCasting().get('toy')).toEqual(DEFAULT_CASTING.toy);
+  });
+
+  it("lets an object's own voice win over its category", () => {
+    const pinned = { voiceId: voiceNamed('Sam'), webVoice: 'male', pinned: true };
+    expect(casting.resolve('Teddy Bear', 'toy', pinned)).toMatchObject({
+      voiceId: voiceNamed('Sam'),
+      webVoice: 'male',
+      stability: DEFAULT_CASTING.toy.stability
+    });
+  });
+
+  it('still understands voices remembered before casting', () => {
+    const cast = casting.resolve('Mug', 'kitchen', { voiceType: 'robot', pitch: 1.2 });
+    expect(cast).toMatchObject({ webVoice: 'robot', pitch: 1.2, voiceId: DEFAULT_CASTING.kitchen.voiceId });
+  });
+
+  it('drops voice IDs that could not be a real ID', () => {
+    expect(sanitizeVoice({ voiceId: '../admin' })).toEqual({});
+  });
+});
+
+describe('TextToSpeech with voice casting', () => {
+  let tts;
+
+  beforeEach(() => {
+    localStorage.clear();
+    tts = new TextToSpeech();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends the cast voice and its settings to ElevenLabs', async () => {
+    const fetchMock = installFakeApi({
+      'POST /api/tts': () => new Response(new Blob(['mp3']), { status: 200 })
+    });
+    tts.casting.set('toy', { style: 0.6 });
+
+    await tts.providers.elevenlabs.synthesize('Squeak!', tts.casting.resolve('Rubber Duck', 'toy'));
+
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.voiceId).toBe(voiceNamed('Elli'));
+    expect(body.voiceSettings).toEqual({
+      stability: DEFAULT_CASTING.toy.stability,
+      similarity_boost: DEFAULT_CASTING.toy.similarity,
+      style: 0.6,
+      use_speaker_boost: true
+    });
+  });
+
+  it('keys cached audio by the cast voice settings', () => {
+    const elevenLabs = tts.providers.elevenlabs;
+    const before = elevenLabs.getCacheKey('Hello', tts.casting.get('toy'));
+    tts.casting.set('toy', { stability: 0.9 });
+    expect(elevenLabs.getCacheKey('Hello', tts.casting.get('toy'))).not.toBe(before);
+  });
+
+  it('takes Web Speech pitch from the casting table', () => {
+    expect(tts.selectPitchForObject('Tire', 'vehicle')).toBe(DEFAULT_CASTING.vehicle.pitch);
+    tts.casting.set('vehicle', { pitch: 0.6 });
+    expect(tts.selectPitchForObject('Tire', 'vehicle')).toBe(0.6);
+    expect(tts.getVoiceType('Laptop', 'electronic')).toBe('robot');
+  });
+
+  it('casts different voices for objects of the same category', () => {
+    const voices = tts.castVoices([
+      { object: 'Fork', category: 'kitchen' },
+      { object: 'Spoon', category: 'kitchen' },
+      { object: 'Plate', category: 'kitchen' }
+    ]);
+
+    expect(new Set(voices.map(voice => voice.voiceId)).size).toBe(3);
+    expect(new Set(voices.map(voice => voice.pitch)).size).toBe(3);
+  });
+
+  it('keeps pinned voices and casts around them', () => {
+    const pinned = { voiceId: DEFAULT_CASTING.kitchen.voiceId, webVoice: 'male', pinned: true };
+    const voices = tts.castVoices([
+      { object: 'Fork', category: 'kitchen' },
+      { object: 'Spoon', category: 'kitchen', voice: pinned }
+    ]);
+
+    expect(voices[1]).toBe(pinned);
+    expect(voices[0].voiceId).not.toBe(pinned.voiceId);
+  });
+});
@@ -1,25 +1,32 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
+import { fileURLToPath } from 'node:url';
 
-export default defineConfig({
-  server: {
-    host: true, // Allow access from network devices (test on mobile)
-    port: 5173,
-    open: true
-  },
-  build: {
-    outDir: 'dist',
-    assetsDir: 'assets',
-    sourcemap: false,
-    minify: 'terser',
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          'google-ai': ['@google/generative-ai']
+export default defineConfig(({ mode }) => {
+  // The backend's PORT, from the environment or .env like server/index.js reads it
+  const { PORT = '3001' } = loadEnv(mode, process.cwd(), '');
+
+  return {
+    server: {
+      host: true, // Allow access from network devices (test on mobile)
+      port: 5173,
+      open: true,
+      proxy: {
+        // API keys live on the backend (npm run server)
+        '/api': `http://localhost:${PORT}`
+      }
+    },
+    build: {
+      outDir: 'dist',
+      assetsDir: 'assets',
+      sourcemap: false,
+      minify: 'terser',
+      rollupOptions: {
+        // The frame processing benchmark ships next to the app
+        input: {
+          main: fileURLToPath(new URL('./index.html', import.meta.url)),
+          benchmark: fileURLToPath(new URL('./benchmark.html', import.meta.url))
         }
       }
     }
-  },
-  optimizeDeps: {
-    include: ['@google/generative-ai']
-  }
-});
\ No newline at end of file
+  };
+});
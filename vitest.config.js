@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'jsdom',
+    include: ['tests/unit/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    restoreMocks: true
+  }
+});